@@ -23,6 +23,8 @@
   var invGain = null;
   var sumGain = null;
   var lastMasterVolumePercent = 700; // 0–2000, default 700%
+  var lastReverbAmount = 0.6; // reverb send/wet target (Full = 100% -> 1.0*0.6)
+  var lastMidAmount = null; // mid gain target from setStereoWidth
   var activeVoices = {}; // noteName -> [{ gain, bufferSource, release }]
   var SAMPLE_ENVELOPE = { attack: 0.02, decay: 0.15, sustain: 0.6, release: 0.3 };
   // Ultimate outer envelope: even if sustain is long, gently fade any held note to 0 over this many seconds.
@@ -495,10 +497,9 @@
         src.start(t0Layer);
       }
 
-      var voiceData = { gain: gain, bufferSource: src, sustain: sustainLevel, release: release, ultimateOffTime: ultimateOffTime };
+      var voiceData = { gain: gain, bufferSource: src, sustain: sustainLevel, release: release, ultimateOffTime: ultimateOffTime, startTime: t0Layer };
       if (!isJsPreset && soundMode === 'tremolo' && src && src.playbackRate) {
         voiceData.basePlaybackRate = playbackRate;
-        voiceData.startTime = t0Layer;
       }
       group.push(voiceData);
     }
@@ -508,52 +509,53 @@
     activeVoices[noteName].push(group);
   }
 
-  function releaseOneVoice(noteName) {
-    var list = activeVoices[noteName];
-    if (!list || list.length === 0) return;
-    var group = list.shift();
+  /**
+   * Release one voice group at audio time `when` (default: now). A group that was scheduled ahead and has not
+   * started yet by then (e.g. Stop during lookahead) is silenced instead of fading in and out.
+   */
+  function releaseGroup(group, when) {
     var ctx = audioCtx;
-    if (!ctx) return;
-    var t = ctx.currentTime;
+    if (!ctx || !group) return;
+    var now = ctx.currentTime;
+    var t = when != null ? Math.max(now, when) : now;
     for (var i = 0; i < group.length; i++) {
       var voice = group[i];
+      if (voice.startTime != null && t < voice.startTime) {
+        voice.gain.gain.cancelScheduledValues(now);
+        voice.gain.gain.setValueAtTime(0, now);
+        try {
+          voice.bufferSource.stop(voice.startTime);
+        } catch (e) {}
+        continue;
+      }
+      var release = voice.release || SAMPLE_ENVELOPE.release;
       voice.gain.gain.cancelScheduledValues(t);
       // If the ultimate envelope has already faded this voice, don't jump back up to sustain.
       var startLevel = (voice.ultimateOffTime && t >= voice.ultimateOffTime) ? 0.0001 : voice.sustain;
       voice.gain.gain.setValueAtTime(startLevel, t);
-      voice.gain.gain.linearRampToValueAtTime(0.0001, t + (voice.release || SAMPLE_ENVELOPE.release));
-      var stopTime = t + (voice.release || SAMPLE_ENVELOPE.release) + 0.05;
+      voice.gain.gain.linearRampToValueAtTime(0.0001, t + release);
       try {
-        voice.bufferSource.stop(stopTime);
+        voice.bufferSource.stop(t + release + 0.05);
       } catch (e) {}
     }
+  }
+
+  function releaseOneVoice(noteName, when) {
+    var list = activeVoices[noteName];
+    if (!list || list.length === 0) return;
+    releaseGroup(list.shift(), when);
     if (list.length === 0) delete activeVoices[noteName];
   }
 
-  function triggerRelease(noteName) {
-    releaseOneVoice(noteName);
+  function triggerRelease(noteName, when) {
+    releaseOneVoice(noteName, when);
   }
 
-  function releaseAllVoices(noteName) {
+  function releaseAllVoices(noteName, when) {
     var list = activeVoices[noteName];
     if (!list) return;
-    var ctx = audioCtx;
-    var releaseTime = SAMPLE_ENVELOPE.release;
     while (list.length > 0) {
-      var group = list.shift();
-      if (ctx && group) {
-        var t = ctx.currentTime;
-        for (var i = 0; i < group.length; i++) {
-          var voice = group[i];
-          voice.gain.gain.cancelScheduledValues(t);
-          var startLevel = (voice.ultimateOffTime && t >= voice.ultimateOffTime) ? 0.0001 : voice.sustain;
-          voice.gain.gain.setValueAtTime(startLevel, t);
-          voice.gain.gain.linearRampToValueAtTime(0.0001, t + (voice.release || releaseTime));
-          try {
-            voice.bufferSource.stop(t + (voice.release || releaseTime) + 0.05);
-          } catch (e) {}
-        }
-      }
+      releaseGroup(list.shift(), when);
     }
     delete activeVoices[noteName];
   }
@@ -565,6 +567,7 @@
   function setReverb(value) {
     var v = Math.max(0, Math.min(1, value));
     var amount = v * 0.6;
+    lastReverbAmount = amount;
     if (!audioCtx) ensureContext();
     if (reverbSend) reverbSend.gain.setTargetAtTime(amount, audioCtx.currentTime, 0.01);
     if (reverbWet) reverbWet.gain.setTargetAtTime(amount, audioCtx.currentTime, 0.01);
@@ -574,6 +577,7 @@
     var clamped = Math.max(-100, Math.min(0, midEq));
     var db = -36 + ((clamped + 100) / 100) * 24;
     var midAmount = Math.pow(10, db / 20);
+    lastMidAmount = midAmount;
     if (!audioCtx) ensureContext();
     if (midGain) midGain.gain.setTargetAtTime(midAmount, audioCtx.currentTime, 0.03);
     if (sideGain) sideGain.gain.setTargetAtTime(1, audioCtx.currentTime, 0.03);
@@ -601,6 +605,54 @@
     return lastMasterVolumePercent;
   }
 
+  /**
+   * Settings the live graph is playing with (gain targets and the globals the every-bar loop and triggerAttack read),
+   * in the shape of PrimidiSave.getWavRenderSettings so a WAV render can be checked against live playback.
+   */
+  function getChainSettings() {
+    if (!audioCtx) ensureContext();
+    var w = typeof window !== 'undefined' ? window : {};
+    var bpm = w.gslBpm != null ? Math.max(40, Math.min(240, Number(w.gslBpm))) : 120;
+    var barBeats = Number(w.gslBarBeats) > 0 ? Number(w.gslBarBeats) : 4;
+    return {
+      soundBpm: bpm,
+      barSeconds: barBeats * 60 / bpm,
+      presetSlots: getCurrentPresetSlots().slice(),
+      slotVolumes: (w.gslSlotVolumes || []).slice(),
+      slotSemitones: (w.gslSlotSemitones || []).slice(),
+      slotMuted: (w.gslSlotMuted || []).slice(),
+      everyBarPattern: (w.gslEveryBarPattern || []).slice(),
+      everyBarIntensity: (w.gslEveryBarIntensity || []).slice(),
+      layerPlayStyle: getLayerPlayStyle(0),
+      layerPlayMode: w.gslLayerPlayMode || 'leftRight',
+      delayIntensity: w.gslDelayIntensity != null ? w.gslDelayIntensity : 1,
+      reverbSend: lastReverbAmount,
+      midGain: lastMidAmount,
+      masterGain: lastMasterVolumePercent / 100,
+      soundMode: soundMode,
+      chordRowMod: {
+        bassPattern: w.gslChordRowSoundBassEveryBar || 'none',
+        treblePattern: w.gslChordRowSoundTrebleEveryBar || 'none',
+        bassIntensity: w.gslChordRowSoundBassIntensity != null ? Math.max(0, Math.min(1, w.gslChordRowSoundBassIntensity)) : 0.2,
+        trebleIntensity: w.gslChordRowSoundTrebleIntensity != null ? Math.max(0, Math.min(1, w.gslChordRowSoundTrebleIntensity)) : 0.2
+      }
+    };
+  }
+
+  /**
+   * Gains the live graph's nodes are at right now (setter ramps and the every-bar loop included), as opposed to the
+   * targets getChainSettings reports; slotGains are the slot volume nodes (0–1).
+   */
+  function getChainNodeGains() {
+    if (!audioCtx) ensureContext();
+    return {
+      reverbSend: reverbSend.gain.value,
+      midGain: midGain.gain.value,
+      masterGain: masterGain.gain.value,
+      slotGains: slotVolGains.map(function (g) { return g.gain.value; })
+    };
+  }
+
   function getReverbBufferForExport() {
     if (!audioCtx) ensureContext();
     if (!reverbNode || !reverbNode.buffer) return null;
@@ -671,6 +723,8 @@
     setSlotVolumePercent: setSlotVolumePercent,
     getMasterVolume: getMasterVolume,
     getReverbBufferForExport: getReverbBufferForExport,
+    getChainSettings: getChainSettings,
+    getChainNodeGains: getChainNodeGains,
     setSoundMode: setSoundMode,
     getSoundMode: getSoundMode,
     setTremoloBPM: setTremoloBPM,
@@ -0,0 +1,165 @@
+// Chord capture (play to type): name the chord held on a MIDI controller, the computer keyboard or the 3D piano and
+// add it to the focused chord row with a sustain pedal tap or Enter. Names come from ChordEngine.recognizeChord.
+(function () {
+    'use strict';
+
+    /** Other names within this score of the best are offered next to it. */
+    const CAPTURE_ALTERNATIVE_SCORE_RANGE = 1.5;
+    const CAPTURE_MAX_ALTERNATIVES = 3;
+    const CAPTURE_TAP_VELOCITY = 90;
+
+    let enabled = false;
+    let engine = null;
+    /** Notes down right now (keys held, plus 3D piano keys tapped on). */
+    const heldNotes = new Set();
+    /** Notes tapped on with the 3D piano; they sound until tapped again or the chord is added. */
+    const latchedNotes = new Set();
+    /** Names for the last chord held (kept after the keys are let go), best first; selected = the one to add. */
+    let candidates = [];
+    let selected = 0;
+    let pedalDown = false;
+
+    function getEngine() {
+        if (!engine && typeof window.ChordEngine === 'function' && window.CHORD_INTERVALS) {
+            engine = new window.ChordEngine({ noteToIndex: window.NOTE_TO_INDEX, chordIntervals: window.CHORD_INTERVALS });
+        }
+        return engine;
+    }
+
+    function isInputFocused() {
+        const el = document.activeElement;
+        return !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+    }
+
+    function render() {
+        const nameEl = document.getElementById('cc-capture-name');
+        const altsEl = document.getElementById('cc-capture-alts');
+        const addBtn = document.getElementById('cc-capture-add-btn');
+        if (addBtn) addBtn.disabled = !enabled || !candidates.length;
+        if (!nameEl || !altsEl) return;
+        altsEl.innerHTML = '';
+        if (!enabled) {
+            nameEl.textContent = '';
+            return;
+        }
+        if (!candidates.length) {
+            nameEl.textContent = heldNotes.size ? '…' : 'Hold a chord';
+            return;
+        }
+        const chord = candidates[selected];
+        nameEl.textContent = chord.symbol + (chord.inversion ? ' (inversion ' + chord.inversion + ')' : '');
+        candidates.forEach(function (c, i) {
+            if (i === selected) return;
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'cc-capture-alt';
+            btn.textContent = c.symbol;
+            btn.title = 'Add this name instead';
+            btn.onclick = function () {
+                selected = i;
+                render();
+            };
+            altsEl.appendChild(btn);
+        });
+    }
+
+    /** Name the notes held now, spelled in the focused row's key; called on every new note so rolled and legato chords are followed. */
+    function recognizeHeld() {
+        const eng = getEngine();
+        const key = typeof window.ccGetSpellingKey === 'function' ? window.ccGetSpellingKey() : null;
+        const all = eng ? eng.recognizeChord(Array.from(heldNotes), { key: key }) : [];
+        candidates = all.length
+            ? all.filter(function (c) { return c.score >= all[0].score - CAPTURE_ALTERNATIVE_SCORE_RANGE; }).slice(0, CAPTURE_MAX_ALTERNATIVES + 1)
+            : [];
+        selected = 0;
+        render();
+    }
+
+    function releaseLatched() {
+        latchedNotes.forEach(function (midi) {
+            heldNotes.delete(midi);
+            if (typeof window.handleMidiNoteOff === 'function') window.handleMidiNoteOff(midi);
+        });
+        latchedNotes.clear();
+    }
+
+    /** Add the named chord to the focused row. @returns {boolean} */
+    function addChord() {
+        if (!enabled || !candidates.length || typeof window.ccAppendChordToFocusedRow !== 'function') return false;
+        const nameEl = document.getElementById('cc-capture-name');
+        if (!window.ccAppendChordToFocusedRow(candidates[selected].symbol)) {
+            if (nameEl) nameEl.textContent = 'Row is full';
+            return false;
+        }
+        releaseLatched();
+        if (nameEl) nameEl.textContent = candidates[selected].symbol + ' added';
+        return true;
+    }
+
+    function setEnabled(on) {
+        enabled = !!on;
+        if (!enabled) releaseLatched();
+        candidates = [];
+        selected = 0;
+        const cb = document.getElementById('cc-capture-enabled');
+        if (cb) cb.checked = enabled;
+        render();
+    }
+
+    window.ccChordCapture = {
+        isEnabled: function () { return enabled; },
+        setEnabled: setEnabled,
+        addChord: addChord,
+        /** From live input (MIDI controller, computer keyboard); chord playback does not come through here. */
+        noteOn: function (midi) {
+            heldNotes.add(midi);
+            if (enabled) recognizeHeld();
+        },
+        noteOff: function (midi) {
+            if (latchedNotes.has(midi)) return;
+            heldNotes.delete(midi);
+            if (enabled && !candidates.length) render();
+        },
+        /** Sustain pedal (CC64): a press adds the chord. */
+        pedal: function (down) {
+            const press = down && !pedalDown;
+            pedalDown = !!down;
+            if (press && enabled) addChord();
+        },
+        /** 3D piano tap: a mouse cannot hold several keys, so each tap turns a note on or off. */
+        toggleNote: function (midi) {
+            if (!enabled) return;
+            if (latchedNotes.has(midi)) {
+                latchedNotes.delete(midi);
+                heldNotes.delete(midi);
+                if (typeof window.handleMidiNoteOff === 'function') window.handleMidiNoteOff(midi);
+                if (heldNotes.size) recognizeHeld();
+                return;
+            }
+            latchedNotes.add(midi);
+            heldNotes.add(midi);
+            if (typeof window.handleMidiNoteOn === 'function') window.handleMidiNoteOn(midi, CAPTURE_TAP_VELOCITY);
+            recognizeHeld();
+        }
+    };
+
+    function init() {
+        const cb = document.getElementById('cc-capture-enabled');
+        if (cb) cb.addEventListener('change', function () { setEnabled(cb.checked); });
+        const addBtn = document.getElementById('cc-capture-add-btn');
+        if (addBtn) addBtn.addEventListener('click', addChord);
+        window.addEventListener('keydown', function (e) {
+            if (!enabled || e.key !== 'Enter' || e.repeat || isInputFocused()) return;
+            if (document.activeElement && document.activeElement.tagName === 'BUTTON') return;
+            e.preventDefault();
+            addChord();
+        });
+        render();
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -8,12 +8,78 @@
     let rebuildRhythmOptionsRef = null;
     let isPlaying = false;
     let playSessionId = 0;
+    /** Position in the song order during playback (-1 = not following one). */
+    let arrangementStep = -1;
+
+    /** Lookahead scheduler (same idea as dice4beat scheduler()): note and pedal events wait in a time-sorted queue and are handed to the synth with exact AudioContext times a short window ahead. UI callbacks stay on setTimeout. */
+    const CC_SCHEDULE_LOOKAHEAD_SECONDS = 0.12;
+    /** Background tabs run timers about once per second, so look further ahead while the page is hidden. */
+    const CC_SCHEDULE_LOOKAHEAD_HIDDEN_SECONDS = 1.5;
+    const CC_SCHEDULER_INTERVAL_MS = 25;
+    /** Same-time order: release before pedal before attack (a repeated note restarts instead of being cut). */
+    const CC_SCHEDULED_EVENT_ORDER = { off: 0, pedal: 1, on: 2 };
+    const scheduledEvents = [];
+    let schedulerTimer = null;
+    /** Playback-clock time where the next chained row should start (end of the current row's content). */
+    let nextRowStartTime = null;
+    /** Treble voicing of the last chord scheduled, so a chained row with voice leading continues from it. */
+    let chainTrebleNotes = null;
+
+    function getPlaybackAudioContext() {
+        const s = window.synth;
+        return (s && s.synth && s.synth.audioCtx) ? s.synth.audioCtx : null;
+    }
+
+    /** Seconds on the playback clock: AudioContext time when the synth is up, else the performance clock. */
+    function getPlaybackClockTime() {
+        const ctx = getPlaybackAudioContext();
+        return ctx ? ctx.currentTime : performance.now() / 1000;
+    }
+
+    function dispatchScheduledEvent(ev, when) {
+        if (ev.type === 'on') {
+            try { window.handleMidiNoteOn(ev.midi, ev.velocity, when); } catch (e) {}
+            activeNotes.add(ev.midi);
+        } else if (ev.type === 'off') {
+            try { window.handleMidiNoteOff(ev.midi, when); } catch (e) {}
+            activeNotes.delete(ev.midi);
+        } else if (ev.type === 'pedal' && typeof window.handleMidiControlChange === 'function') {
+            try { window.handleMidiControlChange(64, ev.value, when); } catch (e) {}
+        }
+    }
+
+    function runScheduler() {
+        schedulerTimer = null;
+        const ctx = getPlaybackAudioContext();
+        const now = ctx ? ctx.currentTime : performance.now() / 1000;
+        // Without an AudioContext there is no exact start time to hand over, so fire on time instead of ahead.
+        const lookahead = !ctx ? 0 : (document.hidden ? CC_SCHEDULE_LOOKAHEAD_HIDDEN_SECONDS : CC_SCHEDULE_LOOKAHEAD_SECONDS);
+        while (scheduledEvents.length > 0 && scheduledEvents[0].time <= now + lookahead) {
+            const ev = scheduledEvents.shift();
+            dispatchScheduledEvent(ev, ctx ? Math.max(now, ev.time) : undefined);
+        }
+        if (scheduledEvents.length > 0) schedulerTimer = setTimeout(runScheduler, CC_SCHEDULER_INTERVAL_MS);
+    }
+
+    /** Add events ({ time on the playback clock, type: 'on'|'off'|'pedal', midi, velocity, value }) and make sure the scheduler runs. */
+    function queueScheduledEvents(events) {
+        events.forEach((ev) => scheduledEvents.push(ev));
+        scheduledEvents.sort((a, b) => (a.time - b.time) || (CC_SCHEDULED_EVENT_ORDER[a.type] - CC_SCHEDULED_EVENT_ORDER[b.type]));
+        if (schedulerTimer == null) runScheduler();
+    }
 
+    /** Cancel pending playback: UI timers and note/pedal events not yet handed to the synth. */
     function clearTimeouts() {
         timeouts.forEach((id) => {
             try { clearTimeout(id); } catch (e) {}
         });
         timeouts.clear();
+        scheduledEvents.length = 0;
+        if (schedulerTimer != null) {
+            clearTimeout(schedulerTimer);
+            schedulerTimer = null;
+        }
+        nextRowStartTime = null;
     }
 
     function allNotesOff() {
@@ -24,14 +90,24 @@
         activeNotes.clear();
     }
 
+    /** Chord separators as commas, same length as text: | and line breaks, and spaces between numeral chords (1 6m 4 5, I vi IV V). */
     function normalizeChordText(text) {
-        return String(text || '').replace(/\|/g, ',').replace(/\n/g, ',').replace(/\r/g, ',');
+        return String(text || '').replace(/\|/g, ',').replace(/\n/g, ',').replace(/\r/g, ',').replace(/[^,]+/g, function (seg) {
+            if (!/^\s*(?:[#♯♭]|b?[IViv]|[1-7])/.test(seg)) return seg;
+            return seg.replace(/([^\s\/:*^(])(\s+)(?=[^\s\/:*^)])/g, function (m, prev, space) { return prev + ','.repeat(space.length); });
+        });
     }
 
     function clampMidi(midi) {
         return Math.max(21, Math.min(108, midi));
     }
 
+    /** { low, high } MIDI notes for a CC_VOICE_RANGE_OPTIONS value; unknown values give the default range. */
+    function parseVoiceRange(value) {
+        const parts = (CC_VOICE_RANGE_OPTIONS.includes(value) ? value : CC_DEFAULT_VOICE_RANGE).split('-');
+        return { low: parseInt(parts[0], 10), high: parseInt(parts[1], 10) };
+    }
+
     function getHumanBpmFallback() {
         const slider = document.getElementById('human-bpm');
         const v = slider ? parseInt(slider.value, 10) : NaN;
@@ -45,8 +121,10 @@
     const CC_MAX_BPM = 888;
     /** Preload delay (seconds) before first note when Play is pressed. Gives mobile time to resume AudioContext and use decoded samples without glitch. Adapted from ChordCanvas preloadSeconds idea. */
     const CC_PRELOAD_DELAY_SECONDS = 0.25;
-    const CC_CHORD_BAR_BEATS = 4;
     const CC_DURATION_MULTIPLIERS = [240, 120, 60, 40, 30, 20, 15];
+    /** Default rhythms: quarter-note bass, eighth-note treble (see getRhythmForMeter for meters without them). */
+    const CC_DEFAULT_BASS_RHYTHM = 60;
+    const CC_DEFAULT_TREBLE_RHYTHM = 30;
     const CC_NOTE_SYMBOLS_HTML = [
         '&#119133;',        // whole
         '&#119134;',        // half
@@ -56,9 +134,40 @@
         '&#119136;&#8323;', // eighth triplet-ish
         '&#119137;'         // sixteenth
     ];
+    /** Row meters. BPM always counts quarter notes, so a bar is numerator * 4 / denominator beats (6/8 = 3, 7/8 = 3.5). */
+    const CC_METERS = ['4/4', '3/4', '5/4', '6/8', '7/8', '12/8'];
+    const CC_DEFAULT_METER = '4/4';
+    // Rhythm cycle multipliers per meter (cycle seconds = multiplier / bpm); the first entry is one full bar
+    const CC_DURATION_MULTIPLIERS_BY_METER = {
+        '4/4': CC_DURATION_MULTIPLIERS,
+        '3/4': [180, 60, 40, 30, 20, 15],
+        '5/4': [300, 60, 40, 30, 20, 15],
+        '6/8': [180, 90, 30, 15],
+        '7/8': [210, 60, 30, 15],
+        '12/8': [360, 180, 90, 30, 15]
+    };
+    const CC_DURATION_SYMBOLS_HTML = {
+        360: '&#119133;.',  // dotted whole
+        240: CC_NOTE_SYMBOLS_HTML[0],
+        180: '&#119134;.',  // dotted half
+        120: CC_NOTE_SYMBOLS_HTML[1],
+        90: '&#119135;.',   // dotted quarter
+        60: CC_NOTE_SYMBOLS_HTML[2],
+        40: CC_NOTE_SYMBOLS_HTML[3],
+        30: CC_NOTE_SYMBOLS_HTML[4],
+        20: CC_NOTE_SYMBOLS_HTML[5],
+        15: CC_NOTE_SYMBOLS_HTML[6]
+    };
     const CC_SKIP_OPTIONS = [0, 2, 3, 4, 5, 6, 7, 8];
     const CC_DELAY_MOD_OPTIONS = ['none', 'human', 'drunk'];
     const CC_VOLUME_MOD_OPTIONS = ['none', 'uphill', 'downhill', 'valley', 'hill', '2valley', '2hill'];
+    /** Treble registers for voice leading, as 'low-high' MIDI notes (C3–C5, G3–G5, C4–C6). */
+    const CC_VOICE_RANGE_OPTIONS = ['48-72', '55-79', '60-84'];
+    const CC_DEFAULT_VOICE_RANGE = '55-79';
+    /** Voicing styles for ChordEngine.getVoicedChordParts; 'stacked' is the CHORD_INTERVALS template. */
+    const CC_VOICING_STYLE_OPTIONS = ['stacked', 'close', 'drop2', 'drop3', 'shell', 'rootlessA', 'rootlessB', 'quartal', 'spread', 'pop'];
+    /** Key a row's Roman numeral and Nashville number chords are read in (cc-key; one of CC_KEY_ROOTS). */
+    const CC_DEFAULT_KEY = 'C';
 
     const CC_DELAY_MOD_CHANCE = 0.618;
     const CC_DELAY_MOD_AMOUNT_HUMAN = 0.05;
@@ -242,8 +351,9 @@
         /* Backup defaults (restore if needed): trebleSkipPattern [4,3,8], patternMode 'ascend2', bassEveryBar 'uphill'|'downhill', trebleEveryBar 'valley' */
         return {
             bpm: CC_DEFAULT_BPM,
-            bassDurationMultiplier: 60,        /* Quarter note */
-            trebleDurationMultiplier: 30,      /* Eighth note */
+            meter: CC_DEFAULT_METER,
+            bassDurationMultiplier: CC_DEFAULT_BASS_RHYTHM,
+            trebleDurationMultiplier: CC_DEFAULT_TREBLE_RHYTHM,
             skipPattern: [2, 8, 0],
             bassSkipPattern: [],
             trebleSkipPattern: [2, 8, 0],
@@ -253,6 +363,10 @@
             trebleVelocity: CC_DEFAULT_TREBLE_VELOCITY,
             octaveShift: 0,
             voicing: 'full',
+            voicingStyle: 'stacked',
+            key: CC_DEFAULT_KEY,
+            voiceLeading: false,
+            voiceRange: CC_DEFAULT_VOICE_RANGE,
             trebleOctaves: 1,
             bassOctaves: 1,
             delayMod: 'human',
@@ -267,6 +381,7 @@
 
     function readRowSettingsFromUi() {
         const bpmInput = document.getElementById('cc-row-bpm');
+        const meterEl = document.getElementById('cc-meter');
         const bassRhythmEl = document.getElementById('cc-bass-rhythm');
         const trebleRhythmEl = document.getElementById('cc-treble-rhythm');
         const bassSkip1El = document.getElementById('cc-bass-skip1');
@@ -281,6 +396,10 @@
         const trebleVelocityEl = document.getElementById('cc-treble-velocity');
         const octaveShiftEl = document.getElementById('cc-octave-shift');
         const voicingEl = document.getElementById('cc-voicing');
+        const voicingStyleEl = document.getElementById('cc-voicing-style');
+        const keyEl = document.getElementById('cc-key');
+        const voiceLeadingEl = document.getElementById('cc-voice-leading');
+        const voiceRangeEl = document.getElementById('cc-voice-range');
         const doubleTrebleEl = document.getElementById('cc-double-treble');
         const doubleBassEl = document.getElementById('cc-double-bass');
         const delayModEl = document.getElementById('cc-delay-mod');
@@ -291,8 +410,8 @@
         const sustainPedalEl = document.getElementById('cc-sustain-pedal');
 
         const bpm = clampBpm(bpmInput ? bpmInput.value : CC_DEFAULT_BPM);
-        const bassDurationMultiplier = bassRhythmEl ? parseInt(bassRhythmEl.value, 10) : 30;
-        const trebleDurationMultiplier = trebleRhythmEl ? parseInt(trebleRhythmEl.value, 10) : 30;
+        const bassDurationMultiplier = bassRhythmEl ? parseInt(bassRhythmEl.value, 10) : CC_DEFAULT_BASS_RHYTHM;
+        const trebleDurationMultiplier = trebleRhythmEl ? parseInt(trebleRhythmEl.value, 10) : CC_DEFAULT_TREBLE_RHYTHM;
         const bassVelocityRaw = bassVelocityEl ? parseInt(bassVelocityEl.value, 10) : CC_DEFAULT_BASS_VELOCITY;
         const trebleVelocityRaw = trebleVelocityEl ? parseInt(trebleVelocityEl.value, 10) : CC_DEFAULT_TREBLE_VELOCITY;
         const bassVelocity = Number.isFinite(bassVelocityRaw) ? Math.max(1, Math.min(127, bassVelocityRaw)) : CC_DEFAULT_BASS_VELOCITY;
@@ -319,8 +438,9 @@
 
         return {
             bpm,
-            bassDurationMultiplier: Number.isFinite(bassDurationMultiplier) ? bassDurationMultiplier : 30,
-            trebleDurationMultiplier: Number.isFinite(trebleDurationMultiplier) ? trebleDurationMultiplier : 30,
+            meter: normalizeMeter(meterEl ? meterEl.value : CC_DEFAULT_METER),
+            bassDurationMultiplier: Number.isFinite(bassDurationMultiplier) ? bassDurationMultiplier : CC_DEFAULT_BASS_RHYTHM,
+            trebleDurationMultiplier: Number.isFinite(trebleDurationMultiplier) ? trebleDurationMultiplier : CC_DEFAULT_TREBLE_RHYTHM,
             skipPattern,
             bassSkipPattern,
             trebleSkipPattern: skipPattern,
@@ -330,6 +450,10 @@
             trebleVelocity,
             octaveShift,
             voicing: voicingEl ? String(voicingEl.value || 'full') : 'full',
+            voicingStyle: voicingStyleEl && CC_VOICING_STYLE_OPTIONS.includes(voicingStyleEl.value) ? voicingStyleEl.value : 'stacked',
+            key: keyEl && CC_KEY_ROOTS.includes(keyEl.value) ? keyEl.value : CC_DEFAULT_KEY,
+            voiceLeading: voiceLeadingEl ? voiceLeadingEl.value === 'on' : false,
+            voiceRange: voiceRangeEl && CC_VOICE_RANGE_OPTIONS.includes(voiceRangeEl.value) ? voiceRangeEl.value : CC_DEFAULT_VOICE_RANGE,
             trebleOctaves: (trebleOctaves === 2) ? 2 : 1,
             bassOctaves: (bassOctaves === 2) ? 2 : 1,
             delayMod: CC_DELAY_MOD_OPTIONS.includes(delayMod) ? delayMod : 'human',
@@ -353,14 +477,29 @@
         var bpmVal = clampBpm(s.bpm ?? CC_DEFAULT_BPM);
         setIf('cc-row-bpm', bpmVal);
         if (typeof window !== 'undefined') window.gslBpm = bpmVal;
-        setIf('cc-bass-rhythm', s.bassDurationMultiplier ?? 30);
-        setIf('cc-treble-rhythm', s.trebleDurationMultiplier ?? 30);
+        const meter = normalizeMeter(s.meter);
+        setIf('cc-meter', meter);
+        if (typeof window !== 'undefined') window.gslBarBeats = parseMeter(meter).barBeats;
+        // Rhythm choices depend on the meter; a value the meter doesn't offer falls back to the part's default
+        if (typeof rebuildRhythmOptionsRef === 'function') rebuildRhythmOptionsRef();
+        setIf('cc-bass-rhythm', getRhythmForMeter(meter, s.bassDurationMultiplier, CC_DEFAULT_BASS_RHYTHM));
+        setIf('cc-treble-rhythm', getRhythmForMeter(meter, s.trebleDurationMultiplier, CC_DEFAULT_TREBLE_RHYTHM));
         setIf('cc-pattern-mode', s.patternMode ?? 'normal');
         setIf('cc-bass-pattern-mode', s.bassPatternMode ?? 'normal');
+        // A step pattern that is no longer saved falls back to normal
+        ['cc-pattern-mode', 'cc-bass-pattern-mode'].forEach((id) => {
+            const el = document.getElementById(id);
+            if (el && el.selectedIndex < 0) el.value = 'normal';
+        });
         setIf('cc-bass-velocity', s.bassVelocity ?? CC_DEFAULT_BASS_VELOCITY);
         setIf('cc-treble-velocity', s.trebleVelocity ?? CC_DEFAULT_TREBLE_VELOCITY);
         setIf('cc-octave-shift', s.octaveShift ?? 0);
         setIf('cc-voicing', s.voicing ?? 'full');
+        setIf('cc-voicing-style', CC_VOICING_STYLE_OPTIONS.includes(s.voicingStyle) ? s.voicingStyle : 'stacked');
+        setIf('cc-key', CC_KEY_ROOTS.includes(s.key) ? s.key : CC_DEFAULT_KEY);
+        refreshKeySpelledLabels();
+        setIf('cc-voice-leading', s.voiceLeading ? 'on' : 'off');
+        setIf('cc-voice-range', CC_VOICE_RANGE_OPTIONS.includes(s.voiceRange) ? s.voiceRange : CC_DEFAULT_VOICE_RANGE);
         setIf('cc-double-treble', s.trebleOctaves === 2 ? 2 : 1);
         setIf('cc-double-bass', s.bassOctaves === 2 ? 2 : 1);
         const bassSkip = Array.isArray(s.bassSkipPattern) ? s.bassSkipPattern : (Array.isArray(s.skipPattern) ? s.skipPattern : []);
@@ -392,13 +531,40 @@
         options.forEach((opt) => selectEl.appendChild(opt));
     }
 
-    function buildRhythmOptionsForBpm(bpm) {
+    function normalizeMeter(meter) {
+        return CC_METERS.includes(meter) ? meter : CC_DEFAULT_METER;
+    }
+
+    /** { numerator, denominator, barBeats } for a meter string; barBeats is in quarter-note beats. */
+    function parseMeter(meter) {
+        const parts = normalizeMeter(meter).split('/');
+        const numerator = parseInt(parts[0], 10);
+        const denominator = parseInt(parts[1], 10);
+        return { numerator, denominator, barBeats: numerator * 4 / denominator };
+    }
+
+    function getDurationMultipliersForMeter(meter) {
+        return CC_DURATION_MULTIPLIERS_BY_METER[normalizeMeter(meter)];
+    }
+
+    /**
+     * A rhythm the meter offers: value when it does, else the part's default (CC_DEFAULT_BASS_RHYTHM /
+     * CC_DEFAULT_TREBLE_RHYTHM), else the meter's beat (its second option, e.g. the dotted quarter in 6/8).
+     */
+    function getRhythmForMeter(meter, value, fallback) {
+        const offered = getDurationMultipliersForMeter(meter);
+        const v = parseInt(value, 10);
+        if (offered.includes(v)) return v;
+        return offered.includes(fallback) ? fallback : (offered[1] || offered[0]);
+    }
+
+    function buildRhythmOptionsForBpm(bpm, meter) {
         const out = [];
-        CC_DURATION_MULTIPLIERS.forEach((value, index) => {
+        getDurationMultipliersForMeter(meter).forEach((value) => {
             const seconds = (value / bpm).toFixed(2);
             const opt = document.createElement('option');
             opt.value = String(value);
-            opt.innerHTML = `${CC_NOTE_SYMBOLS_HTML[index]} ${seconds}s`;
+            opt.innerHTML = `${CC_DURATION_SYMBOLS_HTML[value] || 'bar'} ${seconds}s`;
             out.push(opt);
         });
         return out;
@@ -562,7 +728,11 @@
     function setElValue(id, value) {
         if (id === 'cc-chord-input') {
             const ta = getActiveChordTextarea();
-            if (ta) ta.value = String(value);
+            if (ta) {
+                ta.value = String(value);
+                reanchorSpecialChords(ta);
+                refreshChordInputMarks(ta);
+            }
             return;
         }
         const el = document.getElementById(id);
@@ -602,19 +772,917 @@
         return row ? row.querySelector('.cc-chord-input') : null;
     }
 
-    /** Build chord line with a temporary space before the chord at chordIndex (0-based) to show which chord is playing. chordIndex null = clean string. */
+    /**
+     * Non-empty chord tokens of a chord line as [{ text, start, end }] (offsets into text, whitespace trimmed).
+     * Separators are those of normalizeChordText. Token indices are shared by buildCompiledState (chordTokenIndices),
+     * the playing-chord indicator and the validation marks so all three point at the same chord.
+     */
+    function splitChordTokens(text) {
+        const str = normalizeChordText(text); // same length as text, so offsets carry over
+        const tokens = [];
+        const re = /[^,]+/g;
+        let m;
+        while ((m = re.exec(str)) !== null) {
+            const body = m[0].trim();
+            if (!body) continue;
+            const start = m.index + m[0].indexOf(body);
+            tokens.push({ text: body, start: start, end: start + body.length });
+        }
+        return tokens;
+    }
+
+    /** Build chord line with a temporary space before the chord token at chordIndex (0-based) to show which chord is playing. chordIndex null = clean string. */
     function buildChordDisplayWithIndicator(cleanChordsText, chordIndex) {
-        if (chordIndex == null || typeof chordIndex !== 'number' || chordIndex < 0) return cleanChordsText || '';
-        const parts = (cleanChordsText || '').split(',').map(function (s) { return s.trim(); });
-        if (chordIndex >= parts.length) return cleanChordsText || '';
-        parts[chordIndex] = '\u00A0' + parts[chordIndex];
-        return parts.join(', ');
+        const text = cleanChordsText || '';
+        if (chordIndex == null || typeof chordIndex !== 'number' || chordIndex < 0) return text;
+        const token = splitChordTokens(text)[chordIndex];
+        if (!token) return text;
+        return text.slice(0, token.start) + '\u00A0' + text.slice(token.start);
     }
 
     /** Set the playing-chord indicator for a specific row (space before chord at chordIndex). Uses captured row/clean so the last chord of a row doesn't get drawn on the next row after chaining. */
     function setChordPlayingIndicatorForRow(chordIndex, rowIndex, cleanText) {
         var ta = getChordTextareaForRow(rowIndex);
-        if (ta) ta.value = buildChordDisplayWithIndicator(cleanText, chordIndex);
+        if (ta) {
+            ta.value = buildChordDisplayWithIndicator(cleanText, chordIndex);
+            refreshChordInputMarks(ta);
+        }
+    }
+
+    function createChordEngine() {
+        if (typeof window.ChordEngine !== 'function' || !window.CHORD_INTERVALS || !window.NOTE_TO_INDEX) return null;
+        return new window.ChordEngine({ noteToIndex: window.NOTE_TO_INDEX, chordIntervals: window.CHORD_INTERVALS });
+    }
+
+    /** The key a row reads Roman numeral and Nashville number chords in. */
+    function getRowKey(rowIndex) {
+        const s = rowSettings[rowIndex];
+        return s && CC_KEY_ROOTS.includes(s.key) ? s.key : CC_DEFAULT_KEY;
+    }
+
+    /** Chords in a row's text that do not parse (numerals read in key): [{ tokenIndex, token, tokenStart, tokenEnd, start, end, message }]; start/end is the part the parser rejected. */
+    function getChordTokenErrors(text, key) {
+        const engine = createChordEngine();
+        if (!engine) return [];
+        const errors = [];
+        splitChordTokens(text).forEach(function (tok, i) {
+            const result = engine.parseChordDetailed(tok.text, { key: key });
+            if (!result.error) return;
+            errors.push({
+                tokenIndex: i,
+                token: tok.text,
+                tokenStart: tok.start,
+                tokenEnd: tok.end,
+                start: tok.start + result.error.start,
+                end: tok.start + result.error.end,
+                message: result.error.message
+            });
+        });
+        return errors;
+    }
+
+    function escapeChordMarkText(s) {
+        return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /** Per textarea: { text, key, errors } of the last validation, so playback ticks do not parse and analyse again. */
+    const chordMarksCache = new WeakMap();
+
+    /** Underline chords that don't parse (and looped chords in a trimmed loop row, and chords with custom treble notes) using a layer over the textarea (same font/padding) that mirrors its text. */
+    function refreshChordInputMarks(ta) {
+        const wrap = ta && ta.closest ? ta.closest('.cc-chord-input-wrap') : null;
+        if (!wrap) return;
+        const text = ta.value || '';
+        const row = ta.closest('.cc-chord-row');
+        const key = getRowKey(getChordRows().indexOf(row));
+        // The playing-chord indicator moves on every tick: validate and analyse the chords without it, only when they
+        // or the key change, then shift the error offsets past it
+        const indicatorAt = text.indexOf('\u00A0');
+        const clean = indicatorAt === -1 ? text : text.slice(0, indicatorAt) + text.slice(indicatorAt + 1);
+        let cached = chordMarksCache.get(ta);
+        if (!cached || cached.text !== clean || cached.key !== key) {
+            cached = { text: clean, key: key, errors: getChordTokenErrors(clean, key) };
+            chordMarksCache.set(ta, cached);
+            refreshChordAnalysis(ta, clean, key);
+        }
+        const shift = function (offset) { return indicatorAt !== -1 && offset >= indicatorAt ? offset + 1 : offset; };
+        const errors = cached.errors.map(function (err) {
+            return Object.assign({}, err, { tokenStart: shift(err.tokenStart), tokenEnd: shift(err.tokenEnd), start: shift(err.start), end: shift(err.end) });
+        });
+        const loopRange = row ? getLoopTokenRange(getLoopRegion(), getChordRows().indexOf(row)) : null;
+        const tokens = splitChordTokens(text);
+        const isLoopToken = function (i) {
+            return !!loopRange && (loopRange.from == null || i >= loopRange.from) && (loopRange.to == null || i <= loopRange.to);
+        };
+        const hasLoopTokens = tokens.some(function (tok, i) { return isLoopToken(i); });
+        const special = getSpecialTrebleByToken(text, getSpecialChords(ta));
+        const hasSpecialTokens = Object.keys(special).length > 0;
+        let layer = wrap.querySelector('.cc-chord-input-marks');
+        ta.classList.toggle('cc-chord-input-invalid', errors.length > 0);
+        if (!errors.length) {
+            ta.removeAttribute('aria-invalid');
+            ta.removeAttribute('title');
+        }
+        if (!errors.length && !hasLoopTokens && !hasSpecialTokens) {
+            if (layer) layer.remove();
+            return;
+        }
+        if (!layer) {
+            layer = document.createElement('div');
+            layer.className = 'cc-chord-input-marks';
+            layer.setAttribute('aria-hidden', 'true');
+            wrap.appendChild(layer);
+        }
+        const errorsByToken = {};
+        errors.forEach(function (err) { errorsByToken[err.tokenIndex] = err; });
+        let html = '';
+        let pos = 0;
+        tokens.forEach(function (tok, i) {
+            const err = errorsByToken[i];
+            const inLoop = isLoopToken(i);
+            if (!err && !inLoop && !special[i]) return;
+            html += escapeChordMarkText(text.slice(pos, tok.start));
+            if (err) {
+                html += '<mark class="cc-chord-mark' + (inLoop ? ' cc-chord-loop-mark' : '') + '">' + escapeChordMarkText(text.slice(tok.start, err.start)) +
+                    '<span class="cc-chord-mark-token">' + escapeChordMarkText(text.slice(err.start, err.end)) + '</span>' +
+                    escapeChordMarkText(text.slice(err.end, tok.end)) + '</mark>';
+            } else {
+                const cls = [inLoop ? 'cc-chord-loop-mark' : '', special[i] ? 'cc-chord-special-mark' : ''].filter(Boolean).join(' ');
+                html += '<mark class="' + cls + '">' + escapeChordMarkText(text.slice(tok.start, tok.end)) + '</mark>';
+            }
+            pos = tok.end;
+        });
+        layer.innerHTML = html + escapeChordMarkText(text.slice(pos));
+        // Keep wrapping identical when the textarea shows a scrollbar
+        const scrollbar = ta.offsetWidth ? Math.max(0, ta.offsetWidth - ta.clientWidth - 2) : 0;
+        layer.style.paddingRight = (6 + scrollbar) + 'px';
+        layer.scrollTop = ta.scrollTop;
+        if (errors.length) {
+            ta.setAttribute('aria-invalid', 'true');
+            ta.title = errors.map(function (err) { return err.token + ': ' + err.message; }).join('\n');
+        }
+    }
+
+    function refreshChordValidation() {
+        getChordTextareas().forEach(function (ta) { if (ta) refreshChordInputMarks(ta); });
+    }
+
+    /** Tooltip wording for the chords ChordEngine.analyzeHarmony flags (diatonic chords get none). */
+    const CC_HARMONY_FUNCTION_LABELS = {
+        'secondary-dominant': 'secondary dominant',
+        'secondary-leading-tone': 'secondary leading-tone chord',
+        'tritone-sub': 'tritone substitution',
+        borrowed: 'borrowed from the parallel key',
+        chromatic: 'chromatic'
+    };
+
+    /** Engine behind analyzeChordText, made once: the analysis strips rerun on every edit. */
+    let analysisEngine = null;
+
+    /** ChordEngine.analyzeHarmony for a row's text (numerals read in key); null when fewer than two chords parse. */
+    function analyzeChordText(text, key) {
+        const engine = analysisEngine || (analysisEngine = createChordEngine());
+        if (!engine) return null;
+        const analysis = engine.analyzeHarmony(splitChordTokens(text).map(function (tok) { return tok.text; }), { key: key });
+        return analysis.chords.length >= 2 ? analysis : null;
+    }
+
+    /** The key that covers most of a row's chords (the first on a tie), or null. */
+    function getMainDetectedKey(analysis) {
+        if (!analysis || !analysis.keys.length) return null;
+        const counts = analysis.keys.map(function (k, i) {
+            return analysis.chords.filter(function (c) { return c.keyIndex === i; }).length;
+        });
+        return analysis.keys[counts.indexOf(Math.max.apply(null, counts))];
+    }
+
+    function formatDetectedKey(k) {
+        return k.tonic + ' ' + k.mode;
+    }
+
+    /** Detected key(s) with confidence and the Roman numeral of each chord of text, in a strip under the row's chord box. */
+    function refreshChordAnalysis(ta, text, key) {
+        const row = ta && ta.closest ? ta.closest('.cc-chord-row') : null;
+        if (!row) return;
+        const analysis = analyzeChordText(text, key);
+        let strip = row.querySelector('.cc-chord-analysis');
+        if (!analysis) {
+            if (strip) strip.remove();
+            return;
+        }
+        if (!strip) {
+            strip = document.createElement('div');
+            strip.className = 'cc-chord-analysis';
+            row.appendChild(strip);
+        }
+        let html = '';
+        analysis.keys.forEach(function (k, i) {
+            html += '<span class="cc-analysis-key" title="Detected key, ' + Math.round(k.confidence * 100) + '% sure">' +
+                escapeChordMarkText(formatDetectedKey(k)) + ' <small>' + Math.round(k.confidence * 100) + '%</small></span>';
+            analysis.chords.forEach(function (c) {
+                if (c.keyIndex !== i) return;
+                const label = CC_HARMONY_FUNCTION_LABELS[c.function];
+                html += '<span class="cc-analysis-chord' + (label ? ' cc-analysis-' + c.function : '') + '" title="' +
+                    escapeChordMarkText(stripChordLength(c.symbol) + (label ? ' — ' + label : '')) + '">' + escapeChordMarkText(c.numeral) + '</span>';
+            });
+        });
+        strip.innerHTML = html;
+    }
+
+    /**
+     * Set a row's key (cc-key when it is the focused row) to the key detected from its chords, so transposition, note
+     * spelling and ✦ imagine work in it. Rows with numeral chords are already written in their key and are left alone.
+     * @returns {boolean} false when there is no key to use
+     */
+    function applyDetectedKey(rowIndex) {
+        const ta = getChordTextareaForRow(rowIndex);
+        const key = ta ? getRowKey(rowIndex) : null;
+        const detected = ta && !hasNumeralChords(ta.value, key) ? getMainDetectedKey(analyzeChordText(ta.value, key)) : null;
+        const root = detected ? CC_KEY_ROOTS[CC_ROOT_TO_SEMITONE[detected.majorRoot]] : null;
+        if (!root) return false;
+        ensureRowSettingsLength(getChordRows().length);
+        rowSettings[rowIndex] = Object.assign({}, rowSettings[rowIndex] || getDefaultRowSettings(), { key: root });
+        if (rowIndex === lastFocusedChordIndex) {
+            setElValue('cc-key', root);
+            refreshKeySpelledLabels();
+        }
+        refreshChordInputMarks(ta);
+        saveState(readStateFromUi());
+        return true;
+    }
+
+    function getChordSuggestMenu() {
+        let menu = document.getElementById('cc-chord-suggest-menu');
+        if (!menu) {
+            menu = document.createElement('div');
+            menu.id = 'cc-chord-suggest-menu';
+            menu.className = 'cc-drag-row-menu cc-chord-suggest-menu';
+            menu.setAttribute('role', 'listbox');
+            // Keep focus (and the caret) in the textarea while picking a suggestion
+            menu.addEventListener('mousedown', function (e) { e.preventDefault(); });
+            document.body.appendChild(menu);
+        }
+        return menu;
+    }
+
+    function hideChordSuggestMenu() {
+        const menu = document.getElementById('cc-chord-suggest-menu');
+        if (menu) menu.classList.remove('visible');
+    }
+
+    /** Chord name of a token without its C:2 / F*2 length. */
+    function stripChordLength(text) {
+        return String(text).replace(/\s*[:*]\s*\d+(?:\.\d+)?\s*$/, '');
+    }
+
+    /** Chords imported from MIDI that other names also fit, per textarea: [{ symbol, alternatives }] by chord token index. */
+    const importedChordAlternatives = new WeakMap();
+
+    /** The imported chord under the caret while it still reads as imported and has other names: { index, start, end, entry } or null. */
+    function getImportedChordAt(ta, caret) {
+        const list = importedChordAlternatives.get(ta);
+        if (!list) return null;
+        const tokens = splitChordTokens(ta.value);
+        const index = tokens.findIndex(function (tok) { return caret >= tok.start && caret <= tok.end; });
+        const entry = index >= 0 ? list[index] : null;
+        if (!entry || !entry.alternatives.length) return null;
+        const name = stripChordLength(tokens[index].text);
+        if (name !== entry.symbol) return null;
+        return { index: index, start: tokens[index].start, end: tokens[index].start + name.length, entry: entry };
+    }
+
+    /**
+     * Special chords: hand-picked treble notes for single chords, per textarea: [{ index, symbol, notes }] with the
+     * chord token index, its name without length (spaces removed) and MIDI notes as at octave shift 0. The row's octave
+     * shift still moves them; voicing style and voice leading leave them alone.
+     */
+    const specialChordTreble = new WeakMap();
+    const CC_TREBLE_NOTE_MAX = 108;
+
+    function specialChordKey(text) {
+        return stripChordLength(text).replace(/\s+/g, '');
+    }
+
+    /** Valid entries only (one per token, notes sorted without repeats), as plain copies safe to store. */
+    function normalizeSpecialChords(list) {
+        const seen = {};
+        return (Array.isArray(list) ? list : []).map(function (e) {
+            if (!e || !Number.isInteger(e.index) || e.index < 0 || typeof e.symbol !== 'string' || !e.symbol || seen[e.index] || !Array.isArray(e.notes)) return null;
+            const notes = e.notes.map(Number).filter(function (n, i, all) {
+                return Number.isInteger(n) && n >= 0 && n <= CC_TREBLE_NOTE_MAX && all.indexOf(n) === i;
+            }).sort(function (a, b) { return a - b; });
+            if (!notes.length) return null;
+            seen[e.index] = true;
+            return { index: e.index, symbol: e.symbol, notes: notes };
+        }).filter(Boolean);
+    }
+
+    function getSpecialChords(ta) {
+        return normalizeSpecialChords(ta ? specialChordTreble.get(ta) : null);
+    }
+
+    function setSpecialChords(ta, list) {
+        if (!ta) return;
+        const clean = normalizeSpecialChords(list);
+        if (clean.length) specialChordTreble.set(ta, clean);
+        else specialChordTreble.delete(ta);
+    }
+
+    /** Custom treble notes by chord token index for a row's text; entries whose token no longer reads as their chord are ignored. */
+    function getSpecialTrebleByToken(chordsText, list) {
+        const tokens = splitChordTokens(chordsText);
+        const byToken = {};
+        normalizeSpecialChords(list).forEach(function (e) {
+            const tok = tokens[e.index];
+            if (tok && specialChordKey(tok.text) === e.symbol) byToken[e.index] = e.notes;
+        });
+        return byToken;
+    }
+
+    /** After an edit, keep each custom treble on its chord: the same token when it still matches, else the nearest token with that chord; dropped when the chord is gone. */
+    function reanchorSpecialChords(ta) {
+        const list = getSpecialChords(ta);
+        if (!list.length) return;
+        const keys = splitChordTokens(ta.value).map(function (tok) { return specialChordKey(tok.text); });
+        const taken = {};
+        const kept = [];
+        list.filter(function (e) { return keys[e.index] === e.symbol; }).forEach(function (e) {
+            taken[e.index] = true;
+            kept.push(e);
+        });
+        list.filter(function (e) { return keys[e.index] !== e.symbol; }).forEach(function (e) {
+            let best = -1;
+            keys.forEach(function (key, i) {
+                if (key === e.symbol && !taken[i] && (best < 0 || Math.abs(i - e.index) < Math.abs(best - e.index))) best = i;
+            });
+            if (best < 0) return;
+            taken[best] = true;
+            kept.push({ index: best, symbol: e.symbol, notes: e.notes });
+        });
+        setSpecialChords(ta, kept);
+    }
+
+    /** Move the custom trebles of a row along with a transposed chord line (key: as for transposeChordString, so the chord names match). */
+    function transposeSpecialChords(ta, deltaSemitones, key) {
+        setSpecialChords(ta, getSpecialChords(ta).map(function (e) {
+            return { index: e.index, symbol: specialChordKey(transposeChordString(e.symbol, deltaSemitones, key)), notes: e.notes.map(function (n) { return n + deltaSemitones; }) };
+        }));
+    }
+
+    /** When a row's key changes, move the custom trebles of its numeral chords (which change pitch) by the same step; letter chords stay. */
+    function rekeySpecialChords(ta, fromKey, toKey) {
+        const engine = createChordEngine();
+        const step = ((CC_KEY_ROOTS.indexOf(toKey) - CC_KEY_ROOTS.indexOf(fromKey)) % 12 + 18) % 12 - 6;
+        if (!engine || !step) return;
+        setSpecialChords(ta, getSpecialChords(ta).map(function (e) {
+            const numeral = !engine.parseChord(e.symbol) && !!engine.parseChord(e.symbol, { key: fromKey });
+            return numeral ? { index: e.index, symbol: e.symbol, notes: e.notes.map(function (n) { return n + step; }) } : e;
+        }));
+    }
+
+    /** The chord being edited in the treble popup: { ta, index, symbol, chord, key, bass, min, defaultNotes, notes }; null when closed. */
+    let trebleEditor = null;
+
+    /** "Bb4" for a MIDI note; while the treble popup is open, spelled for its chord in the row's key (G# in E7, not Ab). */
+    function midiToNoteLabel(midi) {
+        const engine = trebleEditor && createChordEngine();
+        if (engine) return engine.spellMidiNote(midi, { key: trebleEditor.key, chord: trebleEditor.chord }).name;
+        return CC_KEY_ROOTS[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+    }
+
+    /** "C4", "F#5", "Bb3" (middle C = C4) to MIDI, or null. */
+    function noteLabelToMidi(text) {
+        const m = String(text || '').trim().match(/^([A-Ga-g])([#b♯♭]?)\s*(-?\d)$/);
+        if (!m) return null;
+        const accidental = (m[2] === '#' || m[2] === '♯') ? 1 : (m[2] === 'b' || m[2] === '♭') ? -1 : 0;
+        return (parseInt(m[3], 10) + 1) * 12 + CC_ROOT_TO_SEMITONE[m[1].toUpperCase()] + accidental;
+    }
+
+    function renderTrebleEditor() {
+        const ed = trebleEditor;
+        const listEl = document.getElementById('cc-treble-notes');
+        const suggestEl = document.getElementById('cc-treble-suggest');
+        if (!ed || !listEl || !suggestEl) return;
+        listEl.innerHTML = '';
+        if (!ed.notes.length) listEl.textContent = 'No treble notes yet.';
+        ed.notes.forEach(function (midi) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'cc-treble-note';
+            btn.textContent = midiToNoteLabel(midi) + ' ×';
+            btn.title = 'Remove ' + midiToNoteLabel(midi);
+            btn.onclick = function () {
+                ed.notes = ed.notes.filter(function (n) { return n !== midi; });
+                renderTrebleEditor();
+            };
+            listEl.appendChild(btn);
+        });
+        // Chord tones and tensions, each at its first free pitch above the bass
+        const engine = createChordEngine();
+        const rootSemitone = CC_ROOT_TO_SEMITONE[ed.chord.rootNote] || 0;
+        const picks = engine.getStackedChordTones(ed.chord.chordType, ed.chord.intervals).map(function (t) { return { semitones: t, label: '' }; })
+            .concat(engine.getAvailableTensions(ed.chord));
+        suggestEl.innerHTML = '';
+        picks.forEach(function (p) {
+            let midi = ed.min + 1;
+            while (((midi - rootSemitone - p.semitones) % 12 + 12) % 12 !== 0 || ed.notes.includes(midi)) midi += 1;
+            if (midi > CC_TREBLE_NOTE_MAX) return;
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'cc-treble-note cc-treble-suggestion' + (p.label ? ' cc-treble-tension' : '');
+            btn.textContent = '+ ' + midiToNoteLabel(midi) + (p.label ? ' (' + p.label + ')' : '');
+            btn.onclick = function () { addTrebleEditorNote(midi); };
+            suggestEl.appendChild(btn);
+        });
+    }
+
+    function setTrebleEditorMessage(text) {
+        const msgEl = document.getElementById('cc-treble-msg');
+        if (msgEl) msgEl.textContent = text || '';
+    }
+
+    function addTrebleEditorNote(midi) {
+        const ed = trebleEditor;
+        if (!ed) return false;
+        if (midi == null) {
+            setTrebleEditorMessage('Type a note name with its octave, e.g. D5 or Bb4.');
+            return false;
+        }
+        if (midi <= ed.min || midi > CC_TREBLE_NOTE_MAX) {
+            setTrebleEditorMessage('Treble notes must be above the bass (' + midiToNoteLabel(ed.min) + ') and at most ' + midiToNoteLabel(CC_TREBLE_NOTE_MAX) + '.');
+            return false;
+        }
+        setTrebleEditorMessage('');
+        if (!ed.notes.includes(midi)) ed.notes = ed.notes.concat(midi).sort(function (a, b) { return a - b; });
+        renderTrebleEditor();
+        return true;
+    }
+
+    /** Open the treble popup for chord token tokenIndex of row rowIndex. */
+    function openTrebleEditor(rowIndex, tokenIndex) {
+        const ta = getChordTextareaForRow(rowIndex);
+        const modal = document.getElementById('cc-treble-modal');
+        const engine = createChordEngine();
+        if (!ta || !modal || !engine) return;
+        if (isPlaying) {
+            alert('Stop playback to edit treble notes.');
+            return;
+        }
+        const tok = tokenIndex != null ? splitChordTokens(ta.value)[tokenIndex] : null;
+        const chord = tok ? engine.parseChord(tok.text, { key: getRowKey(rowIndex) }) : null;
+        if (!chord) {
+            alert('Put the cursor on a chord first.');
+            return;
+        }
+        const state = getStateForRow(rowIndex);
+        const parts = engine.getVoicedChordParts(chord, state.voicingStyle || 'stacked');
+        const custom = getSpecialTrebleByToken(ta.value, getSpecialChords(ta))[tokenIndex];
+        trebleEditor = {
+            ta: ta,
+            index: tokenIndex,
+            symbol: specialChordKey(tok.text),
+            chord: chord,
+            key: getRowKey(rowIndex),
+            bass: parts.bass.slice(),
+            min: Math.max.apply(null, parts.bass),
+            defaultNotes: parts.treble.slice(),
+            notes: (custom || parts.treble).slice()
+        };
+        const titleEl = document.getElementById('cc-treble-title');
+        if (titleEl) titleEl.textContent = 'Treble notes — ' + stripChordLength(tok.text);
+        const input = document.getElementById('cc-treble-input');
+        if (input) input.value = '';
+        setTrebleEditorMessage('');
+        renderTrebleEditor();
+        modal.classList.add('visible');
+    }
+
+    function closeTrebleEditor() {
+        const modal = document.getElementById('cc-treble-modal');
+        if (modal) modal.classList.remove('visible');
+        trebleEditor = null;
+    }
+
+    /** Save the popup's notes on the chord; the default voicing (same notes) removes the custom treble instead. */
+    function applyTrebleEditor() {
+        const ed = trebleEditor;
+        if (!ed) return;
+        if (!ed.notes.length) {
+            setTrebleEditorMessage('Keep at least one treble note, or set Voicing to "bass only" for the row.');
+            return;
+        }
+        const isDefault = ed.notes.length === ed.defaultNotes.length && ed.notes.every(function (n) { return ed.defaultNotes.includes(n); });
+        const others = getSpecialChords(ed.ta).filter(function (e) { return e.index !== ed.index; });
+        setSpecialChords(ed.ta, isDefault ? others : others.concat({ index: ed.index, symbol: ed.symbol, notes: ed.notes }));
+        refreshChordInputMarks(ed.ta);
+        saveState(readStateFromUi());
+        closeTrebleEditor();
+    }
+
+    function previewTrebleEditor() {
+        const ed = trebleEditor;
+        if (!ed || isPlaying || typeof window.handleMidiNoteOn !== 'function' || typeof window.handleMidiNoteOff !== 'function') return;
+        const notes = ed.bass.concat(ed.notes).map(clampMidi);
+        notes.forEach((midi) => { try { window.handleMidiNoteOn(midi, 60); } catch (e) {} });
+        setTimeout(function () {
+            notes.forEach((midi) => { try { window.handleMidiNoteOff(midi); } catch (e) {} });
+        }, 900);
+    }
+
+    function bindTrebleEditor() {
+        const modal = document.getElementById('cc-treble-modal');
+        if (!modal) return;
+        const input = document.getElementById('cc-treble-input');
+        const addFromInput = () => {
+            if (input && addTrebleEditorNote(noteLabelToMidi(input.value))) input.value = '';
+        };
+        const bind = (id, fn) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', fn);
+        };
+        bind('cc-treble-add-btn', addFromInput);
+        bind('cc-treble-apply-btn', applyTrebleEditor);
+        bind('cc-treble-cancel-btn', closeTrebleEditor);
+        bind('cc-treble-listen-btn', previewTrebleEditor);
+        bind('cc-treble-default-btn', () => {
+            if (!trebleEditor) return;
+            trebleEditor.notes = trebleEditor.defaultNotes.slice();
+            setTrebleEditorMessage('');
+            renderTrebleEditor();
+        });
+        if (input) {
+            input.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter') return;
+                e.preventDefault();
+                addFromInput();
+            });
+        }
+        if (window.ccBindModalClose) window.ccBindModalClose({ modal: modal, close: closeTrebleEditor });
+    }
+
+    /** A row's treble or bass pattern mode "step:Name" plays the saved step pattern Name. */
+    const CC_STEP_PATTERN_PREFIX = 'step:';
+    const CC_STEP_PATTERN_NAME_MAX = 24;
+    /** Chord tones offered per step (1 = lowest note of the chord); higher ones wrap round an octave up. */
+    const CC_STEP_PATTERN_TONES = 6;
+    /** Saved arpeggio step patterns { name, steps } (steps: see PrimidiSave.normalizeStepPattern), shared by every row. */
+    let stepPatterns = [];
+    /** The pattern being edited in the steps popup: { original (saved name, or null for a new one), steps }; null when closed. */
+    let stepEditor = null;
+
+    function isStepPatternMode(mode) {
+        return typeof mode === 'string' && mode.indexOf(CC_STEP_PATTERN_PREFIX) === 0;
+    }
+
+    function findStepPattern(name) {
+        return stepPatterns.find(function (p) { return p.name === name; }) || null;
+    }
+
+    /** Steps of the saved pattern a pattern mode plays, or null (a built-in mode, or a pattern that was deleted). */
+    function getStepPatternSteps(mode) {
+        const pattern = isStepPatternMode(mode) ? findStepPattern(mode.slice(CC_STEP_PATTERN_PREFIX.length)) : null;
+        return pattern ? pattern.steps.map(copyStep) : null;
+    }
+
+    function copyStep(step) {
+        return Object.assign({}, step, { tones: step.tones.slice() });
+    }
+
+    function copyStepPattern(pattern) {
+        return { name: pattern.name, steps: pattern.steps.map(copyStep) };
+    }
+
+    function normalizeStepPatternName(name) {
+        return String(name || '').trim().slice(0, CC_STEP_PATTERN_NAME_MAX);
+    }
+
+    /** Up and down the triad in eighths; what a new pattern starts from. */
+    function getDefaultStepPatternSteps() {
+        return [0, 1, 2, 1, 0, 1, 2, 1].map(function (tone) {
+            return { tones: [tone], octave: 0, velocity: 100, gate: 0.8, tie: false, rest: false };
+        });
+    }
+
+    /** Replace the saved patterns (from a loaded state); bad entries and repeated names are dropped. */
+    function setStepPatterns(list) {
+        const normalize = window.PrimidiSave && window.PrimidiSave.normalizeStepPattern;
+        stepPatterns = [];
+        (Array.isArray(list) ? list : []).forEach(function (p) {
+            const name = normalizeStepPatternName(p && p.name);
+            const steps = normalize && p ? normalize(p.steps) : null;
+            if (name && steps && !findStepPattern(name)) stepPatterns.push({ name: name, steps: steps });
+        });
+        refreshStepPatternOptions();
+    }
+
+    /** List the saved patterns after the built-in modes in the treble and bass pattern selects. */
+    function refreshStepPatternOptions() {
+        ['cc-pattern-mode', 'cc-bass-pattern-mode'].forEach(function (id) {
+            const sel = document.getElementById(id);
+            if (!sel) return;
+            const value = sel.value;
+            Array.from(sel.querySelectorAll('option[data-step-pattern]')).forEach(function (opt) { opt.remove(); });
+            stepPatterns.forEach(function (p) {
+                const opt = document.createElement('option');
+                opt.value = CC_STEP_PATTERN_PREFIX + p.name;
+                opt.textContent = p.name + ' (steps)';
+                opt.setAttribute('data-step-pattern', '');
+                sel.appendChild(opt);
+            });
+            sel.value = value;
+            if (sel.selectedIndex < 0) sel.value = 'normal';
+        });
+    }
+
+    /** Rows playing pattern `from` switch to `to` (renamed), or back to normal when `to` is null (deleted). */
+    function retargetStepPatternRows(from, to) {
+        const fromMode = CC_STEP_PATTERN_PREFIX + from;
+        const toMode = to ? CC_STEP_PATTERN_PREFIX + to : 'normal';
+        rowSettings[lastFocusedChordIndex] = readRowSettingsFromUi();
+        rowSettings.forEach(function (s) {
+            if (!s) return;
+            if (s.patternMode === fromMode) s.patternMode = toMode;
+            if (s.bassPatternMode === fromMode) s.bassPatternMode = toMode;
+        });
+    }
+
+    /** After the saved patterns change: refresh the selects, show the focused row's patterns and save. */
+    function commitStepPatterns() {
+        refreshStepPatternOptions();
+        const s = rowSettings[lastFocusedChordIndex] || getDefaultRowSettings();
+        [['cc-pattern-mode', s.patternMode], ['cc-bass-pattern-mode', s.bassPatternMode]].forEach(function (pair) {
+            const sel = document.getElementById(pair[0]);
+            if (!sel) return;
+            sel.value = pair[1] || 'normal';
+            if (sel.selectedIndex < 0) sel.value = 'normal';
+        });
+        saveState(readStateFromUi());
+    }
+
+    function setStepEditorMessage(text) {
+        const msgEl = document.getElementById('cc-steps-msg');
+        if (msgEl) msgEl.textContent = text || '';
+    }
+
+    function renderStepEditor() {
+        const ed = stepEditor;
+        const gridEl = document.getElementById('cc-steps-grid');
+        const countEl = document.getElementById('cc-steps-count');
+        const savedEl = document.getElementById('cc-steps-saved');
+        if (!ed || !gridEl) return;
+        if (countEl) countEl.value = String(ed.steps.length);
+        if (savedEl) {
+            savedEl.innerHTML = '<option value="">New pattern</option>';
+            stepPatterns.forEach(function (p) {
+                const opt = document.createElement('option');
+                opt.value = p.name;
+                opt.textContent = p.name;
+                savedEl.appendChild(opt);
+            });
+            savedEl.value = ed.original || '';
+        }
+        const deleteBtn = document.getElementById('cc-steps-delete-btn');
+        if (deleteBtn) deleteBtn.disabled = !ed.original;
+        gridEl.innerHTML = '';
+        ed.steps.forEach(function (step, i) {
+            const col = document.createElement('div');
+            col.className = 'cc-step' + (step.rest ? ' cc-step-rest' : '') + (step.tie ? ' cc-step-tie' : '');
+            const head = document.createElement('div');
+            head.className = 'cc-step-num';
+            head.textContent = String(i + 1);
+            col.appendChild(head);
+            // Highest chord tone on top, like a piano roll
+            for (let tone = CC_STEP_PATTERN_TONES - 1; tone >= 0; tone -= 1) {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'cc-step-tone' + (step.tones.includes(tone) ? ' on' : '');
+                btn.textContent = String(tone + 1);
+                btn.title = 'Step ' + (i + 1) + ': chord tone ' + (tone + 1) + ' (1 = lowest)';
+                btn.setAttribute('aria-pressed', step.tones.includes(tone) ? 'true' : 'false');
+                btn.disabled = step.rest || step.tie;
+                btn.onclick = function () {
+                    step.tones = step.tones.includes(tone)
+                        ? step.tones.filter(function (t) { return t !== tone; })
+                        : step.tones.concat(tone).sort(function (a, b) { return a - b; });
+                    renderStepEditor();
+                };
+                col.appendChild(btn);
+            }
+            const octave = document.createElement('select');
+            octave.className = 'cc-step-field';
+            octave.title = 'Octave';
+            [2, 1, 0, -1, -2].forEach(function (n) {
+                const opt = document.createElement('option');
+                opt.value = String(n);
+                opt.textContent = n > 0 ? '+' + n + ' oct' : n + ' oct';
+                octave.appendChild(opt);
+            });
+            octave.value = String(step.octave);
+            octave.onchange = function () { step.octave = parseInt(octave.value, 10) || 0; };
+            col.appendChild(octave);
+            const addNumber = function (prop, title, min, max, scale) {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.className = 'cc-step-field';
+                input.min = String(min);
+                input.max = String(max);
+                input.title = title;
+                input.value = String(Math.round(step[prop] * scale));
+                input.oninput = function () {
+                    const n = parseInt(input.value, 10);
+                    if (Number.isFinite(n)) step[prop] = Math.max(min, Math.min(max, n)) / scale;
+                };
+                col.appendChild(input);
+            };
+            addNumber('velocity', 'Velocity, % of the part\'s velocity', 10, 150, 1);
+            addNumber('gate', 'Gate, % of the step the notes sound', 10, 100, 100);
+            [['tie', 'Tie', 'Hold the previous step\'s notes through this step'], ['rest', 'Rest', 'Play nothing on this step']].forEach(function (t) {
+                const label = document.createElement('label');
+                label.className = 'cc-step-check';
+                label.title = t[2];
+                const cb = document.createElement('input');
+                cb.type = 'checkbox';
+                cb.checked = !!step[t[0]];
+                cb.onchange = function () {
+                    step[t[0]] = cb.checked;
+                    if (cb.checked) step[t[0] === 'tie' ? 'rest' : 'tie'] = false;
+                    renderStepEditor();
+                };
+                label.appendChild(cb);
+                label.appendChild(document.createTextNode(t[1]));
+                col.appendChild(label);
+            });
+            gridEl.appendChild(col);
+        });
+    }
+
+    /** Edit the saved pattern `name` in the steps popup, or a new one when it is not saved. */
+    function loadStepEditorPattern(name) {
+        const pattern = findStepPattern(name);
+        stepEditor = {
+            original: pattern ? pattern.name : null,
+            steps: pattern ? pattern.steps.map(copyStep) : getDefaultStepPatternSteps()
+        };
+        const nameEl = document.getElementById('cc-steps-name');
+        if (nameEl) {
+            let n = stepPatterns.length + 1;
+            while (!pattern && findStepPattern('Pattern ' + n)) n += 1;
+            nameEl.value = pattern ? pattern.name : 'Pattern ' + n;
+        }
+        setStepEditorMessage('');
+        renderStepEditor();
+    }
+
+    /** Open the steps popup on the focused row's treble step pattern (else its bass one, else a new pattern). */
+    function openStepEditor() {
+        const modal = document.getElementById('cc-steps-modal');
+        if (!modal) return;
+        const s = readRowSettingsFromUi();
+        const mode = [s.patternMode, s.bassPatternMode].find(function (m) { return isStepPatternMode(m) && getStepPatternSteps(m); });
+        loadStepEditorPattern(mode ? mode.slice(CC_STEP_PATTERN_PREFIX.length) : null);
+        modal.classList.add('visible');
+    }
+
+    function closeStepEditor() {
+        const modal = document.getElementById('cc-steps-modal');
+        if (modal) modal.classList.remove('visible');
+        stepEditor = null;
+    }
+
+    /** Save the popup's pattern under its name (replacing a pattern of that name). @returns {string|null} the name */
+    function saveStepEditor() {
+        const ed = stepEditor;
+        const nameEl = document.getElementById('cc-steps-name');
+        if (!ed || !nameEl) return null;
+        const name = normalizeStepPatternName(nameEl.value);
+        if (!name) {
+            setStepEditorMessage('Name the pattern to save it.');
+            return null;
+        }
+        if (!ed.steps.some(function (step) { return !step.rest && !step.tie && step.tones.length; })) {
+            setStepEditorMessage('Pick a chord tone on at least one step.');
+            return null;
+        }
+        const steps = window.PrimidiSave.normalizeStepPattern(ed.steps);
+        const pattern = { name: name, steps: steps };
+        const key = ed.original || name;
+        // Renamed: rows keep playing it, and a pattern already called `name` is replaced
+        if (key !== name) retargetStepPatternRows(key, name);
+        stepPatterns = stepPatterns.filter(function (p) { return p.name === key || p.name !== name; });
+        const index = stepPatterns.findIndex(function (p) { return p.name === key; });
+        if (index >= 0) stepPatterns[index] = pattern;
+        else stepPatterns.push(pattern);
+        ed.original = name;
+        commitStepPatterns();
+        setStepEditorMessage('');
+        renderStepEditor();
+        return name;
+    }
+
+    /** Save the pattern and play it as the focused row's treble or bass pattern. */
+    function useStepEditorPattern(selectId) {
+        const name = saveStepEditor();
+        const sel = document.getElementById(selectId);
+        if (!name || !sel) return;
+        sel.value = CC_STEP_PATTERN_PREFIX + name;
+        saveState(readStateFromUi());
+        closeStepEditor();
+    }
+
+    function deleteStepEditorPattern() {
+        const ed = stepEditor;
+        if (!ed || !ed.original) return;
+        if (!confirm('Delete the step pattern "' + ed.original + '"? Rows playing it go back to the normal pattern.')) return;
+        retargetStepPatternRows(ed.original, null);
+        stepPatterns = stepPatterns.filter(function (p) { return p.name !== ed.original; });
+        commitStepPatterns();
+        loadStepEditorPattern(null);
+    }
+
+    function bindStepEditor() {
+        const modal = document.getElementById('cc-steps-modal');
+        if (!modal) return;
+        const bind = (id, fn) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', fn);
+        };
+        bind('cc-step-pattern-btn', openStepEditor);
+        bind('cc-steps-save-btn', saveStepEditor);
+        bind('cc-steps-treble-btn', () => useStepEditorPattern('cc-pattern-mode'));
+        bind('cc-steps-bass-btn', () => useStepEditorPattern('cc-bass-pattern-mode'));
+        bind('cc-steps-delete-btn', deleteStepEditorPattern);
+        bind('cc-steps-cancel-btn', closeStepEditor);
+        const savedEl = document.getElementById('cc-steps-saved');
+        if (savedEl) savedEl.addEventListener('change', () => loadStepEditorPattern(savedEl.value || null));
+        const countEl = document.getElementById('cc-steps-count');
+        if (countEl) {
+            countEl.addEventListener('change', () => {
+                const ed = stepEditor;
+                if (!ed) return;
+                const max = window.PrimidiSave.STEP_PATTERN_MAX_STEPS;
+                const n = Math.max(1, Math.min(max, parseInt(countEl.value, 10) || ed.steps.length));
+                // New steps repeat the pattern from its start
+                const base = ed.steps.slice();
+                while (ed.steps.length < n) ed.steps.push(copyStep(base[ed.steps.length % base.length]));
+                ed.steps.length = n;
+                renderStepEditor();
+            });
+        }
+        if (window.ccBindModalClose) window.ccBindModalClose({ modal: modal, close: closeStepEditor });
+    }
+
+    /**
+     * Show the nearest valid chords for the unparseable chord under the caret, above the textarea; for a chord imported
+     * from MIDI that could be named more than one way, the other names (its length is kept).
+     */
+    function updateChordSuggestMenu(ta) {
+        if (!ta || document.activeElement !== ta || isPlaying) {
+            hideChordSuggestMenu();
+            return;
+        }
+        const caret = typeof ta.selectionStart === 'number' ? ta.selectionStart : 0;
+        const err = getChordTokenErrors(ta.value, getRowKey(getChordTextareas().indexOf(ta))).find(function (e) { return caret >= e.tokenStart && caret <= e.tokenEnd; });
+        const engine = err ? createChordEngine() : null;
+        const imported = err ? null : getImportedChordAt(ta, caret);
+        if ((!err || !engine) && !imported) {
+            hideChordSuggestMenu();
+            return;
+        }
+        const menu = getChordSuggestMenu();
+        menu.innerHTML = '';
+        const msg = document.createElement('div');
+        msg.className = 'cc-chord-suggest-msg';
+        msg.textContent = err ? err.message : 'Also fits:';
+        menu.appendChild(msg);
+        const from = err ? err.tokenStart : imported.start;
+        const to = err ? err.tokenEnd : imported.end;
+        const suggestions = err ? engine.suggestChords(err.token, 5) : imported.entry.alternatives.slice();
+        suggestions.forEach(function (symbol) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.setAttribute('role', 'option');
+            btn.textContent = symbol;
+            btn.onclick = function () {
+                if (imported) {
+                    // The replaced name becomes an alternative, so the choice can be undone from the same menu
+                    const entry = imported.entry;
+                    entry.alternatives = [entry.symbol].concat(entry.alternatives.filter(function (alt) { return alt !== symbol; }));
+                    entry.symbol = symbol;
+                }
+                const value = ta.value;
+                ta.value = value.slice(0, from) + symbol + value.slice(to);
+                const at = from + symbol.length;
+                ta.setSelectionRange(at, at);
+                ta.dispatchEvent(new Event('input', { bubbles: true }));
+            };
+            menu.appendChild(btn);
+        });
+        if (err && !suggestions.length) msg.textContent = err.message + ' (no close match)';
+        const rect = ta.getBoundingClientRect();
+        menu.style.left = rect.left + 'px';
+        menu.style.top = (rect.top - 2) + 'px';
+        menu.style.transform = 'translateY(-100%)';
+        menu.classList.add('visible');
     }
 
     /** Clear indicator and restore textarea (only on user stop). Uses window._ccPlayingChordRowIndex and _ccPlayingChordTextClean. */
@@ -623,37 +1691,136 @@
         var rowIndex = typeof window._ccPlayingChordRowIndex === 'number' ? window._ccPlayingChordRowIndex : null;
         var clean = window._ccPlayingChordTextClean;
         var ta = rowIndex != null ? getChordTextareaForRow(rowIndex) : null;
-        if (ta && clean != null) ta.value = clean;
+        if (ta && clean != null) {
+            ta.value = clean;
+            refreshChordInputMarks(ta);
+        }
         delete window._ccPlayingChordRowIndex;
         delete window._ccPlayingChordTextClean;
     }
 
     function setActiveChordsText(value) {
         const ta = getActiveChordTextarea();
-        if (ta) ta.value = String(value);
+        if (ta) {
+            ta.value = String(value);
+            reanchorSpecialChords(ta);
+            refreshChordInputMarks(ta);
+        }
     }
 
-    /** Transpose a chord string (e.g. "C, Am, F, G7") by deltaSemitones (+1 up, -1 down). */
-    function transposeChordString(str, deltaSemitones) {
+    /**
+     * Transpose the slash bass in a chord suffix (e.g. "m7/G" -> "m7/G#", "/E:2" -> "/F:2"); suffixes without a note after '/' (6/9) are unchanged.
+     * spell(pc) names the new bass (see transposeChordString).
+     */
+    function transposeSlashBass(suffix, deltaSemitones, spell) {
+        const m = suffix.match(/^(.*\/\s*)([A-Ga-g][#b]?)(\s*(?:\^[1-3])?\s*(?:[:*]\s*[\d.]+)?\s*)$/);
+        if (!m) return suffix;
+        const bass = m[2].charAt(0).toUpperCase() + (m[2].slice(1) || '');
+        const semitone = CC_ROOT_TO_SEMITONE[bass];
+        if (semitone === undefined) return suffix;
+        const newSemitone = (semitone + deltaSemitones + 12) % 12;
+        return m[1] + (spell ? spell(newSemitone) : CC_KEY_ROOTS[newSemitone]) + m[3];
+    }
+
+    /**
+     * Transpose a chord string (e.g. "C, Am, F, G7", "C/E") by deltaSemitones (+1 up, -1 down). Numeral chords (vi, bVII, 4) follow the row's key instead and are left as they are.
+     * New roots and basses are spelled for key, the row's key after the move (ChordEngine.spellChordRoot: Bb, Eb, F down a tone is Ab, Db, Eb);
+     * without a key they use CC_KEY_ROOTS.
+     */
+    function transposeChordString(str, deltaSemitones, key) {
         if (!str || typeof str !== 'string') return str;
         const parts = str.split(',').map((s) => s.trim());
         const out = [];
         const re = /^([A-Ga-g][#b]?)(.*)$/;
+        const engine = key ? createChordEngine() : null;
         for (let i = 0; i < parts.length; i += 1) {
             const token = parts[i];
             const m = token.match(re);
-            if (!m) { out.push(token); continue; }
+            if (!m || /^b[IViv]/.test(token)) { out.push(token); continue; }
             const root = m[1].charAt(0).toUpperCase() + (m[1].slice(1) || '');
             const suffix = m[2] || '';
             const semitone = CC_ROOT_TO_SEMITONE[root];
             if (semitone === undefined) { out.push(token); continue; }
             const newSemitone = (semitone + deltaSemitones + 12) % 12;
-            const newRoot = CC_KEY_ROOTS[newSemitone];
-            out.push(newRoot + suffix);
+            const chord = engine && engine.parseChord(token);
+            const newRoot = chord ? engine.spellChordRoot(newSemitone, { key: key, chordType: chord.chordType }) : CC_KEY_ROOTS[newSemitone];
+            const spellBass = chord ? function (pc) {
+                return engine.spellPitchClass(pc, { key: key, chord: { rootNote: newRoot, chordType: chord.chordType, intervals: chord.intervals } });
+            } : null;
+            out.push(newRoot + transposeSlashBass(suffix, deltaSemitones, spellBass));
         }
         return out.join(', ');
     }
 
+    /** A row's key moved by deltaSemitones (one of CC_KEY_ROOTS). */
+    function getTransposedRowKey(rowIndex, deltaSemitones) {
+        return CC_KEY_ROOTS[(CC_KEY_ROOTS.indexOf(getRowKey(rowIndex)) + deltaSemitones + 12) % 12];
+    }
+
+    /** Move a row's key with its transposed chords, so numeral chords go up or down with the letter ones. */
+    function transposeRowKey(rowIndex, deltaSemitones) {
+        ensureRowSettingsLength(getChordRows().length);
+        const key = getTransposedRowKey(rowIndex, deltaSemitones);
+        rowSettings[rowIndex] = Object.assign({}, rowSettings[rowIndex] || getDefaultRowSettings(), { key: key });
+        if (rowIndex === lastFocusedChordIndex) {
+            setElValue('cc-key', key);
+            refreshKeySpelledLabels();
+        }
+    }
+
+    /** Redraw the 3D keyboard's black key labels when they follow the row key (key-labels.js mode 'key'). */
+    function refreshKeySpelledLabels() {
+        if (window.keyLabelSettings && window.keyLabelSettings.blackKeyLabelMode === 'key' && typeof window.updateBlackKeyLabels === 'function') {
+            window.updateBlackKeyLabels();
+        }
+    }
+
+    /** Per textarea: 'nashville' when the row was last written in Nashville numbers, so showing numerals again uses them. */
+    const chordNumeralStyle = new WeakMap();
+
+    /** True when some chord of the row is written as a Roman numeral or Nashville number of key. */
+    function hasNumeralChords(text, key) {
+        const engine = createChordEngine();
+        return !!engine && splitChordTokens(text).some(function (tok) { return !!engine.toLetterSymbol(tok.text, key); });
+    }
+
+    /**
+     * Show a row with letter names (when it has numeral chords) or as numerals of its key: Roman, or Nashville numbers
+     * if that is how the row was written. Chords that do not convert stay as typed; custom trebles stay on their chords.
+     */
+    function toggleChordNotation(rowIndex) {
+        const ta = getChordTextareaForRow(rowIndex);
+        const engine = createChordEngine();
+        if (!ta || !engine) return;
+        const key = getRowKey(rowIndex);
+        const tokens = splitChordTokens(ta.value);
+        const toLetters = hasNumeralChords(ta.value, key);
+        if (toLetters) {
+            const nashville = tokens.some(function (tok) { return /^[#b♯♭]?[1-7]/.test(tok.text) && !!engine.toLetterSymbol(tok.text, key); });
+            chordNumeralStyle.set(ta, nashville ? 'nashville' : 'roman');
+        }
+        const nashville = chordNumeralStyle.get(ta) === 'nashville';
+        const special = getSpecialTrebleByToken(ta.value, getSpecialChords(ta));
+        const converted = tokens.map(function (tok) {
+            const symbol = toLetters ? engine.toLetterSymbol(tok.text, key) : engine.toNumeralSymbol(tok.text, key, { nashville: nashville });
+            return symbol || tok.text;
+        });
+        let text = '';
+        let at = 0;
+        tokens.forEach(function (tok, i) {
+            // Spaces only separate numeral chords (1 6m 4 5); letter names need a comma
+            const gap = ta.value.slice(at, tok.start);
+            text += (i > 0 && !/[,|\n\r]/.test(gap) ? ', ' : gap) + converted[i];
+            at = tok.end;
+        });
+        ta.value = text + ta.value.slice(at);
+        setSpecialChords(ta, Object.keys(special).map(function (index) {
+            return { index: Number(index), symbol: specialChordKey(converted[index]), notes: special[index] };
+        }));
+        refreshChordInputMarks(ta);
+        saveState(readStateFromUi());
+    }
+
     function getFocusedRowColorIndex() {
         const container = getChordRowsContainer();
         if (!container) return 0;
@@ -693,6 +1860,217 @@
             const ta = row.querySelector('.cc-chord-input');
             if (ta) ta.setAttribute('data-index', String(i));
         });
+        refreshLoopMarks();
+        refreshArrangementValidation();
+    }
+
+    /** Loop markers live on the row elements (data-loop-in / data-loop-out = 'row' or a chord token index) so they move with drag reorder. */
+    function parseLoopMarker(value) {
+        if (value == null) return null;
+        const n = parseInt(value, 10);
+        return Number.isFinite(n) && n >= 0 ? n : null;
+    }
+
+    /** Loop region { start: { row, chord }, end: { row, chord } } from the markers; chord null = row edge. A missing marker means first/last row. Null when no loop is set. */
+    function getLoopRegion() {
+        const rows = getChordRows();
+        let start = null;
+        let end = null;
+        rows.forEach((row, i) => {
+            if (row.hasAttribute('data-loop-in')) start = { row: i, chord: parseLoopMarker(row.getAttribute('data-loop-in')) };
+            if (row.hasAttribute('data-loop-out')) end = { row: i, chord: parseLoopMarker(row.getAttribute('data-loop-out')) };
+        });
+        if (!start && !end) return null;
+        start = start || { row: 0, chord: null };
+        end = end || { row: Math.max(0, rows.length - 1), chord: null };
+        if (end.row < start.row) return null;
+        if (end.row === start.row && start.chord != null && end.chord != null && end.chord < start.chord) return null;
+        return { start, end };
+    }
+
+    /** Chord token range { from, to } (inclusive, null = open) to play from rowIndex inside the loop region, or null when the row is not trimmed or not in it. */
+    function getLoopTokenRange(region, rowIndex) {
+        if (!region || rowIndex < region.start.row || rowIndex > region.end.row) return null;
+        const from = rowIndex === region.start.row ? region.start.chord : null;
+        const to = rowIndex === region.end.row ? region.end.chord : null;
+        return (from == null && to == null) ? null : { from, to };
+    }
+
+    function isRowInLoopRegion(region, rowIndex) {
+        return !!region && rowIndex >= region.start.row && rowIndex <= region.end.row;
+    }
+
+    /**
+     * What to play after rowIndex (step = position in the song order, -1 when not following one): wrap inside the
+     * loop region when one is set, else follow the song order, else run through all rows. Always starts over at the end.
+     * @returns {{ row: number, step: number }}
+     */
+    function getNextPlaybackPosition(rowIndex, step) {
+        const rows = getChordRows();
+        const region = getLoopRegion();
+        if (region) {
+            if (!isRowInLoopRegion(region, rowIndex) || rowIndex + 1 > region.end.row) return { row: region.start.row, step: -1 };
+            return { row: rowIndex + 1, step: -1 };
+        }
+        const steps = getArrangementSteps();
+        if (steps.length) {
+            const next = (step + 1) % steps.length;
+            return { row: steps[next], step: next };
+        }
+        return { row: rowIndex + 1 >= rows.length ? 0 : rowIndex + 1, step: -1 };
+    }
+
+    const CC_ARRANGEMENT_MAX_REPEATS = 16;
+    const CC_ARRANGEMENT_MAX_STEPS = 128;
+    const CC_SECTION_NAME_MAX_LENGTH = 24;
+
+    function getRowSectionName(row) {
+        return (row && row.getAttribute('data-section-name')) || '';
+    }
+
+    /** Name a row as a song section (shown as a tag on its chord box); empty name removes it. */
+    function setRowSectionName(row, name) {
+        if (!row) return;
+        const clean = String(name || '').trim();
+        const wrap = row.querySelector('.cc-chord-input-wrap');
+        [row, wrap].forEach((el) => {
+            if (!el) return;
+            if (clean) el.setAttribute('data-section-name', clean);
+            else el.removeAttribute('data-section-name');
+        });
+    }
+
+    /** Validate a section name for row rowIndex; returns an error message or ''. */
+    function checkSectionName(name, rowIndex) {
+        const clean = String(name || '').trim();
+        if (!clean) return '';
+        if (clean.length > CC_SECTION_NAME_MAX_LENGTH) return 'Section names can be at most ' + CC_SECTION_NAME_MAX_LENGTH + ' characters.';
+        if (/[,|\n]/.test(clean)) return 'Section names cannot contain commas or |.';
+        if (/^\d+$/.test(clean)) return 'Section names cannot be just a number (numbers refer to rows).';
+        if (/(\s+x\s*\d+|\s*[×*]\s*\d+)$/i.test(clean)) return 'Section names cannot end in a repeat count like x2.';
+        const taken = getChordRows().some((r, i) => i !== rowIndex && getRowSectionName(r).toLowerCase() === clean.toLowerCase());
+        if (taken) return 'Another row is already called "' + clean + '".';
+        return '';
+    }
+
+    /**
+     * Parse a song order such as "Intro, Verse x2, Chorus". Sections are row names (any case) or row numbers (1-based);
+     * "x2", "×2" or "*2" repeats a section.
+     * @returns {{ steps: number[], error: string }} steps = row index per played section; error = '' when valid
+     */
+    function parseArrangement(text) {
+        const rows = getChordRows();
+        const steps = [];
+        const parts = String(text || '').split(/[,|\n]/).map((s) => s.trim()).filter(Boolean);
+        for (let i = 0; i < parts.length; i += 1) {
+            const m = parts[i].match(/^(.*?)(?:\s+x\s*(\d+)|\s*[×*]\s*(\d+))?$/i);
+            const name = m[1].trim();
+            const count = m[2] != null ? m[2] : m[3];
+            const repeats = count != null ? parseInt(count, 10) : 1;
+            if (!name) return { steps: [], error: 'Missing section name in "' + parts[i] + '".' };
+            if (repeats < 1 || repeats > CC_ARRANGEMENT_MAX_REPEATS) {
+                return { steps: [], error: 'Repeat count for "' + name + '" must be 1–' + CC_ARRANGEMENT_MAX_REPEATS + '.' };
+            }
+            let rowIndex = rows.findIndex((r) => getRowSectionName(r).toLowerCase() === name.toLowerCase());
+            if (rowIndex < 0 && /^\d+$/.test(name)) {
+                const n = parseInt(name, 10);
+                if (n >= 1 && n <= rows.length) rowIndex = n - 1;
+            }
+            if (rowIndex < 0) return { steps: [], error: 'Unknown section "' + name + '". Name a row from its ⋮ menu or use a row number.' };
+            for (let r = 0; r < repeats; r += 1) steps.push(rowIndex);
+            if (steps.length > CC_ARRANGEMENT_MAX_STEPS) return { steps: [], error: 'Song order is too long (max ' + CC_ARRANGEMENT_MAX_STEPS + ' sections).' };
+        }
+        return { steps, error: '' };
+    }
+
+    function getArrangementText() {
+        const el = document.getElementById('cc-arrangement');
+        return el ? el.value : '';
+    }
+
+    /** Row indices in song order, or [] when there is no (valid) song order and rows simply play top to bottom. */
+    function getArrangementSteps() {
+        return parseArrangement(getArrangementText()).steps;
+    }
+
+    /** Rows to render for a full-song export: the song order when set, else every row once. */
+    function getPlaybackOrder() {
+        const steps = getArrangementSteps();
+        return steps.length ? steps : getChordRows().map((r, i) => i);
+    }
+
+    /** Flag an invalid song order on its input (title shows why). */
+    function refreshArrangementValidation() {
+        const el = document.getElementById('cc-arrangement');
+        if (!el) return;
+        const error = parseArrangement(el.value).error;
+        el.classList.toggle('cc-arrangement-invalid', !!error);
+        if (error) {
+            el.setAttribute('aria-invalid', 'true');
+            el.title = error;
+        } else {
+            el.removeAttribute('aria-invalid');
+            el.title = 'Song order: section names or row numbers, e.g. Intro, Verse x2, Chorus. Empty = rows top to bottom.';
+        }
+    }
+
+    /** Index of the chord token at text position pos (the token it is in, else the next one, else the last). */
+    function getChordTokenIndexAt(text, pos) {
+        const tokens = splitChordTokens(text);
+        for (let i = 0; i < tokens.length; i += 1) {
+            if (pos <= tokens[i].end) return i;
+        }
+        return tokens.length ? tokens.length - 1 : null;
+    }
+
+    /** Set the loop in ('in') or out ('out') marker on a row; chord = token index, or null for the row edge. Drops the other marker if the region would be empty. */
+    function setLoopMarker(rowIndex, which, chord) {
+        const rows = getChordRows();
+        const row = rows[rowIndex];
+        if (!row) return;
+        const attr = which === 'out' ? 'data-loop-out' : 'data-loop-in';
+        const otherAttr = which === 'out' ? 'data-loop-in' : 'data-loop-out';
+        rows.forEach((r) => r.removeAttribute(attr));
+        row.setAttribute(attr, chord == null ? 'row' : String(chord));
+        if (!getLoopRegion()) rows.forEach((r) => r.removeAttribute(otherAttr));
+        refreshLoopMarks();
+        saveState(readStateFromUi());
+    }
+
+    /** A row's loop markers for the saved state: { in, out } as in the data attributes ('row' or a chord token index), or null. */
+    function getRowLoopMarkers(row) {
+        if (!row || (!row.hasAttribute('data-loop-in') && !row.hasAttribute('data-loop-out'))) return null;
+        return { in: row.getAttribute('data-loop-in'), out: row.getAttribute('data-loop-out') };
+    }
+
+    /** Restore a row's loop markers from the saved state (see getRowLoopMarkers). */
+    function setRowLoopMarkers(row, markers) {
+        if (!row) return;
+        [['in', 'data-loop-in'], ['out', 'data-loop-out']].forEach(([key, attr]) => {
+            const value = markers && markers[key];
+            if (value === 'row' || parseLoopMarker(value) != null) row.setAttribute(attr, value === 'row' ? 'row' : String(parseLoopMarker(value)));
+            else row.removeAttribute(attr);
+        });
+    }
+
+    function clearLoopMarkers() {
+        getChordRows().forEach((r) => {
+            r.removeAttribute('data-loop-in');
+            r.removeAttribute('data-loop-out');
+        });
+        refreshLoopMarks();
+        saveState(readStateFromUi());
+    }
+
+    /** Bracket the looped rows and underline looped chords in trimmed rows. */
+    function refreshLoopMarks() {
+        const region = getLoopRegion();
+        getChordRows().forEach((row, i) => {
+            row.classList.toggle('cc-loop-row', isRowInLoopRegion(region, i));
+            row.classList.toggle('cc-loop-in', !!region && region.start.row === i);
+            row.classList.toggle('cc-loop-out', !!region && region.end.row === i);
+        });
+        refreshChordValidation();
     }
 
     function addChordRowAfter(index, persistCb) {
@@ -752,8 +2130,8 @@
         if (typeof persistCb === 'function') persistCb();
     }
 
-    /** Build compiled state for PrimidiSave.buildEvents (shared event generator). */
-    function buildCompiledState(state) {
+    /** Build compiled state for PrimidiSave.buildEvents (shared event generator). Optional tokenRange { from, to } (see getLoopTokenRange) keeps only those chord tokens. With voice leading on, the treble of the first chord is led from previousTreble (lastTrebleNotes of the row played before) so rows join smoothly. */
+    function buildCompiledState(state, tokenRange, previousTreble) {
         if (typeof window.ChordEngine !== 'function' || !window.CHORD_INTERVALS || !window.NOTE_TO_INDEX) {
             return null;
         }
@@ -761,12 +2139,32 @@
             noteToIndex: window.NOTE_TO_INDEX,
             chordIntervals: window.CHORD_INTERVALS
         });
-        const normalized = normalizeChordText(state.chordsText);
-        const chordSeq = engine.parseChordSequence(normalized);
+        // Chords that don't parse are skipped; chordTokenIndices maps each played chord back to its token in the row text
+        const chordSeq = [];
+        const chordTokenIndices = [];
+        splitChordTokens(state.chordsText).forEach((tok, i) => {
+            if (tokenRange && ((tokenRange.from != null && i < tokenRange.from) || (tokenRange.to != null && i > tokenRange.to))) return;
+            const chord = engine.parseChord(tok.text, { key: state.key });
+            if (!chord) return;
+            chordSeq.push(chord);
+            chordTokenIndices.push(i);
+        });
         if (!chordSeq.length) return null;
 
         const bpm = clampBpm(state.bpm);
-        const barSeconds = (60 / bpm) * CC_CHORD_BAR_BEATS;
+        const meter = parseMeter(state.meter);
+        const barSeconds = (60 / bpm) * meter.barBeats;
+        // Per-chord timing: C:2 = two beats, F*2 = two bars, otherwise one bar
+        const chordStarts = [];
+        const chordLengths = [];
+        let contentSeconds = 0;
+        chordSeq.forEach((chord) => {
+            const beats = chord.beats != null ? chord.beats : (chord.bars != null ? chord.bars : 1) * meter.barBeats;
+            const length = beats * (60 / bpm);
+            chordStarts.push(contentSeconds);
+            chordLengths.push(length);
+            contentSeconds += length;
+        });
         const shiftSemis = 12 * (state.octaveShift || 0);
         const trebleOctaves = state.trebleOctaves === 2 ? 2 : 1;
         const bassOctaves = state.bassOctaves === 2 ? 2 : 1;
@@ -774,10 +2172,27 @@
         const MIDI_MIN = 21;
         const bassNotesByChord = [];
         const trebleNotesByChord = [];
+        // Voice leading picks the treble inversion and octave; the range moves with the octave shift
+        const voiceRange = state.voiceLeading ? parseVoiceRange(state.voiceRange) : null;
+        let leadFrom = Array.isArray(previousTreble) && previousTreble.length ? previousTreble : null;
+        const specialTreble = getSpecialTrebleByToken(state.chordsText, state.specialChords);
         for (let i = 0; i < chordSeq.length; i += 1) {
-            const all = engine.chordToMIDINotes(chordSeq[i]).map((n) => clampMidi(n + shiftSemis));
-            let bass = all.slice(0, 3);
-            const treble = all.slice(3); // treble octave doubling is applied after pattern in buildEvents
+            // Slash chords (C/E) and inversions (C^1) already have their bass note at the bottom here
+            const parts = engine.getVoicedChordParts(chordSeq[i], state.voicingStyle || 'stacked');
+            let bass = parts.bass.map((n) => clampMidi(n + shiftSemis));
+            let treble = parts.treble.map((n) => clampMidi(n + shiftSemis)); // treble octave doubling is applied after pattern in buildEvents
+            const special = specialTreble[chordTokenIndices[i]];
+            if (special) {
+                treble = special.map((n) => clampMidi(n + shiftSemis));
+                leadFrom = treble;
+            } else if (voiceRange && treble.length) {
+                treble = engine.voiceLeadTreble(treble, leadFrom, {
+                    low: clampMidi(voiceRange.low + shiftSemis),
+                    high: clampMidi(voiceRange.high + shiftSemis),
+                    above: bass.length ? Math.max.apply(null, bass) : null
+                });
+                leadFrom = treble;
+            }
             if (bassOctaves === 2) {
                 const lower = bass.filter((n) => n - 12 >= MIDI_MIN).map((n) => n - 12);
                 bass = bass.concat(lower);
@@ -787,17 +2202,28 @@
         }
         const skipPattern = Array.isArray(state.skipPattern) ? state.skipPattern : [];
         const bassSkipPattern = Array.isArray(state.bassSkipPattern) ? state.bassSkipPattern : [];
+        const patternSteps = getStepPatternSteps(state.patternMode);
+        const bassPatternSteps = getStepPatternSteps(state.bassPatternMode);
         return {
             chordCount: chordSeq.length,
+            chordTokenIndices,
+            chordStarts,
+            chordLengths,
+            contentSeconds,
             barSeconds,
+            meter: { numerator: meter.numerator, denominator: meter.denominator },
             bpm,
             bassNotesByChord,
             trebleNotesByChord,
+            lastTrebleNotes: trebleNotesByChord[trebleNotesByChord.length - 1],
             trebleOctaves,
             bassDurationMultiplier: state.bassDurationMultiplier,
             trebleDurationMultiplier: state.trebleDurationMultiplier,
-            patternMode: state.patternMode,
-            bassPatternMode: state.bassPatternMode,
+            // A step pattern that was deleted plays as normal
+            patternMode: patternSteps || !isStepPatternMode(state.patternMode) ? state.patternMode : 'normal',
+            bassPatternMode: bassPatternSteps || !isStepPatternMode(state.bassPatternMode) ? state.bassPatternMode : 'normal',
+            patternSteps,
+            bassPatternSteps,
             skipPattern,
             bassSkipPattern,
             delayMod: state.delayMod,
@@ -813,42 +2239,24 @@
         };
     }
 
-    /** Schedule live playback. Optional onEnd(barSeconds). If bpm and chordCount given, fire onEnd at start of last chord (e.g. when F starts in A,F) so we get ready for next row during the last bar and next row starts exactly when this row's content ends (no 1.2s tail gap). */
-    function schedulePlaybackFromEvents(bassEvents, trebleEvents, totalSeconds, onEnd, bpm, startOffsetSeconds, chordCount) {
+    /** Schedule live playback starting at startTime on the playback clock (see getPlaybackClockTime). Optional onEnd(lastChordSeconds). If chordStarts/chordLengths given (compiled state), fire onEnd at start of last chord (e.g. when F starts in A,F) so we get ready for next row during the last chord and next row starts exactly when this row's content ends (no 1.2s tail gap). */
+    function schedulePlaybackFromEvents(bassEvents, trebleEvents, totalSeconds, onEnd, barSeconds, startTime, chordStarts, chordLengths) {
         const ms = (s) => Math.max(0, Math.floor(s * 1000));
-        const offset = Number(startOffsetSeconds) || 0;
-        const barSeconds = (bpm != null && bpm > 0) ? (60 / bpm) * CC_CHORD_BAR_BEATS : 0;
-        const count = (chordCount != null && chordCount > 0) ? chordCount : 0;
-        const endAt = (barSeconds > 0 && count >= 1)
-            ? Math.max(0, (count - 1) * barSeconds)
+        const offset = Math.max(0, startTime - getPlaybackClockTime());
+        const count = Array.isArray(chordStarts) ? chordStarts.length : 0;
+        const lastChordSeconds = count >= 1 ? chordLengths[count - 1] : barSeconds;
+        const endAt = count >= 1
+            ? Math.max(0, chordStarts[count - 1])
             : (barSeconds > 0 ? Math.max(0, totalSeconds - barSeconds) : totalSeconds);
-        bassEvents.forEach((ev) => {
-            const onId = setTimeout(() => {
-                try { window.handleMidiNoteOn(ev.midi, ev.velocity); } catch (e) {}
-                activeNotes.add(ev.midi);
-            }, ms(offset + ev.time));
-            timeouts.add(onId);
-            const offId = setTimeout(() => {
-                try { window.handleMidiNoteOff(ev.midi); } catch (e) {}
-                activeNotes.delete(ev.midi);
-            }, ms(offset + ev.time + ev.duration));
-            timeouts.add(offId);
-        });
-        trebleEvents.forEach((ev) => {
-            const onId = setTimeout(() => {
-                try { window.handleMidiNoteOn(ev.midi, ev.velocity); } catch (e) {}
-                activeNotes.add(ev.midi);
-            }, ms(offset + ev.time));
-            timeouts.add(onId);
-            const offId = setTimeout(() => {
-                try { window.handleMidiNoteOff(ev.midi); } catch (e) {}
-                activeNotes.delete(ev.midi);
-            }, ms(offset + ev.time + ev.duration));
-            timeouts.add(offId);
+        const queued = [];
+        bassEvents.concat(trebleEvents).forEach((ev) => {
+            queued.push({ time: startTime + ev.time, type: 'on', midi: ev.midi, velocity: ev.velocity });
+            queued.push({ time: startTime + ev.time + ev.duration, type: 'off', midi: ev.midi });
         });
+        queueScheduledEvents(queued);
         const endId = setTimeout(() => {
             if (typeof onEnd === 'function') {
-                onEnd(barSeconds);
+                onEnd(lastChordSeconds);
             } else if (isPlaying) {
                 isPlaying = false;
                 showPlayButton();
@@ -871,9 +2279,16 @@
             chordsText,
             chordsTextArray,
             chordsLastFocusedIndex: lastFocusedChordIndex,
+            sectionNames: getChordRows().map(getRowSectionName),
+            loopMarkers: getChordRows().map(getRowLoopMarkers),
+            specialChords: getSpecialChords(getActiveChordTextarea()),
+            specialChordsPerRow: chordTextareas.map(getSpecialChords),
+            arrangement: getArrangementText(),
             settingsPerRow: rowSettings.slice(),
             soundPerRow: rowSoundState.map(copySoundState),
+            stepPatterns: stepPatterns.map(copyStepPattern),
             bpm: s.bpm,
+            meter: normalizeMeter(s.meter),
             bassDurationMultiplier: s.bassDurationMultiplier,
             trebleDurationMultiplier: s.trebleDurationMultiplier,
             skipPattern: s.skipPattern,
@@ -885,6 +2300,10 @@
             trebleVelocity: s.trebleVelocity ?? CC_DEFAULT_TREBLE_VELOCITY,
             octaveShift: s.octaveShift,
             voicing: s.voicing,
+            voicingStyle: s.voicingStyle,
+            key: CC_KEY_ROOTS.includes(s.key) ? s.key : CC_DEFAULT_KEY,
+            voiceLeading: !!s.voiceLeading,
+            voiceRange: s.voiceRange,
             trebleOctaves: s.trebleOctaves,
             bassOctaves: s.bassOctaves,
             delayMod: s.delayMod,
@@ -907,6 +2326,75 @@
         if (rowSoundState.length > n) rowSoundState.length = n;
     }
 
+    /**
+     * PrimidiSave.exportWav options for a row: its sound state (Instrument/Sound/Human panels) plus the row's tempo,
+     * meter and delay intensity, resolved the same way applySoundStateToGlobals sets up live playback.
+     */
+    function buildWavOptionsForRow(rowIndex, rowState, compiled) {
+        let soundState = rowSoundState[rowIndex] || getDefaultSoundState();
+        // Same fallback as playChordSequenceWithSettings: a row with no instrument plays the default sound
+        if (!(soundState.presetSlots && soundState.presetSlots.some(function (s) { return s != null && String(s).trim() !== ''; }))) soundState = getDefaultSoundState();
+        const soundMode = (soundState.soundMode === 'nostalgia' || soundState.soundMode === 'tremolo') ? soundState.soundMode : (soundState.nostalgia ? 'nostalgia' : 'normal');
+        return {
+            presetSlots: soundState.presetSlots && soundState.presetSlots.length ? soundState.presetSlots : undefined,
+            slotVolumes: soundState.slotVolumes && soundState.slotVolumes.length >= CC_MAX_INSTRUMENT_SLOTS ? soundState.slotVolumes : [66, 33, 33, 66, 33, 33],
+            slotSemitones: soundState.slotSemitones,
+            slotMuted: soundState.slotMuted,
+            everyBarPattern: soundState.everyBarPattern || ['uphill', 'uphill', 'uphill', 'none', 'none', 'none'],
+            everyBarIntensity: soundState.everyBarIntensity,
+            layerPlayStyle: soundState.layerPlayStyle,
+            layerPlayMode: (soundState.layerPlayMode === 'split' || soundState.layerPlayMode === 'scatter') ? soundState.layerPlayMode : 'leftRight',
+            // Layer delays scale like gsl-synth's (gslDelayIntensity); the row's delay intensity is already in the event times
+            delayIntensity: window.gslDelayIntensity != null ? window.gslDelayIntensity : 1,
+            bpm: compiled.bpm,
+            soundBpm: compiled.bpm, // playback sets gslBpm to the playing row's BPM
+            barBeats: parseMeter(rowState.meter).barBeats,
+            reverbAmount: soundState.reverb != null ? Math.max(0, Math.min(100, soundState.reverb)) / 100 : CC_DEFAULT_REVERB / 100,
+            stereoWidthMidEq: soundState.stereoWidth != null ? Math.max(-100, Math.min(0, soundState.stereoWidth)) : CC_DEFAULT_STEREO_WIDTH,
+            rowVolume: soundState.rowVolume != null ? Math.max(0, Math.min(2000, soundState.rowVolume)) : CC_DEFAULT_ROW_VOLUME,
+            soundMode: soundMode,
+            soundBassEveryBar: CC_VOLUME_MOD_OPTIONS.includes(soundState.soundBassEveryBar) ? soundState.soundBassEveryBar : 'none',
+            soundTrebleEveryBar: CC_VOLUME_MOD_OPTIONS.includes(soundState.soundTrebleEveryBar) ? soundState.soundTrebleEveryBar : 'none',
+            soundBassEveryBarIntensity: soundState.soundBassEveryBarIntensity,
+            soundTrebleEveryBarIntensity: soundState.soundTrebleEveryBarIntensity
+        };
+    }
+
+    /** GM programs for the built-in JS synth presets; GSL presets carry theirs in the manifest id (BBB_PPP_Name). */
+    const CC_JS_PRESET_GM_PROGRAMS = { softPiano: 0, epiano: 4 };
+
+    /** General MIDI program (0–127) closest to a preset slot's instrument; 0 (piano) when unknown. */
+    function getGmProgramForPreset(presetName) {
+        if (!presetName) return 0;
+        if (CC_JS_PRESET_GM_PROGRAMS[presetName] != null) return CC_JS_PRESET_GM_PROGRAMS[presetName];
+        const handler = window.InstrumentSampleHandler;
+        const manifest = handler && typeof handler.getGslManifest === 'function' ? handler.getGslManifest() : null;
+        const entry = (manifest || []).find(function (e) { return e.slug === presetName; });
+        const m = entry && /^\d+_(\d+)_/.exec(entry.id);
+        return m ? Math.max(0, Math.min(127, parseInt(m[1], 10))) : 0;
+    }
+
+    /**
+     * A row's sound for the song MIDI: slots L1–R3 as { preset, program (GM), semitones }, null when empty or muted,
+     * and the layer play mode that picks a note's slots; same default sound as buildWavOptionsForRow.
+     */
+    function getRowMidiSound(rowIndex) {
+        let soundState = rowSoundState[rowIndex] || getDefaultSoundState();
+        if (!(soundState.presetSlots && soundState.presetSlots.some(function (s) { return s != null && String(s).trim() !== ''; }))) soundState = getDefaultSoundState();
+        const slots = soundState.presetSlots || [];
+        const muted = soundState.slotMuted || [];
+        const semitones = soundState.slotSemitones || [];
+        const out = [];
+        for (let s = 0; s < CC_MAX_INSTRUMENT_SLOTS; s += 1) {
+            const preset = slots[s] != null ? String(slots[s]).trim() : '';
+            out.push(preset && !muted[s] ? { preset: preset, program: getGmProgramForPreset(preset), semitones: Number(semitones[s]) || 0 } : null);
+        }
+        return {
+            slots: out,
+            layerPlayMode: (soundState.layerPlayMode === 'split' || soundState.layerPlayMode === 'scatter') ? soundState.layerPlayMode : 'leftRight'
+        };
+    }
+
     /** Show a debug overlay with this row's sound state (preset slots, volumes, etc.). */
     function showSoundDetailsForRow(rowIndex) {
         const rows = getChordRows();
@@ -957,7 +2445,9 @@
         const s = rowSettings[index] || getDefaultRowSettings();
         return {
             chordsText,
+            specialChords: getSpecialChords(ta),
             bpm: s.bpm,
+            meter: normalizeMeter(s.meter),
             bassDurationMultiplier: s.bassDurationMultiplier,
             trebleDurationMultiplier: s.trebleDurationMultiplier,
             skipPattern: s.skipPattern,
@@ -969,6 +2459,10 @@
             trebleVelocity: s.trebleVelocity ?? s.velocity ?? CC_DEFAULT_TREBLE_VELOCITY,
             octaveShift: s.octaveShift,
             voicing: s.voicing,
+            voicingStyle: s.voicingStyle,
+            key: CC_KEY_ROOTS.includes(s.key) ? s.key : CC_DEFAULT_KEY,
+            voiceLeading: !!s.voiceLeading,
+            voiceRange: s.voiceRange,
             trebleOctaves: s.trebleOctaves,
             bassOctaves: s.bassOctaves,
             delayMod: s.delayMod,
@@ -1022,6 +2516,122 @@
         }
     };
 
+    /** Key of the focused row, for note names spelled outside the chord rows (key labels, chord capture). */
+    window.ccGetSpellingKey = function () {
+        return getRowKey(lastFocusedChordIndex);
+    };
+
+    /**
+     * Add a chord to the end of the focused row (chord capture). False while chords play or when the row has no room.
+     * @returns {boolean}
+     */
+    window.ccAppendChordToFocusedRow = function (symbol) {
+        const ta = getActiveChordTextarea();
+        if (!ta || !symbol || isPlaying) return false;
+        const text = ta.value.replace(/[\s,]+$/, '');
+        const next = text ? text + ', ' + symbol : String(symbol);
+        if (next.length > (ta.maxLength > 0 ? ta.maxLength : 120)) return false;
+        ta.value = next;
+        refreshChordInputMarks(ta);
+        saveState(readStateFromUi());
+        return true;
+    };
+
+    /** Section name from a MIDI marker, cleaned to pass checkSectionName; '' when it cannot be used or is taken. */
+    function sectionNameFromMarker(text, taken) {
+        const clean = String(text || '').replace(/[,|\n]+/g, ' ').replace(/(\s+x\s*\d+|\s*[×*]\s*\d+)$/i, '').trim().slice(0, CC_SECTION_NAME_MAX_LENGTH).trim();
+        if (!clean || /^\d+$/.test(clean) || taken[clean.toLowerCase()]) return '';
+        taken[clean.toLowerCase()] = true;
+        return clean;
+    }
+
+    /** Rows before the last MIDI import ({ before, after: state JSON right after it }), for ccUndoMidiImport. */
+    let midiImportUndo = null;
+
+    /**
+     * Replace the chord rows with the chords of a Standard MIDI File (lib/midi-import.js). Each row gets the file's
+     * tempo and meter and its section marker as name; the other row settings and the sound come from the focused row.
+     * Asks first when there are chords to replace; ccUndoMidiImport brings them back.
+     * @param {ArrayBuffer} data - .mid file contents
+     * @param {{ mode?: 'bar'|'harmonic' }} [options] - one chord per bar, or follow the chord changes beat by beat
+     * @returns {{ rows: number, warnings: string[] }|null} null when nothing was imported (cancelled, or the reason is
+     *   alerted)
+     */
+    window.ccImportMidi = function (data, options) {
+        const engine = createChordEngine();
+        if (!window.MidiImport || !engine) {
+            alert('MIDI import is not available in this version.');
+            return null;
+        }
+        let result;
+        try {
+            result = window.MidiImport.groupChords(window.MidiImport.parseMidiFile(data), {
+                engine: engine,
+                mode: (options && options.mode) || 'bar',
+                meters: CC_METERS,
+                maxChars: 120,
+                maxRows: CC_CHORD_MAX_ROWS
+            });
+        } catch (e) {
+            alert(e && e.message ? e.message : 'Could not import this MIDI file.');
+            return null;
+        }
+        const current = readStateFromUi();
+        const filledRows = (current.chordsTextArray || []).filter((text) => String(text || '').trim()).length;
+        if (filledRows && !confirm('Replace ' + (filledRows === 1 ? 'the chord row' : 'all ' + filledRows + ' chord rows') + ' with the chords of this MIDI file? You can undo it from this dialog.')) return null;
+        if (typeof window.ccIsChordPlaying === 'function' && window.ccIsChordPlaying()) window.ccStopChords();
+        const base = current.settingsPerRow[current.chordsLastFocusedIndex] || getDefaultRowSettings();
+        const sound = current.soundPerRow[current.chordsLastFocusedIndex];
+        const taken = {};
+        applyStateToUi(Object.assign({}, current, {
+            chordsTextArray: result.rows.map((r) => r.text),
+            chordsLastFocusedIndex: 0,
+            sectionNames: result.rows.map((r) => sectionNameFromMarker(r.name, taken)),
+            specialChordsPerRow: [],
+            // The song order named the old rows
+            arrangement: '',
+            settingsPerRow: result.rows.map((r) => {
+                const settings = Object.assign({}, base, { bpm: clampBpm(r.bpm), meter: normalizeMeter(r.meter) });
+                // Imported chords are letter names: the file's key signature or their own key, not the focused row's
+                const detected = r.key ? null : getMainDetectedKey(analyzeChordText(r.text, null));
+                const keyRoot = r.key || (detected && detected.majorRoot);
+                if (keyRoot) settings.key = CC_KEY_ROOTS[CC_ROOT_TO_SEMITONE[keyRoot]];
+                settings.bassDurationMultiplier = getRhythmForMeter(settings.meter, settings.bassDurationMultiplier, CC_DEFAULT_BASS_RHYTHM);
+                settings.trebleDurationMultiplier = getRhythmForMeter(settings.meter, settings.trebleDurationMultiplier, CC_DEFAULT_TREBLE_RHYTHM);
+                return settings;
+            }),
+            soundPerRow: result.rows.map(() => copySoundState(sound))
+        }));
+        getChordTextareas().forEach((ta, i) => {
+            const row = result.rows[i];
+            if (ta && row) importedChordAlternatives.set(ta, row.chords.map((c) => ({ symbol: c.symbol, alternatives: c.alternatives.slice() })));
+        });
+        const imported = readStateFromUi();
+        midiImportUndo = { before: current, after: JSON.stringify(imported) };
+        saveState(imported);
+        return { rows: result.rows.length, warnings: result.warnings };
+    };
+
+    /** True while the rows from before the last MIDI import can be brought back. */
+    window.ccCanUndoMidiImport = function () {
+        return !!midiImportUndo;
+    };
+
+    /**
+     * Put back the rows the last MIDI import replaced. Asks first when the rows were edited since the import.
+     * @returns {boolean} false when there is nothing to undo or the user cancelled
+     */
+    window.ccUndoMidiImport = function () {
+        if (!midiImportUndo) return false;
+        if (JSON.stringify(readStateFromUi()) !== midiImportUndo.after
+            && !confirm('The rows changed since the import. Undo it anyway and lose those changes?')) return false;
+        if (typeof window.ccIsChordPlaying === 'function' && window.ccIsChordPlaying()) window.ccStopChords();
+        applyStateToUi(midiImportUndo.before);
+        midiImportUndo = null;
+        saveState(readStateFromUi());
+        return true;
+    };
+
     function setChordRowsDisabled(disabled) {
         const container = getChordRowsContainer();
         if (!container) return;
@@ -1061,6 +2671,9 @@
                     row.innerHTML = '<div class="cc-chord-row-drag" draggable="true" title="Tap: Add/Delete · Drag: reorder" aria-label="Tap for options or drag to reorder">⋮</div><div class="cc-chord-input-wrap"><textarea class="cc-chord-input" data-index="' + i + '" maxlength="120" placeholder="Enter chords separated by commas (e.g. F,C,G,E) or click imagine"></textarea></div>';
                     const ta = row.querySelector('.cc-chord-input');
                     if (ta) ta.value = String(text ?? '');
+                    if (ta) setSpecialChords(ta, Array.isArray(state.specialChordsPerRow) ? state.specialChordsPerRow[i] : null);
+                    if (Array.isArray(state.sectionNames)) setRowSectionName(row, state.sectionNames[i]);
+                    if (Array.isArray(state.loopMarkers)) setRowLoopMarkers(row, state.loopMarkers[i]);
                     container.appendChild(row);
                 });
                 lastFocusedChordIndex = Math.min(Math.max(0, state.chordsLastFocusedIndex ?? 0), Math.max(0, getChordRows().length - 1));
@@ -1078,8 +2691,9 @@
         } else {
             const firstTa = getChordRows()[0] && getChordRows()[0].querySelector('.cc-chord-input');
             if (firstTa) firstTa.value = String(state.chordsText ?? '');
+            if (firstTa) setSpecialChords(firstTa, state.specialChords);
             if (!rowSettings.length) rowSettings = [state.settingsPerRow && state.settingsPerRow[0] ? state.settingsPerRow[0] : {
-                bpm: state.bpm, bassDurationMultiplier: state.bassDurationMultiplier, trebleDurationMultiplier: state.trebleDurationMultiplier,
+                bpm: state.bpm, meter: normalizeMeter(state.meter), bassDurationMultiplier: state.bassDurationMultiplier, trebleDurationMultiplier: state.trebleDurationMultiplier,
                 skipPattern: state.skipPattern, patternMode: state.patternMode, bassPatternMode: state.bassPatternMode,
                 bassVelocity: state.bassVelocity ?? state.velocity ?? CC_DEFAULT_BASS_VELOCITY,
                 trebleVelocity: state.trebleVelocity ?? state.velocity ?? CC_DEFAULT_TREBLE_VELOCITY,
@@ -1091,9 +2705,14 @@
             if (!rowSoundState.length) rowSoundState = state.soundPerRow && state.soundPerRow.length ? state.soundPerRow.slice().map(copySoundState) : [getDefaultSoundState(true)];
         }
         ensureRowSoundStateLength(getChordRows().length);
+        setIf('cc-arrangement', state.arrangement || '');
+        refreshArrangementValidation();
+        // Before the row settings, so a row's step pattern is there to select
+        if (Array.isArray(state.stepPatterns)) setStepPatterns(state.stepPatterns);
         const activeSettings = rowSettings[lastFocusedChordIndex] || getDefaultRowSettings();
         applyRowSettingsToUi(activeSettings);
         applyCurrentRowSoundToGlobalsAndPreload();
+        refreshLoopMarks();
     }
 
     function applyCurrentRowSoundToGlobalsAndPreload() {
@@ -1145,9 +2764,10 @@
     function startNextRowPresetPreload(currentRowIndex) {
         const rows = getChordRows();
         if (!rows.length) return;
-        [currentRowIndex + 1, currentRowIndex + 2].forEach(function (nextIndex) {
-            if (nextIndex < 0 || nextIndex >= rows.length) return;
-            ensureRowPresetsLoaded(nextIndex).catch(function () {});
+        const next = getNextPlaybackPosition(currentRowIndex, arrangementStep);
+        [next.row, getNextPlaybackPosition(next.row, next.step).row].forEach(function (index) {
+            if (index === currentRowIndex || index < 0 || index >= rows.length) return;
+            ensureRowPresetsLoaded(index).catch(function () {});
         });
     }
 
@@ -1183,7 +2803,7 @@
             return;
         }
 
-        const offsetSec = (startOffsetSeconds != null && Number(startOffsetSeconds) >= 0) ? Number(startOffsetSeconds) : 0;
+        let offsetSec = (startOffsetSeconds != null && Number(startOffsetSeconds) >= 0) ? Number(startOffsetSeconds) : 0;
         const delaySoundApplyMs = (chain && offsetSec > 0) ? Math.max(0, Math.round(offsetSec * 1000)) : 0;
 
         if (rowIndex != null && Number.isFinite(rowIndex)) {
@@ -1206,7 +2826,9 @@
             }
         }
 
-        const compiled = buildCompiledState(state);
+        const loopRange = (rowIndex != null && Number.isFinite(rowIndex)) ? getLoopTokenRange(getLoopRegion(), rowIndex) : null;
+        const compiled = buildCompiledState(state, loopRange, chain ? chainTrebleNotes : null);
+        if (compiled) chainTrebleNotes = compiled.lastTrebleNotes;
         if (!compiled) {
             if (!chain) {
                 isPlaying = false;
@@ -1231,49 +2853,50 @@
             }
         }
 
+        // Chained rows start exactly where the previous row's content ends on the audio clock, not when the chaining timer fired.
+        const clockNow = getPlaybackClockTime();
+        const rowStartTime = (chain && nextRowStartTime != null) ? Math.max(clockNow, nextRowStartTime) : clockNow + offsetSec;
+        nextRowStartTime = rowStartTime + compiled.contentSeconds;
+        offsetSec = rowStartTime - clockNow;
+
         const { bassEvents, trebleEvents, totalSeconds } = window.PrimidiSave.buildEvents(compiled);
-        schedulePlaybackFromEvents(bassEvents, trebleEvents, totalSeconds, onEnd, compiled.bpm, offsetSec, compiled.chordCount);
+        schedulePlaybackFromEvents(bassEvents, trebleEvents, totalSeconds, onEnd, compiled.barSeconds, rowStartTime, compiled.chordStarts, compiled.chordLengths);
 
         var playingRowIndex = (rowIndex != null && Number.isFinite(rowIndex)) ? rowIndex : lastFocusedChordIndex;
-        var barSeconds = (compiled.bpm > 0) ? (60 / compiled.bpm) * CC_CHORD_BAR_BEATS : 0;
-        var chordCount = (compiled.chordCount != null && compiled.chordCount > 0) ? compiled.chordCount : 0;
-        var endAt = (barSeconds > 0 && chordCount >= 1)
-            ? Math.max(0, (chordCount - 1) * barSeconds)
-            : (barSeconds > 0 ? Math.max(0, totalSeconds - barSeconds) : totalSeconds);
-        if (chordCount > 0 && barSeconds > 0) {
+        var chordStarts = compiled.chordStarts || [];
+        var chordCount = chordStarts.length;
+        if (chordCount > 0 && compiled.contentSeconds > 0) {
             window._ccPlayingChordRowIndex = playingRowIndex;
             window._ccPlayingChordTextClean = state.chordsText || '';
             var cleanForThisRow = state.chordsText || '';
+            var tokenIndices = compiled.chordTokenIndices || [];
             var ms = function (s) { return Math.max(0, Math.floor(s * 1000)); };
             for (var k = 0; k < chordCount; k += 1) {
                 (function (idx) {
                     var id = setTimeout(function () {
-                        setChordPlayingIndicatorForRow(idx, playingRowIndex, cleanForThisRow);
-                    }, ms(offsetSec + idx * barSeconds));
+                        setChordPlayingIndicatorForRow(tokenIndices[idx], playingRowIndex, cleanForThisRow);
+                    }, ms(offsetSec + chordStarts[idx]));
                     timeouts.add(id);
                 })(k);
             }
-            var clearAt = offsetSec + endAt + barSeconds;
+            var clearAt = offsetSec + compiled.contentSeconds;
             var clearId = setTimeout(function () {
+                // Looping this row again: the next pass already moves the indicator
+                if (isPlaying && lastFocusedChordIndex === playingRowIndex) return;
                 var ta = getChordTextareaForRow(playingRowIndex);
-                if (ta) ta.value = cleanForThisRow;
+                if (ta) {
+                    ta.value = cleanForThisRow;
+                    refreshChordInputMarks(ta);
+                }
             }, ms(clearAt));
             timeouts.add(clearId);
         }
 
         if (state.sustainPedal && typeof window.PrimidiSave.buildSustainPedalEvents === 'function' && typeof window.handleMidiControlChange === 'function') {
             const pedalEvents = window.PrimidiSave.buildSustainPedalEvents(compiled);
-            const ms = (s) => Math.max(0, Math.floor(s * 1000));
-            pedalEvents.forEach((ev) => {
-                const id = setTimeout(() => {
-                    try { window.handleMidiControlChange(64, ev.down ? 127 : 0); } catch (e) {}
-                }, ms(offsetSec + ev.time));
-                timeouts.add(id);
-            });
-            const releaseAtEndId = setTimeout(() => {
-                try { if (typeof window.handleMidiControlChange === 'function') window.handleMidiControlChange(64, 0); } catch (e) {}
-            }, ms(offsetSec + totalSeconds));
-            timeouts.add(releaseAtEndId);
+            const queuedPedal = pedalEvents.map((ev) => ({ time: rowStartTime + ev.time, type: 'pedal', value: ev.down ? 127 : 0 }));
+            queuedPedal.push({ time: rowStartTime + totalSeconds, type: 'pedal', value: 0 });
+            queueScheduledEvents(queuedPedal);
         }
     }
 
@@ -1284,32 +2907,19 @@
         allNotesOff();
     }
 
-    function playNextRowOrStop(barSeconds) {
+    /** onEnd for row chaining: lastChordSeconds is how long the current row's last chord still plays, i.e. when the next row starts. */
+    function playNextRowOrStop(lastChordSeconds) {
         if (!isPlaying) return;
-        const rows = getChordRows();
-        const nextIndex = lastFocusedChordIndex + 1;
-        if (nextIndex >= rows.length) {
-            // Loop playback: after the last row, wrap back to row 0 and continue
-            const loopIndex = 0;
-            lastFocusedChordIndex = loopIndex;
-            getChordRows().forEach((r, i) => { r.classList.toggle('focused', i === loopIndex); });
-            applyRowSettingsToUi(rowSettings[loopIndex] || getDefaultRowSettings());
-            if (typeof rebuildRhythmOptionsRef === 'function') rebuildRhythmOptionsRef();
-            const state = getStateForRow(loopIndex);
-            const delaySecLoop = (barSeconds != null && barSeconds > 0) ? barSeconds : 0;
-            playChordSequenceWithSettings(state, playNextRowOrStop, true, delaySecLoop, loopIndex);
-            startNextRowPresetPreload(loopIndex);
-            const ms = (s) => Math.max(0, Math.floor(s * 1000));
-            const id = setTimeout(() => setPlayingRow(loopIndex), ms(delaySecLoop));
-            timeouts.add(id);
-            return;
-        }
+        // Loop playback: wrap inside the loop region, follow the song order, or go back to row 0 after the last row. Each pass re-reads the row's settings.
+        const next = getNextPlaybackPosition(lastFocusedChordIndex, arrangementStep);
+        const nextIndex = next.row;
+        arrangementStep = next.step;
         lastFocusedChordIndex = nextIndex;
         getChordRows().forEach((r, i) => { r.classList.toggle('focused', i === nextIndex); });
         applyRowSettingsToUi(rowSettings[nextIndex] || getDefaultRowSettings());
         if (typeof rebuildRhythmOptionsRef === 'function') rebuildRhythmOptionsRef();
         const state = getStateForRow(nextIndex);
-        const delaySec = (barSeconds != null && barSeconds > 0) ? barSeconds : 0;
+        const delaySec = (lastChordSeconds != null && lastChordSeconds > 0) ? lastChordSeconds : 0;
         playChordSequenceWithSettings(state, playNextRowOrStop, true, delaySec, nextIndex);
         startNextRowPresetPreload(nextIndex);
         const ms = (s) => Math.max(0, Math.floor(s * 1000));
@@ -1327,7 +2937,7 @@
         if (!ta || !ta.value.trim()) return;
         const text = String(ta.value);
         const cursor = typeof ta.selectionStart === 'number' ? ta.selectionStart : text.length;
-        const segments = text.split(/[,|]/);
+        const segments = normalizeChordText(text).split(',');
         let pos = 0;
         let chordAtCursor = '';
         for (let i = 0; i < segments.length; i++) {
@@ -1342,7 +2952,7 @@
         if (!chordAtCursor) chordAtCursor = (segments[segments.length - 1] || '').replace(/\s+/g, ' ').trim();
         if (!chordAtCursor) return;
         const engine = new window.ChordEngine({ noteToIndex: window.NOTE_TO_INDEX, chordIntervals: window.CHORD_INTERVALS });
-        const parsed = engine.parseChord(chordAtCursor);
+        const parsed = engine.parseChord(chordAtCursor, { key: getRowKey(idx) });
         if (!parsed) return;
         const midiNotes = engine.chordToMIDINotes(parsed).map((n) => clampMidi(n));
         if (!midiNotes.length) return;
@@ -1375,13 +2985,14 @@
                 menu.id = 'cc-drag-row-menu';
                 menu.className = 'cc-drag-row-menu';
                 menu.setAttribute('role', 'menu');
-                menu.innerHTML = '<button type="button" data-action="add" role="menuitem">Add row</button><button type="button" data-action="delete" role="menuitem">Delete row</button><button type="button" data-action="transpose-down" role="menuitem">− semitone</button><button type="button" data-action="transpose-up" role="menuitem">+ semitone</button>';
+                menu.innerHTML = '<button type="button" data-action="add" role="menuitem">Add row</button><button type="button" data-action="delete" role="menuitem">Delete row</button><button type="button" data-action="transpose-down" role="menuitem">− semitone</button><button type="button" data-action="transpose-up" role="menuitem">+ semitone</button><button type="button" data-action="section-name" role="menuitem" title="Name this row as a song section (Intro, Verse, Chorus) for the song order">Section name…</button><button type="button" data-action="loop-in" role="menuitem" title="Loop from the start of this row (Alt+[ in the chord text: from the chord at the cursor)">Loop in</button><button type="button" data-action="loop-out" role="menuitem" title="Loop to the end of this row (Alt+] in the chord text: to the chord at the cursor)">Loop out</button><button type="button" data-action="loop-clear" role="menuitem" title="Remove loop markers (Alt+\\)">Clear loop</button><button type="button" data-action="treble-notes" role="menuitem" title="Pick the treble notes of the chord at the cursor (Alt+T in the chord text)">Treble notes…</button><button type="button" data-action="notation" role="menuitem" title="Write this row with letter names or as Roman numerals / Nashville numbers of its key (Key in ✦ imagine)">Show as numerals</button><button type="button" data-action="detect-key" role="menuitem" title="Set the row Key (✦ imagine) to the key detected from its chords">Use detected key</button>';
                 document.body.appendChild(menu);
             }
             document.addEventListener('keydown', (e) => {
                 if (e.key === 'Escape') {
                     const menu = document.getElementById('cc-drag-row-menu');
                     if (menu && menu.classList.contains('visible')) closeDragRowMenu();
+                    hideChordSuggestMenu();
                 }
             });
             chordContainer.addEventListener('focusin', (e) => {
@@ -1450,10 +3061,58 @@
                 const delBtn = menu.querySelector('[data-action="delete"]');
                 const transposeDownBtn = menu.querySelector('[data-action="transpose-down"]');
                 const transposeUpBtn = menu.querySelector('[data-action="transpose-up"]');
+                const sectionNameBtn = menu.querySelector('[data-action="section-name"]');
+                const loopInBtn = menu.querySelector('[data-action="loop-in"]');
+                const loopOutBtn = menu.querySelector('[data-action="loop-out"]');
+                const loopClearBtn = menu.querySelector('[data-action="loop-clear"]');
+                const trebleNotesBtn = menu.querySelector('[data-action="treble-notes"]');
+                const notationBtn = menu.querySelector('[data-action="notation"]');
+                const detectKeyBtn = menu.querySelector('[data-action="detect-key"]');
                 if (addBtn) { addBtn.disabled = atMax; addBtn.onclick = () => { addChordRowAfter(idx, () => saveState(readStateFromUi())); closeDragRowMenu(); }; }
                 if (delBtn) { delBtn.disabled = !canRemove; delBtn.onclick = () => { removeChordRow(idx, () => saveState(readStateFromUi())); closeDragRowMenu(); }; }
-                if (transposeDownBtn) { transposeDownBtn.onclick = () => { const row = getChordRows()[idx]; const ta = row && row.querySelector('.cc-chord-input'); if (ta) { ta.value = transposeChordString(ta.value, -1); saveState(readStateFromUi()); } closeDragRowMenu(); }; }
-                if (transposeUpBtn) { transposeUpBtn.onclick = () => { const row = getChordRows()[idx]; const ta = row && row.querySelector('.cc-chord-input'); if (ta) { ta.value = transposeChordString(ta.value, 1); saveState(readStateFromUi()); } closeDragRowMenu(); }; }
+                if (transposeDownBtn) { transposeDownBtn.onclick = () => { const row = getChordRows()[idx]; const ta = row && row.querySelector('.cc-chord-input'); if (ta) { const toKey = getTransposedRowKey(idx, -1); ta.value = transposeChordString(ta.value, -1, toKey); transposeSpecialChords(ta, -1, toKey); transposeRowKey(idx, -1); refreshChordInputMarks(ta); saveState(readStateFromUi()); } closeDragRowMenu(); }; }
+                if (transposeUpBtn) { transposeUpBtn.onclick = () => { const row = getChordRows()[idx]; const ta = row && row.querySelector('.cc-chord-input'); if (ta) { const toKey = getTransposedRowKey(idx, 1); ta.value = transposeChordString(ta.value, 1, toKey); transposeSpecialChords(ta, 1, toKey); transposeRowKey(idx, 1); refreshChordInputMarks(ta); saveState(readStateFromUi()); } closeDragRowMenu(); }; }
+                if (sectionNameBtn) {
+                    sectionNameBtn.onclick = () => {
+                        closeDragRowMenu();
+                        const row = getChordRows()[idx];
+                        if (!row) return;
+                        const name = window.prompt('Section name for row ' + (idx + 1) + ' (e.g. Verse, Chorus). Leave empty to remove.', getRowSectionName(row));
+                        if (name == null) return;
+                        const error = checkSectionName(name, idx);
+                        if (error) {
+                            alert(error);
+                            return;
+                        }
+                        setRowSectionName(row, name);
+                        refreshArrangementValidation();
+                        saveState(readStateFromUi());
+                    };
+                }
+                if (loopInBtn) { loopInBtn.onclick = () => { setLoopMarker(idx, 'in', null); closeDragRowMenu(); }; }
+                if (loopOutBtn) { loopOutBtn.onclick = () => { setLoopMarker(idx, 'out', null); closeDragRowMenu(); }; }
+                if (loopClearBtn) { loopClearBtn.disabled = !getLoopRegion(); loopClearBtn.onclick = () => { clearLoopMarkers(); closeDragRowMenu(); }; }
+                if (trebleNotesBtn) {
+                    trebleNotesBtn.onclick = () => {
+                        closeDragRowMenu();
+                        const ta = getChordTextareaForRow(idx);
+                        if (ta) openTrebleEditor(idx, getChordTokenIndexAt(ta.value, typeof ta.selectionStart === 'number' ? ta.selectionStart : 0));
+                    };
+                }
+                if (notationBtn) {
+                    const ta = getChordTextareaForRow(idx);
+                    notationBtn.textContent = ta && hasNumeralChords(ta.value, getRowKey(idx)) ? 'Show as letter names' : 'Show as numerals';
+                    notationBtn.onclick = () => { closeDragRowMenu(); toggleChordNotation(idx); };
+                }
+                if (detectKeyBtn) {
+                    const ta = getChordTextareaForRow(idx);
+                    const numerals = !!ta && hasNumeralChords(ta.value, getRowKey(idx));
+                    const detected = ta && !numerals ? getMainDetectedKey(analyzeChordText(ta.value, getRowKey(idx))) : null;
+                    detectKeyBtn.textContent = detected ? 'Use detected key (' + formatDetectedKey(detected) + ')' : 'Use detected key';
+                    detectKeyBtn.disabled = !detected;
+                    detectKeyBtn.title = numerals ? 'Numeral chords are already written in the row\'s Key' : 'Set the row Key (✦ imagine) to the key detected from its chords';
+                    detectKeyBtn.onclick = () => { closeDragRowMenu(); applyDetectedKey(idx); };
+                }
                 const rect = handle.getBoundingClientRect();
                 menu.style.left = rect.left + 'px';
                 menu.style.top = (rect.top - 2) + 'px';
@@ -1497,10 +3156,51 @@
                 if (handle) dragHandleTapPending = false;
             });
             chordContainer.addEventListener('input', (e) => {
-                saveState(readStateFromUi()); if (e.target && e.target.closest && e.target.closest('.cc-chord-input')) { previewChordOnInputDebounced(); }
+                const ta = e.target && e.target.closest && e.target.closest('.cc-chord-input');
+                if (ta) reanchorSpecialChords(ta);
+                saveState(readStateFromUi());
+                if (ta) {
+                    previewChordOnInputDebounced();
+                    refreshChordInputMarks(ta);
+                    updateChordSuggestMenu(ta);
+                }
             });
+            ['click', 'keyup'].forEach((type) => {
+                chordContainer.addEventListener(type, (e) => {
+                    const ta = e.target && e.target.closest && e.target.closest('.cc-chord-input');
+                    if (ta) updateChordSuggestMenu(ta);
+                });
+            });
+            chordContainer.addEventListener('focusout', hideChordSuggestMenu);
+            chordContainer.addEventListener('scroll', (e) => {
+                const ta = e.target && e.target.classList && e.target.classList.contains('cc-chord-input') ? e.target : null;
+                const layer = ta && ta.parentElement && ta.parentElement.querySelector('.cc-chord-input-marks');
+                if (layer) layer.scrollTop = ta.scrollTop;
+            }, true);
+            window.addEventListener('resize', refreshChordValidation);
+            bindTrebleEditor();
+            bindStepEditor();
             chordContainer.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' && e.target && e.target.closest && e.target.closest('.cc-chord-input')) e.preventDefault();
+                const ta = e.target && e.target.closest && e.target.closest('.cc-chord-input');
+                if (e.key === 'Enter' && ta) e.preventDefault();
+                // Alt+[ / Alt+] put the loop in/out marker on the chord at the cursor, Alt+\ clears the loop
+                if (ta && e.altKey && (e.code === 'BracketLeft' || e.code === 'BracketRight' || e.code === 'Backslash')) {
+                    e.preventDefault();
+                    if (e.code === 'Backslash') {
+                        clearLoopMarkers();
+                        return;
+                    }
+                    const rowIndex = getChordRows().indexOf(ta.closest('.cc-chord-row'));
+                    const pos = typeof ta.selectionStart === 'number' ? ta.selectionStart : 0;
+                    const chord = getChordTokenIndexAt(ta.value, pos);
+                    if (rowIndex >= 0 && chord != null) setLoopMarker(rowIndex, e.code === 'BracketLeft' ? 'in' : 'out', chord);
+                }
+                // Alt+T edits the treble notes of the chord at the cursor
+                if (ta && e.altKey && e.code === 'KeyT') {
+                    e.preventDefault();
+                    const rowIndex = getChordRows().indexOf(ta.closest('.cc-chord-row'));
+                    if (rowIndex >= 0) openTrebleEditor(rowIndex, getChordTokenIndexAt(ta.value, typeof ta.selectionStart === 'number' ? ta.selectionStart : 0));
+                }
             });
             chordContainer.addEventListener('dragstart', (e) => {
                 const handle = e.target && e.target.closest && e.target.closest('.cc-chord-row-drag');
@@ -1584,13 +3284,15 @@
         const rebuildRhythmOptions = (clampInput) => {
             const bpm = clampBpm(bpmEl ? bpmEl.value : CC_DEFAULT_BPM);
             if (clampInput && bpmEl) bpmEl.value = String(bpm);
-            const rhythmOpts = buildRhythmOptionsForBpm(bpm);
+            const meterEl = document.getElementById('cc-meter');
+            const meter = meterEl ? meterEl.value : CC_DEFAULT_METER;
+            const rhythmOpts = buildRhythmOptionsForBpm(bpm, meter);
             const prevBass = bassSel ? bassSel.value : null;
             const prevTreble = trebleSel ? trebleSel.value : null;
             setSelectOptionsHtml(bassSel, rhythmOpts.map((o) => o.cloneNode(true)));
             setSelectOptionsHtml(trebleSel, rhythmOpts.map((o) => o.cloneNode(true)));
-            if (bassSel) bassSel.value = prevBass && CC_DURATION_MULTIPLIERS.includes(parseInt(prevBass, 10)) ? prevBass : String(60);
-            if (trebleSel) trebleSel.value = prevTreble && CC_DURATION_MULTIPLIERS.includes(parseInt(prevTreble, 10)) ? prevTreble : String(30);
+            if (bassSel) bassSel.value = String(getRhythmForMeter(meter, prevBass, CC_DEFAULT_BASS_RHYTHM));
+            if (trebleSel) trebleSel.value = String(getRhythmForMeter(meter, prevTreble, CC_DEFAULT_TREBLE_RHYTHM));
         };
         rebuildRhythmOptionsRef = rebuildRhythmOptions;
         const skipOpts = buildSkipOptions();
@@ -1637,7 +3339,7 @@
             'cc-row-bpm', 'cc-bass-rhythm', 'cc-treble-rhythm',
             'cc-bass-skip1', 'cc-bass-skip2', 'cc-bass-skip3',
             'cc-skip1', 'cc-skip2', 'cc-skip3',
-            'cc-pattern-mode', 'cc-bass-pattern-mode', 'cc-bass-velocity', 'cc-treble-velocity', 'cc-octave-shift', 'cc-voicing', 'cc-double-treble', 'cc-double-bass'
+            'cc-pattern-mode', 'cc-bass-pattern-mode', 'cc-bass-velocity', 'cc-treble-velocity', 'cc-octave-shift', 'cc-voicing', 'cc-voicing-style', 'cc-voice-leading', 'cc-voice-range', 'cc-double-treble', 'cc-double-bass'
             , 'cc-delay-mod', 'cc-bass-everybar', 'cc-bass-everybar-intensity', 'cc-treble-everybar', 'cc-treble-everybar-intensity', 'cc-sustain-pedal'
         ].forEach((id) => {
             const el = document.getElementById(id);
@@ -1645,6 +3347,40 @@
             const evt = (el.tagName === 'SELECT') ? 'change' : (el.type === 'checkbox' ? 'change' : 'input');
             el.addEventListener(evt, persist);
         });
+        var keySelEl = document.getElementById('cc-key');
+        if (keySelEl) {
+            // Numeral chords are read in the row's key, so they re-voice while the text stays as typed
+            keySelEl.addEventListener('change', function () {
+                const ta = getActiveChordTextarea();
+                if (ta && CC_KEY_ROOTS.includes(keySelEl.value)) rekeySpecialChords(ta, getRowKey(lastFocusedChordIndex), keySelEl.value);
+                persist();
+                refreshKeySpelledLabels();
+                if (ta) refreshChordInputMarks(ta);
+            });
+        }
+        var keyDetectBtn = document.getElementById('cc-key-detect');
+        if (keyDetectBtn) {
+            keyDetectBtn.addEventListener('click', function () {
+                if (!applyDetectedKey(lastFocusedChordIndex)) alert('Enter at least two letter-name chords in the row to detect its key.');
+            });
+        }
+        var meterSelEl = document.getElementById('cc-meter');
+        if (meterSelEl) {
+            meterSelEl.addEventListener('change', function () {
+                rebuildRhythmOptions(false);
+                if (typeof window !== 'undefined') window.gslBarBeats = parseMeter(meterSelEl.value).barBeats;
+                persist();
+            });
+        }
+        var arrangementEl = document.getElementById('cc-arrangement');
+        if (arrangementEl) {
+            // Stays editable during playback: the new order is picked up at the next section change
+            arrangementEl.addEventListener('input', function () {
+                refreshArrangementValidation();
+                persist();
+            });
+            refreshArrangementValidation();
+        }
         var rowBpmEl = document.getElementById('cc-row-bpm');
         if (rowBpmEl) {
             rowBpmEl.addEventListener('input', function () {
@@ -1665,11 +3401,37 @@
         }
 
         function beginPlaybackAfterCredit() {
-            const state = readStateFromUi();
+            let state = readStateFromUi();
             if (state.chordsTextArray && state.chordsTextArray.some(function (t) { return !String(t || '').trim(); })) {
                 alert('Please enter at least one chord in every row before playing.');
                 return;
             }
+            const focusStartRow = (index) => {
+                if (index === lastFocusedChordIndex) return;
+                lastFocusedChordIndex = index;
+                getChordRows().forEach((r, i) => { r.classList.toggle('focused', i === index); });
+                applyRowSettingsToUi(rowSettings[index] || getDefaultRowSettings());
+                if (typeof rebuildRhythmOptionsRef === 'function') rebuildRhythmOptionsRef();
+                state = Object.assign({}, state, getStateForRow(index));
+            };
+            const region = getLoopRegion();
+            const arrangement = parseArrangement(getArrangementText());
+            arrangementStep = -1;
+            if (region) {
+                if (!buildCompiledState(getStateForRow(region.start.row), getLoopTokenRange(region, region.start.row))) {
+                    alert('There are no chords to play between the loop markers.');
+                    return;
+                }
+                // Start inside the loop: from the focused row if it is in the region, else from the loop-in row
+                if (!isRowInLoopRegion(region, lastFocusedChordIndex)) focusStartRow(region.start.row);
+            } else if (arrangement.error) {
+                alert('Song order: ' + arrangement.error);
+                return;
+            } else if (arrangement.steps.length) {
+                // A song order plays from its first section
+                arrangementStep = 0;
+                focusStartRow(arrangement.steps[0]);
+            }
             playSessionId += 1;
             isPlaying = true;
             try { window.dispatchEvent(new CustomEvent('cc-chords-started')); } catch (e) {}
@@ -1893,8 +3655,10 @@
                     // Keep current BPM but refresh rhythm labels to match it.
                     rebuildRhythmOptionsRef();
                 }
-                setElValue('cc-bass-rhythm', pickRandom(CC_DURATION_MULTIPLIERS));
-                setElValue('cc-treble-rhythm', pickRandom(CC_DURATION_MULTIPLIERS));
+                const meterEl = document.getElementById('cc-meter');
+                const multipliers = getDurationMultipliersForMeter(meterEl ? meterEl.value : CC_DEFAULT_METER);
+                setElValue('cc-bass-rhythm', pickRandom(multipliers));
+                setElValue('cc-treble-rhythm', pickRandom(multipliers));
                 setElValue('cc-skip1', pickRandom(CC_SKIP_OPTIONS));
                 setElValue('cc-skip2', pickRandom(CC_SKIP_OPTIONS));
                 setElValue('cc-skip3', pickRandom(CC_SKIP_OPTIONS));
@@ -2006,7 +3770,9 @@
             var midi = document.getElementById('cc-save-midi-btn');
             var wav = document.getElementById('cc-save-wav-btn');
             if (midi) midi.textContent = '\u266C MIDI';
-            if (wav) wav.textContent = '\u3030 WAV';
+            var formatEl = document.getElementById('cc-save-audio-format');
+            var formatLabels = { wav: 'WAV', flac: 'FLAC', ogg: 'OGG' };
+            if (wav) wav.textContent = '\u3030 ' + (formatEl && formatLabels[formatEl.value] ? formatLabels[formatEl.value] : 'WAV');
         };
 
         window.ccUpdateSaveModalOptions = function () {
@@ -2018,30 +3784,94 @@
             if (typeof window.ccUpdateSaveCreditLabels === 'function') window.ccUpdateSaveCreditLabels();
         };
 
+        /** Render the whole song back to back: rows in song order (see getPlaybackOrder), each with its own row settings. */
         function buildMergedEventsFromAllRows() {
-            var rows = getChordRows();
+            var order = getPlaybackOrder();
             var allBass = [];
             var allTreble = [];
             var offset = 0;  // use content length only between rows so there's no 1.2s gap; add 1.2 tail once at end
             var firstCompiled = null;
             var firstState = null;
-            for (var i = 0; i < rows.length; i += 1) {
-                var state = getStateForRow(i);
-                var compiled = buildCompiledState(state);
+            var timeSignatures = [];
+            var pedalEvents = [];
+            var rowSegments = [];  // where each played row starts, for per-row sound in WAV
+            var previousTreble = null;  // voice leading carries across rows, as in chained playback
+            for (var i = 0; i < order.length; i += 1) {
+                var state = getStateForRow(order[i]);
+                var compiled = buildCompiledState(state, null, previousTreble);
                 if (!compiled) continue;
+                previousTreble = compiled.lastTrebleNotes;
                 if (firstCompiled === null) { firstCompiled = compiled; firstState = state; }
+                var lastSig = timeSignatures[timeSignatures.length - 1];
+                if (!lastSig || lastSig.numerator !== compiled.meter.numerator || lastSig.denominator !== compiled.meter.denominator) {
+                    timeSignatures.push({ time: offset, numerator: compiled.meter.numerator, denominator: compiled.meter.denominator });
+                }
+                rowSegments.push({ start: offset, rowIndex: order[i], state: state, compiled: compiled });
                 var result = window.PrimidiSave.buildEvents(compiled);
-                var contentSeconds = (compiled.chordCount && compiled.barSeconds) ? compiled.chordCount * compiled.barSeconds : (result.totalSeconds || 0) - 1.2;
+                var contentSeconds = compiled.contentSeconds > 0 ? compiled.contentSeconds : (result.totalSeconds || 0) - 1.2;
                 result.bassEvents.forEach(function (ev) {
                     allBass.push({ midi: ev.midi, velocity: ev.velocity, time: ev.time + offset, duration: ev.duration });
                 });
                 result.trebleEvents.forEach(function (ev) {
                     allTreble.push({ midi: ev.midi, velocity: ev.velocity, time: ev.time + offset, duration: ev.duration });
                 });
+                if (state.sustainPedal) {
+                    window.PrimidiSave.buildSustainPedalEvents(compiled).forEach(function (ev) {
+                        pedalEvents.push({ time: ev.time + offset, down: ev.down });
+                    });
+                }
                 offset += contentSeconds;
             }
             var totalSeconds = offset + 1.2;  // single reverb tail at end of full piece
-            return { bassEvents: allBass, trebleEvents: allTreble, totalSeconds: totalSeconds, firstCompiled: firstCompiled, firstState: firstState };
+            pedalEvents.sort(function (a, b) { return a.time - b.time; });
+            return { bassEvents: allBass, trebleEvents: allTreble, totalSeconds: totalSeconds, contentSeconds: offset, firstCompiled: firstCompiled, firstState: firstState, timeSignatures: timeSignatures, pedalEvents: pedalEvents, rowSegments: rowSegments };
+        }
+
+        /**
+         * Segments for PrimidiSave.exportMidiSong: one per played row (song order, or just rowIndexes), events relative to
+         * the row start. Rows with the sustain pedal get CC64 events, or longer notes when sustainMode is 'notes'.
+         */
+        function buildSongMidiSegments(rowIndexes, sustainMode) {
+            ensureRowSoundStateLength(getChordRows().length);
+            var segments = [];
+            var previousTreble = null;
+            var engine = createChordEngine();
+            rowIndexes.forEach(function (rowIndex) {
+                var state = getStateForRow(rowIndex);
+                var compiled = buildCompiledState(state, null, previousTreble);
+                if (!compiled) return;
+                previousTreble = compiled.lastTrebleNotes;
+                var result = window.PrimidiSave.buildEvents(compiled);
+                var tokens = splitChordTokens(state.chordsText);
+                var pedalEvents = state.sustainPedal ? window.PrimidiSave.buildSustainPedalEvents(compiled) : [];
+                if (pedalEvents.length && sustainMode === 'notes') {
+                    result.bassEvents = window.PrimidiSave.extendNoteEventsWithSustain(result.bassEvents, pedalEvents, result.totalSeconds);
+                    result.trebleEvents = window.PrimidiSave.extendNoteEventsWithSustain(result.trebleEvents, pedalEvents, result.totalSeconds);
+                    pedalEvents = [];
+                }
+                var sound = getRowMidiSound(rowIndex);
+                segments.push({
+                    key: rowIndex,
+                    name: getRowSectionName(getChordRows()[rowIndex]) || ('Row ' + (rowIndex + 1)),
+                    bpm: compiled.bpm,
+                    meter: compiled.meter,
+                    // Key signature of the row key, so notation software spells the notes as the chord rows do
+                    keyFifths: engine ? engine.keySignatureFifths(state.key) : 0,
+                    contentSeconds: compiled.contentSeconds > 0 ? compiled.contentSeconds : (result.totalSeconds || 0) - 1.2,
+                    bassEvents: result.bassEvents,
+                    trebleEvents: result.trebleEvents,
+                    // Marker text is the chord as typed, without its C:2 / F*2 length; numerals get their letter names
+                    chords: compiled.chordTokenIndices.map(function (tokenIndex, i) {
+                        var tok = tokens[tokenIndex];
+                        var symbol = tok ? stripChordLength(tok.text) : '';
+                        return { time: compiled.chordStarts[i], symbol: (engine && engine.toLetterSymbol(symbol, state.key)) || symbol };
+                    }),
+                    slots: sound.slots,
+                    layerPlayMode: sound.layerPlayMode,
+                    pedalEvents: pedalEvents
+                });
+            });
+            return segments;
         }
 
         /** True if current Save UI would produce at least one chord (same rules as ccExport / Play). */
@@ -2052,7 +3882,7 @@
             var rows = getChordRows();
             var saveThisRowOnlyEl = document.getElementById('cc-save-this-row-only');
             var saveThisRowOnly = rows.length > 1 && saveThisRowOnlyEl && saveThisRowOnlyEl.checked;
-            if (saveThisRowOnly || rows.length <= 1) {
+            if (saveThisRowOnly || (rows.length <= 1 && getPlaybackOrder().length <= 1)) {
                 return !!buildCompiledState(readStateFromUi());
             }
             return !!buildMergedEventsFromAllRows().firstCompiled;
@@ -2069,12 +3899,24 @@
             var rows = getChordRows();
             var saveThisRowOnlyEl = document.getElementById('cc-save-this-row-only');
             var saveThisRowOnly = rows.length > 1 && saveThisRowOnlyEl && saveThisRowOnlyEl.checked;
+            if (!saveThisRowOnly) {
+                var arrangementError = parseArrangement(getArrangementText()).error;
+                if (arrangementError) {
+                    alert('Song order: ' + arrangementError);
+                    return;
+                }
+            }
+            // One row, one pass: export the focused row directly; otherwise render the song (order) back to back
+            var exportSingleRow = saveThisRowOnly || (rows.length <= 1 && getPlaybackOrder().length <= 1);
             var compiled;
             var bassEvents;
             var trebleEvents;
             var totalSeconds;
+            var timeSignatures;
+            var sustainPedalEvents = [];
+            var wavRowSegments = null;
             var stateForExport = state;
-            if (saveThisRowOnly || rows.length <= 1) {
+            if (exportSingleRow) {
                 compiled = buildCompiledState(state);
                 if (!compiled) {
                     alert('Please enter at least one chord before saving.');
@@ -2084,6 +3926,8 @@
                 bassEvents = result.bassEvents;
                 trebleEvents = result.trebleEvents;
                 totalSeconds = result.totalSeconds;
+                timeSignatures = [{ time: 0, numerator: compiled.meter.numerator, denominator: compiled.meter.denominator }];
+                if (state.sustainPedal) sustainPedalEvents = window.PrimidiSave.buildSustainPedalEvents(compiled);
             } else {
                 var merged = buildMergedEventsFromAllRows();
                 if (!merged.firstCompiled) {
@@ -2093,21 +3937,43 @@
                 bassEvents = merged.bassEvents;
                 trebleEvents = merged.trebleEvents;
                 totalSeconds = merged.totalSeconds;
+                timeSignatures = merged.timeSignatures;
+                sustainPedalEvents = merged.pedalEvents;
+                wavRowSegments = merged.rowSegments;
                 compiled = merged.firstCompiled;
                 stateForExport = merged.firstState;
             }
             let bassForWav = bassEvents;
             let trebleForWav = trebleEvents;
-            var useSustain = stateForExport.sustainPedal && (saveThisRowOnly || rows.length <= 1);
-            if (useSustain && typeof window.PrimidiSave.buildSustainPedalEvents === 'function' && typeof window.PrimidiSave.extendNoteEventsWithSustain === 'function') {
-                const pedalEvents = window.PrimidiSave.buildSustainPedalEvents(compiled);
-                bassForWav = window.PrimidiSave.extendNoteEventsWithSustain(bassEvents, pedalEvents, totalSeconds);
-                trebleForWav = window.PrimidiSave.extendNoteEventsWithSustain(trebleEvents, pedalEvents, totalSeconds);
+            // Pedal of every row that has it on (one row: that row's pedal)
+            if (sustainPedalEvents.length && typeof window.PrimidiSave.extendNoteEventsWithSustain === 'function') {
+                bassForWav = window.PrimidiSave.extendNoteEventsWithSustain(bassEvents, sustainPedalEvents, totalSeconds);
+                trebleForWav = window.PrimidiSave.extendNoteEventsWithSustain(trebleEvents, sustainPedalEvents, totalSeconds);
             }
 
             if (kind === 'midi') {
                 try {
-                    const blob = window.PrimidiSave.exportMidi(bassEvents, trebleEvents, compiled.bpm);
+                    var songModeEl = document.getElementById('cc-save-midi-song');
+                    var splitRowsEl = document.getElementById('cc-save-midi-split-rows');
+                    var sustainModeEl = document.getElementById('cc-save-midi-sustain');
+                    // 'cc64' = pedal events with the played note lengths; 'notes' = pedal baked into longer notes
+                    var sustainMode = sustainModeEl && sustainModeEl.value === 'notes' ? 'notes' : 'cc64';
+                    var blob;
+                    if (songModeEl && songModeEl.checked && typeof window.PrimidiSave.exportMidiSong === 'function') {
+                        var songRows = exportSingleRow ? [lastFocusedChordIndex] : getPlaybackOrder();
+                        var songTitle = (typeof window !== 'undefined' && window.ccExportBasename) ? String(window.ccExportBasename).replace(/\.(mid|wav)$/i, '').trim() : '';
+                        blob = window.PrimidiSave.exportMidiSong(buildSongMidiSegments(songRows, sustainMode), {
+                            title: songTitle || 'ChordCanvas',
+                            splitRows: !!(splitRowsEl && splitRowsEl.checked)
+                        });
+                    } else {
+                        // Longer notes = the same pedal-extended notes the WAV renders
+                        var bakePedal = sustainMode === 'notes';
+                        blob = window.PrimidiSave.exportMidi(bakePedal ? bassForWav : bassEvents, bakePedal ? trebleForWav : trebleEvents, compiled.bpm, {
+                            timeSignatures: timeSignatures,
+                            pedalEvents: sustainMode === 'cc64' ? sustainPedalEvents : []
+                        });
+                    }
                     const url = URL.createObjectURL(blob);
                     const a = document.createElement('a');
                     a.href = url;
@@ -2126,57 +3992,221 @@
                 return;
             }
 
-            if (kind === 'wav') {
-                (async () => {
+            if (kind === 'wav' || kind === 'stems') {
+                var levelReadout = document.getElementById('cc-save-level-readout');
+                var setLevelReadout = function (text) { if (levelReadout) levelReadout.textContent = text; };
+                setLevelReadout('Rendering\u2026');
+                return (async () => {
                     try {
                         ensureRowSoundStateLength(getChordRows().length);
-                        var rowIndex = saveThisRowOnly || rows.length <= 1
+                        var rowIndex = exportSingleRow
                             ? Math.max(0, Math.min(lastFocusedChordIndex, rowSoundState.length - 1))
-                            : 0;
-                        const soundState = rowSoundState[rowIndex] || getDefaultSoundState();
-                        const soundBpm = (typeof window !== 'undefined' && window.gslBpm != null && !isNaN(Number(window.gslBpm))) ? Math.max(40, Math.min(240, Number(window.gslBpm))) : compiled.bpm;
+                            : getPlaybackOrder()[0];
+                        const wavOptions = buildWavOptionsForRow(rowIndex, stateForExport, compiled);
+                        if (wavRowSegments) {
+                            // Each row renders with its own sound, switching at the row start like chained playback
+                            wavOptions.rowSegments = wavRowSegments.map(function (seg) {
+                                return { start: seg.start, options: buildWavOptionsForRow(seg.rowIndex, seg.state, seg.compiled) };
+                            });
+                        }
                         const liveReverb = (typeof window.gslSynth !== 'undefined' && typeof window.gslSynth.getReverbBufferForExport === 'function') ? window.gslSynth.getReverbBufferForExport() : null;
-                        const wavOptions = {
-                            presetSlots: soundState.presetSlots && soundState.presetSlots.length ? soundState.presetSlots : undefined,
-                            slotVolumes: soundState.slotVolumes,
-                            slotSemitones: soundState.slotSemitones,
-                            slotMuted: soundState.slotMuted,
-                            everyBarPattern: soundState.everyBarPattern,
-                            everyBarIntensity: soundState.everyBarIntensity,
-                            layerPlayStyle: soundState.layerPlayStyle,
-                            layerPlayMode: (soundState.layerPlayMode === 'split' || soundState.layerPlayMode === 'scatter') ? soundState.layerPlayMode : 'leftRight',
-                            delayIntensity: stateForExport.delayIntensity ?? 1,
-                            bpm: compiled.bpm,
-                            soundBpm: soundBpm,
-                            reverbAmount: soundState.reverb != null ? Math.max(0, Math.min(100, soundState.reverb)) / 100 : CC_DEFAULT_REVERB / 100,
-                            stereoWidthMidEq: soundState.stereoWidth != null ? Math.max(-100, Math.min(0, soundState.stereoWidth)) : CC_DEFAULT_STEREO_WIDTH,
-                            rowVolume: soundState.rowVolume != null ? Math.max(0, Math.min(2000, soundState.rowVolume)) : CC_DEFAULT_ROW_VOLUME
-                        };
                         if (liveReverb && liveReverb.reverbBuffer) {
                             wavOptions.sampleRate = liveReverb.sampleRate;
                             wavOptions.reverbBuffer = liveReverb.reverbBuffer;
                         }
-                        wavOptions.nostalgiaMode = (window.gslSynth && typeof window.gslSynth.getSoundMode === 'function' && window.gslSynth.getSoundMode() === 'nostalgia');
-                        const wavBlob = await window.PrimidiSave.exportWav(bassForWav, trebleForWav, totalSeconds, wavOptions);
+                        // File format from the Save modal; a chosen rate overrides the playback rate (the IR is resampled)
+                        var audioFormatEl = document.getElementById('cc-save-audio-format');
+                        var audioBitDepthEl = document.getElementById('cc-save-audio-bit-depth');
+                        var audioRateEl = document.getElementById('cc-save-audio-rate');
+                        wavOptions.format = audioFormatEl ? audioFormatEl.value : 'wav';
+                        wavOptions.bitDepth = audioBitDepthEl ? parseInt(audioBitDepthEl.value, 10) : 16;
+                        if (audioRateEl && audioRateEl.value) wavOptions.sampleRate = parseInt(audioRateEl.value, 10);
+                        var audioLoopEl = document.getElementById('cc-save-audio-loop');
+                        if (audioLoopEl && audioLoopEl.checked) {
+                            // Exactly the played bars; tempo metadata is the average over rows so stretching lines up
+                            var loopRows = wavRowSegments || [{ compiled: compiled }];
+                            var loopSeconds = 0;
+                            var loopBeats = 0;
+                            loopRows.forEach(function (seg) {
+                                loopSeconds += seg.compiled.contentSeconds;
+                                loopBeats += seg.compiled.contentSeconds * seg.compiled.bpm / 60;
+                            });
+                            if (loopSeconds > 0) {
+                                wavOptions.loop = {
+                                    seconds: loopSeconds,
+                                    beats: loopBeats,
+                                    bpm: loopBeats * 60 / loopSeconds,
+                                    meterNumerator: compiled.meter.numerator,
+                                    meterDenominator: compiled.meter.denominator
+                                };
+                            }
+                        }
+                        var audioLevelEl = document.getElementById('cc-save-audio-level');
+                        if (audioLevelEl && audioLevelEl.value !== '') wavOptions.loudnessTarget = parseFloat(audioLevelEl.value);
+                        var levelText = '';
+                        wavOptions.onLevel = function (level) {
+                            var fmt = function (v, unit) { return v == null ? '\u2013\u221E ' + unit : v.toFixed(1) + ' ' + unit; };
+                            levelText = fmt(level.loudness, 'LUFS') + ', ' + (level.mode === 'peak' ? fmt(level.samplePeakDb, 'dBFS') : fmt(level.truePeakDb, 'dBTP'))
+                                + (level.limiterReductionDb < 0 ? ' (limiter ' + level.limiterReductionDb.toFixed(1) + ' dB)' : '');
+                            setLevelReadout(levelText + ' \u2013 encoding\u2026');
+                        };
+                        wavOptions.onProgress = function (percent) {
+                            if (levelText) setLevelReadout(levelText + ' \u2013 encoding ' + percent + '%');
+                        };
+                        var baseWav = (typeof window !== 'undefined' && window.ccExportBasename)
+                            ? String(window.ccExportBasename).replace(/\.(mid|wav|flac|ogg|zip)$/i, '').trim().slice(0, 120)
+                            : '';
+                        var wavBlob;
+                        if (kind === 'stems') {
+                            var perRowEl = document.getElementById('cc-save-stems-per-row');
+                            var stemRows = wavRowSegments || [{ start: 0, rowIndex: rowIndex, state: stateForExport, compiled: compiled }];
+                            wavBlob = await window.PrimidiSave.exportWavStems(bassForWav, trebleForWav, totalSeconds, wavOptions, {
+                                perRow: !!(perRowEl && perRowEl.checked),
+                                fileBase: baseWav || 'chords',
+                                manifest: buildStemManifest(stemRows, baseWav)
+                            });
+                        } else {
+                            wavBlob = await window.PrimidiSave.exportWav(bassForWav, trebleForWav, totalSeconds, wavOptions);
+                        }
                         const url = URL.createObjectURL(wavBlob);
                         const a = document.createElement('a');
                         a.href = url;
-                        var baseWav = (typeof window !== 'undefined' && window.ccExportBasename)
-                            ? String(window.ccExportBasename).replace(/\.(mid|wav)$/i, '').trim().slice(0, 120)
-                            : '';
-                        a.download = baseWav ? baseWav + '.wav' : ('primidi-chords-' + Date.now() + '.wav');
+                        var ext = kind === 'stems' ? '.zip' : window.PrimidiSave.getAudioEncodeOptions(wavOptions).extension;
+                        a.download = baseWav ? baseWav + ext : ('primidi-chords-' + Date.now() + ext);
                         document.body.appendChild(a);
                         a.click();
                         document.body.removeChild(a);
                         setTimeout(() => URL.revokeObjectURL(url), 2000);
+                        setLevelReadout(levelText);
                     } catch (err) {
                         console.error(err);
-                        alert((err && err.message) ? err.message : 'WAV export failed.');
+                        setLevelReadout('');
+                        alert((err && err.message) ? err.message : (kind === 'stems' ? 'Stem export failed.' : 'Audio export failed.'));
                     }
                 })();
             }
         };
 
+        /**
+         * manifest.json fields for a stem zip: title, BPM, key (detected from the first row's chords, with its confidence;
+         * "unknown" when the row has too few chords to tell) and the row boundaries (seconds from the start of the stems). rowSegments as from buildMergedEventsFromAllRows ({ start, rowIndex, state, compiled }).
+         */
+        function buildStemManifest(rowSegments, title) {
+            const rows = getChordRows();
+            const first = rowSegments[0];
+            const mainKey = getMainDetectedKey(analyzeChordText(first.state.chordsText, first.state.key));
+            return {
+                title: title || 'ChordCanvas',
+                bpm: first.compiled.bpm,
+                key: mainKey ? mainKey.tonic + (mainKey.mode === 'minor' ? 'm' : '') : 'unknown',
+                keySource: mainKey ? 'harmony analysis' : null,
+                keyConfidence: mainKey ? mainKey.confidence : null,
+                rows: rowSegments.map(function (seg) {
+                    return {
+                        row: seg.rowIndex + 1,
+                        name: getRowSectionName(rows[seg.rowIndex]) || null,
+                        start: seg.start,
+                        end: seg.start + seg.compiled.contentSeconds,
+                        bpm: seg.compiled.bpm,
+                        meter: seg.compiled.meter.numerator + '/' + seg.compiled.meter.denominator
+                    };
+                })
+            };
+        }
+
+        /** Seconds of a row ccCheckWavParity renders offline. */
+        const WAV_PARITY_RENDER_SECONDS = 2;
+        /** Wait before reading the live nodes: the setters ramp over ~0.03 s and slot volumes follow on the next animation frame. */
+        const WAV_PARITY_SETTLE_MS = 300;
+        /** Relative tolerance for live node gains, which approach their targets but never land on them exactly. */
+        const WAV_PARITY_NODE_TOLERANCE = 1e-3;
+
+        /**
+         * Parity check: apply row rowIndex's sound the way Play does, read the live graph settings
+         * (gslSynth.getChainSettings) and, once it has settled, the gains its nodes are at (gslSynth.getChainNodeGains);
+         * then render the row's first seconds offline as exportWav does (PrimidiSave.probeWavRender) and compare them
+         * with what the rendered graph ran with: its settings, the reverb / width / master gains read back from its nodes,
+         * its slot volumes, which slots played notes and whether it made sound.
+         * Resolves to { ok, mismatches: [{ setting, live, wav }], rendered: { seconds, peak, slotNotes } }.
+         * Not available during playback.
+         */
+        window.ccCheckWavParity = async function (rowIndex) {
+            if (isPlaying) return { ok: false, error: 'Stop playback first.', mismatches: [] };
+            if (!window.gslSynth || typeof window.gslSynth.getChainSettings !== 'function' || typeof window.gslSynth.getChainNodeGains !== 'function' || !window.PrimidiSave || typeof window.PrimidiSave.probeWavRender !== 'function') {
+                return { ok: false, error: 'Synth or save library not loaded.', mismatches: [] };
+            }
+            const rows = getChordRows();
+            ensureRowSoundStateLength(rows.length);
+            const idx = Math.max(0, Math.min(rowIndex != null ? rowIndex : lastFocusedChordIndex, rows.length - 1));
+            const state = getStateForRow(idx);
+            const compiled = buildCompiledState(state);
+            if (!compiled) return { ok: false, error: 'Row ' + (idx + 1) + ' has no chords.', mismatches: [] };
+            const wavOptions = buildWavOptionsForRow(idx, state, compiled);
+            const prevBpm = window.gslBpm;
+            const prevBarBeats = window.gslBarBeats;
+            window.gslBpm = compiled.bpm;
+            window.gslBarBeats = wavOptions.barBeats;
+            applySoundStateToGlobals(rowSoundState[idx] && rowSoundState[idx].presetSlots && rowSoundState[idx].presetSlots.some(function (s) { return s; }) ? rowSoundState[idx] : getDefaultSoundState());
+            const live = window.gslSynth.getChainSettings();
+            window.gslBpm = prevBpm;
+            window.gslBarBeats = prevBarBeats;
+            // The nodes only move while the context runs; give the ramps time to reach their targets
+            const liveCtx = window.gslSynth.synth && window.gslSynth.synth.audioCtx;
+            if (liveCtx && liveCtx.state !== 'running') await liveCtx.resume().catch(function () {});
+            await new Promise(function (resolve) { setTimeout(resolve, WAV_PARITY_SETTLE_MS); });
+            const liveNodes = window.gslSynth.getChainNodeGains();
+            if (typeof window.ccApplyCurrentRowSoundToGlobals === 'function') window.ccApplyCurrentRowSoundToGlobals();
+
+            const events = window.PrimidiSave.buildEvents(compiled);
+            const seconds = Math.min(WAV_PARITY_RENDER_SECONDS, events.totalSeconds);
+            const early = function (e) { return e.time < seconds; };
+            const bassEvents = events.bassEvents.filter(early);
+            const trebleEvents = events.trebleEvents.filter(early);
+            let probe;
+            try {
+                probe = await window.PrimidiSave.probeWavRender(bassEvents, trebleEvents, seconds, wavOptions);
+            } catch (err) {
+                return { ok: false, error: (err && err.message) ? err.message : 'Offline render failed.', mismatches: [] };
+            }
+
+            const same = function (a, b) {
+                // Rendered gains come back as float32
+                if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a));
+                return JSON.stringify(a) === JSON.stringify(b);
+            };
+            const mismatches = [];
+            Object.keys(live).forEach(function (key) {
+                let b = probe.settings[key];
+                if (key === 'chordRowMod') {
+                    b = { bassPattern: b.bassPattern, treblePattern: b.treblePattern, bassIntensity: b.bassIntensity, trebleIntensity: b.trebleIntensity };
+                }
+                if (!same(live[key], b)) mismatches.push({ setting: key, live: live[key], wav: b });
+            });
+            const near = function (a, b) { return Math.abs(a - b) <= WAV_PARITY_NODE_TOLERANCE * Math.max(1, Math.abs(a)); };
+            Object.keys(probe.gains).forEach(function (key) {
+                if (!near(liveNodes[key], probe.gains[key])) mismatches.push({ setting: key + ' (node gain)', live: liveNodes[key], wav: probe.gains[key] });
+            });
+            liveNodes.slotGains.forEach(function (gain, slot) {
+                if (!live.presetSlots[slot] || live.slotMuted[slot]) return;
+                const volume = probe.settings.slotVolumes[slot];
+                const wavGain = Math.max(0, Math.min(100, volume != null && !isNaN(volume) ? volume : 33)) / 100;
+                if (!near(gain, wavGain)) mismatches.push({ setting: 'slot ' + (slot + 1) + ' volume (node gain)', live: gain, wav: wavGain });
+            });
+            probe.slotNotes.forEach(function (count, slot) {
+                if (count && (!live.presetSlots[slot] || live.slotMuted[slot])) {
+                    mismatches.push({ setting: 'slot ' + (slot + 1) + ' notes', live: 'silent', wav: count });
+                }
+            });
+            if (bassEvents.length + trebleEvents.length && !(probe.peak > 0)) {
+                mismatches.push({ setting: 'rendered level', live: 'notes', wav: 'silence' });
+            }
+            return {
+                ok: mismatches.length === 0,
+                mismatches: mismatches,
+                rendered: { seconds: seconds, peak: probe.peak, slotNotes: probe.slotNotes }
+            };
+        };
+
         (function applyPendingLibraryFromSession() {
             try {
                 var raw = sessionStorage.getItem('cc_library_restore_v1');
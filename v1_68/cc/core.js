@@ -47,108 +47,717 @@ class ChordEngine {
             'sus2': 'sus2',
             'sus4': 'sus4'
         };
+        // Most to least common, for ranking chord names that fit the same notes equally well (recognizeChord)
+        this.chordTypeCommonness = [
+            'major-triad', 'minor-triad', 'dominant-7th', 'minor-7th', 'major-7th', 'major-6th', 'minor-6th',
+            'sus4', 'sus2', 'add9', 'diminished-triad', 'augmented-triad', 'half-diminished-7th', 'diminished-7th',
+            'dominant-9th', 'major-9th', 'minor-9th', 'six-nine', 'dominant-7th-sus4', 'add11', 'minor-major-7th',
+            'dominant-7th-flat9', 'dominant-7th-sharp9', 'dominant-7th-flat5', 'dominant-7th-sharp5',
+            'dominant-11th', 'minor-11th', 'major-11th', 'dominant-13th', 'major-13th', 'minor-13th',
+            '7sharp11', '9sharp11', 'dominant-9th-sus4', 'add13', 'add2', 'add4'
+        ];
+        // Chord roots relative to a key: Roman numeral (upper case major, lower case minor) or Nashville number, with b/#
+        this.numeralPattern = '([#b♯♭]?)(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i|[1-7])';
+        this.majorScale = [0, 2, 4, 5, 7, 9, 11];
     }
 
-    parseChord(input) {
-        const trimmed = input.trim();
-        if (!trimmed) return null;
-
-        const match = trimmed.match(/^([A-Ga-g])([#b]?)(.*)$/i);
-        if (!match) return null;
-
-        const rootLetter = match[1].toUpperCase();
-        const accidental = match[2] || '';
-        const suffix = match[3];
-        const noteName = rootLetter + accidental;
-
-        if (!this.noteToIndex.hasOwnProperty(noteName)) return null;
-
-        let chordType = 'major-triad';
-        let processedSuffix = suffix;
-        const slashIndex = suffix.indexOf('/');
-        if (slashIndex !== -1) {
-            processedSuffix = suffix.substring(0, slashIndex);
-        }
-        processedSuffix = processedSuffix.replace(/\s+/g, '');
-
-        const suffixLower = processedSuffix.toLowerCase();
-        if (processedSuffix === 'M7' || processedSuffix === 'maj7' || processedSuffix === 'major7' || suffixLower === 'ma7') {
-            chordType = 'major-7th';
-        } else if (processedSuffix === 'M9' || processedSuffix === 'maj9' || processedSuffix === 'major9') {
-            chordType = 'major-9th';
-        } else if (processedSuffix === 'M11' || processedSuffix === 'maj11' || processedSuffix === 'major11') {
-            chordType = 'major-11th';
-        } else if (suffixLower === 'm' || suffixLower === 'min' || processedSuffix === '-') {
-            chordType = 'minor-triad';
-        } else if (suffixLower === '7' || suffixLower === 'dom' || suffixLower === 'dom7') {
-            chordType = 'dominant-7th';
-        } else if (suffixLower === 'm7' || suffixLower === 'min7' || suffixLower === '-7') {
-            chordType = 'minor-7th';
-        } else if (suffixLower.includes('dim') || processedSuffix.includes('°')) {
-            if (suffixLower.includes('7') || processedSuffix.includes('°7') || processedSuffix === '°7') {
-                chordType = 'diminished-7th';
+    /**
+     * Parse one chord symbol into { rootNote, chordType, original } (plus bassNote / inversion / beats / bars when given).
+     * Symbols whose interval set is not in CHORD_INTERVALS get chordType 'custom' and carry their own intervals.
+     * Returns null when the symbol is not understood; see parseChordDetailed for the reason.
+     * @param {string} input
+     * @param {{ key?: string }} [options] - key root (e.g. 'Eb') for Roman numerals and Nashville numbers
+     */
+    parseChord(input, options) {
+        return this.parseChordDetailed(input, options).chord;
+    }
+
+    /**
+     * Tokenize a chord symbol and build its intervals on the fly.
+     * Grammar: root [quality] [extension] [modifier ...] [/bass] [^n] [:beats | *bars]
+     *   quality    maj major M Δ | m min mi - | dim ° o | aug + | ø | dom
+     *   extension  5 (power) | 6 | 6/9 | 69 | 7 | 9 | 11 | 13 | alt | 2 (add2) | 4 (sus4)
+     *   modifier   b5 #5 b9 #9 #11 b13 (+/- also accepted), addN, sus/sus2/sus4 (sus2sus4 = both), no3/no5 (omit3/omit5),
+     *              maj7 after a minor quality (mMaj7, m(maj7)); modifiers may be wrapped in ( )
+     *   length     C:2 = two beats, F*2 = two bars (chord.beats / chord.bars; default one bar)
+     * With a key, the root may also be a Roman numeral or a Nashville number of that key (major scale degrees):
+     *   I vi IV V7, ii7 (lower case = minor), bVII, #iv°; 1 6m 4 5, ♭7 (b7 stays the chord B7)
+     *   ii7/V = applied chord (ii7 of V); 4/1 or I/3 = degree in the bass; letter basses (I/E) still work
+     * Letter names come first, so a symbol that is a valid letter chord is always read as one.
+     * Returns { chord, error }: chord as parseChord, or error { message, start, end } with character
+     * offsets into input so the caller can underline the token that was not understood.
+     */
+    parseChordDetailed(input, { key = null } = {}) {
+        const text = String(input == null ? '' : input);
+        const letters = this.parseChordText(text, null);
+        if (letters.chord || key == null || !this.noteToIndex.hasOwnProperty(key)) return letters;
+        return this.parseChordText(text, key) || letters;
+    }
+
+    /**
+     * parseChordDetailed for one kind of root: a letter name (key null), or a numeral of key (null when text does not
+     * start with one, so the letter reading's error is shown).
+     */
+    parseChordText(text, key) {
+        const fail = (message, from, to) => ({ chord: null, error: { message, start: from, end: Math.min(text.length, Math.max(to, from + 1)) } });
+        const tokenEnd = (from) => {
+            let j = from;
+            while (j < text.length && !/[\s()\/^:*]/.test(text[j])) j++;
+            return j > from ? j : from + 1;
+        };
+        const accidental = (s) => (s === '#' || s === '♯' || s === '+') ? 1 : (s === 'b' || s === '♭' || s === '-') ? -1 : 0;
+        const noteName = (letter, acc) => letter.toUpperCase() + (accidental(acc) > 0 ? '#' : accidental(acc) < 0 ? 'b' : '');
+        const DEGREE_SEMITONES = { 2: 2, 4: 5, 5: 7, 6: 9, 9: 14, 11: 17, 13: 21 };
+
+        let i = 0;
+        const skipSpace = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+        const take = (re) => {
+            re.lastIndex = i;
+            const m = re.exec(text);
+            if (m) i = re.lastIndex;
+            return m;
+        };
+
+        skipSpace();
+        if (i >= text.length) return { chord: null, error: { message: 'Empty chord', start: 0, end: text.length } };
+        const chordStart = i;
+        // Numerals: semitones above the key for a scale degree; flats are spelled as flats in flat keys and after b
+        const keyIndex = key != null ? this.noteToIndex[key] : null;
+        const flatKey = key != null && (key.indexOf('b') > 0 || key === 'F');
+        const degreeOffset = (acc, numeral) => {
+            const n = /\d/.test(numeral) ? parseInt(numeral, 10) : ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'].indexOf(numeral.toUpperCase()) + 1;
+            return this.majorScale[n - 1] + accidental(acc);
+        };
+        const degreeName = (offset, acc) => this.pitchClassName(keyIndex + offset, accidental(acc) < 0 || (flatKey && accidental(acc) === 0));
+        let rootNote = null;
+        let degree = null;
+        if (key != null) {
+            const numeralMatch = take(new RegExp(this.numeralPattern, 'y'));
+            if (!numeralMatch) return null;
+            degree = { offset: degreeOffset(numeralMatch[1], numeralMatch[2]), acc: numeralMatch[1], roman: !/\d/.test(numeralMatch[2]), minor: /^[iv]+$/.test(numeralMatch[2]) };
+        } else {
+            const rootMatch = take(/([A-Ga-g])([#b♯♭]?)/y);
+            if (!rootMatch) return fail('Expected a root note (A-G)', i, tokenEnd(i));
+            rootNote = noteName(rootMatch[1], rootMatch[2]);
+            if (!this.noteToIndex.hasOwnProperty(rootNote)) return fail(`Unknown root note "${rootMatch[0]}"`, chordStart, i);
+        }
+
+        const spec = { third: 4, fifth: 7, omitFifth: false, seventh: false, majorSeventh: false, diminished: false, suspended: false, extension: null, tones: [] };
+        if (degree && degree.minor) spec.third = 3;
+        const alter = (degree, acc) => {
+            const natural = DEGREE_SEMITONES[degree];
+            if (degree === 5) {
+                spec.fifth = natural + acc;
+                return;
+            }
+            spec.tones = spec.tones.filter((t) => t !== natural);
+            spec.tones.push(natural + acc);
+        };
+        const applyExtension = (ext, at) => {
+            if (spec.extension) return fail(`Extension "${ext}" after "${spec.extension}"`, at, i);
+            spec.extension = ext;
+            if (ext === '6/9' || ext === '69') spec.tones.push(9, 14);
+            else if (ext === '6') spec.tones.push(9);
+            else if (ext === '2') spec.tones.push(2);
+            else if (ext === '4') {
+                spec.third = 5;
+                spec.suspended = true;
+            } else if (ext === '5') spec.third = null;
+            else if (ext === 'alt') {
+                spec.seventh = true;
+                spec.fifth = 8;
+                spec.tones.push(13, 15);
+            } else {
+                spec.seventh = true;
+                if (ext === '9' || ext === '11' || ext === '13') spec.tones.push(14);
+                if (ext === '11') spec.tones.push(17);
+                if (ext === '13') spec.tones.push(21);
+            }
+            return null;
+        };
+
+        // Quality (only directly after the root)
+        skipSpace();
+        const qualityStart = i;
+        const quality = take(/(major|Major|MAJ|Maj|maj|Ma(?!dd)|ma(?!dd)|M|Δ|△)|(min|mi|m|-)|(dim|°|o(?!mit))|(aug|\+)|(ø|Ø)|(dom)/y);
+        if (quality) {
+            if (quality[1]) {
+                spec.majorSeventh = true;
+                if (quality[1] === 'Δ' || quality[1] === '△') spec.seventh = true;
+            } else if (quality[2]) {
+                spec.third = 3;
+            } else if (quality[3]) {
+                spec.third = 3;
+                spec.fifth = 6;
+                spec.diminished = true;
+            } else if (quality[4]) {
+                spec.fifth = 8;
+            } else if (quality[5]) {
+                spec.third = 3;
+                spec.fifth = 6;
+                spec.seventh = true;
+            } else if (quality[6]) {
+                spec.seventh = true;
+            }
+        }
+
+        // Extension
+        skipSpace();
+        const extStart = i;
+        const ext = take(/(6\/9|69|13|11|9|7|6|5|4|2|alt)/y);
+        if (ext) {
+            if (ext[1] === '5' && quality) return fail('A power chord (5) cannot follow a chord quality', qualityStart, i);
+            const err = applyExtension(ext[1], extStart);
+            if (err) return err;
+        }
+
+        // Modifiers, then optional /bass, ^n and length
+        let bassNote = null;
+        let inversion = 0;
+        let appliedTo = null;
+        let length = null;
+        const openParens = [];
+        while (true) {
+            skipSpace();
+            if (i >= text.length) break;
+            const at = i;
+            if (length) return fail(`Unexpected "${text.slice(at, tokenEnd(at))}" after the chord length`, at, tokenEnd(at));
+            const len = take(/([:*])\s*(\d+(?:\.\d+)?)?/y);
+            if (len) {
+                const unit = len[1] === ':' ? 'beats' : 'bars';
+                const value = len[2] ? parseFloat(len[2]) : 0;
+                if (openParens.length) return fail('Missing ")" before the chord length', openParens[openParens.length - 1], at);
+                if (!(value > 0)) return fail(`Expected a number of ${unit} after "${len[1]}"`, at, i);
+                if (value > (unit === 'beats' ? 128 : 32)) return fail(`Chord length is too long (${len[2]} ${unit})`, at, i);
+                length = { unit, value };
+                continue;
+            }
+            if (bassNote || inversion || appliedTo != null) {
+                const inv = !inversion && take(/\^([1-3])/y);
+                if (inv) {
+                    inversion = parseInt(inv[1], 10);
+                    continue;
+                }
+                return fail(`Unexpected "${text.slice(at, tokenEnd(at))}" after the bass note or inversion`, at, tokenEnd(at));
+            }
+            if (text[i] === '(') {
+                openParens.push(i);
+                i++;
+                continue;
+            }
+            if (text[i] === ')') {
+                if (!openParens.length) return fail('Unmatched ")"', at, at + 1);
+                openParens.pop();
+                i++;
+                continue;
+            }
+            let m;
+            if ((m = take(/add([#b+\-♯♭]?)(13|11|9|6|4|2)/y))) {
+                spec.tones.push(DEGREE_SEMITONES[m[2]] + accidental(m[1]));
+            } else if ((m = take(/sus([24])?/y))) {
+                const sus = m[1] === '2' ? 2 : 5;
+                if (spec.suspended && spec.third !== sus) {
+                    // sus2sus4 (either order): the 2nd takes the 3rd's place and the 4th is added
+                    spec.third = 2;
+                    spec.tones.push(5);
+                } else {
+                    spec.third = sus;
+                }
+                spec.suspended = true;
+            } else if ((m = take(/(?:no|omit)([35])/y))) {
+                if (m[1] === '3') spec.third = null;
+                else spec.omitFifth = true;
+            } else if ((m = take(/([#b+\-♯♭])(13|11|9|5)/y))) {
+                alter(parseInt(m[2], 10), accidental(m[1]));
+            } else if ((m = take(/(?:maj|Maj|MAJ|M|Δ|△)(13|11|9|7)?/y))) {
+                spec.majorSeventh = true;
+                if (m[1]) {
+                    const err = applyExtension(m[1], at);
+                    if (err) return err;
+                } else {
+                    spec.seventh = true;
+                }
+            } else if ((m = take(/alt/y))) {
+                // 7alt: altered dominant (#5, b9, #9)
+                if (!spec.seventh || spec.majorSeventh) return fail('"alt" needs a dominant 7th', at, i);
+                spec.fifth = 8;
+                spec.tones.push(13, 15);
+            } else if (degree && (m = take(new RegExp('\\/\\s*' + this.numeralPattern, 'y')))) {
+                if (openParens.length) return fail('Missing ")" before the bass note', openParens[openParens.length - 1], at);
+                if (/\d/.test(m[2])) bassNote = degreeName(degreeOffset(m[1], m[2]), m[1]);
+                else if (degree.roman) appliedTo = degreeOffset(m[1], m[2]);
+                else return fail('Use a number for the bass of a Nashville chord (4/1)', at + 1, i);
+            } else if ((m = take(/\/\s*([A-Ga-g])([#b♯♭]?)/y))) {
+                if (openParens.length) return fail('Missing ")" before the bass note', openParens[openParens.length - 1], at);
+                bassNote = noteName(m[1], m[2]);
+                if (!this.noteToIndex.hasOwnProperty(bassNote)) return fail(`Unknown bass note "${m[0].slice(1).trim()}"`, at + 1, i);
+            } else if ((m = take(/\^([1-3])/y))) {
+                inversion = parseInt(m[1], 10);
+            } else if (text[at] === '/') {
+                const bassText = text.slice(at + 1, tokenEnd(at + 1)).trim();
+                return fail(bassText ? `Unknown bass note "${bassText}"` : 'Missing bass note after "/"', at, tokenEnd(at + 1));
+            } else {
+                return fail(`Unknown chord symbol "${text.slice(at, tokenEnd(at))}"`, at, tokenEnd(at));
+            }
+        }
+        if (openParens.length) return fail('Missing ")"', openParens[openParens.length - 1], text.length);
+        if (degree) rootNote = degreeName((appliedTo || 0) + degree.offset, degree.acc);
+
+        const intervals = this.buildChordIntervals(spec);
+        const parsed = { rootNote, chordType: this.findChordType(intervals) || 'custom', original: text.trim() };
+        if (parsed.chordType === 'custom') parsed.intervals = intervals;
+        if (bassNote && bassNote !== rootNote) parsed.bassNote = bassNote;
+        if (inversion) parsed.inversion = inversion;
+        if (length) parsed[length.unit] = length.value;
+        return { chord: parsed, error: null };
+    }
+
+    /** Note name for a pitch class, spelled with sharps (A#) or flats (Bb). */
+    pitchClassName(pc, flats = false) {
+        const index = ((pc % 12) + 12) % 12;
+        const name = this.noteNames[index];
+        return flats && name.length > 1 ? this.noteNames[(index + 1) % 12] + 'b' : name;
+    }
+
+    /** Key signature of a major key root as fifths: sharps positive, flats negative (G 1, Bb -2); 0 for C or an unknown key. */
+    keySignatureFifths(key) {
+        const pc = this.noteToIndex[key];
+        if (pc === undefined) return 0;
+        const fifths = (pc * 7) % 12;
+        const flatKey = key === 'F' || /^[A-G]b/.test(key);
+        return flatKey && fifths > 0 ? fifths - 12 : fifths;
+    }
+
+    /**
+     * Spell a pitch class for display in key (a major key root; null = sharps, as noteNames).
+     * Notes of the scale follow the key signature (A# in B, Bb in F). A chord tone of chord ({ rootNote, chordType,
+     * intervals? }) is spelled up from the chord's root by interval (G# in E7, D# in B, F# in D7), so secondary
+     * dominants get their leading tones. Other notes outside the key read as flats (bIII, bVI, bVII), except the
+     * raised fourth. Letters NOTE_TO_INDEX does not have (E#, Cb, double accidentals) fall back to the plain name.
+     */
+    spellPitchClass(pc, { key = null, chord = null } = {}) {
+        const index = ((pc % 12) + 12) % 12;
+        if (chord && this.noteToIndex.hasOwnProperty(chord.rootNote)) {
+            const name = this.spellChordTone(index, chord);
+            if (name) return name;
+        }
+        const plain = this.noteNames[index];
+        if (plain.length === 1 || !this.noteToIndex.hasOwnProperty(key)) return plain;
+        const rel = (index - this.noteToIndex[key] + 12) % 12;
+        if (this.majorScale.includes(rel)) return this.pitchClassName(index, this.keySignatureFifths(key) < 0);
+        return this.pitchClassName(index, rel !== 6);
+    }
+
+    /**
+     * Spell the root of a chord of chordType on pitch class pc in key. Like spellPitchClass, but a diminished chord
+     * outside the key leads up to the next degree, so its root reads sharp (#iv°7, #i°).
+     */
+    spellChordRoot(pc, { key = null, chordType = null } = {}) {
+        const index = ((pc % 12) + 12) % 12;
+        const rel = (index - (this.noteToIndex[key] ?? 0) + 12) % 12;
+        const leading = ['diminished-triad', 'diminished-7th', 'half-diminished-7th'].includes(chordType);
+        if (leading && this.noteToIndex.hasOwnProperty(key) && !this.majorScale.includes(rel)) return this.pitchClassName(index, false);
+        return this.spellPitchClass(index, { key });
+    }
+
+    /**
+     * Name of a chord tone counted up in letters from the chord's root: 3 semitones is a minor third (Eb in Cm) or,
+     * with a major third also in the chord, a sharp ninth (D# in C7#9); 6 is a flat fifth or, next to a perfect fifth,
+     * a sharp eleventh; 8 is a sharp fifth or a flat thirteenth. Returns null when pc is not a chord tone or the name
+     * would need a letter NOTE_TO_INDEX does not have.
+     */
+    spellChordTone(pc, chord) {
+        const rootIndex = this.noteToIndex[chord.rootNote];
+        const intervals = chord.intervals || this.chordIntervals[chord.chordType] || [];
+        const tones = intervals.map((i) => ((i % 12) + 12) % 12);
+        const rel = (((pc - rootIndex) % 12) + 12) % 12;
+        if (rel === 0) return chord.rootNote;
+        if (!tones.includes(rel)) return null;
+        const letterSteps = { 1: 1, 2: 1, 3: tones.includes(4) ? 1 : 2, 4: 2, 5: 3, 6: tones.includes(7) ? 3 : 4, 7: 4, 8: tones.includes(7) ? 5 : 4, 9: 5, 10: 6, 11: 6 };
+        const letters = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+        const letter = letters[(letters.indexOf(chord.rootNote.charAt(0)) + letterSteps[rel]) % 7];
+        const alter = ((((pc - this.noteToIndex[letter]) % 12) + 18) % 12) - 6;
+        const name = letter + (alter === 1 ? '#' : alter === -1 ? 'b' : alter === 0 ? '' : '?');
+        return this.noteToIndex.hasOwnProperty(name) ? name : null;
+    }
+
+    /**
+     * A MIDI note spelled as spellPitchClass does, in the MusicXML pitch layout: { name: 'Bb4', step: 'B', alter: -1,
+     * octave: 4 } (middle C = C4).
+     */
+    spellMidiNote(midi, options) {
+        const note = this.spellPitchClass(midi, options);
+        const alter = note.length > 1 ? (note.charAt(1) === '#' ? 1 : -1) : 0;
+        const octave = Math.floor(midi / 12) - 1;
+        return { name: note + octave, step: note.charAt(0), alter, octave };
+    }
+
+    /**
+     * A letter-name chord symbol written as a Roman numeral (Am7 → vi7 in C) or Nashville number (Am7 → 6m7) of key.
+     * Chromatic roots keep their accidental (Bb → bVII or ♭7, F# → #IV); a slash bass becomes a degree number (C/E → I/3).
+     * Quality, extensions, inversion and length are kept as typed. Returns null when symbol is not a letter chord.
+     */
+    toNumeralSymbol(symbol, key, { nashville = false } = {}) {
+        const chord = this.parseChord(symbol);
+        const m = chord && this.noteToIndex.hasOwnProperty(key)
+            ? String(symbol).match(/^(\s*)([A-Ga-g][#b♯♭]?)(.*?)(\/\s*[A-Ga-g][#b♯♭]?)?(\s*\^[1-3])?(\s*[:*]\s*\d+(?:\.\d+)?)?\s*$/)
+            : null;
+        if (!m) return null;
+        // b7 would read as the chord B7, so Nashville numbers take ♭
+        const flat = nashville ? '♭' : 'b';
+        const degree = (name) => {
+            const rel = ((this.noteToIndex[name] - this.noteToIndex[key]) % 12 + 12) % 12;
+            const exact = this.majorScale.indexOf(rel);
+            if (exact >= 0) return { acc: '', n: exact + 1 };
+            return name.indexOf('#') > 0 ? { acc: '#', n: this.majorScale.indexOf(rel - 1) + 1 } : { acc: flat, n: this.majorScale.indexOf(rel + 1) + 1 };
+        };
+        const root = degree(chord.rootNote);
+        let body = m[3];
+        let numeral = String(root.n);
+        if (!nashville) {
+            numeral = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'][root.n - 1];
+            const minor = /^(?:min|mi|-|m(?!aj|a(?!dd)))/.exec(body);
+            if (minor) body = body.slice(minor[0].length);
+            if (minor || /^(?:dim|°|o(?!mit)|ø|Ø)/.test(body)) numeral = numeral.toLowerCase();
+        }
+        const bass = chord.bassNote ? degree(chord.bassNote) : null;
+        return m[1] + root.acc + numeral + body + (bass ? '/' + bass.acc + bass.n : '') + (m[5] || '') + (m[6] || '');
+    }
+
+    /**
+     * A Roman numeral or Nashville number chord symbol written with letter names in key (vi7 → Am7 in C,
+     * ii7/V → Am7). Returns null when symbol is not a numeral chord of that key.
+     */
+    toLetterSymbol(symbol, key) {
+        if (this.parseChord(symbol)) return null;
+        const chord = this.parseChord(symbol, { key });
+        const n = this.numeralPattern;
+        const m = chord
+            ? String(symbol).match(new RegExp('^(\\s*)' + n + '(.*?)(\\/\\s*(?:' + n + '|[A-Ga-g][#b♯♭]?))?(\\s*\\^[1-3])?(\\s*[:*]\\s*\\d+(?:\\.\\d+)?)?\\s*$'))
+            : null;
+        if (!m) return null;
+        let body = m[4];
+        if (/^[iv]+$/.test(m[3]) && !/^(?:min|mi|-|m(?!aj|a(?!dd))|dim|°|o(?!mit)|ø|Ø)/.test(body)) body = 'm' + body;
+        // An applied chord (V/V) is already resolved into the root; a bass keeps its slash
+        const applied = m[5] && m[7] && !/\d/.test(m[7]) && !/\d/.test(m[3]);
+        const bass = m[5] && !applied && chord.bassNote ? '/' + chord.bassNote : '';
+        return m[1] + chord.rootNote + body + bass + (m[8] || '') + (m[9] || '');
+    }
+
+    /**
+     * Interval template for a parsed chord spec, in the CHORD_INTERVALS layout:
+     * three bass notes (-24, -12 and the fifth below) then the treble tones from 0 up.
+     * no5 only removes the treble fifth; the bass keeps its root-fifth shell.
+     */
+    buildChordIntervals(spec) {
+        const treble = [0];
+        if (spec.third != null) treble.push(spec.third);
+        if (!spec.omitFifth) treble.push(spec.fifth);
+        if (spec.seventh) treble.push(spec.majorSeventh ? 11 : (spec.diminished ? 9 : 10));
+        spec.tones.forEach((t) => treble.push(t));
+        const upper = treble.filter((t, idx) => treble.indexOf(t) === idx).sort((a, b) => a - b);
+        return [-24, -12, spec.fifth - 12].concat(upper);
+    }
+
+    /** Name of the CHORD_INTERVALS entry with exactly these intervals, or null. */
+    findChordType(intervals) {
+        if (!this.chordTypeByIntervals) {
+            this.chordTypeByIntervals = {};
+            Object.keys(this.chordIntervals).forEach((type) => {
+                const key = this.chordIntervals[type].slice().sort((a, b) => a - b).join(',');
+                if (!this.chordTypeByIntervals[key]) this.chordTypeByIntervals[key] = type;
+            });
+        }
+        return this.chordTypeByIntervals[intervals.join(',')] || null;
+    }
+
+    /**
+     * Nearest valid spellings for a chord symbol that does not parse (e.g. "Cmj7" -> ["Cmaj7", "Cm7", ...]).
+     * Keeps the root (or tries every root when the root is the problem) and a trailing /bass, ^n or length,
+     * and ranks common suffixes by edit distance to what was typed.
+     */
+    suggestChords(input, limit = 5) {
+        let body = String(input == null ? '' : input).trim();
+        if (!body) return [];
+        const tailMatch = body.match(/(\s*\/\s*[A-Ga-g][#b]?)?(\s*\^[1-3])?(\s*[:*]\s*\d+(?:\.\d+)?)?$/);
+        const tail = tailMatch ? tailMatch[0].replace(/\s+/g, '') : '';
+        if (tail) body = body.slice(0, body.length - tailMatch[0].length);
+
+        const rootMatch = body.match(/^([A-Ga-g])([#b]?)/);
+        const typedRoot = rootMatch ? rootMatch[1].toUpperCase() + rootMatch[2] : null;
+        const rootKnown = typedRoot && this.noteToIndex.hasOwnProperty(typedRoot);
+        const roots = rootKnown ? [typedRoot] : Object.keys(this.noteToIndex);
+        const typed = rootKnown ? body.slice(rootMatch[0].length) : body;
+
+        const suffixes = Object.values(this.chordTypeNames).concat(
+            ['maj', 'min', 'mMaj7', 'ø7', '5', '7alt', 'maj7#5', '13#11', 'm7b9', 'm(add9)', '7sus2']
+        ).filter((s, idx, all) => all.indexOf(s) === idx);
+        const maxDistance = Math.max(1, Math.ceil(typed.length / 2));
+
+        const ranked = [];
+        roots.forEach((root) => {
+            suffixes.forEach((suffix, order) => {
+                const distance = this.chordEditDistance(typed, rootKnown ? suffix : root + suffix);
+                if (distance > maxDistance) return;
+                const symbol = root + suffix + tail;
+                if (!this.parseChord(symbol)) return;
+                ranked.push({ symbol, distance, order });
+            });
+        });
+        ranked.sort((a, b) => (a.distance - b.distance) || (a.order - b.order));
+        return ranked.map((r) => r.symbol)
+            .filter((s, idx, all) => all.indexOf(s) === idx)
+            .slice(0, limit);
+    }
+
+    /** Edit distance for suggestions: a missing character or a case slip costs less than a wrong one. */
+    chordEditDistance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        let prev = [];
+        for (let j = 0; j < cols; j++) prev.push(j * 0.75);
+        for (let i = 1; i < rows; i++) {
+            const cur = [i];
+            for (let j = 1; j < cols; j++) {
+                const ca = a[i - 1];
+                const cb = b[j - 1];
+                const sub = ca === cb ? 0 : (ca.toLowerCase() === cb.toLowerCase() ? 0.25 : 1);
+                cur.push(Math.min(prev[j] + 1, cur[j - 1] + 0.75, prev[j - 1] + sub));
+            }
+            prev = cur;
+        }
+        return prev[cols - 1];
+    }
+
+    /**
+     * Name sounding notes by inverting CHORD_INTERVALS: every root and chord type whose tones cover the notes, best
+     * first. notes: MIDI numbers, or { midi, weight } (e.g. weight = how long the note sounds); the lowest note is the
+     * bass. A bass that is a chord tone gives a slash chord with its inversion (C/E, inversion 1); a bass outside the
+     * chord gives a slash chord too (C/D). A missing fifth is allowed; a missing root or other tone is not.
+     * Ties (same notes, e.g. Cadd9 vs Cadd2) go to the more common name; C6 vs Am7/C goes to the one whose root is
+     * in the bass. Names are spelled for key (spellChordRoot / spellPitchClass; no key = sharps).
+     * @returns {Array<{ symbol: string, rootNote: string, chordType: string, bassNote: string|null, inversion: number,
+     *   score: number }>} [] for fewer than two pitch classes
+     */
+    recognizeChord(notes, { minWeight = 0.2, limit = 6, key = null } = {}) {
+        const weights = new Array(12).fill(0);
+        let bassMidi = null;
+        (notes || []).forEach((n) => {
+            const midi = typeof n === 'number' ? n : (n && n.midi);
+            if (typeof midi !== 'number' || !isFinite(midi)) return;
+            const weight = typeof n === 'number' ? 1 : (n.weight != null ? n.weight : 1);
+            if (!(weight > 0)) return;
+            weights[((Math.round(midi) % 12) + 12) % 12] += weight;
+            if (bassMidi == null || midi < bassMidi) bassMidi = midi;
+        });
+        const maxWeight = Math.max.apply(null, weights);
+        if (!(maxWeight > 0)) return [];
+        const bassPc = ((Math.round(bassMidi) % 12) + 12) % 12;
+        const present = [];
+        for (let pc = 0; pc < 12; pc++) {
+            if (pc === bassPc || weights[pc] / maxWeight >= minWeight) present.push(pc);
+        }
+        if (present.length < 2) return [];
+
+        const candidates = [];
+        const commonness = (type) => {
+            const idx = this.chordTypeCommonness.indexOf(type);
+            return idx === -1 ? this.chordTypeCommonness.length : idx;
+        };
+        const addCandidate = (root, chordType, templatePcs, suffix) => {
+            const rel = (pc) => (pc - root + 12) % 12;
+            if (!present.some((pc) => rel(pc) === 0)) return;
+            let score = 0;
+            for (const t of templatePcs) {
+                if (present.some((pc) => rel(pc) === t)) continue;
+                if (t !== 7 || templatePcs.length < 3) return;
+                score -= 1.5;
+            }
+            const extra = present.filter((pc) => !templatePcs.includes(rel(pc)));
+            // The only foreign note may be the bass (slash chord over a non-chord bass)
+            if (extra.length > 1 || (extra.length === 1 && extra[0] !== bassPc)) return;
+            score += 2 * present.filter((pc) => templatePcs.includes(rel(pc))).length;
+            score -= 0.3 * templatePcs.length + 0.05 * commonness(chordType);
+            const rootNote = this.spellChordRoot(root, { key, chordType });
+            let bassNote = null;
+            let inversion = 0;
+            if (bassPc !== root) {
+                bassNote = this.spellPitchClass(bassPc, { key, chord: { rootNote, chordType, intervals: templatePcs } });
+                const stacked = chordType === 'power' ? [0, 7] : this.getStackedChordTones(chordType);
+                inversion = Math.max(0, stacked.indexOf(rel(bassPc)));
+                score -= extra.length ? 3 : 1;
+            }
+            candidates.push({ symbol: rootNote + suffix + (bassNote ? '/' + bassNote : ''), rootNote, chordType, bassNote, inversion, score });
+        };
+
+        for (let root = 0; root < 12; root++) {
+            if (!present.includes(root)) continue;
+            Object.keys(this.chordIntervals).forEach((type) => {
+                if (!this.chordTypeNames.hasOwnProperty(type)) return;
+                addCandidate(root, type, this.getStackedChordTones(type), this.chordTypeNames[type]);
+            });
+            // Root and fifth only: power chord
+            if (present.length === 2) addCandidate(root, 'power', [0, 7], '5');
+        }
+        candidates.sort((a, b) => b.score - a.score);
+        return candidates
+            .filter((c, idx, all) => all.findIndex((o) => o.symbol === c.symbol) === idx)
+            .filter((c) => this.parseChord(c.symbol))
+            .slice(0, limit);
+    }
+
+    /**
+     * Detect the key of a chord progression (several keys when it modulates) and name each chord's function in it.
+     * Every chord's pitch set is scored against the 24 major and minor keys: tones in the key's scale count for it,
+     * tones outside against, and tonic chords, dominants and V–I cadences add weight. A key change costs more than a
+     * couple of borrowed chords, so a row only splits when the new key holds for a while.
+     * Chords outside the key are flagged: secondary dominants (D7 in C = V7/V), secondary leading-tone chords
+     * (F#°7 = vii°7/V), tritone substitutions (Db7 → C = subV7), borrowed chords (Fm, Bb in C, from the parallel
+     * minor) and other chromatic chords.
+     * @param {string[]} symbols - chord symbols (numerals read in key); ones that do not parse are skipped
+     * @param {{ key?: string }} [options]
+     * @returns {{ keys: Array<{ tonic: string, mode: 'major'|'minor', majorRoot: string, from: number, to: number,
+     *   confidence: number }>, chords: Array<{ index: number, symbol: string, numeral: string, function: string,
+     *   keyIndex: number }> }} keys in order, from / to = indexes into symbols (inclusive), majorRoot = the key as a
+     *   major root (relative major of a minor key), confidence 0–1 against the other 23 keys; chords: index into
+     *   symbols, numeral in the parser's notation (V7/V, bVII, ii°), function 'diatonic', 'secondary-dominant',
+     *   'secondary-leading-tone', 'tritone-sub', 'borrowed' or 'chromatic', keyIndex into keys
+     */
+    analyzeHarmony(symbols, { key = null } = {}) {
+        const MINOR_SCALE = [0, 2, 3, 5, 7, 8, 10];
+        const KEY_SWITCH_COST = 6;
+        const chords = [];
+        (symbols || []).forEach((symbol, index) => {
+            const chord = this.parseChord(symbol, { key });
+            const root = chord ? this.noteToIndex[chord.rootNote] : undefined;
+            if (root === undefined) return;
+            const tones = new Set((chord.intervals || this.chordIntervals[chord.chordType] || [0]).map((i) => ((i % 12) + 12) % 12));
+            tones.add(0);
+            const has = (t) => tones.has(t);
+            let quality = 'sus';
+            if (has(4)) quality = has(8) && !has(7) ? 'augmented' : 'major';
+            else if (has(3)) quality = has(6) && !has(7) ? (has(10) ? 'half-diminished' : 'diminished') : 'minor';
+            const seventh = has(10) ? 10 : has(11) ? 11 : (quality === 'diminished' && has(9)) ? 9 : null;
+            chords.push({ index, symbol: String(symbol).trim(), root, pcs: Array.from(tones).map((t) => (t + root) % 12), quality, seventh, dominant: has(4) && has(10) });
+        });
+        if (!chords.length) return { keys: [], chords: [] };
+
+        // Keys 0–11 major on that tonic, 12–23 minor; minor counts the leading tone as in key (V, vii°)
+        const keys = [];
+        for (let k = 0; k < 24; k++) {
+            const minor = k >= 12;
+            const tonic = k % 12;
+            const scale = (minor ? MINOR_SCALE.concat(11) : this.majorScale).map((s) => (s + tonic) % 12);
+            keys.push({ tonic, minor, scale });
+        }
+        const isTonic = (c, k) => c.root === k.tonic && c.quality === (k.minor ? 'minor' : 'major');
+        const isDominant = (c, k) => c.root === (k.tonic + 7) % 12 && (c.quality === 'major' || c.dominant);
+        const local = chords.map((c, i) => keys.map((k) => {
+            const inKey = c.pcs.filter((pc) => k.scale.includes(pc)).length;
+            let score = inKey - 1.5 * (c.pcs.length - inKey);
+            if (isTonic(c, k)) score += 2 + (i === 0 ? 1 : 0) + (i === chords.length - 1 ? 1.5 : 0);
+            if (isDominant(c, k)) score += 0.5;
+            if (i > 0 && isTonic(c, k) && isDominant(chords[i - 1], k)) score += 1.5;
+            return score;
+        }));
+
+        // Best key per chord with a cost for every change (Viterbi)
+        let best = local[0].slice();
+        const from = [];
+        for (let i = 1; i < chords.length; i++) {
+            const top = best.indexOf(Math.max.apply(null, best));
+            from.push(best.map((s, k) => (s >= best[top] - KEY_SWITCH_COST ? k : top)));
+            best = best.map((s, k) => local[i][k] + Math.max(s, best[top] - KEY_SWITCH_COST));
+        }
+        const path = [best.indexOf(Math.max.apply(null, best))];
+        for (let i = from.length - 1; i >= 0; i--) path.unshift(from[i][path[0]]);
+
+        const majorNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+        const minorNames = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+        const regions = [];
+        path.forEach((k, i) => {
+            const last = regions[regions.length - 1];
+            if (last && last.k === k) last.to = i;
+            else regions.push({ k, from: i, to: i });
+        });
+        const resultKeys = regions.map((r) => {
+            const totals = keys.map((_, k) => {
+                let sum = 0;
+                for (let i = r.from; i <= r.to; i++) sum += local[i][k];
+                return sum;
+            });
+            const top = Math.max.apply(null, totals);
+            const share = Math.exp(totals[r.k] - top) / totals.reduce((acc, t) => acc + Math.exp(t - top), 0);
+            const k = keys[r.k];
+            return {
+                tonic: (k.minor ? minorNames : majorNames)[k.tonic],
+                mode: k.minor ? 'minor' : 'major',
+                majorRoot: majorNames[(k.tonic + (k.minor ? 3 : 0)) % 12],
+                from: chords[r.from].index,
+                to: chords[r.to].index,
+                confidence: Math.round(share * 100) / 100
+            };
+        });
+
+        // Degree names per semitone above the tonic; minor keys count from the natural minor scale
+        const MAJOR_DEGREES = ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'];
+        const MINOR_DEGREES = ['I', 'bII', 'II', 'III', '#III', 'IV', '#IV', 'V', 'VI', '#VI', 'VII', 'VII'];
+        const numeralFor = (rel, quality, seventh, k) => {
+            const degree = (k.minor ? MINOR_DEGREES : MAJOR_DEGREES)[rel];
+            const lower = quality === 'minor' || quality === 'diminished' || quality === 'half-diminished';
+            let numeral = lower ? degree.toLowerCase() : degree;
+            if (quality === 'diminished') numeral += '°' + (seventh === 9 ? '7' : '');
+            else if (quality === 'half-diminished') numeral += 'ø7';
+            else if (quality === 'augmented') numeral += '+';
+            else if (quality === 'sus') numeral += 'sus';
+            if (seventh === 10 && quality !== 'half-diminished') numeral += '7';
+            if (seventh === 11) numeral += 'maj7';
+            return numeral;
+        };
+        // Numeral of the key's own triad on a degree (the target of an applied chord); null for the diminished one.
+        // The dominant of a minor key is major (V/V in A minor is B7).
+        const targetNumeral = (rel, k) => {
+            const scale = k.minor ? MINOR_SCALE : this.majorScale;
+            const idx = scale.indexOf(rel);
+            if (idx < 0) return null;
+            if (k.minor && rel === 7) return 'V';
+            const third = (scale[(idx + 2) % 7] - rel + 12) % 12;
+            const fifth = (scale[(idx + 4) % 7] - rel + 12) % 12;
+            if (fifth !== 7) return null;
+            return numeralFor(rel, third === 3 ? 'minor' : 'major', null, k);
+        };
+        const resultChords = chords.map((c, i) => {
+            const keyIndex = regions.findIndex((r) => i >= r.from && i <= r.to);
+            const k = keys[regions[keyIndex].k];
+            const rel = (c.root - k.tonic + 12) % 12;
+            const next = chords[i + 1];
+            const diatonic = c.pcs.every((pc) => k.scale.includes(pc));
+            const parallel = (k.minor ? this.majorScale : MINOR_SCALE).map((s) => (s + k.tonic) % 12);
+            let numeral = numeralFor(rel, c.quality, c.seventh, k);
+            let fn;
+            const secondaryTarget = targetNumeral((rel + 5) % 12, k);
+            const leadingTarget = targetNumeral((rel + 1) % 12, k);
+            const subTarget = targetNumeral((rel + 11) % 12, k);
+            const resolvesDown = next && (c.root - next.root + 12) % 12 === 1;
+            if (diatonic) {
+                fn = 'diatonic';
+            } else if (c.dominant && subTarget && (rel === 1 || resolvesDown)) {
+                fn = 'tritone-sub';
+                numeral = 'subV7' + (rel === 1 ? '' : '/' + subTarget);
+            } else if ((c.quality === 'major' || c.dominant) && secondaryTarget && rel !== 7) {
+                fn = 'secondary-dominant';
+                numeral = 'V' + (c.seventh === 10 ? '7' : '') + '/' + secondaryTarget;
+            } else if ((c.quality === 'diminished' || c.quality === 'half-diminished') && leadingTarget && rel !== 11) {
+                fn = 'secondary-leading-tone';
+                numeral = numeralFor(11, c.quality, c.seventh, { minor: false }) + '/' + leadingTarget;
+            } else if (c.pcs.every((pc) => parallel.includes(pc))) {
+                fn = 'borrowed';
             } else {
-                chordType = 'diminished-triad';
-            }
-        } else if (suffixLower.includes('aug') || processedSuffix === '+') {
-            chordType = 'augmented-triad';
-        } else if (suffixLower === 'm9' || suffixLower === 'min9' || processedSuffix === '-9') {
-            chordType = 'minor-9th';
-        } else if (processedSuffix === '9') {
-            chordType = 'dominant-9th';
-        } else if (suffixLower === '9sus4' || suffixLower === '9sus') {
-            chordType = 'dominant-9th-sus4';
-        } else if (suffixLower === 'm11' || suffixLower === 'min11' || processedSuffix === '-11') {
-            chordType = 'minor-11th';
-        } else if (processedSuffix === '11') {
-            chordType = 'dominant-11th';
-        } else if (processedSuffix === '13' || suffixLower === '13') {
-            chordType = 'dominant-13th';
-        } else if (processedSuffix === '6') {
-            chordType = 'major-6th';
-        } else if (suffixLower === 'm6' || suffixLower === 'min6' || processedSuffix === '-6') {
-            chordType = 'minor-6th';
-        } else if (suffixLower === 'maj13' || processedSuffix === 'M13') {
-            chordType = 'major-13th';
-        } else if (suffixLower === 'm13' || suffixLower === 'min13') {
-            chordType = 'minor-13th';
-        } else if (suffixLower.includes('add9')) {
-            chordType = 'add9';
-        } else if (suffixLower.includes('add2')) {
-            chordType = 'add2';
-        } else if (suffixLower.includes('add4')) {
-            chordType = 'add4';
-        } else if (suffixLower.includes('add11')) {
-            chordType = 'add11';
-        } else if (suffixLower.includes('add13')) {
-            chordType = 'add13';
-        } else if (suffixLower === '6/9' || suffixLower === '69') {
-            chordType = 'six-nine';
-        } else if (suffixLower === 'm7b5' || suffixLower === 'min7b5') {
-            chordType = 'half-diminished-7th';
-        } else if (suffixLower === 'mmaj7' || suffixLower === 'minmaj7') {
-            chordType = 'minor-major-7th';
-        } else if (suffixLower === '7b9') {
-            chordType = 'dominant-7th-flat9';
-        } else if (suffixLower === '7#9') {
-            chordType = 'dominant-7th-sharp9';
-        } else if (suffixLower === '7b5') {
-            chordType = 'dominant-7th-flat5';
-        } else if (suffixLower === '7#5' || suffixLower === '7+5') {
-            chordType = 'dominant-7th-sharp5';
-        } else if (suffixLower === '7sus4') {
-            chordType = 'dominant-7th-sus4';
-        } else if (suffixLower.includes('7#11') || suffixLower.includes('7(#11)') || suffixLower.includes('7+11')) {
-            chordType = '7sharp11';
-        } else if (suffixLower.includes('9#11') || suffixLower.includes('9(#11)') || suffixLower.includes('9+11')) {
-            chordType = '9sharp11';
-        } else if (suffixLower.includes('sus2') || suffixLower === 'sus2') {
-            chordType = 'sus2';
-        } else if (suffixLower.includes('sus4') || suffixLower === 'sus4' || suffixLower === 'sus') {
-            chordType = 'sus4';
-        }
-
-        return { rootNote: noteName, chordType, original: trimmed };
+                fn = 'chromatic';
+            }
+            return { index: c.index, symbol: c.symbol, numeral, function: fn, keyIndex };
+        });
+        return { keys: resultKeys, chords: resultChords };
     }
 
     parseChordSequence(input) {
@@ -156,11 +765,11 @@ class ChordEngine {
             .map(str => this.parseChord(str)).filter(Boolean);
     }
 
-    getChordNotesFromIntervals(rootNote, chordType, baseOctave = 4) {
+    getChordNotesFromIntervals(rootNote, chordType, baseOctave = 4, customIntervals = null) {
         const rootIndex = this.noteToIndex[rootNote];
         if (rootIndex === undefined) return [];
 
-        const intervals = this.chordIntervals[chordType];
+        const intervals = customIntervals || this.chordIntervals[chordType];
         if (!intervals) return [];
 
         const notesWithOctaves = [];
@@ -188,15 +797,281 @@ class ChordEngine {
 
     chordToMIDINotes(chord) {
         if (!chord) return [];
-        const noteObjects = this.getChordNotesFromIntervals(chord.rootNote, chord.chordType, 4);
+        const noteObjects = this.getChordNotesFromIntervals(chord.rootNote, chord.chordType, 4, chord.intervals);
         if (noteObjects.length === 0) return [];
 
-        const midiNotes = noteObjects.map(noteObj => {
+        let midiNotes = noteObjects.map(noteObj => {
             const noteIndex = this.noteNames.indexOf(noteObj.note);
             return (noteObj.octave + 1) * 12 + noteIndex;
         });
+        if (chord.inversion || chord.bassNote) {
+            midiNotes = this.applyInversionAndBass(midiNotes, chord);
+        }
         return [...midiNotes].sort((a, b) => a - b);
     }
+
+    /**
+     * Chord tones above the root in stacking order (root, 3rd, 5th, 7th, ...) as semitones 0–11.
+     * Used to resolve ^n inversions to a bass pitch class.
+     */
+    getStackedChordTones(chordType, customIntervals = null) {
+        const intervals = customIntervals || this.chordIntervals[chordType] || [];
+        const tones = [];
+        intervals.filter((i) => i >= 0).sort((a, b) => a - b).forEach((i) => {
+            const pc = i % 12;
+            if (!tones.includes(pc)) tones.push(pc);
+        });
+        return tones;
+    }
+
+    /**
+     * Tensions that can be added on top of a chord, as semitones above the root (0–11) with their names. Dominant
+     * chords (major 3rd and minor 7th) take the altered ones too; other chords take 9, 11 (minor) or #11 (major) and
+     * 13, leaving out chord tones and avoid notes (a half step above a chord tone).
+     * @returns {Array<{ semitones: number, label: string }>}
+     */
+    getAvailableTensions(chord) {
+        if (!chord) return [];
+        const tones = this.getStackedChordTones(chord.chordType, chord.intervals);
+        const dominant = tones.includes(4) && tones.includes(10);
+        const labels = { 1: 'b9', 2: '9', 3: '#9', 5: '11', 6: '#11', 8: 'b13', 9: '13' };
+        const candidates = dominant ? [1, 2, 3, 6, 8, 9] : (tones.includes(4) ? [2, 6, 9] : [2, 5, 9]);
+        return candidates
+            .filter((t) => !tones.includes(t))
+            .filter((t) => dominant || !tones.some((c) => (t - c + 12) % 12 === 1))
+            .map((t) => ({ semitones: t, label: labels[t] }));
+    }
+
+    /**
+     * Bass and treble parts of a chord in a voicing style. 'stacked' is the CHORD_INTERVALS template as-is; the other
+     * styles re-voice the treble from the chord's interval set (which tone is the 3rd, 5th, 7th and which are
+     * extensions), so every chord type gets them without a table of its own:
+     * close (all tones inside an octave), drop2 / drop3 (close four-voice chord with the 2nd / 3rd voice from the top
+     * an octave down, from the inversion that sits lowest over the bass), shell (root, 3rd, 7th), rootlessA (3-5-7-9 upward from the 3rd) and rootlessB (7-9-3-5 from the
+     * 7th), quartal (chord tones chained as close to fourths as they go), spread (close voicing with every other voice
+     * an octave up) and pop (root-fifth-octave left hand under a close right hand).
+     * The bass part keeps the slash/inversion bass; a ^n inversion lifts the lowest n voices of a re-voiced treble an
+     * octave (drop voicings drop from the nth inversion instead). Re-voiced trebles sit with their lowest note between
+     * E3 and D#4, or in the first octave that clears the top of the bass part, so the two parts never share or cross
+     * notes.
+     * @param {Object} chord - from parseChord
+     * @param {string} [style='stacked']
+     * @returns {{ bass: number[], treble: number[] }} sorted MIDI notes
+     */
+    getVoicedChordParts(chord, style = 'stacked') {
+        const notes = this.chordToMIDINotes(chord);
+        const bass = notes.slice(0, 3);
+        const intervals = (chord && (chord.intervals || this.chordIntervals[chord.chordType])) || [];
+        const rel = [];
+        intervals.filter((i) => i >= 0).sort((a, b) => a - b).forEach((i) => {
+            if (!rel.includes(i % 12)) rel.push(i % 12);
+        });
+        if (style === 'stacked' || rel.length < 2 || !this.noteToIndex.hasOwnProperty(chord.rootNote)) {
+            return { bass, treble: notes.slice(3) };
+        }
+        const rootMidi = 60 + this.noteToIndex[chord.rootNote];
+        const has = (pc) => rel.includes(pc);
+        // Sus chords: the 4th or 2nd stands in for the 3rd; 6th and diminished 7th chords: the 6th for the 7th
+        const third = [4, 3, 5, 2].find(has);
+        const fifth = [7, 6, 8].find(has);
+        const seventh = [10, 11, 9].find((pc) => has(pc) && pc !== third);
+        const extensions = rel.filter((pc) => pc !== 0 && pc !== third && pc !== fifth && pc !== seventh);
+        // Four voices at most, most telling first: 3rd, 7th, top extension, 5th, root
+        const pickFour = (withRoot) => [third, seventh].concat(extensions.slice().reverse(), [fifth], withRoot ? [0] : [])
+            .filter((pc, idx, all) => pc != null && all.indexOf(pc) === idx)
+            .slice(0, 4);
+        const upFrom = (start) => (pc) => (pc - start + 12) % 12;
+        // Each pitch class placed at the first pitch above the one before
+        const stack = (order, first) => {
+            const out = [];
+            order.forEach((pc) => {
+                let n = out.length ? out[out.length - 1] + 1 : first;
+                while ((((n - rootMidi) % 12) + 12) % 12 !== pc) n += 1;
+                out.push(n);
+            });
+            return out;
+        };
+        const ascending = (pcs) => pcs.slice().sort((a, b) => a - b);
+        let treble;
+        let styledBass = bass;
+        // Lowest note between E3 and D#4, raised by octaves until it clears the top of the bass part
+        const place = (voicing) => {
+            const sorted = voicing.slice().sort((a, b) => a - b);
+            const bassTop = Math.max.apply(null, styledBass);
+            let shift = 12 * Math.floor((63 - sorted[0]) / 12);
+            while (sorted[0] + shift <= bassTop) shift += 12;
+            return sorted.map((n) => n + shift);
+        };
+        switch (style) {
+            case 'close':
+                treble = stack(rel.slice().sort((a, b) => a - b), rootMidi);
+                break;
+            case 'drop2':
+            case 'drop3': {
+                const close = stack(ascending(pickFour(true)), rootMidi);
+                const drop = style === 'drop3' && close.length >= 4 ? 3 : 2;
+                // Dropping from root position can land the voice on the bass and push the chord an octave up, so each
+                // inversion is dropped and the one whose top note ends up lowest is kept (a ^n inversion picks its own)
+                const dropped = close.map((n, r) => {
+                    const inverted = close.slice(r).concat(close.slice(0, r).map((m) => m + 12));
+                    if (inverted.length >= 3) inverted[inverted.length - drop] -= 12;
+                    return place(inverted);
+                });
+                treble = chord.inversion
+                    ? dropped[chord.inversion % dropped.length]
+                    : dropped.reduce((best, v) => (v[v.length - 1] < best[best.length - 1] ? v : best));
+                break;
+            }
+            case 'shell':
+                treble = stack([0, third != null ? third : fifth, seventh != null ? seventh : fifth].filter((pc, idx, all) => pc != null && all.indexOf(pc) === idx), rootMidi);
+                break;
+            case 'rootlessA':
+            case 'rootlessB': {
+                // A power chord has nothing left without its root, so it keeps it
+                const pcs = pickFour(false).length >= 2 ? pickFour(false) : pickFour(true);
+                const start = style === 'rootlessB' && seventh != null ? seventh : pcs[0];
+                treble = stack(pcs.slice().sort((a, b) => upFrom(start)(a) - upFrom(start)(b)), rootMidi - 12);
+                break;
+            }
+            case 'quartal': {
+                // Start on the 3rd; each next voice is the unused tone whose distance up is nearest a perfect 4th
+                const left = pickFour(true);
+                const order = [left.shift()];
+                while (left.length) {
+                    const from = order[order.length - 1];
+                    left.sort((a, b) => Math.abs(upFrom(from)(a) - 5) - Math.abs(upFrom(from)(b) - 5) || upFrom(from)(a) - upFrom(from)(b));
+                    order.push(left.shift());
+                }
+                treble = stack(order, rootMidi - 12);
+                break;
+            }
+            case 'spread':
+                treble = stack(ascending(pickFour(true)), rootMidi).map((n, i) => (i % 2 ? n + 12 : n));
+                break;
+            case 'pop':
+                treble = stack(rel.slice().sort((a, b) => a - b), rootMidi);
+                if (!chord.bassNote && !chord.inversion && fifth != null) {
+                    styledBass = [bass[0], bass[0] + fifth, bass[0] + 12];
+                }
+                break;
+            default:
+                return { bass, treble: notes.slice(3) };
+        }
+        treble.sort((a, b) => a - b);
+        if (chord.inversion && style !== 'drop2' && style !== 'drop3') {
+            const lift = chord.inversion % treble.length;
+            treble = treble.map((n, i) => (i < lift ? n + 12 : n));
+        }
+        return { bass: styledBass, treble: place(treble) };
+    }
+
+    /**
+     * Voice-lead the treble part of a chord from the previous one. Each pitch class of trebleNotes gets one pitch in
+     * [low, high] (the inversion and octave are free), choosing the voicing with the least total semitone motion from
+     * previous; common tones held at the same pitch score a little better, and wide spreads a little worse.
+     * Without a previous voicing the template voicing is moved by octaves to sit around the middle of the range.
+     * @param {number[]} trebleNotes - treble MIDI notes of the chord (e.g. chordToMIDINotes(chord).slice(3))
+     * @param {number[]|null} previous - treble MIDI notes that sounded before, or null for the first chord
+     * @param {{ low?: number, high?: number, above?: number }} range - register as MIDI notes, widened to at least an
+     *   octave; above (the bass part's top note) raises low past it so the parts never share or cross notes
+     * @returns {number[]} sorted MIDI notes
+     */
+    voiceLeadTreble(trebleNotes, previous, { low = 55, high = 79, above = null } = {}) {
+        const notes = (trebleNotes || []).filter((n) => typeof n === 'number' && isFinite(n));
+        if (!notes.length) return [];
+        if (typeof above === 'number' && isFinite(above)) low = Math.max(low, above + 1);
+        if (high - low < 11) high = low + 11;
+        const pcOf = (n) => ((Math.round(n) % 12) + 12) % 12;
+        const fold = (n) => {
+            while (n < low) n += 12;
+            while (n > high) n -= 12;
+            return n;
+        };
+        const prev = Array.isArray(previous) ? previous.filter((n) => typeof n === 'number' && isFinite(n)).sort((a, b) => a - b) : [];
+        const pcs = [];
+        notes.forEach((n) => { if (!pcs.includes(pcOf(n))) pcs.push(pcOf(n)); });
+
+        if (!prev.length || pcs.length > 7) {
+            // Whole-octave moves keep the template spacing; centre on the previous chord if there was one
+            const center = prev.length ? prev.reduce((a, b) => a + b, 0) / prev.length : (low + high) / 2;
+            let best = notes;
+            let bestCost = Infinity;
+            for (let k = -4; k <= 4; k++) {
+                const moved = notes.map((n) => n + 12 * k);
+                const outside = moved.filter((n) => n < low || n > high).length;
+                const mean = moved.reduce((a, b) => a + b, 0) / moved.length;
+                const cost = outside * 100 + Math.abs(mean - center);
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    best = moved;
+                }
+            }
+            return best.map(fold).filter((n, idx, all) => all.indexOf(n) === idx).sort((a, b) => a - b);
+        }
+
+        const options = pcs.map((pc) => {
+            const out = [];
+            for (let n = low + ((pc - low) % 12 + 12) % 12; n <= high; n += 12) out.push(n);
+            return out;
+        });
+        const motion = (voicing) => {
+            if (voicing.length === prev.length) {
+                return voicing.reduce((sum, n, i) => sum + Math.abs(n - prev[i]), 0);
+            }
+            const nearest = (n, set) => Math.min.apply(null, set.map((m) => Math.abs(n - m)));
+            return voicing.reduce((sum, n) => sum + nearest(n, prev), 0) + prev.reduce((sum, p) => sum + nearest(p, voicing), 0);
+        };
+        let best = null;
+        let bestCost = Infinity;
+        const pick = (i, chosen) => {
+            if (i === options.length) {
+                const voicing = chosen.slice().sort((a, b) => a - b);
+                const held = voicing.filter((n) => prev.includes(n)).length;
+                const cost = motion(voicing) - 0.5 * held + 0.1 * (voicing[voicing.length - 1] - voicing[0]);
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    best = voicing;
+                }
+                return;
+            }
+            options[i].forEach((n) => {
+                chosen.push(n);
+                pick(i + 1, chosen);
+                chosen.pop();
+            });
+        };
+        pick(0, []);
+        return best;
+    }
+
+    /**
+     * Put the slash/inversion bass at the bottom of the bass part and, for ^n inversions,
+     * lift the first n chord tones of the treble an octave so the voicing is inverted too.
+     * The lowest note of the template (the -24 root) is replaced, so the bass part keeps its size.
+     */
+    applyInversionAndBass(midiNotes, chord) {
+        const rootIndex = this.noteToIndex[chord.rootNote];
+        const rootMidi = 60 + rootIndex;
+        const tones = this.getStackedChordTones(chord.chordType, chord.intervals);
+        let notes = midiNotes.slice().sort((a, b) => a - b);
+        let bassPc = null;
+        if (chord.inversion && tones.length > 1) {
+            const inv = chord.inversion % tones.length;
+            const lifted = tones.slice(0, inv);
+            notes = notes.map((n) => (n >= rootMidi && n < rootMidi + 12 && lifted.includes(n - rootMidi)) ? n + 12 : n);
+            bassPc = (rootIndex + tones[inv]) % 12;
+        }
+        if (chord.bassNote && this.noteToIndex.hasOwnProperty(chord.bassNote)) {
+            bassPc = this.noteToIndex[chord.bassNote];
+        }
+        if (bassPc == null || notes.length === 0) return notes;
+        notes.sort((a, b) => a - b);
+        const lowest = notes[0];
+        let bassMidi = lowest - (((lowest - bassPc) % 12) + 12) % 12;
+        if (lowest - bassMidi > 6) bassMidi += 12;
+        notes[0] = bassMidi;
+        return notes;
+    }
 }
 
 if (typeof window !== 'undefined') {
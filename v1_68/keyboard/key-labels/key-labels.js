@@ -12,7 +12,7 @@
         showOnlyWhenPressed: true, // Default: only show when pressed
         alwaysVisible: false, // Alternative: always show labels
         showNone: false, // If true, labels never shown (Visibility Mode: Show None)
-        blackKeyLabelMode: 'both', // Options: 'sharp', 'flat', 'both' - Default: both
+        blackKeyLabelMode: 'both', // Options: 'sharp', 'flat', 'both', 'key' (follow the chord row's key) - Default: both
         labelDisplayMode: 'tags', // 'stickers' = texture labels only, 'tags' = div labels only, 'both'
         labelFormat: 'noteOnly' // 'withOctave' = A3, B2, C1; 'noteOnly' = A, B, C (default)
     };
@@ -296,11 +296,28 @@
         });
     };
     
+    // Spelling engine for the 'key' mode (created on first use; core.js loads after this module)
+    var spellingEngine = null;
+
+    /**
+     * Name a black key for the focused chord row's key (ChordEngine.spellPitchClass: B♭ in F, A# in B)
+     * @param {string} sharpName - Sharp name of the key (e.g., "A#")
+     * @returns {string|null} - Label text, or null when there is no chord row key to follow
+     */
+    function getKeySpelledBlackKeyName(sharpName) {
+        if (!spellingEngine && typeof window.ChordEngine === 'function' && window.NOTE_TO_INDEX) {
+            spellingEngine = new window.ChordEngine({ noteToIndex: window.NOTE_TO_INDEX, chordIntervals: window.CHORD_INTERVALS });
+        }
+        const key = typeof window.ccGetSpellingKey === 'function' ? window.ccGetSpellingKey() : null;
+        if (!spellingEngine || !key) return null;
+        return spellingEngine.spellPitchClass(spellingEngine.noteToIndex[sharpName], { key: key }).replace('b', '♭');
+    }
+
     /**
      * Get black key label text based on mode
      * @param {string} currentNote - Current white key note (e.g., "C4")
      * @param {string} nextNote - Next white key note (e.g., "D4")
-     * @param {string} mode - 'sharp', 'flat', or 'both'
+     * @param {string} mode - 'sharp', 'flat', 'both', or 'key' (sharp or flat for the chord row's key)
      * @returns {string} - Label text
      */
     window.getBlackKeyLabelText = function(currentNote, nextNote, mode) {
@@ -328,7 +345,11 @@
         const sharp = sharpMap[note1Letter];
         const flat = flatMap[note2Letter];
         
-        if (mode === 'sharp') {
+        const keySpelled = mode === 'key' && sharp ? getKeySpelledBlackKeyName(sharp) : null;
+        
+        if (keySpelled) {
+            return keySpelled;
+        } else if (mode === 'sharp') {
             return sharp || '';
         } else if (mode === 'flat') {
             return flat || '';
@@ -563,6 +563,7 @@
                                 <option value="both" selected>Show Both (Sharp/Flat)</option>
                                 <option value="sharp">Show Sharp Only</option>
                                 <option value="flat">Show Flat Only</option>
+                                <option value="key">Follow Chord Key</option>
                             </select>
                         </label>
                     </div>
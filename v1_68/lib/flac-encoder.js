@@ -0,0 +1,398 @@
+/**
+ * FLAC Encoder — lossless FLAC writer in plain JS for audio export (16- or 24-bit integer samples).
+ * Fixed-block frames of 4096 samples; each channel picks the smallest of constant, fixed predictor (order 0–4 with
+ * partitioned Rice residuals) or verbatim, and stereo picks the smallest of left/right, left/side, side/right and
+ * mid/side. No LPC, so files are a little larger than the reference encoder's, but every FLAC decoder reads them.
+ * Frames are added in chunks (encoder.addFrames), so the caller can yield between chunks and report progress.
+ */
+(function (global) {
+    'use strict';
+
+    const FLAC_BLOCK_SIZE = 4096;
+    const FLAC_MAX_FIXED_ORDER = 4;
+    const FLAC_MAX_PARTITION_ORDER = 8;
+    const FLAC_MAX_RICE_PARAM = 14;
+    const FLAC_SAMPLE_RATE_CODES = { 88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11 };
+    const FLAC_SAMPLE_SIZE_CODES = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6 };
+
+    let crc8Table = null;
+    let crc16Table = null;
+
+    function getCrcTables() {
+        if (crc8Table) return;
+        crc8Table = new Uint8Array(256);
+        crc16Table = new Uint16Array(256);
+        for (let n = 0; n < 256; n += 1) {
+            let c8 = n;
+            let c16 = n << 8;
+            for (let k = 0; k < 8; k += 1) {
+                c8 = (c8 & 0x80) ? ((c8 << 1) ^ 0x07) & 0xff : (c8 << 1) & 0xff;
+                c16 = (c16 & 0x8000) ? ((c16 << 1) ^ 0x8005) & 0xffff : (c16 << 1) & 0xffff;
+            }
+            crc8Table[n] = c8;
+            crc16Table[n] = c16;
+        }
+    }
+
+    function crc8(bytes, start, end) {
+        let crc = 0;
+        for (let i = start; i < end; i += 1) crc = crc8Table[crc ^ bytes[i]];
+        return crc;
+    }
+
+    function crc16(bytes, start, end) {
+        let crc = 0;
+        for (let i = start; i < end; i += 1) crc = ((crc << 8) & 0xffff) ^ crc16Table[(crc >> 8) ^ bytes[i]];
+        return crc;
+    }
+
+    /** MSB-first bit writer over a growable byte array. */
+    function BitWriter(capacity) {
+        this.bytes = new Uint8Array(capacity || 65536);
+        this.pos = 0;
+        this.cur = 0;
+        this.bitCount = 0;
+    }
+
+    BitWriter.prototype.reset = function () {
+        this.pos = 0;
+        this.cur = 0;
+        this.bitCount = 0;
+    };
+
+    BitWriter.prototype.pushByte = function (b) {
+        if (this.pos >= this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.pos] = b;
+        this.pos += 1;
+    };
+
+    /** Write the low n bits (n ≤ 32) of value, most significant first. */
+    BitWriter.prototype.write = function (value, n) {
+        while (n > 0) {
+            const space = 8 - this.bitCount;
+            const take = n < space ? n : space;
+            const shift = n - take;
+            const bits = (value >>> shift) & ((1 << take) - 1);
+            this.cur = (this.cur << take) | bits;
+            this.bitCount += take;
+            n -= take;
+            if (this.bitCount === 8) {
+                this.pushByte(this.cur);
+                this.cur = 0;
+                this.bitCount = 0;
+            }
+        }
+    };
+
+    /** q zero bits then a one. */
+    BitWriter.prototype.writeUnary = function (q) {
+        while (q >= 8 && this.bitCount === 0) {
+            this.pushByte(0);
+            q -= 8;
+        }
+        while (q > 0) {
+            const take = Math.min(q, 8 - this.bitCount);
+            this.write(0, take);
+            q -= take;
+        }
+        this.write(1, 1);
+    };
+
+    BitWriter.prototype.alignToByte = function () {
+        if (this.bitCount > 0) this.write(0, 8 - this.bitCount);
+    };
+
+    /** Frame number in FLAC's UTF-8-style variable-length coding. */
+    function writeUtf8Number(writer, value) {
+        if (value < 0x80) {
+            writer.write(value, 8);
+            return;
+        }
+        let extra = 1;
+        while (value >= Math.pow(2, 6 + 5 * extra) && extra < 6) extra += 1;
+        const lead = (0xff << (7 - extra)) & 0xff;
+        writer.write(lead | Math.floor(value / Math.pow(2, 6 * extra)), 8);
+        for (let i = extra - 1; i >= 0; i -= 1) {
+            writer.write(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3f), 8);
+        }
+    }
+
+    /** Residual of the fixed predictor of the given order (0–4), from sample index `order` on. */
+    function fixedResidual(samples, n, order, out) {
+        for (let i = order; i < n; i += 1) {
+            const s = samples[i];
+            switch (order) {
+                case 0: out[i] = s; break;
+                case 1: out[i] = s - samples[i - 1]; break;
+                case 2: out[i] = s - 2 * samples[i - 1] + samples[i - 2]; break;
+                case 3: out[i] = s - 3 * samples[i - 1] + 3 * samples[i - 2] - samples[i - 3]; break;
+                default: out[i] = s - 4 * samples[i - 1] + 6 * samples[i - 2] - 4 * samples[i - 3] + samples[i - 4]; break;
+            }
+        }
+    }
+
+    function riceBitsFor(count, sum, k) {
+        return count * (k + 1) + Math.floor(sum / Math.pow(2, k));
+    }
+
+    /** Best Rice parameter for a partition from its count and sum of folded residuals. */
+    function bestRiceParam(count, sum) {
+        let bestK = 0;
+        let bestBits = riceBitsFor(count, sum, 0);
+        for (let k = 1; k <= FLAC_MAX_RICE_PARAM; k += 1) {
+            const bits = riceBitsFor(count, sum, k);
+            if (bits < bestBits) {
+                bestBits = bits;
+                bestK = k;
+            }
+        }
+        return { k: bestK, bits: bestBits };
+    }
+
+    /**
+     * Pick the Rice partition order and parameters for residual[order..n). Returns { bits, partitionOrder, params }.
+     */
+    function planResidual(residual, n, order) {
+        let maxP = 0;
+        while (maxP < FLAC_MAX_PARTITION_ORDER && (n % (1 << (maxP + 1))) === 0 && (n >> (maxP + 1)) > order) maxP += 1;
+        // Folded sums of the finest partitions, merged pairwise for coarser orders
+        const finest = 1 << maxP;
+        const partLen = n >> maxP;
+        let sums = new Float64Array(finest);
+        for (let p = 0; p < finest; p += 1) {
+            let sum = 0;
+            const start = p === 0 ? order : p * partLen;
+            const end = (p + 1) * partLen;
+            for (let i = start; i < end; i += 1) {
+                const v = residual[i];
+                sum += v >= 0 ? 2 * v : -2 * v - 1;
+            }
+            sums[p] = sum;
+        }
+        let best = null;
+        for (let po = maxP; po >= 0; po -= 1) {
+            const parts = 1 << po;
+            const len = n >> po;
+            let bits = 6;
+            const params = new Array(parts);
+            for (let p = 0; p < parts; p += 1) {
+                const count = p === 0 ? len - order : len;
+                const rice = bestRiceParam(count, sums[p]);
+                params[p] = rice.k;
+                bits += 4 + rice.bits;
+            }
+            if (!best || bits < best.bits) best = { bits: bits, partitionOrder: po, params: params };
+            if (po > 0) {
+                const merged = new Float64Array(parts >> 1);
+                for (let p = 0; p < merged.length; p += 1) merged[p] = sums[2 * p] + sums[2 * p + 1];
+                sums = merged;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Smallest subframe for one channel block. Returns { bits, type: 'constant' | 'verbatim' | 'fixed', order,
+     * residual, plan }.
+     */
+    function planSubframe(samples, n, bps, scratch) {
+        let constant = true;
+        for (let i = 1; i < n; i += 1) {
+            if (samples[i] !== samples[0]) {
+                constant = false;
+                break;
+            }
+        }
+        if (constant) return { bits: 8 + bps, type: 'constant' };
+        let best = { bits: 8 + n * bps, type: 'verbatim' };
+        const maxOrder = Math.min(FLAC_MAX_FIXED_ORDER, n - 1);
+        for (let order = 0; order <= maxOrder; order += 1) {
+            const residual = scratch[order];
+            fixedResidual(samples, n, order, residual);
+            const plan = planResidual(residual, n, order);
+            const bits = 8 + order * bps + plan.bits;
+            if (bits < best.bits) best = { bits: bits, type: 'fixed', order: order, residual: residual, plan: plan };
+        }
+        return best;
+    }
+
+    function writeSubframe(writer, samples, n, bps, sub) {
+        if (sub.type === 'constant') {
+            writer.write(0, 8);
+            writer.write(samples[0], bps);
+            return;
+        }
+        if (sub.type === 'verbatim') {
+            writer.write(0x02, 8);
+            for (let i = 0; i < n; i += 1) writer.write(samples[i], bps);
+            return;
+        }
+        writer.write((0x08 | sub.order) << 1, 8);
+        for (let i = 0; i < sub.order; i += 1) writer.write(samples[i], bps);
+        const plan = sub.plan;
+        writer.write(0, 2);
+        writer.write(plan.partitionOrder, 4);
+        const parts = 1 << plan.partitionOrder;
+        const len = n >> plan.partitionOrder;
+        for (let p = 0; p < parts; p += 1) {
+            const k = plan.params[p];
+            const mask = (1 << k) - 1;
+            writer.write(k, 4);
+            const start = p === 0 ? sub.order : p * len;
+            const end = (p + 1) * len;
+            for (let i = start; i < end; i += 1) {
+                const v = sub.residual[i];
+                const u = v >= 0 ? 2 * v : -2 * v - 1;
+                writer.writeUnary(Math.floor(u / (mask + 1)));
+                if (k > 0) writer.write(u & mask, k);
+            }
+        }
+    }
+
+    /**
+     * Streaming FLAC encoder. Feed integer channels (Int32Array per channel, already quantized to
+     * bitDepth) with addFrames, then call finish for the file.
+     * @param {{ sampleRate: number, channels: number, bitDepth: 16|24, totalFrames: number }} config
+     * @returns {{ addFrames: function(Array<Int32Array>, number, number), finish: function(): Blob }}
+     */
+    function createEncoder(config) {
+        const sampleRate = config.sampleRate;
+        const numChannels = config.channels;
+        const bitDepth = config.bitDepth;
+        const totalFrames = config.totalFrames;
+        if (!FLAC_SAMPLE_SIZE_CODES[bitDepth]) throw new Error('FLAC export supports 16- or 24-bit only.');
+        if (numChannels < 1 || numChannels > 8) throw new Error('FLAC export supports 1–8 channels.');
+        if (!(sampleRate > 0 && sampleRate < 655350)) throw new Error('FLAC export: unsupported sample rate ' + sampleRate + '.');
+        getCrcTables();
+
+        const parts = [];
+        const writer = new BitWriter(FLAC_BLOCK_SIZE * numChannels * 4 + 64);
+        const pending = Array.from({ length: numChannels }, function () { return new Int32Array(FLAC_BLOCK_SIZE); });
+        const side = new Int32Array(FLAC_BLOCK_SIZE);
+        const mid = new Int32Array(FLAC_BLOCK_SIZE);
+        const scratchSets = Array.from({ length: 4 }, function () {
+            return Array.from({ length: FLAC_MAX_FIXED_ORDER + 1 }, function () { return new Int32Array(FLAC_BLOCK_SIZE); });
+        });
+        let pendingCount = 0;
+        let frameNumber = 0;
+        let minFrameSize = 0;
+        let maxFrameSize = 0;
+        // Rates without a header code (0) are read from STREAMINFO
+        const rateCode = FLAC_SAMPLE_RATE_CODES[sampleRate] || 0;
+
+        function encodeFrame(n) {
+            writer.reset();
+            const subframes = [];
+            let assignment = numChannels - 1;
+            let channelData = pending;
+            let channelBps = [];
+            for (let c = 0; c < numChannels; c += 1) channelBps.push(bitDepth);
+            if (numChannels === 2) {
+                const left = pending[0];
+                const right = pending[1];
+                for (let i = 0; i < n; i += 1) {
+                    side[i] = left[i] - right[i];
+                    mid[i] = (left[i] + right[i]) >> 1;
+                }
+                const l = planSubframe(left, n, bitDepth, scratchSets[0]);
+                const r = planSubframe(right, n, bitDepth, scratchSets[1]);
+                const s = planSubframe(side, n, bitDepth + 1, scratchSets[2]);
+                const m = planSubframe(mid, n, bitDepth, scratchSets[3]);
+                const options = [
+                    { assignment: 1, data: [left, right], bps: [bitDepth, bitDepth], subs: [l, r] },
+                    { assignment: 8, data: [left, side], bps: [bitDepth, bitDepth + 1], subs: [l, s] },
+                    { assignment: 9, data: [side, right], bps: [bitDepth + 1, bitDepth], subs: [s, r] },
+                    { assignment: 10, data: [mid, side], bps: [bitDepth, bitDepth + 1], subs: [m, s] }
+                ];
+                let best = options[0];
+                options.forEach(function (opt) {
+                    if (opt.subs[0].bits + opt.subs[1].bits < best.subs[0].bits + best.subs[1].bits) best = opt;
+                });
+                assignment = best.assignment;
+                channelData = best.data;
+                channelBps = best.bps;
+                subframes.push(best.subs[0], best.subs[1]);
+            } else {
+                for (let c = 0; c < numChannels; c += 1) {
+                    subframes.push(planSubframe(pending[c], n, bitDepth, scratchSets[c % 4]));
+                }
+            }
+
+            const shortBlock = n !== FLAC_BLOCK_SIZE;
+            writer.write(0xfff8, 16);
+            writer.write(shortBlock ? 7 : 12, 4);
+            writer.write(rateCode, 4);
+            writer.write(assignment, 4);
+            writer.write(FLAC_SAMPLE_SIZE_CODES[bitDepth], 3);
+            writer.write(0, 1);
+            writeUtf8Number(writer, frameNumber);
+            if (shortBlock) writer.write(n - 1, 16);
+            writer.write(crc8(writer.bytes, 0, writer.pos), 8);
+            for (let c = 0; c < subframes.length; c += 1) {
+                writeSubframe(writer, channelData[c], n, channelBps[c], subframes[c]);
+            }
+            writer.alignToByte();
+            writer.write(crc16(writer.bytes, 0, writer.pos), 16);
+
+            const size = writer.pos;
+            parts.push(writer.bytes.slice(0, size));
+            if (!minFrameSize || size < minFrameSize) minFrameSize = size;
+            if (size > maxFrameSize) maxFrameSize = size;
+            frameNumber += 1;
+        }
+
+        function addFrames(channels, start, end) {
+            for (let i = start; i < end; i += 1) {
+                for (let c = 0; c < numChannels; c += 1) pending[c][pendingCount] = channels[c][i];
+                pendingCount += 1;
+                if (pendingCount === FLAC_BLOCK_SIZE) {
+                    encodeFrame(pendingCount);
+                    pendingCount = 0;
+                }
+            }
+        }
+
+        function finish() {
+            if (pendingCount > 0) {
+                encodeFrame(pendingCount);
+                pendingCount = 0;
+            }
+            const header = new BitWriter(42);
+            header.write(0x664c6143, 32);
+            header.write(1, 1);
+            header.write(0, 7);
+            header.write(34, 24);
+            const blockSize = totalFrames > 0 && totalFrames < FLAC_BLOCK_SIZE ? Math.max(16, totalFrames) : FLAC_BLOCK_SIZE;
+            header.write(blockSize, 16);
+            header.write(blockSize, 16);
+            header.write(minFrameSize, 24);
+            header.write(maxFrameSize, 24);
+            header.write(sampleRate, 20);
+            header.write(numChannels - 1, 3);
+            header.write(bitDepth - 1, 5);
+            header.write(Math.floor(totalFrames / 0x100000000) & 0xf, 4);
+            header.write(totalFrames >>> 0, 32);
+            // MD5 of the audio left unset (all zero), which the format allows
+            for (let i = 0; i < 16; i += 1) header.write(0, 8);
+            return new Blob([header.bytes.slice(0, header.pos)].concat(parts), { type: 'audio/flac' });
+        }
+
+        return { addFrames: addFrames, finish: finish };
+    }
+
+    const FlacEncoder = {
+        createEncoder: createEncoder,
+        BLOCK_SIZE: FLAC_BLOCK_SIZE
+    };
+
+    if (typeof global !== 'undefined') {
+        global.FlacEncoder = FlacEncoder;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FlacEncoder;
+    }
+})(typeof window !== 'undefined' ? window : this);
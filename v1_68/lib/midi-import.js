@@ -0,0 +1,499 @@
+/**
+ * MIDI Import — read a Standard MIDI File (type 0 or 1) back into chord rows.
+ * parseMidiFile reads the same event model lib/jsmidgen.js writes (note on/off, tempo, time signature, key signature,
+ * track name and marker meta events) into notes with absolute ticks plus the tempo, meter and key maps. groupChords
+ * then slices the notes per bar or per detected harmonic rhythm, names each slice with ChordEngine.recognizeChord
+ * (spelled in the file's key) and lays the chords out as rows: a new row at each section marker, tempo or meter
+ * change, and every few bars.
+ */
+(function (global) {
+    'use strict';
+
+    const DEFAULT_MPQN = 500000;
+    const DRUM_CHANNEL = 9;
+    /** A note shorter than this share of a slice does not pick the bass (passing notes under a held chord). */
+    const BASS_MIN_SHARE = 0.25;
+    /** Other names within this score of the best are offered as alternatives. */
+    const ALTERNATIVE_SCORE_RANGE = 1.5;
+    const MAX_ALTERNATIVES = 3;
+    /** A tempo change starts a new row only when it holds for this many bars (a ritardando does not split rows). */
+    const TEMPO_ROW_MIN_BARS = 2;
+
+    function getMidiCodes() {
+        const Midi = global.Midi;
+        const ev = (Midi && Midi.Event) || {};
+        const meta = (Midi && Midi.MetaEvent) || {};
+        return {
+            noteOff: ev.NOTE_OFF || 0x80,
+            noteOn: ev.NOTE_ON || 0x90,
+            trackName: meta.TRACK_NAME || 0x03,
+            marker: meta.MARKER || 0x06,
+            endOfTrack: meta.END_OF_TRACK || 0x2f,
+            tempo: meta.TEMPO || 0x51,
+            timeSig: meta.TIME_SIG || 0x58,
+            keySig: meta.KEY_SIG || 0x59
+        };
+    }
+
+    function decodeText(bytes) {
+        if (typeof TextDecoder !== 'undefined') {
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            } catch (e) {
+                // Not UTF-8: older files use Latin-1
+            }
+        }
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 1) out += String.fromCharCode(bytes[i]);
+        return out;
+    }
+
+    /**
+     * Parse a Standard MIDI File. Notes on the drum channel (10) are skipped; note on with velocity 0 is a note off.
+     * @param {ArrayBuffer|Uint8Array} data
+     * @returns {{ format: number, ticksPerBeat: number, tempos: Array<{ tick: number, mpqn: number }>,
+     *   timeSignatures: Array<{ tick: number, numerator: number, denominator: number }>,
+     *   keySignatures: Array<{ tick: number, fifths: number, minor: boolean }>,
+     *   markers: Array<{ tick: number, text: string }>, trackNames: string[],
+     *   notes: Array<{ tick: number, endTick: number, midi: number, velocity: number, channel: number, track: number }>,
+     *   endTick: number }} tempos and timeSignatures are sorted and always start at tick 0; keySignatures are sorted
+     *   and empty when the file has none (fifths: sharps positive, flats negative)
+     */
+    function parseMidiFile(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const codes = getMidiCodes();
+        const chunkId = function (at) { return String.fromCharCode(bytes[at], bytes[at + 1], bytes[at + 2], bytes[at + 3]); };
+        if (bytes.length < 14 || chunkId(0) !== 'MThd') throw new Error('Not a MIDI file (no MThd header).');
+        const headerLength = view.getUint32(4);
+        const format = view.getUint16(8);
+        const trackCount = view.getUint16(10);
+        const division = view.getUint16(12);
+        if (format > 1) throw new Error('Only type 0 and type 1 MIDI files can be imported (this is type ' + format + ').');
+        if (division & 0x8000) throw new Error('MIDI files timed in SMPTE frames cannot be imported.');
+        const ticksPerBeat = division || 480;
+
+        const tempos = [];
+        const timeSignatures = [];
+        const keySignatures = [];
+        const markers = [];
+        const trackNames = [];
+        const notes = [];
+        let endTick = 0;
+        let at = 8 + headerLength;
+        let track = 0;
+        while (at + 8 <= bytes.length && track < trackCount) {
+            const id = chunkId(at);
+            const length = view.getUint32(at + 4);
+            const start = at + 8;
+            const end = Math.min(bytes.length, start + length);
+            at = start + length;
+            if (id !== 'MTrk') continue;
+            let pos = start;
+            let tick = 0;
+            let status = 0;
+            const open = {};
+            const readVlq = function () {
+                let value = 0;
+                for (let n = 0; n < 4 && pos < end; n += 1) {
+                    const b = bytes[pos++];
+                    value = (value * 128) + (b & 0x7f);
+                    if (!(b & 0x80)) break;
+                }
+                return value;
+            };
+            const closeNote = function (channel, midi, atTick) {
+                const list = open[channel * 128 + midi];
+                const note = list && list.shift();
+                if (note) note.endTick = Math.max(atTick, note.tick + 1);
+            };
+            while (pos < end) {
+                tick += readVlq();
+                if (pos >= end) break;
+                let b = bytes[pos];
+                if (b & 0x80) {
+                    pos += 1;
+                    if (b < 0xf0) status = b;
+                } else {
+                    // Running status: the data byte belongs to the previous channel event
+                    if (!status) throw new Error('Corrupt MIDI track ' + (track + 1) + ' (data before any status byte).');
+                    b = status;
+                }
+                if (b === 0xff) {
+                    const type = bytes[pos++];
+                    const len = readVlq();
+                    const payload = bytes.subarray(pos, Math.min(end, pos + len));
+                    pos += len;
+                    if (type === codes.tempo && payload.length >= 3) {
+                        tempos.push({ tick: tick, mpqn: (payload[0] << 16) | (payload[1] << 8) | payload[2] });
+                    } else if (type === codes.timeSig && payload.length >= 2) {
+                        timeSignatures.push({ tick: tick, numerator: payload[0] || 4, denominator: Math.pow(2, payload[1]) });
+                    } else if (type === codes.keySig && payload.length >= 2) {
+                        const fifths = payload[0] > 127 ? payload[0] - 256 : payload[0];
+                        if (fifths >= -7 && fifths <= 7) keySignatures.push({ tick: tick, fifths: fifths, minor: payload[1] === 1 });
+                    } else if (type === codes.marker) {
+                        const text = decodeText(payload).trim();
+                        if (text) markers.push({ tick: tick, text: text });
+                    } else if (type === codes.trackName && trackNames[track] == null) {
+                        trackNames[track] = decodeText(payload).trim();
+                    } else if (type === codes.endOfTrack) {
+                        break;
+                    }
+                    continue;
+                }
+                if (b === 0xf0 || b === 0xf7) {
+                    pos += readVlq();
+                    continue;
+                }
+                const kind = b & 0xf0;
+                const channel = b & 0x0f;
+                const p1 = bytes[pos++];
+                const p2 = (kind === 0xc0 || kind === 0xd0) ? 0 : bytes[pos++];
+                if (channel === DRUM_CHANNEL) continue;
+                if (kind === codes.noteOn && p2 > 0) {
+                    const note = { tick: tick, endTick: null, midi: p1, velocity: p2, channel: channel, track: track };
+                    const key = channel * 128 + p1;
+                    (open[key] = open[key] || []).push(note);
+                    notes.push(note);
+                } else if (kind === codes.noteOff || kind === codes.noteOn) {
+                    closeNote(channel, p1, tick);
+                }
+            }
+            // Notes still held at the end of the track end there
+            notes.forEach(function (n) {
+                if (n.track === track && n.endTick == null) n.endTick = Math.max(tick, n.tick + 1);
+            });
+            track += 1;
+        }
+        notes.forEach(function (n) { endTick = Math.max(endTick, n.endTick); });
+        notes.sort(function (a, b) { return a.tick - b.tick || a.midi - b.midi; });
+        const byTick = function (a, b) { return a.tick - b.tick; };
+        tempos.sort(byTick);
+        timeSignatures.sort(byTick);
+        keySignatures.sort(byTick);
+        markers.sort(byTick);
+        if (!tempos.length || tempos[0].tick > 0) tempos.unshift({ tick: 0, mpqn: DEFAULT_MPQN });
+        if (!timeSignatures.length || timeSignatures[0].tick > 0) timeSignatures.unshift({ tick: 0, numerator: 4, denominator: 4 });
+        return {
+            format: format,
+            ticksPerBeat: ticksPerBeat,
+            tempos: tempos,
+            timeSignatures: timeSignatures,
+            keySignatures: keySignatures,
+            markers: markers,
+            trackNames: trackNames,
+            notes: notes,
+            endTick: endTick
+        };
+    }
+
+    /** Last map entry at or before tick (maps from parseMidiFile start at tick 0). */
+    function entryAt(map, tick) {
+        let found = map[0];
+        for (let i = 1; i < map.length && map[i].tick <= tick; i += 1) found = map[i];
+        return found;
+    }
+
+    /** Seconds from the start of the file to tick, following the tempo map. */
+    function ticksToSeconds(parsed, tick) {
+        let seconds = 0;
+        for (let i = 0; i < parsed.tempos.length; i += 1) {
+            const t = parsed.tempos[i];
+            if (t.tick >= tick) break;
+            const next = i + 1 < parsed.tempos.length ? Math.min(tick, parsed.tempos[i + 1].tick) : tick;
+            seconds += (next - t.tick) * t.mpqn / 1e6 / parsed.ticksPerBeat;
+        }
+        return seconds;
+    }
+
+    function bpmAt(parsed, tick) {
+        return Math.round(60e6 / entryAt(parsed.tempos, tick).mpqn);
+    }
+
+    /**
+     * Major key root (the relative major of a minor key) of the key signature in force at tick, spelled as the
+     * signature is (Bb for two flats, F# for six sharps); the first signature covers ticks before it. null when the
+     * file has none.
+     */
+    function keySignatureRootAt(parsed, engine, tick) {
+        if (!parsed.keySignatures.length) return null;
+        const fifths = entryAt(parsed.keySignatures, tick).fifths;
+        return engine.pitchClassName(((fifths * 7) % 12 + 12) % 12, fifths < 0);
+    }
+
+    /** Major key root that covers most of the file's chords (ChordEngine.analyzeHarmony over one chord per bar), or null. */
+    function detectKeyRoot(parsed, engine, bars) {
+        if (typeof engine.analyzeHarmony !== 'function') return null;
+        const symbols = [];
+        bars.forEach(function (bar) {
+            const best = recognizeSpan(parsed, engine, bar.start, bar.end, null)[0];
+            if (best) symbols.push(best.symbol);
+        });
+        const analysis = engine.analyzeHarmony(symbols);
+        if (!analysis.keys.length) return null;
+        const counts = analysis.keys.map(function (k, i) {
+            return analysis.chords.filter(function (c) { return c.keyIndex === i; }).length;
+        });
+        return analysis.keys[counts.indexOf(Math.max.apply(null, counts))].majorRoot;
+    }
+
+    /** Bars up to the last note; a time signature that lands mid-bar cuts that bar short. */
+    function buildBars(parsed) {
+        const bars = [];
+        const tpb = parsed.ticksPerBeat;
+        let tick = 0;
+        while (tick < parsed.endTick || !bars.length) {
+            const sig = entryAt(parsed.timeSignatures, tick);
+            const nextSig = parsed.timeSignatures.find(function (s) { return s.tick > tick; });
+            let end = tick + Math.max(1, Math.round(tpb * 4 * sig.numerator / sig.denominator));
+            if (nextSig && nextSig.tick < end) end = nextSig.tick;
+            bars.push({ start: tick, end: end, numerator: sig.numerator, denominator: sig.denominator });
+            tick = end;
+        }
+        return bars;
+    }
+
+    /**
+     * Name the notes sounding in [start, end), spelled for key (a major root; null = sharps): each note weighs by how
+     * long it sounds there; the bass is the lowest note held for a fair share of the slice.
+     * @returns {Array<Object>} recognizeChord candidates, best first ([] when fewer than two pitch classes sound)
+     */
+    function recognizeSpan(parsed, engine, start, end, key, info) {
+        const span = end - start;
+        const sounding = [];
+        parsed.notes.forEach(function (n) {
+            if (n.tick >= end || n.endTick <= start) return;
+            sounding.push({ midi: n.midi, weight: Math.min(end, n.endTick) - Math.max(start, n.tick) });
+        });
+        if (!sounding.length) return [];
+        const held = sounding.filter(function (n) { return n.weight >= span * BASS_MIN_SHARE; });
+        const bass = Math.min.apply(null, (held.length ? held : sounding).map(function (n) { return n.midi; }));
+        const notes = sounding.filter(function (n) { return n.midi >= bass; });
+        if (info) {
+            const weights = new Array(12).fill(0);
+            notes.forEach(function (n) { weights[n.midi % 12] += n.weight; });
+            const max = Math.max.apply(null, weights);
+            info.pcs = [];
+            weights.forEach(function (w, pc) { if (w > 0 && w >= max * 0.2) info.pcs.push(pc); });
+            info.bass = bass % 12;
+        }
+        return engine.recognizeChord(notes, { key: key });
+    }
+
+    /** Same chord? Compares root, type and bass by pitch class, so a marker spelled Bbm7 matches A#m7. */
+    function sameChord(engine, a, b) {
+        const pa = engine.parseChord(a);
+        const pb = engine.parseChord(b);
+        if (!pa || !pb) return false;
+        const pc = function (name) { return name ? engine.noteToIndex[name] : null; };
+        return pc(pa.rootNote) === pc(pb.rootNote) && pa.chordType === pb.chordType && pc(pa.bassNote) === pc(pb.bassNote);
+    }
+
+    /**
+     * Chord for one slice: the best name plus the close runners-up. A chord marker at the slice start (chordcanvas song
+     * MIDI writes one per chord) wins when it names one of the candidates, keeping its spelling.
+     * @returns {{ symbol: string, alternatives: string[] }|null}
+     */
+    function nameSpan(parsed, engine, start, end, key, chordMarkers) {
+        const candidates = recognizeSpan(parsed, engine, start, end, key);
+        if (!candidates.length) return null;
+        const close = candidates.filter(function (c) { return c.score >= candidates[0].score - ALTERNATIVE_SCORE_RANGE; });
+        let symbol = close[0].symbol;
+        const marker = chordMarkers.find(function (m) { return m.tick === start; });
+        if (marker && candidates.some(function (c) { return sameChord(engine, c.symbol, marker.text); })) symbol = marker.text;
+        return {
+            symbol: symbol,
+            alternatives: close
+                .filter(function (c) { return !sameChord(engine, c.symbol, symbol); })
+                .slice(0, MAX_ALTERNATIVES)
+                .map(function (c) { return c.symbol; })
+        };
+    }
+
+    /** Harmonic rhythm step: a beat (dotted quarter in 6/8, 9/8, 12/8). */
+    function stepTicks(parsed, bar) {
+        const unit = parsed.ticksPerBeat * 4 / bar.denominator;
+        const compound = bar.denominator >= 8 && bar.numerator > 3 && bar.numerator % 3 === 0;
+        return Math.max(1, Math.round(unit * (compound ? 3 : 1)));
+    }
+
+    /**
+     * Slices [{ start, end }] for a run of bars: one per bar, or one per beat merged while the harmony holds.
+     * keyAt(tick) gives the key beats are named in.
+     */
+    function sliceBars(parsed, engine, bars, mode, keyAt) {
+        const slices = [];
+        if (mode !== 'harmonic') {
+            bars.forEach(function (bar) { slices.push({ start: bar.start, end: bar.end }); });
+            return slices;
+        }
+        let current = null;
+        bars.forEach(function (bar) {
+            const step = stepTicks(parsed, bar);
+            for (let t = bar.start; t < bar.end; t += step) {
+                const end = Math.min(bar.end, t + step);
+                const info = { pcs: [], bass: null };
+                const best = recognizeSpan(parsed, engine, t, end, keyAt(t), info)[0];
+                // Stay on the chord through rests, melody notes inside it over the same bass and beats that name the same chord
+                const holds = current && (!info.pcs.length
+                    || (info.bass === current.bass && info.pcs.every(function (pc) { return current.pcs.indexOf(pc) !== -1; }))
+                    || (!best && info.pcs.length < 2)
+                    || (best && best.symbol === current.symbol));
+                if (holds) {
+                    current.end = end;
+                    continue;
+                }
+                current = { start: t, end: end, pcs: info.pcs, bass: info.bass, symbol: best ? best.symbol : null };
+                slices.push(current);
+            }
+        });
+        return slices;
+    }
+
+    function formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /** Chord token with its length: bare for one bar, *n for whole bars, :beats otherwise (beats are quarter notes). */
+    function formatToken(symbol, beats, barBeats) {
+        const bars = beats / barBeats;
+        if (Math.abs(bars - 1) < 1e-6) return symbol;
+        if (Math.abs(bars - Math.round(bars)) < 1e-6 && bars <= 32) return symbol + '*' + Math.round(bars);
+        return symbol + ':' + formatNumber(Math.min(128, beats));
+    }
+
+    /**
+     * Turn parsed MIDI into chord rows.
+     * @param {Object} parsed - from parseMidiFile
+     * @param {Object} options - engine (ChordEngine), mode ('bar' | 'harmonic'), meters (meters a row can use, e.g.
+     *   ['4/4', '3/4']; others import as 4/4 with lengths in beats), maxBarsPerRow (8), maxChars (120), maxRows (10)
+     * @returns {{ rows: Array<{ text: string, bpm: number, meter: string, name: string, key: string|null,
+     *   chords: Array<{ symbol: string, alternatives: string[] }> }>, warnings: string[] }} chords are spelled in the
+     *   file's key signature, or in the key detected from its chords when it has none; key = the key signature's major
+     *   root at the row's first bar (null without one)
+     */
+    function groupChords(parsed, options) {
+        const opts = options || {};
+        const engine = opts.engine;
+        if (!engine || typeof engine.recognizeChord !== 'function') throw new Error('MIDI import needs the chord engine.');
+        if (!parsed.notes.length) throw new Error('This MIDI file has no notes (drum tracks are skipped).');
+        const meters = opts.meters || ['4/4'];
+        const maxBarsPerRow = opts.maxBarsPerRow || 8;
+        const maxChars = opts.maxChars || 120;
+        const maxRows = opts.maxRows || 10;
+        const tpb = parsed.ticksPerBeat;
+        const warnings = [];
+
+        // Markers that read as chords name chords; other markers (Verse, Chorus) name rows
+        const chordMarkers = [];
+        const sectionMarkers = [];
+        parsed.markers.forEach(function (m) {
+            (engine.parseChord(m.text) ? chordMarkers : sectionMarkers).push(m);
+        });
+
+        const bars = buildBars(parsed);
+        const barBpms = bars.map(function (bar) { return bpmAt(parsed, bar.start); });
+        const detectedKey = parsed.keySignatures.length ? null : detectKeyRoot(parsed, engine, bars);
+        const keyAt = function (tick) {
+            return detectedKey || keySignatureRootAt(parsed, engine, tick);
+        };
+        // Leading empty bars (count-in) are dropped
+        let first = 0;
+        while (first < bars.length - 1 && !parsed.notes.some(function (n) { return n.tick < bars[first].end; })) first += 1;
+
+        const runs = [];
+        let run = null;
+        for (let i = first; i < bars.length; i += 1) {
+            const bar = bars[i];
+            const section = sectionMarkers.find(function (m) { return m.tick >= bar.start && m.tick < bar.end; });
+            const meterChanged = run && (bar.numerator !== run.numerator || bar.denominator !== run.denominator);
+            const tempoHolds = barBpms.slice(i, i + TEMPO_ROW_MIN_BARS).every(function (b) { return b === barBpms[i]; });
+            const tempoChanged = run && barBpms[i] !== run.bpm && tempoHolds;
+            if (!run || section || meterChanged || tempoChanged || run.bars.length >= maxBarsPerRow) {
+                run = { bars: [], bpm: barBpms[i], numerator: bar.numerator, denominator: bar.denominator, name: '' };
+                runs.push(run);
+            }
+            // Our own song MIDI writes "Row 3" for unnamed rows
+            if (section && !/^Row \d+$/.test(section.text)) run.name = section.text;
+            run.bars.push(bar);
+        }
+
+        let lastSymbol = null;
+        let unsupportedMeter = '';
+        const buildRow = function (r) {
+            let meter = r.numerator + '/' + r.denominator;
+            if (meters.indexOf(meter) === -1) {
+                unsupportedMeter = unsupportedMeter || meter;
+                meter = '4/4';
+            }
+            const parts = meter.split('/');
+            const barBeats = 4 * parseInt(parts[0], 10) / parseInt(parts[1], 10);
+            const chords = [];
+            sliceBars(parsed, engine, r.bars, opts.mode, keyAt).forEach(function (slice) {
+                const named = nameSpan(parsed, engine, slice.start, slice.end, keyAt(slice.start), chordMarkers);
+                const beats = (slice.end - slice.start) / tpb;
+                const prev = chords[chords.length - 1];
+                // Unnameable slices (rests, a lone melody note) and repeats extend the chord before
+                if (prev && (!named || named.symbol === prev.symbol)) {
+                    prev.beats += beats;
+                    return;
+                }
+                if (!named && !lastSymbol) return;
+                const chord = named || { symbol: lastSymbol, alternatives: [] };
+                chords.push({ symbol: chord.symbol, alternatives: chord.alternatives, beats: beats });
+                lastSymbol = chord.symbol;
+            });
+            const text = chords.map(function (c) { return formatToken(c.symbol, c.beats, barBeats); }).join(', ');
+            return {
+                text: text,
+                bpm: r.bpm,
+                meter: meter,
+                name: r.name,
+                key: keySignatureRootAt(parsed, engine, r.bars[0].start),
+                chords: chords.map(function (c) { return { symbol: c.symbol, alternatives: c.alternatives }; })
+            };
+        };
+
+        const rows = [];
+        const addRun = function (r) {
+            const saved = lastSymbol;
+            const row = buildRow(r);
+            if (row.text.length > maxChars && r.bars.length > 1) {
+                // Too long for one chord box: split the bars in half
+                lastSymbol = saved;
+                const half = Math.ceil(r.bars.length / 2);
+                addRun(Object.assign({}, r, { bars: r.bars.slice(0, half) }));
+                addRun(Object.assign({}, r, { bars: r.bars.slice(half), name: '' }));
+                return;
+            }
+            if (row.text.length > maxChars) {
+                warnings.push('A bar with many chord changes was cut to fit a row.');
+                row.text = row.text.slice(0, maxChars).replace(/,[^,]*$/, '');
+                row.chords = row.chords.slice(0, row.text.split(',').length);
+            }
+            if (row.text) rows.push(row);
+        };
+        runs.forEach(addRun);
+
+        if (!rows.length) throw new Error('No chords found: the notes never sound two pitches at once.');
+        if (unsupportedMeter) warnings.push(unsupportedMeter + ' imported as 4/4 (chord lengths keep the timing).');
+        if (rows.length > maxRows) {
+            warnings.push('Only the first ' + maxRows + ' of ' + rows.length + ' rows were imported.');
+            rows.length = maxRows;
+        }
+        return { rows: rows, warnings: warnings };
+    }
+
+    const MidiImport = {
+        parseMidiFile: parseMidiFile,
+        ticksToSeconds: ticksToSeconds,
+        groupChords: groupChords
+    };
+
+    if (typeof global !== 'undefined') {
+        global.MidiImport = MidiImport;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MidiImport;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,166 @@
+/**
+ * Ogg Opus Encoder — compressed audio export as .ogg (Opus in an Ogg container), small enough for mobile sketches.
+ * Opus packets come from the browser's WebCodecs AudioEncoder; the OpusHead and OpusTags headers are written here and
+ * the Ogg pages by ogg-pages.js (granule positions, end trimming). Opus runs at 48 kHz, so render at 48000 for this
+ * format. Browsers without WebCodecs get Vorbis from ogg-vorbis-encoder.js instead.
+ * Frames are added in chunks (encoder.addFrames), so the caller can yield between chunks and report progress.
+ */
+(function (global) {
+    'use strict';
+
+    const OPUS_SAMPLE_RATE = 48000;
+    const OPUS_DEFAULT_BITRATE = 160000;
+    /** libopus lookahead at 48 kHz; used when the encoder does not hand back its own OpusHead. */
+    const OPUS_DEFAULT_PRE_SKIP = 312;
+
+    function asciiBytes(text) {
+        return global.OggPages.asciiBytes(text);
+    }
+
+    function buildOpusHead(channels, preSkip) {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set(asciiBytes('OpusHead'), 0);
+        head[8] = 1;
+        head[9] = channels;
+        view.setUint16(10, preSkip, true);
+        view.setUint32(12, OPUS_SAMPLE_RATE, true);
+        view.setInt16(16, 0, true);
+        head[18] = 0;
+        return head;
+    }
+
+    function buildOpusTags(vendor) {
+        const vendorBytes = asciiBytes(vendor);
+        const tags = new Uint8Array(8 + 4 + vendorBytes.length + 4);
+        const view = new DataView(tags.buffer);
+        tags.set(asciiBytes('OpusTags'), 0);
+        view.setUint32(8, vendorBytes.length, true);
+        tags.set(vendorBytes, 12);
+        view.setUint32(12 + vendorBytes.length, 0, true);
+        return tags;
+    }
+
+    function hasWebCodecs() {
+        return typeof global.AudioEncoder === 'function' && typeof global.AudioData === 'function';
+    }
+
+    /**
+     * Resolves to true when this browser's WebCodecs AudioEncoder can encode Opus with this config (some have
+     * AudioEncoder but no Opus).
+     * @param {{ channels?: number, bitrate?: number }} [config] - default stereo at OPUS_DEFAULT_BITRATE
+     * @returns {Promise<boolean>}
+     */
+    async function isSupported(config) {
+        if (!hasWebCodecs() || typeof global.AudioEncoder.isConfigSupported !== 'function') return false;
+        try {
+            const result = await global.AudioEncoder.isConfigSupported({
+                codec: 'opus',
+                sampleRate: OPUS_SAMPLE_RATE,
+                numberOfChannels: (config && config.channels) || 2,
+                bitrate: (config && config.bitrate) || OPUS_DEFAULT_BITRATE
+            });
+            return !!(result && result.supported);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Streaming Ogg Opus encoder. Feed float channels (Float32Array per channel, at 48 kHz) with addFrames, then
+     * await finish for the file.
+     * @param {{ sampleRate: number, channels: number, totalFrames: number, bitrate?: number }} config
+     * @returns {{ addFrames: function(Array<Float32Array>, number, number), finish: function(): Promise<Blob> }}
+     */
+    function createEncoder(config) {
+        if (!hasWebCodecs()) throw new Error('OGG export needs a browser with WebCodecs audio encoding (AudioEncoder).');
+        if (config.sampleRate !== OPUS_SAMPLE_RATE) throw new Error('OGG (Opus) export must be rendered at 48000 Hz.');
+        const numChannels = config.channels;
+        if (numChannels < 1 || numChannels > 2) throw new Error('OGG export supports mono or stereo only.');
+        const totalFrames = config.totalFrames;
+        const packets = [];
+        let preSkip = OPUS_DEFAULT_PRE_SKIP;
+        let encodeError = null;
+        let framesIn = 0;
+
+        const encoder = new global.AudioEncoder({
+            output: function (chunk, metadata) {
+                const desc = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+                if (desc) {
+                    const bytes = desc instanceof ArrayBuffer ? new Uint8Array(desc) : new Uint8Array(desc.buffer, desc.byteOffset, desc.byteLength);
+                    if (bytes.length >= 12 && String.fromCharCode.apply(null, bytes.subarray(0, 8)) === 'OpusHead') {
+                        preSkip = bytes[10] | (bytes[11] << 8);
+                    }
+                }
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                const samples = chunk.duration ? Math.round(chunk.duration * OPUS_SAMPLE_RATE / 1e6) : 960;
+                packets.push({ data: data, samples: samples });
+            },
+            error: function (err) {
+                encodeError = err;
+            }
+        });
+        encoder.configure({
+            codec: 'opus',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfChannels: numChannels,
+            bitrate: config.bitrate || OPUS_DEFAULT_BITRATE
+        });
+
+        function encodePlanar(planes, count) {
+            const data = new Float32Array(count * numChannels);
+            for (let c = 0; c < numChannels; c += 1) data.set(planes[c], c * count);
+            const audioData = new global.AudioData({
+                format: 'f32-planar',
+                sampleRate: OPUS_SAMPLE_RATE,
+                numberOfFrames: count,
+                numberOfChannels: numChannels,
+                timestamp: Math.round(framesIn * 1e6 / OPUS_SAMPLE_RATE),
+                data: data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+            framesIn += count;
+        }
+
+        function addFrames(channels, start, end) {
+            if (encodeError) throw encodeError;
+            if (end <= start) return;
+            encodePlanar(channels.map(function (ch) { return ch.subarray(start, end); }), end - start);
+        }
+
+        async function finish() {
+            // Trailing silence so the last real sample gets past the encoder's lookahead; trimmed by the final granule
+            const pad = Array.from({ length: numChannels }, function () { return new Float32Array(OPUS_SAMPLE_RATE / 50); });
+            encodePlanar(pad, pad[0].length);
+            await encoder.flush();
+            encoder.close();
+            if (encodeError) throw encodeError;
+            if (!packets.length) throw new Error('OGG export: the encoder returned no audio.');
+
+            let granule = 0;
+            const stamped = packets.map(function (packet) {
+                granule += packet.samples;
+                return { data: packet.data, granule: granule };
+            });
+            const headerPages = [[buildOpusHead(numChannels, preSkip)], [buildOpusTags('chordcanvas')]];
+            return global.OggPages.buildOggStream(headerPages, stamped, preSkip + totalFrames);
+        }
+
+        return { addFrames: addFrames, finish: finish };
+    }
+
+    const OggOpusEncoder = {
+        createEncoder: createEncoder,
+        isSupported: isSupported,
+        SAMPLE_RATE: OPUS_SAMPLE_RATE
+    };
+
+    if (typeof global !== 'undefined') {
+        global.OggOpusEncoder = OggOpusEncoder;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OggOpusEncoder;
+    }
+})(typeof window !== 'undefined' ? window : this);
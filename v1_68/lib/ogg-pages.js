@@ -0,0 +1,123 @@
+/**
+ * Ogg Pages — the Ogg container shared by the compressed audio encoders (ogg-opus-encoder.js, ogg-vorbis-encoder.js):
+ * header packets on pages of their own, then audio packets packed into pages stamped with their granule positions.
+ */
+(function (global) {
+    'use strict';
+
+    const OGG_MAX_PACKETS_PER_PAGE = 50;
+    const OGG_MAX_SEGMENTS = 255;
+
+    let oggCrcTable = null;
+
+    function getOggCrcTable() {
+        if (oggCrcTable) return oggCrcTable;
+        oggCrcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n += 1) {
+            let c = n << 24;
+            for (let k = 0; k < 8; k += 1) {
+                c = (c & 0x80000000) ? ((c << 1) ^ 0x04c11db7) : (c << 1);
+            }
+            oggCrcTable[n] = c >>> 0;
+        }
+        return oggCrcTable;
+    }
+
+    function oggCrc(bytes) {
+        const table = getOggCrcTable();
+        let crc = 0;
+        for (let i = 0; i < bytes.length; i += 1) {
+            crc = ((crc << 8) ^ table[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+        }
+        return crc;
+    }
+
+    function asciiBytes(text) {
+        const out = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i += 1) out[i] = text.charCodeAt(i) & 0x7f;
+        return out;
+    }
+
+    /**
+     * One Ogg page holding whole packets. headerType: 0x02 first page, 0x04 last page.
+     * @returns {Uint8Array}
+     */
+    function buildOggPage(packets, granule, serial, sequence, headerType) {
+        const lacing = [];
+        let dataSize = 0;
+        packets.forEach(function (packet) {
+            let len = packet.length;
+            while (len >= 255) {
+                lacing.push(255);
+                len -= 255;
+            }
+            lacing.push(len);
+            dataSize += packet.length;
+        });
+        const page = new Uint8Array(27 + lacing.length + dataSize);
+        const view = new DataView(page.buffer);
+        page.set(asciiBytes('OggS'), 0);
+        page[4] = 0;
+        page[5] = headerType;
+        view.setUint32(6, granule % 0x100000000, true);
+        view.setUint32(10, Math.floor(granule / 0x100000000), true);
+        view.setUint32(14, serial, true);
+        view.setUint32(18, sequence, true);
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+        let offset = 27 + lacing.length;
+        packets.forEach(function (packet) {
+            page.set(packet, offset);
+            offset += packet.length;
+        });
+        view.setUint32(22, oggCrc(page), true);
+        return page;
+    }
+
+    /**
+     * A whole Ogg stream as an audio/ogg Blob.
+     * @param {Array<Uint8Array[]>} headerPages - header packets, one array per page (the first page begins the stream)
+     * @param {Array<{ data: Uint8Array, granule: number }>} packets - audio packets in order; granule = stream position
+     *   once the packet is decoded
+     * @param {number} endGranule - position of the last real sample; the last page's granule is capped there, which
+     *   trims the encoder's padding
+     * @returns {Blob}
+     */
+    function buildOggStream(headerPages, packets, endGranule) {
+        const serial = (Math.random() * 0x100000000) >>> 0;
+        const pages = [];
+        let sequence = 0;
+        headerPages.forEach(function (headers, i) {
+            pages.push(buildOggPage(headers, 0, serial, sequence++, i === 0 ? 0x02 : 0));
+        });
+        let granule = 0;
+        let pagePackets = [];
+        let pageSegments = 0;
+        for (let i = 0; i < packets.length; i += 1) {
+            const packet = packets[i];
+            const segments = Math.floor(packet.data.length / 255) + 1;
+            if (pagePackets.length && (pageSegments + segments > OGG_MAX_SEGMENTS || pagePackets.length >= OGG_MAX_PACKETS_PER_PAGE)) {
+                pages.push(buildOggPage(pagePackets, Math.min(granule, endGranule), serial, sequence++, 0));
+                pagePackets = [];
+                pageSegments = 0;
+            }
+            pagePackets.push(packet.data);
+            pageSegments += segments;
+            granule = packet.granule;
+        }
+        pages.push(buildOggPage(pagePackets, Math.min(granule, endGranule), serial, sequence++, 0x04));
+        return new Blob(pages, { type: 'audio/ogg' });
+    }
+
+    const OggPages = {
+        buildOggStream: buildOggStream,
+        asciiBytes: asciiBytes
+    };
+
+    if (typeof global !== 'undefined') {
+        global.OggPages = OggPages;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OggPages;
+    }
+})(typeof window !== 'undefined' ? window : this);
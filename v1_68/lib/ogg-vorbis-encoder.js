@@ -0,0 +1,713 @@
+/**
+ * Ogg Vorbis Encoder — compressed .ogg in plain JS, used for OGG export where the browser has no WebCodecs Opus
+ * (see ogg-opus-encoder.js). Long blocks only (2048 samples, no block switching); each block gets a floor 1 curve
+ * following the spectrum's band energies a set SNR down, and the spectrum divided by it is rounded and coded with
+ * VQ codebooks Huffman-coded for the stream once it is all in. No psychoacoustic model or stereo coupling,
+ * so files are larger than libvorbis's at the same quality, but every Vorbis decoder reads them.
+ * Frames are added in chunks (encoder.addFrames), so the caller can yield between chunks and report progress.
+ */
+(function (global) {
+    'use strict';
+
+    const VORBIS_BLOCK_SIZE = 2048;
+    const VORBIS_HALF_BLOCK = VORBIS_BLOCK_SIZE / 2;
+    /** Short blocks are declared (the format needs a pair) but never used. */
+    const VORBIS_SHORT_BLOCK_EXPONENT = 8;
+    const VORBIS_LONG_BLOCK_EXPONENT = 11;
+    const VORBIS_DEFAULT_BITRATE = 160000;
+    /** Spectrum coded up to this frequency (or 90% of Nyquist at low rates). */
+    const VORBIS_LOWPASS_HZ = 18000;
+
+    /** Floor 1: multiplier 2 (Y 0–127, ~1.1 dB steps) over posts at these bins, coarse to fine so each is predicted from its neighbours. */
+    const FLOOR_MULTIPLIER = 2;
+    const FLOOR_RANGE = 128;
+    const FLOOR_RANGE_BITS = 10;
+    const FLOOR_POSTS = [0, 1024,
+        128, 32, 512, 8, 64, 256, 768,
+        2, 16, 48, 96, 192, 384, 640, 896,
+        4, 12, 24, 40, 56, 80, 112, 160, 224, 320, 448, 576, 704];
+    const FLOOR_PARTITION_DIMENSIONS = 4;
+    /** floor1_inverse_dB_table: 256 steps of ~0.55 dB from 1.0649863e-7 up to 1. */
+    const FLOOR_DB_STEP = 1.0649863;
+
+    /**
+     * Residue classes by the largest value in a 16-bin partition: 0 silent, then ±1, ±2, ±4, ±8, ±16, up to ±263 (×17
+     * coarse pass + fine pass) and up to ±8168 (×527, ×17 and fine passes).
+     */
+    const RESIDUE_PARTITION_SIZE = 16;
+    const RESIDUE_CLASS_LIMITS = [0, 1, 2, 4, 8, 16, 263, 8168];
+    const RESIDUE_COARSE_STEP = 17;
+    const RESIDUE_COARSER_STEP = 17 * 31;
+
+    function ilog(x) {
+        let n = 0;
+        while (x > 0) {
+            n += 1;
+            x = Math.floor(x / 2);
+        }
+        return n;
+    }
+
+    /** LSB-first bit packer (Vorbis packet bit order) over a growable byte array. */
+    function BitPacker() {
+        this.bytes = new Uint8Array(4096);
+        this.pos = 0;
+        this.bit = 0;
+    }
+
+    /** Write the low n bits (n ≤ 32) of value, least significant first. */
+    BitPacker.prototype.write = function (value, n) {
+        for (let i = 0; i < n; i += 1) {
+            if (this.bit === 0) {
+                if (this.pos >= this.bytes.length) {
+                    const grown = new Uint8Array(this.bytes.length * 2);
+                    grown.set(this.bytes);
+                    this.bytes = grown;
+                }
+                this.bytes[this.pos] = 0;
+            }
+            if ((value >>> i) & 1) this.bytes[this.pos] |= 1 << this.bit;
+            this.bit += 1;
+            if (this.bit === 8) {
+                this.bit = 0;
+                this.pos += 1;
+            }
+        }
+    };
+
+    /** Huffman codewords go out first bit first (their most significant bit). */
+    BitPacker.prototype.writeCode = function (code, length) {
+        for (let i = length - 1; i >= 0; i -= 1) this.write((code >>> i) & 1, 1);
+    };
+
+    BitPacker.prototype.writeBytes = function (bytes) {
+        for (let i = 0; i < bytes.length; i += 1) this.write(bytes[i], 8);
+    };
+
+    BitPacker.prototype.toBytes = function () {
+        return this.bytes.slice(0, this.pos + (this.bit ? 1 : 0));
+    };
+
+    /** Complete prefix code lengths for these weights (plain Huffman; weights are floored so no code passes 32 bits). */
+    function huffmanLengths(weights) {
+        const total = weights.reduce(function (a, b) { return a + b; }, 0);
+        let nodes = weights.map(function (w, i) { return { weight: Math.max(w, total * 1e-5), leaves: [i] }; });
+        const lengths = new Array(weights.length).fill(0);
+        while (nodes.length > 1) {
+            nodes.sort(function (a, b) { return a.weight - b.weight; });
+            const a = nodes.shift();
+            const b = nodes.shift();
+            a.leaves.concat(b.leaves).forEach(function (i) { lengths[i] += 1; });
+            nodes.push({ weight: a.weight + b.weight, leaves: a.leaves.concat(b.leaves) });
+        }
+        return lengths;
+    }
+
+    /** Codewords the decoder assigns to these lengths: in entry order, each the lowest free codeword of its length. */
+    function codewordsFor(lengths) {
+        const marker = new Array(33).fill(0);
+        return lengths.map(function (length) {
+            let entry = marker[length];
+            const code = entry;
+            for (let j = length; j > 0; j -= 1) {
+                if (marker[j] % 2) {
+                    marker[j] = j === 1 ? marker[1] + 1 : marker[j - 1] * 2;
+                    break;
+                }
+                marker[j] += 1;
+            }
+            for (let j = length + 1; j < 33; j += 1) {
+                if (Math.floor(marker[j] / 2) !== entry) break;
+                entry = marker[j];
+                marker[j] = marker[j - 1] * 2;
+            }
+            return code;
+        });
+    }
+
+    /**
+     * Codebook shapes, in setup header order. Lattice books (lookup type 1) have `count` values per dimension spaced
+     * `step` apart around 0, dimension 0 the lowest digit of the entry number; the others are plain scalar books.
+     */
+    const BOOK_SPECS = [
+        { name: 'floor', dims: 1, entries: 128 },
+        { name: 'classes', dims: 2, entries: 8 * 8 },
+        { name: 'res1', dims: 4, count: 3, step: 1 },
+        { name: 'res2', dims: 2, count: 5, step: 1 },
+        { name: 'res4', dims: 2, count: 9, step: 1 },
+        { name: 'res8', dims: 2, count: 17, step: 1 },
+        { name: 'res16', dims: 1, count: 33, step: 1 },
+        { name: 'coarse', dims: 1, count: 31, step: RESIDUE_COARSE_STEP },
+        { name: 'coarser', dims: 1, count: 31, step: RESIDUE_COARSER_STEP }
+    ];
+    /** Books per residue class, one per cascade pass (coarsest first); the class is picked by RESIDUE_CLASS_LIMITS. */
+    const CLASS_BOOKS = [[], ['res1'], ['res2'], ['res4'], ['res8'], ['res16'], ['coarse', 'res8'], ['coarser', 'coarse', 'res8']];
+
+    function bookIndex(name) {
+        return BOOK_SPECS.findIndex(function (spec) { return spec.name === name; });
+    }
+
+    function bookEntries(spec) {
+        return spec.entries || Math.pow(spec.count, spec.dims);
+    }
+
+    /**
+     * The codebooks, Huffman-coded for how often this stream uses each entry (counts per book name); entries it never
+     * uses keep a long code so every book stays complete.
+     */
+    function buildCodebooks(counts) {
+        const books = {};
+        BOOK_SPECS.forEach(function (spec) {
+            const used = counts[spec.name];
+            const weights = [];
+            for (let e = 0; e < bookEntries(spec); e += 1) weights.push(used[e] + 0.01);
+            const lengths = huffmanLengths(weights);
+            books[spec.name] = {
+                dims: spec.dims,
+                entries: weights.length,
+                lengths: lengths,
+                codes: codewordsFor(lengths),
+                values: spec.count ? { min: -(spec.count - 1) / 2 * spec.step, step: spec.step, count: spec.count } : null
+            };
+        });
+        return books;
+    }
+
+    function emptyBookCounts() {
+        const counts = {};
+        BOOK_SPECS.forEach(function (spec) { counts[spec.name] = new Float64Array(bookEntries(spec)); });
+        return counts;
+    }
+
+    /** Entry of a lattice book for these values (already multiples of its step, in range). */
+    function latticeEntry(spec, vals, offset) {
+        const min = -(spec.count - 1) / 2 * spec.step;
+        let entry = 0;
+        for (let d = spec.dims - 1; d >= 0; d -= 1) entry = entry * spec.count + (vals[offset + d] - min) / spec.step;
+        return entry;
+    }
+
+    /** Vorbis float32 for an integer (mantissa = |value|, exponent 788 = 2^0). */
+    function packVorbisFloat(value) {
+        return ((value < 0 ? 0x80000000 : 0) | (788 << 21) | Math.abs(value)) >>> 0;
+    }
+
+    function writeCodebook(w, book) {
+        w.write(0x564342, 24);
+        w.write(book.dims, 16);
+        w.write(book.entries, 24);
+        w.write(0, 1); // not ordered
+        w.write(0, 1); // not sparse
+        book.lengths.forEach(function (length) { w.write(length - 1, 5); });
+        if (!book.values) {
+            w.write(0, 4);
+            return;
+        }
+        const v = book.values;
+        const valueBits = ilog(v.count - 1);
+        w.write(1, 4);
+        w.write(packVorbisFloat(v.min), 32);
+        w.write(packVorbisFloat(v.step), 32);
+        w.write(valueBits - 1, 4);
+        w.write(0, 1); // no sequence_p
+        for (let i = 0; i < v.count; i += 1) w.write(i, valueBits);
+    }
+
+    /** Posts in X order with each post's low and high neighbours among the posts before it. */
+    function buildFloorLayout() {
+        const neighbours = FLOOR_POSTS.map(function (x, i) {
+            let low = 0;
+            let high = 1;
+            for (let j = 0; j < i; j += 1) {
+                if (FLOOR_POSTS[j] < x && FLOOR_POSTS[j] > FLOOR_POSTS[low]) low = j;
+                if (FLOOR_POSTS[j] > x && FLOOR_POSTS[j] < FLOOR_POSTS[high]) high = j;
+            }
+            return { low: low, high: high };
+        });
+        const sorted = FLOOR_POSTS.map(function (x, i) { return i; }).sort(function (a, b) { return FLOOR_POSTS[a] - FLOOR_POSTS[b]; });
+        // Each post stands for the bins halfway to its sorted neighbours
+        const bands = FLOOR_POSTS.map(function () { return null; });
+        sorted.forEach(function (post, k) {
+            const x = FLOOR_POSTS[post];
+            const from = k > 0 ? Math.ceil((FLOOR_POSTS[sorted[k - 1]] + x) / 2) : 0;
+            const to = k < sorted.length - 1 ? Math.ceil((x + FLOOR_POSTS[sorted[k + 1]]) / 2) : VORBIS_HALF_BLOCK;
+            bands[post] = { from: from, to: Math.max(from + 1, Math.min(VORBIS_HALF_BLOCK, to)) };
+        });
+        const dbTable = new Float64Array(256);
+        for (let i = 0; i < 256; i += 1) dbTable[i] = Math.pow(FLOOR_DB_STEP, i - 255);
+        return { neighbours: neighbours, sorted: sorted, bands: bands, dbTable: dbTable };
+    }
+
+    function renderPoint(x0, y0, x1, y1, x) {
+        const dy = y1 - y0;
+        const off = Math.floor(Math.abs(dy) * (x - x0) / (x1 - x0));
+        return dy < 0 ? y0 - off : y0 + off;
+    }
+
+    /** floor1 render_line: integer line from (x0, y0) to (x1, y1), x1 excluded. */
+    function renderLine(x0, y0, x1, y1, out) {
+        const dy = y1 - y0;
+        const adx = x1 - x0;
+        const base = Math.trunc(dy / adx);
+        const sy = dy < 0 ? base - 1 : base + 1;
+        const ady = Math.abs(dy) - Math.abs(base) * adx;
+        let y = y0;
+        let err = 0;
+        if (x0 < out.length) out[x0] = y;
+        for (let x = x0 + 1; x < x1 && x < out.length; x += 1) {
+            err += ady;
+            if (err >= adx) {
+                err -= adx;
+                y += sy;
+            } else {
+                y += base;
+            }
+            out[x] = y;
+        }
+    }
+
+    /** What the decoder makes of a coded val at a post predicted at `predicted`. */
+    function decodeFloorValue(val, predicted) {
+        const highroom = FLOOR_RANGE - predicted;
+        const lowroom = predicted;
+        const room = (highroom < lowroom ? highroom : lowroom) * 2;
+        if (val === 0) return predicted;
+        if (val >= room) return highroom > lowroom ? val - lowroom + predicted : predicted - val + highroom - 1;
+        return val % 2 ? predicted - (val + 1) / 2 : predicted + val / 2;
+    }
+
+    /**
+     * Code a floor for target Y values (one per post): the vals to write and the floor curve (linear gains for the
+     * first half block of bins) the decoder will rebuild from them.
+     */
+    function planFloor(layout, targets) {
+        const finalY = targets.slice(0, 2);
+        const used = [true, true];
+        const vals = [0, 0];
+        for (let i = 2; i < FLOOR_POSTS.length; i += 1) {
+            const nb = layout.neighbours[i];
+            const predicted = renderPoint(FLOOR_POSTS[nb.low], finalY[nb.low], FLOOR_POSTS[nb.high], finalY[nb.high], FLOOR_POSTS[i]);
+            let best = 0;
+            let bestErr = Math.abs(predicted - targets[i]);
+            for (let val = 1; val < FLOOR_RANGE && bestErr > 0; val += 1) {
+                const y = decodeFloorValue(val, predicted);
+                if (y < 0 || y >= FLOOR_RANGE) continue;
+                const err = Math.abs(y - targets[i]);
+                if (err < bestErr) {
+                    best = val;
+                    bestErr = err;
+                }
+            }
+            vals.push(best);
+            finalY.push(decodeFloorValue(best, predicted));
+            used.push(best !== 0);
+            if (best !== 0) {
+                used[nb.low] = true;
+                used[nb.high] = true;
+            }
+        }
+        const steps = new Int32Array(VORBIS_HALF_BLOCK);
+        let lx = 0;
+        let ly = finalY[0] * FLOOR_MULTIPLIER;
+        let hy = ly;
+        for (let k = 1; k < layout.sorted.length; k += 1) {
+            const post = layout.sorted[k];
+            if (!used[post]) continue;
+            hy = finalY[post] * FLOOR_MULTIPLIER;
+            renderLine(lx, ly, FLOOR_POSTS[post], hy, steps);
+            lx = FLOOR_POSTS[post];
+            ly = hy;
+        }
+        if (lx < VORBIS_HALF_BLOCK) renderLine(lx, hy, VORBIS_HALF_BLOCK, hy, steps);
+        const curve = new Float64Array(VORBIS_HALF_BLOCK);
+        for (let k = 0; k < VORBIS_HALF_BLOCK; k += 1) curve[k] = layout.dbTable[steps[k]];
+        return { vals: vals, finalY: finalY, curve: curve };
+    }
+
+    /** Radix-2 complex FFT in place (re, im of length n, a power of two). */
+    function fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i += 1) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                let t = re[i]; re[i] = re[j]; re[j] = t;
+                t = im[i]; im[i] = im[j]; im[j] = t;
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const ang = -2 * Math.PI / len;
+            const wr = Math.cos(ang);
+            const wi = Math.sin(ang);
+            for (let i = 0; i < n; i += len) {
+                let cr = 1;
+                let ci = 0;
+                for (let k = 0; k < len / 2; k += 1) {
+                    const a = i + k;
+                    const b = a + len / 2;
+                    const tr = re[b] * cr - im[b] * ci;
+                    const ti = re[b] * ci + im[b] * cr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                    const nr = cr * wr - ci * wi;
+                    ci = cr * wi + ci * wr;
+                    cr = nr;
+                }
+            }
+        }
+    }
+
+    /**
+     * Forward MDCT of a windowed block (n samples in, n/2 coefficients out), scaled to the decoder's inverse: fold
+     * into a DCT-IV of n/2 points, done as an n/4-point complex FFT with pre- and post-twiddles.
+     */
+    function createMdct(n) {
+        const m = n / 2;
+        const q = m / 2;
+        const folded = new Float64Array(m);
+        const re = new Float64Array(q);
+        const im = new Float64Array(q);
+        const twiddle = Array.from({ length: q }, function (_, k) {
+            const a = -Math.PI * (4 * k + 1) / (4 * m);
+            return [Math.cos(a), Math.sin(a)];
+        });
+        const scale = 4 / n;
+        return function (input, out) {
+            const h = m / 2;
+            for (let i = 0; i < h; i += 1) {
+                folded[i] = -input[3 * h - 1 - i] - input[3 * h + i];
+                folded[h + i] = input[i] - input[m - 1 - i];
+            }
+            for (let k = 0; k < q; k += 1) {
+                const xr = folded[2 * k];
+                const xi = folded[m - 1 - 2 * k];
+                re[k] = xr * twiddle[k][0] - xi * twiddle[k][1];
+                im[k] = xr * twiddle[k][1] + xi * twiddle[k][0];
+            }
+            fft(re, im);
+            for (let k = 0; k < q; k += 1) {
+                const yr = re[k] * twiddle[k][0] - im[k] * twiddle[k][1];
+                const yi = re[k] * twiddle[k][1] + im[k] * twiddle[k][0];
+                out[2 * k] = yr * scale;
+                out[m - 1 - 2 * k] = -yi * scale;
+            }
+        };
+    }
+
+    /** Vorbis window for a long block between long blocks (power-complementary sine-of-sine slope). */
+    function longWindow(n) {
+        const w = new Float64Array(n);
+        for (let i = 0; i < n; i += 1) {
+            const s = Math.sin((i + 0.5) / n * Math.PI);
+            w[i] = Math.sin(0.5 * Math.PI * s * s);
+        }
+        return w;
+    }
+
+    /** Quietest floor per bin (threshold of hearing, with full scale taken as ~105 dB SPL). */
+    function buildHearingFloor(sampleRate) {
+        const out = new Float64Array(VORBIS_HALF_BLOCK);
+        for (let k = 0; k < VORBIS_HALF_BLOCK; k += 1) {
+            const f = Math.max(0.02, (k + 0.5) * sampleRate / VORBIS_BLOCK_SIZE / 1000);
+            const ath = 3.64 * Math.pow(f, -0.8) - 6.5 * Math.exp(-0.6 * (f - 3.3) * (f - 3.3)) + 1e-3 * Math.pow(f, 4);
+            out[k] = Math.pow(10, (Math.min(ath, 100) - 105) / 20);
+        }
+        return out;
+    }
+
+    function buildIdentificationHeader(channels, sampleRate, bitrate) {
+        const w = new BitPacker();
+        w.write(1, 8);
+        w.writeBytes(global.OggPages.asciiBytes('vorbis'));
+        w.write(0, 32);
+        w.write(channels, 8);
+        w.write(sampleRate, 32);
+        w.write(0, 32);
+        w.write(bitrate, 32);
+        w.write(0, 32);
+        w.write(VORBIS_SHORT_BLOCK_EXPONENT, 4);
+        w.write(VORBIS_LONG_BLOCK_EXPONENT, 4);
+        w.write(1, 1);
+        return w.toBytes();
+    }
+
+    function buildCommentHeader(vendor) {
+        const w = new BitPacker();
+        const vendorBytes = global.OggPages.asciiBytes(vendor);
+        w.write(3, 8);
+        w.writeBytes(global.OggPages.asciiBytes('vorbis'));
+        w.write(vendorBytes.length, 32);
+        w.writeBytes(vendorBytes);
+        w.write(0, 32);
+        w.write(1, 1);
+        return w.toBytes();
+    }
+
+    /** Setup header: the codebooks, one floor 1, one residue 1, one mapping and one (long block) mode. */
+    function buildSetupHeader(books, residueEnd) {
+        const w = new BitPacker();
+        w.write(5, 8);
+        w.writeBytes(global.OggPages.asciiBytes('vorbis'));
+        w.write(BOOK_SPECS.length - 1, 8);
+        BOOK_SPECS.forEach(function (spec) { writeCodebook(w, books[spec.name]); });
+        // Time domain transforms: one, unused
+        w.write(0, 6);
+        w.write(0, 16);
+        // Floor 1: every extra post in partitions of one class that codes each post with the floor book
+        const partitions = (FLOOR_POSTS.length - 2) / FLOOR_PARTITION_DIMENSIONS;
+        w.write(0, 6);
+        w.write(1, 16);
+        w.write(partitions, 5);
+        for (let i = 0; i < partitions; i += 1) w.write(0, 4);
+        w.write(FLOOR_PARTITION_DIMENSIONS - 1, 3);
+        w.write(0, 2);
+        w.write(bookIndex('floor') + 1, 8);
+        w.write(FLOOR_MULTIPLIER - 1, 2);
+        w.write(FLOOR_RANGE_BITS, 4);
+        FLOOR_POSTS.slice(2).forEach(function (x) { w.write(x, FLOOR_RANGE_BITS); });
+        // Residue 1
+        w.write(0, 6);
+        w.write(1, 16);
+        w.write(0, 24);
+        w.write(residueEnd, 24);
+        w.write(RESIDUE_PARTITION_SIZE - 1, 24);
+        w.write(CLASS_BOOKS.length - 1, 6);
+        w.write(bookIndex('classes'), 8);
+        CLASS_BOOKS.forEach(function (passes) {
+            const cascade = (1 << passes.length) - 1;
+            w.write(cascade & 7, 3);
+            w.write(cascade > 7 ? 1 : 0, 1);
+            if (cascade > 7) w.write(cascade >> 3, 5);
+        });
+        CLASS_BOOKS.forEach(function (passes) {
+            passes.forEach(function (name) { w.write(bookIndex(name), 8); });
+        });
+        // Mapping 0: one submap (floor 0, residue 0), no coupling
+        w.write(0, 6);
+        w.write(0, 16);
+        w.write(0, 1);
+        w.write(0, 1);
+        w.write(0, 2);
+        w.write(0, 8);
+        w.write(0, 8);
+        w.write(0, 8);
+        // Mode 0: long blocks, mapping 0
+        w.write(0, 6);
+        w.write(1, 1);
+        w.write(0, 16);
+        w.write(0, 16);
+        w.write(0, 8);
+        w.write(1, 1);
+        return w.toBytes();
+    }
+
+    function residueClassOf(values, offset) {
+        let peak = 0;
+        for (let i = 0; i < RESIDUE_PARTITION_SIZE; i += 1) peak = Math.max(peak, Math.abs(values[offset + i]));
+        let cls = 0;
+        while (RESIDUE_CLASS_LIMITS[cls] < peak) cls += 1;
+        return cls;
+    }
+
+    /** Where encoded blocks go: a BitPacker with the trained books, or a counter of the entries used (first pass). */
+    function packetSink(packer, books) {
+        return {
+            write: function (value, n) { packer.write(value, n); },
+            code: function (name, entry) { packer.writeCode(books[name].codes[entry], books[name].lengths[entry]); }
+        };
+    }
+
+    function countingSink(counts) {
+        return {
+            write: function () {},
+            code: function (name, entry) { counts[name][entry] += 1; }
+        };
+    }
+
+    function writeFloor(sink, floor) {
+        sink.write(1, 1);
+        sink.write(floor.finalY[0], ilog(FLOOR_RANGE - 1));
+        sink.write(floor.finalY[1], ilog(FLOOR_RANGE - 1));
+        for (let i = 2; i < floor.vals.length; i += 1) sink.code('floor', floor.vals[i]);
+    }
+
+    /**
+     * Residue 1 in the decoder's order: per cascade pass, a class word for each pair of partitions (pass 0 only),
+     * then their values. A coarse pass codes the nearest multiple of its step and leaves the rest to the next pass.
+     */
+    function writeResidue(sink, plan, partitions) {
+        const coded = plan.filter(function (ch) { return ch; });
+        if (!coded.length) return;
+        const parts = new Int32Array(RESIDUE_PARTITION_SIZE);
+        const perWord = BOOK_SPECS[bookIndex('classes')].dims;
+        for (let pass = 0; pass < 3; pass += 1) {
+            for (let p = 0; p < partitions; p += perWord) {
+                if (pass === 0) {
+                    coded.forEach(function (ch) { sink.code('classes', ch.classes[p] * CLASS_BOOKS.length + ch.classes[p + 1]); });
+                }
+                for (let i = p; i < p + perWord && i < partitions; i += 1) {
+                    coded.forEach(function (ch) {
+                        const passes = CLASS_BOOKS[ch.classes[i]];
+                        if (pass >= passes.length) return;
+                        const spec = BOOK_SPECS[bookIndex(passes[pass])];
+                        const offset = i * RESIDUE_PARTITION_SIZE;
+                        for (let k = 0; k < RESIDUE_PARTITION_SIZE; k += 1) {
+                            let rest = ch.residues[offset + k];
+                            for (let j = 0; j <= pass; j += 1) {
+                                const step = BOOK_SPECS[bookIndex(passes[j])].step;
+                                const half = (BOOK_SPECS[bookIndex(passes[j])].count - 1) / 2;
+                                const q = Math.max(-half, Math.min(half, Math.round(rest / step))) * step;
+                                if (j === pass) parts[k] = q;
+                                rest -= q;
+                            }
+                        }
+                        for (let k = 0; k < RESIDUE_PARTITION_SIZE; k += spec.dims) sink.code(passes[pass], latticeEntry(spec, parts, k));
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Streaming Ogg Vorbis encoder. Feed float channels (Float32Array per channel) with addFrames, then await finish
+     * for the file. Blocks are planned as frames come in; finish trains the codebooks on them and writes the packets.
+     * bitrate (default 160 kbps for stereo) sets the target SNR, so the stream is VBR around it.
+     * @param {{ sampleRate: number, channels: number, totalFrames?: number, bitrate?: number }} config
+     * @returns {{ addFrames: function(Array<Float32Array>, number, number), finish: function(): Promise<Blob> }}
+     */
+    function createEncoder(config) {
+        const numChannels = config.channels;
+        const sampleRate = config.sampleRate;
+        if (numChannels < 1 || numChannels > 2) throw new Error('OGG export supports mono or stereo only.');
+        if (!(sampleRate > 0)) throw new Error('OGG export needs a sample rate.');
+        const bitrate = config.bitrate || VORBIS_DEFAULT_BITRATE;
+        // Target SNR per band: ~26 dB at 160 kbps stereo, 6 dB per doubling of the bitrate per channel
+        const snrDb = 26 + 6 * Math.log2(bitrate / (80000 * numChannels));
+        const noiseRatio = 12 * Math.pow(10, -snrDb / 10);
+        const lowpass = Math.min(VORBIS_LOWPASS_HZ, sampleRate * 0.45);
+        const residueEnd = Math.min(VORBIS_HALF_BLOCK, Math.floor(lowpass / (sampleRate / 2) * VORBIS_HALF_BLOCK / RESIDUE_PARTITION_SIZE) * RESIDUE_PARTITION_SIZE);
+        const partitions = residueEnd / RESIDUE_PARTITION_SIZE;
+        const residueLimit = RESIDUE_CLASS_LIMITS[RESIDUE_CLASS_LIMITS.length - 1];
+        const layout = buildFloorLayout();
+        const mdct = createMdct(VORBIS_BLOCK_SIZE);
+        const window = longWindow(VORBIS_BLOCK_SIZE);
+        const hearingFloor = buildHearingFloor(sampleRate);
+        const lnStep = Math.log(FLOOR_DB_STEP);
+
+        const previous = Array.from({ length: numChannels }, function () { return new Float32Array(VORBIS_HALF_BLOCK); });
+        const pending = Array.from({ length: numChannels }, function () { return new Float32Array(VORBIS_HALF_BLOCK); });
+        let pendingCount = 0;
+        let framesIn = 0;
+        /** Per block, per channel: { floor, residues, classes }, or null for a silent channel. */
+        const plans = [];
+        const block = new Float64Array(VORBIS_BLOCK_SIZE);
+        const spectrum = new Float64Array(VORBIS_HALF_BLOCK);
+
+        /** Floor and residues for one channel's spectrum; null when nothing in it is audible. */
+        function planChannel() {
+            const targets = FLOOR_POSTS.map(function (x, post) {
+                const band = layout.bands[post];
+                let power = 0;
+                let quietest = Infinity;
+                for (let k = band.from; k < band.to; k += 1) {
+                    power += spectrum[k] * spectrum[k];
+                    quietest = Math.min(quietest, hearingFloor[k]);
+                }
+                const gain = Math.max(Math.sqrt(noiseRatio * power / (band.to - band.from)), quietest);
+                return Math.max(0, Math.min(FLOOR_RANGE - 1, Math.round((255 + Math.log(gain) / lnStep) / FLOOR_MULTIPLIER)));
+            });
+            const floor = planFloor(layout, targets);
+            const residues = new Int16Array(residueEnd);
+            let any = false;
+            for (let k = 0; k < residueEnd; k += 1) {
+                const r = Math.max(-residueLimit, Math.min(residueLimit, Math.round(spectrum[k] / floor.curve[k])));
+                residues[k] = r;
+                if (r) any = true;
+            }
+            if (!any) return null;
+            const classes = new Uint8Array(partitions + 1);
+            for (let p = 0; p < partitions; p += 1) classes[p] = residueClassOf(residues, p * RESIDUE_PARTITION_SIZE);
+            return { floor: { vals: floor.vals, finalY: floor.finalY }, residues: residues, classes: classes };
+        }
+
+        /** Plan the block made of the previous and the pending half blocks. */
+        function planBlock() {
+            const plan = [];
+            for (let c = 0; c < numChannels; c += 1) {
+                for (let i = 0; i < VORBIS_HALF_BLOCK; i += 1) {
+                    block[i] = previous[c][i] * window[i];
+                    block[VORBIS_HALF_BLOCK + i] = pending[c][i] * window[VORBIS_HALF_BLOCK + i];
+                }
+                mdct(block, spectrum);
+                plan.push(planChannel());
+                previous[c].set(pending[c]);
+                pending[c].fill(0);
+            }
+            plans.push(plan);
+            pendingCount = 0;
+        }
+
+        /** One audio packet: long block between long blocks (mode 0 takes no bits), then floors and residues. */
+        function writeBlock(sink, plan) {
+            sink.write(0, 1);
+            sink.write(1, 1);
+            sink.write(1, 1);
+            plan.forEach(function (ch) {
+                if (ch) writeFloor(sink, ch.floor);
+                else sink.write(0, 1);
+            });
+            writeResidue(sink, plan, partitions);
+        }
+
+        function addFrames(channels, start, end) {
+            let i = start;
+            while (i < end) {
+                const take = Math.min(end - i, VORBIS_HALF_BLOCK - pendingCount);
+                for (let c = 0; c < numChannels; c += 1) pending[c].set(channels[c].subarray(i, i + take), pendingCount);
+                pendingCount += take;
+                framesIn += take;
+                i += take;
+                if (pendingCount === VORBIS_HALF_BLOCK) planBlock();
+            }
+        }
+
+        async function finish() {
+            // The decoder's output runs a half block behind: one more block (padded with silence) lets out the last samples
+            const totalFrames = config.totalFrames != null ? Math.min(config.totalFrames, framesIn) : framesIn;
+            const needed = Math.ceil(framesIn / VORBIS_HALF_BLOCK) + 1;
+            while (plans.length < needed) planBlock();
+            const counts = emptyBookCounts();
+            const counter = countingSink(counts);
+            plans.forEach(function (plan) { writeBlock(counter, plan); });
+            const books = buildCodebooks(counts);
+            const packets = plans.map(function (plan, i) {
+                const packer = new BitPacker();
+                writeBlock(packetSink(packer, books), plan);
+                return { data: packer.toBytes(), granule: i * VORBIS_HALF_BLOCK };
+            });
+            const headerPages = [
+                [buildIdentificationHeader(numChannels, sampleRate, bitrate)],
+                [buildCommentHeader('chordcanvas'), buildSetupHeader(books, residueEnd)]
+            ];
+            return global.OggPages.buildOggStream(headerPages, packets, totalFrames);
+        }
+
+        return { addFrames: addFrames, finish: finish };
+    }
+
+    const OggVorbisEncoder = {
+        createEncoder: createEncoder,
+        /** Plain JS, so it always works. */
+        isSupported: function () { return true; }
+    };
+
+    if (typeof global !== 'undefined') {
+        global.OggVorbisEncoder = OggVorbisEncoder;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OggVorbisEncoder;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -49,6 +49,55 @@
         return [ordered[idx]];
     }
 
+    /** Arpeggio step patterns (per-row step editor): at most this many steps, and chord tones 0 (lowest) to 5. */
+    const STEP_PATTERN_MAX_STEPS = 16;
+    const STEP_PATTERN_MAX_TONE = 5;
+    const STEP_PATTERN_DEFAULT_GATE = 0.8;
+
+    function clampNumber(value, min, max, fallback) {
+        const n = Number(value);
+        return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+    }
+
+    /**
+     * Clean up an arpeggio step pattern from the editor or a saved state. Each step: tones (chord-tone indices, 0 =
+     * lowest note), octave (-2 to 2), velocity (10–150, % of the part's velocity), gate (0.1–1, share of the step the
+     * notes sound), tie (hold the previous step's notes through this step) and rest.
+     * @returns {Array<Object>|null} null when there are no steps
+     */
+    function normalizeStepPattern(steps) {
+        if (!Array.isArray(steps) || !steps.length) return null;
+        return steps.slice(0, STEP_PATTERN_MAX_STEPS).map(function (step) {
+            const s = step || {};
+            const tones = (Array.isArray(s.tones) ? s.tones : []).map(function (n) { return Math.round(Number(n)); })
+                .filter(function (n, i, all) { return n >= 0 && n <= STEP_PATTERN_MAX_TONE && all.indexOf(n) === i; })
+                .sort(function (a, b) { return a - b; });
+            return {
+                tones: tones,
+                octave: Math.round(clampNumber(s.octave, -2, 2, 0)),
+                velocity: Math.round(clampNumber(s.velocity, 10, 150, 100)),
+                gate: clampNumber(s.gate, 0.1, 1, STEP_PATTERN_DEFAULT_GATE),
+                tie: !!s.tie,
+                rest: !!s.rest
+            };
+        });
+    }
+
+    /**
+     * Notes of one step of a step pattern over a chord's notes (ascending). A tone past the top of the chord wraps
+     * round an octave up (tone 3 of a triad = its lowest note an octave higher).
+     */
+    function getStepPatternNotes(ordered, step) {
+        const length = ordered.length;
+        if (!length || step.rest) return [];
+        const notes = [];
+        step.tones.forEach(function (tone) {
+            const midi = ordered[tone % length] + 12 * (Math.floor(tone / length) + step.octave);
+            if (midi >= 0 && midi <= 127 && notes.indexOf(midi) === -1) notes.push(midi);
+        });
+        return notes;
+    }
+
     function linearToDb(value) {
         return 20 * Math.log10(Math.max(value, 0.0001));
     }
@@ -132,14 +181,38 @@
         return noteDurationSeconds * amount * remainder;
     }
 
+    /**
+     * Start time and length (seconds) of each chord. Compiled state carries chordStarts / chordLengths
+     * for chords with their own length (C:2, F*2); without them every chord is one bar.
+     * @returns {{ starts: number[], lengths: number[], contentSeconds: number }}
+     */
+    function getChordTiming(compiledState) {
+        const chordCount = compiledState.chordCount || 0;
+        const barSeconds = compiledState.barSeconds || 2;
+        const starts = [];
+        const lengths = [];
+        let end = 0;
+        for (let i = 0; i < chordCount; i += 1) {
+            const start = Array.isArray(compiledState.chordStarts) && compiledState.chordStarts[i] != null ? compiledState.chordStarts[i] : i * barSeconds;
+            const length = Array.isArray(compiledState.chordLengths) && compiledState.chordLengths[i] > 0 ? compiledState.chordLengths[i] : barSeconds;
+            starts.push(start);
+            lengths.push(length);
+            end = Math.max(end, start + length);
+        }
+        return { starts, lengths, contentSeconds: end };
+    }
+
     function buildEventsForPart(params) {
         const {
             chordCount,
+            chordStarts,
+            chordLengths,
             barSeconds,
             baseVelocity,
             cycleSeconds,
             notesByChordIndex,
             patternMode,
+            patternSteps,
             applySkip,
             skipState,
             delayMod,
@@ -154,24 +227,46 @@
         const events = [];
         const noteDurationSeconds = Math.max(0.05, cycleSeconds * 0.8);
         for (let chordIndex = 0; chordIndex < chordCount; chordIndex += 1) {
-            const chordStart = chordIndex * barSeconds;
+            const chordStart = chordStarts[chordIndex];
+            const chordLength = chordLengths[chordIndex];
             const chordNotes = notesByChordIndex[chordIndex] || [];
             if (!chordNotes.length) continue;
             const ordered = chordNotes.slice().sort((a, b) => a - b);
             let cycleIndex = 0;
-            for (let t = 0; t < barSeconds - 1e-6; t += cycleSeconds) {
+            // Notes of the last step played in this chord, which a tie step holds on
+            let held = [];
+            for (let t = 0; t < chordLength - 1e-6; t += cycleSeconds) {
                 if (applySkip && skipState && shouldSkipNextFromState(skipState)) {
                     cycleIndex += 1;
+                    held = [];
                     continue;
                 }
-                const cyclePos = barSeconds > 0 ? (t / barSeconds) : 0;
+                // Every-bar modulation follows the bar grid, so chords shorter or longer than a bar keep the same phase
+                const barPos = barSeconds > 0 ? (chordStart + t) / barSeconds : 0;
+                const cyclePos = Math.max(0, barPos - Math.floor(barPos + 1e-9));
                 const volMult = getLinearVolumeModMultiplier(everyBarPattern, cyclePos, everyBarIntensity);
                 const vel = Math.max(1, Math.min(127, Math.round(baseVelocity * volMult)));
                 const delayOffsetSeconds = getDelayOffsetSeconds(delayBaseSeconds, delayMod, delayState) * delayIntensity;
                 const at = chordStart + t + delayOffsetSeconds;
-                const chosen = (patternMode === 'normal') ? ordered : getPatternNotesForCycle(ordered, patternMode, cycleIndex);
+                const step = patternSteps ? patternSteps[cycleIndex % patternSteps.length] : null;
+                if (step && step.tie) {
+                    const end = chordStart + Math.min(chordLength, t + cycleSeconds * step.gate);
+                    held.forEach(function (e) { e.duration = Math.max(e.duration, end - e.time); });
+                    cycleIndex += 1;
+                    continue;
+                }
+                let chosen;
+                if (step) chosen = getStepPatternNotes(ordered, step);
+                else chosen = (patternMode === 'normal') ? ordered : getPatternNotesForCycle(ordered, patternMode, cycleIndex);
+                const length = step ? Math.max(0.05, cycleSeconds * step.gate) : noteDurationSeconds;
+                const velocity = step ? Math.max(1, Math.min(127, Math.round(vel * step.velocity / 100))) : vel;
+                // A chord change cuts notes that would ring into the next chord
+                const duration = Math.min(length, Math.max(0.05, chordLength - t));
+                held = [];
                 for (let i = 0; i < chosen.length; i += 1) {
-                    events.push({ time: at, midi: chosen[i], duration: noteDurationSeconds, velocity: vel });
+                    const event = { time: at, midi: chosen[i], duration: duration, velocity: velocity };
+                    events.push(event);
+                    held.push(event);
                 }
                 cycleIndex += 1;
             }
@@ -181,14 +276,16 @@
 
     /**
      * Build the single shared event list from compiled state (same as live playback).
-     * @param {Object} compiledState - chordCount, barSeconds, bpm, bassNotesByChord, trebleNotesByChord,
-     *   bassDurationMultiplier, trebleDurationMultiplier, patternMode, skipPattern,
+     * @param {Object} compiledState - chordCount, barSeconds, chordStarts, chordLengths, bpm, bassNotesByChord, trebleNotesByChord,
+     *   bassDurationMultiplier, trebleDurationMultiplier, patternMode, skipPattern, patternSteps / bassPatternSteps (arpeggio
+     *   step patterns, see normalizeStepPattern; they replace patternMode / bassPatternMode),
      *   delayMod, delayIntensity, bassEveryBar, trebleEveryBar, bassEveryBarIntensity, trebleEveryBarIntensity, voicing
      * @returns {{ bassEvents: Array, trebleEvents: Array, totalSeconds: number }}
      */
     function buildEvents(compiledState) {
         const chordCount = compiledState.chordCount || 0;
         const barSeconds = compiledState.barSeconds || 2;
+        const timing = getChordTiming(compiledState);
         const bpm = compiledState.bpm || 120;
         const voicing = compiledState.voicing || 'full';
         const bassNotesByChord = compiledState.bassNotesByChord || [];
@@ -208,11 +305,14 @@
         const trebleVel = compiledState.trebleVelocity != null ? Math.max(1, Math.min(127, compiledState.trebleVelocity)) : 74;
         const bassEvents = (voicing === 'full' || voicing === 'bass') ? buildEventsForPart({
             chordCount,
+            chordStarts: timing.starts,
+            chordLengths: timing.lengths,
             barSeconds,
             baseVelocity: bassVel,
             cycleSeconds: bassCycleSeconds,
             notesByChordIndex: bassNotesByChord,
             patternMode: compiledState.bassPatternMode || 'normal',
+            patternSteps: normalizeStepPattern(compiledState.bassPatternSteps),
             applySkip: true,
             skipState: bassSkipState,
             delayMod,
@@ -225,11 +325,14 @@
 
         let trebleEvents = (voicing === 'full' || voicing === 'treble') ? buildEventsForPart({
             chordCount,
+            chordStarts: timing.starts,
+            chordLengths: timing.lengths,
             barSeconds,
             baseVelocity: trebleVel,
             cycleSeconds: trebleCycleSeconds,
             notesByChordIndex: trebleNotesByChord,
             patternMode: compiledState.patternMode || 'normal',
+            patternSteps: normalizeStepPattern(compiledState.patternSteps),
             applySkip: true,
             skipState: trebleSkipState,
             delayMod,
@@ -254,19 +357,20 @@
             trebleEvents = trebleEvents.concat(extra);
         }
 
-        const totalSeconds = chordCount * barSeconds + 1.2;
+        const totalSeconds = timing.contentSeconds + 1.2;
         return { bassEvents, trebleEvents, totalSeconds };
     }
 
     /**
-     * Build sustain pedal down/up events per bar for chord-dock playback.
-     * Pedal down at barStart + 0.01s, pedal up at barEnd - 0.3s; human/drunk delay applies to each.
-     * @param {Object} compiledState - chordCount, barSeconds, delayMod, delayIntensity
+     * Build sustain pedal down/up events per chord for chord-dock playback.
+     * Pedal down at chordStart + 0.01s, pedal up at chordEnd - 0.3s (a quarter of the chord for short chords);
+     * human/drunk delay applies to each.
+     * @param {Object} compiledState - chordCount, barSeconds, chordStarts, chordLengths, delayMod, delayIntensity
      * @returns {Array<{ time: number, down: boolean }>}
      */
     function buildSustainPedalEvents(compiledState) {
         const chordCount = compiledState.chordCount || 0;
-        const barSeconds = compiledState.barSeconds || 2;
+        const timing = getChordTiming(compiledState);
         const bpm = compiledState.bpm || 120;
         const delayMod = compiledState.delayMod || 'none';
         const delayIntensity = compiledState.delayIntensity != null ? compiledState.delayIntensity : 1;
@@ -276,12 +380,13 @@
         const pedalDelayState = { counter: 0 };
         const out = [];
         for (let i = 0; i < chordCount; i += 1) {
-            const barStart = i * barSeconds;
-            const barEnd = barStart + barSeconds;
+            const chordStart = timing.starts[i];
+            const chordEnd = chordStart + timing.lengths[i];
+            const upBeforeEnd = Math.min(PEDAL_UP_BEFORE_END, timing.lengths[i] / 4);
             const downDelay = getDelayOffsetSeconds(delayRefSeconds, delayMod, pedalDelayState) * delayIntensity;
             const upDelay = getDelayOffsetSeconds(delayRefSeconds, delayMod, pedalDelayState) * delayIntensity;
-            out.push({ time: barStart + PEDAL_DOWN_OFFSET + downDelay, down: true });
-            out.push({ time: barEnd - PEDAL_UP_BEFORE_END + upDelay, down: false });
+            out.push({ time: chordStart + PEDAL_DOWN_OFFSET + downDelay, down: true });
+            out.push({ time: chordEnd - upBeforeEnd + upDelay, down: false });
         }
         return out.sort(function (a, b) { return a.time - b.time; });
     }
@@ -343,19 +448,44 @@
         return Math.round(beats * TICKS_PER_BEAT);
     }
 
-    function eventsToMidiTracks(bassEvents, trebleEvents, bpm) {
-        const channel = 0;
+    const SUSTAIN_PEDAL_CONTROLLER = 64;
+
+    /** Sustain pedal (CC64) down/up on channel, delta ticks after the previous event. */
+    function addSustainPedal(track, channel, down, delta) {
+        const Midi = global.Midi;
+        track.addEvent(new Midi.Event({
+            type: Midi.Event.CONTROLLER,
+            channel: channel,
+            param1: SUSTAIN_PEDAL_CONTROLLER,
+            param2: down ? 127 : 0,
+            time: delta
+        }));
+    }
+
+    /**
+     * @param {Array<{ time: number, numerator: number, denominator: number }>} [timeSignatures] - meter changes
+     *   (time in seconds), written as time-signature meta events on the bass track
+     * @param {Array<{ time: number, down: boolean }>} [pedalEvents] - sustain pedal (see buildSustainPedalEvents),
+     *   written as CC64 on both tracks so each part keeps its pedal when imported on its own
+     */
+    function eventsToMidiTracks(bassEvents, trebleEvents, bpm, timeSignatures, pedalEvents) {
+        const meterEvents = (timeSignatures || []).map(function (ts) {
+            return { tick: secondsToTicks(ts.time || 0, bpm), type: 'meter', numerator: ts.numerator, denominator: ts.denominator };
+        });
+        const pedalTrackEvents = (pedalEvents || []).map(function (p) {
+            return { tick: secondsToTicks(Math.max(0, p.time), bpm), type: 'pedal', down: !!p.down };
+        });
         const eventsByTrack = [
             bassEvents.map(function (e) {
                 return { tick: secondsToTicks(e.time, bpm), type: 'on', midi: e.midi, velocity: e.velocity };
             }).concat(bassEvents.map(function (e) {
                 return { tick: secondsToTicks(e.time + e.duration, bpm), type: 'off', midi: e.midi };
-            })),
+            })).concat(meterEvents, pedalTrackEvents),
             trebleEvents.map(function (e) {
                 return { tick: secondsToTicks(e.time, bpm), type: 'on', midi: e.midi, velocity: e.velocity };
             }).concat(trebleEvents.map(function (e) {
                 return { tick: secondsToTicks(e.time + e.duration, bpm), type: 'off', midi: e.midi };
-            }))
+            }), pedalTrackEvents.slice())
         ];
 
         const Midi = global.Midi;
@@ -367,17 +497,24 @@
         bassTrack.setTempo(bpm, 0);
 
         [bassTrack, highTrack].forEach(function (track, idx) {
+            // Bass on channel 0, treble on 1, so each track's pedal only holds its own notes
+            const channel = idx;
             const list = eventsByTrack[idx];
+            const order = { meter: -2, pedal: -1, on: 0, off: 1 };
             list.sort(function (a, b) {
                 if (a.tick !== b.tick) return a.tick - b.tick;
-                return (a.type === 'off' ? 1 : 0) - (b.type === 'off' ? 1 : 0);
+                return order[a.type] - order[b.type];
             });
             let prevTick = 0;
             for (let i = 0; i < list.length; i += 1) {
                 const ev = list[i];
                 const delta = Math.max(0, ev.tick - prevTick);
                 prevTick = ev.tick;
-                if (ev.type === 'on') {
+                if (ev.type === 'meter') {
+                    track.setTimeSignature(ev.numerator, ev.denominator, delta);
+                } else if (ev.type === 'pedal') {
+                    addSustainPedal(track, channel, ev.down, delta);
+                } else if (ev.type === 'on') {
                     track.addNoteOn(channel, ev.midi, delta, ev.velocity);
                 } else {
                     track.addNoteOff(channel, ev.midi, delta, 0);
@@ -388,11 +525,18 @@
         return { bassTrack, highTrack };
     }
 
-    function exportMidi(bassEvents, trebleEvents, bpm) {
+    /**
+     * @param {Object} [options] - timeSignatures: [{ time, numerator, denominator }] (seconds), e.g. one per chord row;
+     *   pedalEvents: [{ time, down }] written as CC64 (to bake the pedal into note lengths instead, pass notes from
+     *   extendNoteEventsWithSustain and no pedalEvents)
+     */
+    function exportMidi(bassEvents, trebleEvents, bpm, options) {
         const Midi = global.Midi;
         if (!Midi || !Midi.File) throw new Error('MIDI library not loaded.');
         const bpmNum = Number(bpm) || 120;
-        const { bassTrack, highTrack } = eventsToMidiTracks(bassEvents, trebleEvents, bpmNum);
+        const timeSignatures = (options && Array.isArray(options.timeSignatures)) ? options.timeSignatures : [];
+        const pedalEvents = (options && Array.isArray(options.pedalEvents)) ? options.pedalEvents : [];
+        const { bassTrack, highTrack } = eventsToMidiTracks(bassEvents, trebleEvents, bpmNum, timeSignatures, pedalEvents);
         const file = new Midi.File({ ticks: TICKS_PER_BEAT });
         file.addTrack(bassTrack);
         file.addTrack(highTrack);
@@ -404,42 +548,645 @@
         return new Blob([data], { type: 'audio/midi' });
     }
 
+    // --- Song MIDI: tempo map, markers, named tracks with program changes ---
+    const SONG_MIDI_EVENT_ORDER = { name: 0, tempo: 1, meter: 2, keySignature: 3, marker: 4, program: 5, pedal: 6, off: 7, on: 8 };
+    const SONG_MIDI_DRUM_CHANNEL = 9;
+    /** Channels left for part tracks once the drum channel is skipped. */
+    const SONG_MIDI_PART_CHANNELS = 15;
+    const SONG_MIDI_TEXT_MAX = 120;
+    const SONG_MIDI_SLOT_LABELS = ['L1', 'L2', 'L3', 'R1', 'R2', 'R3'];
+
+    /** Meta-event text is written byte per char, so keep it printable ASCII (♯ → #, ♭ → b, Δ → maj, …). */
+    function toMidiText(text) {
+        return String(text == null ? '' : text)
+            .replace(/♯/g, '#').replace(/♭/g, 'b').replace(/[Δ△]/g, 'maj').replace(/[°]/g, 'dim').replace(/[øØ]/g, 'm7b5')
+            .replace(/[–—]/g, '-').replace(/×/g, 'x')
+            .replace(/[^\x20-\x7e]/g, '')
+            .slice(0, SONG_MIDI_TEXT_MAX);
+    }
+
+    /** Nth part channel (n < SONG_MIDI_PART_CHANNELS): 0, 1, 2, … skipping the GM drum channel. */
+    function songMidiChannel(index) {
+        return index >= SONG_MIDI_DRUM_CHANNEL ? index + 1 : index;
+    }
+
+    /** Write absolute-tick events ({ tick, type, ... }) to a jsmidgen track as deltas, in tick order. */
+    function writeSongMidiTrack(track, list, channel) {
+        list.sort(function (a, b) {
+            if (a.tick !== b.tick) return a.tick - b.tick;
+            return SONG_MIDI_EVENT_ORDER[a.type] - SONG_MIDI_EVENT_ORDER[b.type];
+        });
+        const Midi = global.Midi;
+        let prevTick = 0;
+        list.forEach(function (ev) {
+            const delta = Math.max(0, ev.tick - prevTick);
+            prevTick = ev.tick;
+            if (ev.type === 'name' || ev.type === 'marker') {
+                track.addEvent(new Midi.MetaEvent({
+                    type: ev.type === 'name' ? Midi.MetaEvent.TRACK_NAME : Midi.MetaEvent.MARKER,
+                    data: toMidiText(ev.text),
+                    time: delta
+                }));
+            } else if (ev.type === 'tempo') {
+                track.setTempo(ev.bpm, delta);
+            } else if (ev.type === 'meter') {
+                track.setTimeSignature(ev.numerator, ev.denominator, delta);
+            } else if (ev.type === 'keySignature') {
+                track.setKeySignature(ev.fifths, false, delta);
+            } else if (ev.type === 'program') {
+                track.setInstrument(channel, ev.program, delta);
+            } else if (ev.type === 'pedal') {
+                addSustainPedal(track, channel, ev.down, delta);
+            } else if (ev.type === 'on') {
+                track.addNoteOn(channel, ev.midi, delta, ev.velocity);
+            } else {
+                track.addNoteOff(channel, ev.midi, delta, 0);
+            }
+        });
+    }
+
+    /**
+     * Song MIDI (type 1) for a whole arrangement: a conductor track with the tempo map (tempo change at each row
+     * boundary), time and key signatures and markers (row names and chord symbols), then named part tracks with program
+     * changes. Each note goes to the preset slots that sound it (same choice as the WAV render, see getSlotsForNote), so
+     * bass and treble get a track per slot (Bass L1, Treble R1, …), each on its own channel; with splitRows, tracks that
+     * share a sound (GM program) share a channel, and more than 15 different sounds throws, since MIDI has no more
+     * channels to give them.
+     * @param {Array<Object>} segments - one per played row, in song order: { key (same key = same row), name, bpm,
+     *   meter: { numerator, denominator }, keyFifths (key signature: sharps > 0, flats < 0; optional), contentSeconds, bassEvents, trebleEvents (times relative to the row start),
+     *   chords: [{ time, symbol }], slots: the six preset slots L1–R3, each { preset, program (GM 0–127), semitones } or
+     *   null when empty or muted, layerPlayMode ('leftRight' | 'split' | 'scatter'), pedalEvents: [{ time, down }]
+     *   (CC64 on the row's tracks; optional) }
+     * @param {Object} [options] - title (conductor track name), splitRows (the bass and treble tracks per row)
+     * @returns {Blob}
+     */
+    function exportMidiSong(segments, options) {
+        const Midi = global.Midi;
+        if (!Midi || !Midi.File || !Midi.MetaEvent) throw new Error('MIDI library not loaded.');
+        const opts = options || {};
+        const conductor = [{ tick: 0, type: 'name', text: opts.title || 'Chords' }];
+        const partTracks = [];
+        const partByKey = {};
+        const channelByProgram = {};
+        let programChannels = 0;
+        function getPart(key, name) {
+            if (!partByKey[key]) {
+                partByKey[key] = { name: name, channel: opts.splitRows ? null : songMidiChannel(partTracks.length), events: [{ tick: 0, type: 'name', text: name }], program: null, row: -1 };
+                partTracks.push(partByKey[key]);
+            }
+            return partByKey[key];
+        }
+        function channelForProgram(program) {
+            if (channelByProgram[program] == null) {
+                if (programChannels >= SONG_MIDI_PART_CHANNELS) {
+                    throw new Error('The rows use more than ' + SONG_MIDI_PART_CHANNELS + ' different sounds, more than MIDI has channels for. Save without a track per row.');
+                }
+                channelByProgram[program] = songMidiChannel(programChannels);
+                programChannels += 1;
+            }
+            return channelByProgram[program];
+        }
+        // Row starts in seconds and ticks, so a time past a row's end (a note ringing into the next row) converts at the tempo then
+        const tempoMap = [];
+        let mapSeconds = 0;
+        let mapTick = 0;
+        (segments || []).forEach(function (seg) {
+            const bpm = Number(seg.bpm) || 120;
+            const seconds = Math.max(0, Number(seg.contentSeconds) || 0);
+            tempoMap.push({ seconds: mapSeconds, tick: mapTick, bpm: bpm });
+            mapSeconds += seconds;
+            mapTick += secondsToTicks(seconds, bpm);
+        });
+        function songTick(rowIndex, seconds) {
+            let j = rowIndex;
+            while (j + 1 < tempoMap.length && seconds >= tempoMap[j + 1].seconds) j += 1;
+            return tempoMap[j].tick + secondsToTicks(seconds - tempoMap[j].seconds, tempoMap[j].bpm);
+        }
+        let prevBpm = null;
+        let prevMeter = '';
+        let prevKeyFifths = null;
+        (segments || []).forEach(function (seg, i) {
+            const bpm = tempoMap[i].bpm;
+            const startTick = tempoMap[i].tick;
+            const toTick = function (seconds) { return songTick(i, tempoMap[i].seconds + Math.max(0, seconds)); };
+            if (bpm !== prevBpm) conductor.push({ tick: startTick, type: 'tempo', bpm: bpm });
+            prevBpm = bpm;
+            const meter = seg.meter || { numerator: 4, denominator: 4 };
+            const meterKey = meter.numerator + '/' + meter.denominator;
+            if (meterKey !== prevMeter) conductor.push({ tick: startTick, type: 'meter', numerator: meter.numerator, denominator: meter.denominator });
+            prevMeter = meterKey;
+            const keyFifths = Math.max(-7, Math.min(7, Number(seg.keyFifths) | 0));
+            if (keyFifths !== prevKeyFifths) conductor.push({ tick: startTick, type: 'keySignature', fifths: keyFifths });
+            prevKeyFifths = keyFifths;
+            const rowName = seg.name || ('Row ' + (i + 1));
+            conductor.push({ tick: startTick, type: 'marker', text: rowName });
+            (seg.chords || []).forEach(function (c) {
+                if (c.symbol) conductor.push({ tick: toTick(c.time), type: 'marker', text: c.symbol });
+            });
+            const slots = Array.isArray(seg.slots) && seg.slots.some(Boolean) ? seg.slots : [{ preset: 'default', program: 0, semitones: 0 }];
+            const slotPresets = slots.map(function (slot) { return slot ? String(slot.preset || 'preset') : null; });
+            // A note no slot sounds (e.g. treble notes when only L1 has a preset) still goes to the row's first sound
+            const firstSlot = slots.findIndex(Boolean);
+            const rowParts = [];
+            [['bass', seg.bassEvents, 'Bass'], ['treble', seg.trebleEvents, 'Treble']].forEach(function (p) {
+                function getSlotPart(slotIdx) {
+                    const slot = slots[slotIdx];
+                    const label = p[2] + ' ' + (SONG_MIDI_SLOT_LABELS[slotIdx] || String(slotIdx + 1));
+                    const part = opts.splitRows
+                        ? getPart(seg.key + ':' + p[0] + ':' + slotIdx, rowName + ' - ' + label)
+                        : getPart(p[0] + ':' + slotIdx, label);
+                    const program = Math.max(0, Math.min(127, Number(slot.program) | 0));
+                    if (part.channel == null) part.channel = channelForProgram(program);
+                    if (part.row !== i) {
+                        if (program !== part.program) part.events.push({ tick: startTick, type: 'program', program: program });
+                        part.program = program;
+                        part.row = i;
+                        rowParts.push(part);
+                    }
+                    return part;
+                }
+                (p[1] || []).forEach(function (e) {
+                    const slotIdxs = getSlotsForNote(e.midi, slotPresets, seg.layerPlayMode).filter(function (s) { return slots[s]; });
+                    const on = toTick(e.time);
+                    const off = Math.max(on + 1, toTick(e.time + e.duration));
+                    (slotIdxs.length ? slotIdxs : [firstSlot]).forEach(function (slotIdx) {
+                        const part = getSlotPart(slotIdx);
+                        const midi = Math.max(0, Math.min(127, e.midi + (Number(slots[slotIdx].semitones) | 0)));
+                        part.events.push({ tick: on, type: 'on', midi: midi, velocity: e.velocity });
+                        part.events.push({ tick: off, type: 'off', midi: midi });
+                    });
+                });
+            });
+            (seg.pedalEvents || []).forEach(function (pe) {
+                rowParts.forEach(function (part) {
+                    part.events.push({ tick: toTick(pe.time), type: 'pedal', down: !!pe.down });
+                });
+            });
+        });
+        const file = new Midi.File({ ticks: TICKS_PER_BEAT });
+        const conductorTrack = new Midi.Track();
+        writeSongMidiTrack(conductorTrack, conductor, 0);
+        file.addTrack(conductorTrack);
+        partTracks.forEach(function (part) {
+            const track = new Midi.Track();
+            writeSongMidiTrack(track, part.events, part.channel);
+            file.addTrack(track);
+        });
+        const bytes = file.toBytes();
+        const data = new Uint8Array(bytes.length);
+        for (let i = 0; i < bytes.length; i += 1) {
+            data[i] = bytes.charCodeAt(i) & 0xff;
+        }
+        return new Blob([data], { type: 'audio/midi' });
+    }
+
     // --- WAV export: events -> OfflineAudioContext -> WAV blob ---
     const WAV_EXPORT_TARGET_PEAK = 0.99;
     const WAV_ENCODE_CHUNK_FRAMES = 44100;
+    /** Render rates offered for audio export (null / 0 = the live context's rate). */
+    const WAV_EXPORT_SAMPLE_RATES = [44100, 48000, 96000];
+    const AUDIO_EXPORT_FORMATS = ['wav', 'flac', 'ogg'];
+    const OGG_EXPORT_SAMPLE_RATE = 48000;
+    /** Extra render time after the reverb tail for a loop-ready export, before folding. */
+    const LOOP_TAIL_PAD_SECONDS = 0.5;
 
+    /** Scale a rendered buffer so its peak hits targetPeak; returns the gain applied (1 for silence). */
     function normalizeBufferToPeak(buffer, targetPeak) {
         targetPeak = targetPeak != null ? targetPeak : WAV_EXPORT_TARGET_PEAK;
+        const peak = samplePeakOf(buffer);
+        if (peak <= 0) return 1;
+        const gain = targetPeak / peak;
+        applyBufferGain(buffer, gain);
+        return gain;
+    }
+
+    /**
+     * Multiply every sample by gain (clamped to ±1), e.g. the mix's normalize gain on a stem; curve (per frame, e.g. the
+     * mix's limiter gain) is applied on top when given.
+     */
+    function applyBufferGain(buffer, gain, curve) {
+        if (!curve && Math.abs(gain - 1) < 1e-6) return;
         const numChannels = buffer.numberOfChannels;
         const numFrames = buffer.length;
-        let peak = 0;
         for (let c = 0; c < numChannels; c += 1) {
             const data = buffer.getChannelData(c);
             for (let i = 0; i < numFrames; i += 1) {
-                const abs = Math.abs(data[i]);
-                if (abs > peak) peak = abs;
+                const s = data[i] * gain * (curve ? curve[i] : 1);
+                data[i] = Math.max(-1, Math.min(1, s));
             }
         }
-        if (peak <= 0) return;
-        const gain = targetPeak / peak;
-        if (Math.abs(gain - 1) < 1e-6) return;
-        for (let c = 0; c < numChannels; c += 1) {
+    }
+
+    // --- Loudness: ITU-R BS.1770 integrated loudness, true peak and a true-peak limiter ---
+    const LOUDNESS_BLOCK_SECONDS = 0.4;
+    const LOUDNESS_STEP_SECONDS = 0.1;
+    const LOUDNESS_ABSOLUTE_GATE = -70;
+    const LOUDNESS_RELATIVE_GATE = -10;
+    const WAV_TRUE_PEAK_CEILING_DB = -1;
+    const LOUDNESS_MAX_PASSES = 3;
+    const LOUDNESS_MAX_PUSH_DB = 3;
+    const LIMITER_LOOKAHEAD_SECONDS = 0.005;
+    const LIMITER_RELEASE_SECONDS = 0.08;
+    /** BS.1770 Annex 2 4× oversampling filter, one row of 12 taps per phase. */
+    const TRUE_PEAK_PHASES = [
+        [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000, -0.0594482421875, 0.1373291015625, 0.9721679687500, -0.1022949218750, 0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+        [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250, -0.1665039062500, 0.4650878906250, 0.7797851562500, -0.2003173828125, 0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+        [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000, -0.2003173828125, 0.7797851562500, 0.4650878906250, -0.1665039062500, 0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+        [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750, -0.1022949218750, 0.9721679687500, 0.1373291015625, -0.0594482421875, 0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750]
+    ];
+    /** Samples between an input sample and the oversampled values it peaks in (filter group delay). */
+    const TRUE_PEAK_DELAY = 6;
+
+    function dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    function gainToDb(gain) {
+        return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+    }
+
+    /** K-weighting (high shelf + RLB high-pass) biquad coefficients for any sample rate, as in BS.1770. */
+    function getKWeightingFilters(sampleRate) {
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelf = {
+            b0: (Vh + Vb * K / Q + K * K) / a0,
+            b1: 2 * (K * K - Vh) / a0,
+            b2: (Vh - Vb * K / Q + K * K) / a0,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        const highPass = { b0: 1, b1: -2, b2: 1, a1: 2 * (K * K - 1) / a0, a2: (1 - K / Q + K * K) / a0 };
+        return [shelf, highPass];
+    }
+
+    /**
+     * Integrated loudness (LUFS) of a buffer: K-weighted mean square over 400 ms blocks (75% overlap), absolute gate
+     * at −70 LUFS, relative gate 10 LU below the absolute-gated loudness. Channels are weighted 1 (stereo). Filters in
+     * chunks that yield to the page (see encodeInChunksAsync).
+     * @returns {Promise<number>} LUFS, or -Infinity for silence / shorter than one block
+     */
+    async function measureIntegratedLoudness(buffer) {
+        const sampleRate = buffer.sampleRate;
+        const numFrames = buffer.length;
+        const step = Math.round(sampleRate * LOUDNESS_STEP_SECONDS);
+        const stepsPerBlock = Math.round(LOUDNESS_BLOCK_SECONDS / LOUDNESS_STEP_SECONDS);
+        const numSteps = Math.floor(numFrames / step);
+        if (numSteps < stepsPerBlock) return -Infinity;
+        const stepPower = new Float64Array(numSteps);
+        const filters = getKWeightingFilters(sampleRate);
+        const f = filters[0];
+        const h = filters[1];
+        // Filter state per channel [x1, x2, y1, y2, z1, z2], carried from one chunk to the next
+        const states = Array.from({ length: buffer.numberOfChannels }, function () { return new Float64Array(6); });
+        await encodeInChunksAsync(numSteps * step, function (start, end) {
+            for (let c = 0; c < buffer.numberOfChannels; c += 1) {
+                const data = buffer.getChannelData(c);
+                const st = states[c];
+                let x1 = st[0], x2 = st[1], y1 = st[2], y2 = st[3], z1 = st[4], z2 = st[5];
+                for (let i = start; i < end; i += 1) {
+                    const x = data[i];
+                    const y = f.b0 * x + f.b1 * x1 + f.b2 * x2 - f.a1 * y1 - f.a2 * y2;
+                    x2 = x1; x1 = x;
+                    const z = h.b0 * y + h.b1 * y1 + h.b2 * y2 - h.a1 * z1 - h.a2 * z2;
+                    y2 = y1; y1 = y;
+                    z2 = z1; z1 = z;
+                    stepPower[(i / step) | 0] += z * z;
+                }
+                st[0] = x1; st[1] = x2; st[2] = y1; st[3] = y2; st[4] = z1; st[5] = z2;
+            }
+        });
+        const blockLoudness = function (power) { return -0.691 + 10 * Math.log10(power); };
+        const blocks = [];
+        for (let b = 0; b + stepsPerBlock <= numSteps; b += 1) {
+            let sum = 0;
+            for (let k = 0; k < stepsPerBlock; k += 1) sum += stepPower[b + k];
+            const power = sum / (stepsPerBlock * step);
+            if (power > 0 && blockLoudness(power) > LOUDNESS_ABSOLUTE_GATE) blocks.push(power);
+        }
+        if (!blocks.length) return -Infinity;
+        const mean = function (list) { return list.reduce(function (a, v) { return a + v; }, 0) / list.length; };
+        const relativeGate = blockLoudness(mean(blocks)) + LOUDNESS_RELATIVE_GATE;
+        const gated = blocks.filter(function (power) { return blockLoudness(power) > relativeGate; });
+        return gated.length ? blockLoudness(mean(gated)) : -Infinity;
+    }
+
+    /**
+     * Per-frame true peak (max over channels of the 4× oversampled absolute value), aligned to the input frames.
+     * The oversampling is the slow part of export leveling, so it runs in chunks that yield to the page.
+     * @returns {Promise<Float32Array>}
+     */
+    async function measureTruePeakEnvelope(buffer) {
+        const numFrames = buffer.length;
+        const taps = TRUE_PEAK_PHASES[0].length;
+        const env = new Float32Array(numFrames);
+        await encodeInChunksAsync(numFrames + TRUE_PEAK_DELAY, function (start, end) {
+            for (let c = 0; c < buffer.numberOfChannels; c += 1) {
+                const data = buffer.getChannelData(c);
+                for (let n = start; n < end; n += 1) {
+                    const peak = n < numFrames ? Math.abs(data[n]) : 0;
+                    for (let p = 0; p < TRUE_PEAK_PHASES.length; p += 1) {
+                        const h = TRUE_PEAK_PHASES[p];
+                        let y = 0;
+                        for (let k = 0; k < taps; k += 1) {
+                            const idx = n - k;
+                            if (idx >= 0 && idx < numFrames) y += h[k] * data[idx];
+                        }
+                        const at = n - TRUE_PEAK_DELAY;
+                        if (at >= 0 && at < numFrames && Math.abs(y) > env[at]) env[at] = Math.abs(y);
+                    }
+                    if (n < numFrames && peak > env[n]) env[n] = peak;
+                }
+            }
+        });
+        return env;
+    }
+
+    function maxOf(values) {
+        let max = 0;
+        for (let i = 0; i < values.length; i += 1) if (values[i] > max) max = values[i];
+        return max;
+    }
+
+    function minOf(values) {
+        let min = Infinity;
+        for (let i = 0; i < values.length; i += 1) if (values[i] < min) min = values[i];
+        return min;
+    }
+
+    function samplePeakOf(buffer) {
+        let peak = 0;
+        for (let c = 0; c < buffer.numberOfChannels; c += 1) {
             const data = buffer.getChannelData(c);
-            for (let i = 0; i < numFrames; i += 1) {
-                const s = data[i] * gain;
-                data[i] = Math.max(-1, Math.min(1, s));
+            for (let i = 0; i < data.length; i += 1) if (Math.abs(data[i]) > peak) peak = Math.abs(data[i]);
+        }
+        return peak;
+    }
+
+    /** True peak of a buffer in dBTP. */
+    async function measureTruePeakDb(buffer) {
+        return gainToDb(maxOf(await measureTruePeakEnvelope(buffer)));
+    }
+
+    /**
+     * Lookahead true-peak limiter gain curve: for each frame the gain that keeps the oversampled peak under ceiling,
+     * as a sliding minimum over the lookahead, box-smoothed (so the gain is already down when the peak arrives) and
+     * released exponentially. Linked across channels. Returns null when nothing needs limiting.
+     * @returns {Float32Array|null}
+     */
+    function buildLimiterGainCurve(truePeakEnv, sampleRate, ceiling) {
+        const n = truePeakEnv.length;
+        if (maxOf(truePeakEnv) <= ceiling) return null;
+        const look = Math.max(1, Math.round(sampleRate * LIMITER_LOOKAHEAD_SECONDS));
+        const target = new Float32Array(n);
+        for (let i = 0; i < n; i += 1) target[i] = truePeakEnv[i] > ceiling ? ceiling / truePeakEnv[i] : 1;
+        // Forward sliding minimum over target[i .. i + look] (monotonic deque)
+        const minAhead = new Float32Array(n);
+        const deque = new Int32Array(n + look + 1);
+        let head = 0;
+        let tail = 0;
+        let next = 0;
+        for (let i = 0; i < n; i += 1) {
+            while (next < n && next <= i + look) {
+                while (tail > head && target[deque[tail - 1]] >= target[next]) tail -= 1;
+                deque[tail] = next;
+                tail += 1;
+                next += 1;
             }
+            while (deque[head] < i) head += 1;
+            minAhead[i] = target[deque[head]];
+        }
+        // Box average of minAhead over [i - look, i]: every value in the window already includes frame i's target
+        const curve = new Float32Array(n);
+        let sum = 0;
+        for (let i = 0; i < n; i += 1) {
+            sum += minAhead[i];
+            if (i - look - 1 >= 0) sum -= minAhead[i - look - 1];
+            curve[i] = sum / Math.min(i + 1, look + 1);
         }
+        // Release: gain may fall at once but rises back with a time constant
+        const releaseCoef = 1 - Math.exp(-1 / (sampleRate * LIMITER_RELEASE_SECONDS));
+        let g = curve[0];
+        for (let i = 0; i < n; i += 1) {
+            g = curve[i] < g ? curve[i] : g + (curve[i] - g) * releaseCoef;
+            curve[i] = g;
+        }
+        return curve;
     }
 
-    function encodeWavFromBufferAsync(buffer, onProgress) {
+    /**
+     * Set the export level of a rendered buffer. With options.loudnessTarget (LUFS, e.g. -14 or -16) the buffer is
+     * gained to that integrated loudness and run through a true-peak limiter at options.truePeakCeiling (dBTP,
+     * default −1); without it, peak-normalized to WAV_EXPORT_TARGET_PEAK as before. Either way the result is measured;
+     * peak mode reports the sample peak only (truePeakDb is NaN), sparing the oversampling pass.
+     * @returns {Promise<{ mode: 'loudness'|'peak', gain: number, limiterCurve: Float32Array|null,
+     *   limiterReductionDb: number, loudness: number, truePeakDb: number, samplePeakDb: number }>}
+     */
+    async function levelBufferForExport(buffer, options) {
+        options = options || {};
+        const target = options.loudnessTarget != null && options.loudnessTarget !== '' ? Number(options.loudnessTarget) : NaN;
+        let gain;
+        let limiterCurve = null;
+        let mode = 'peak';
+        let loudness;
+        let truePeak = NaN;
+        if (isFinite(target)) {
+            mode = 'loudness';
+            const ceiling = dbToGain(options.truePeakCeiling != null ? Number(options.truePeakCeiling) : WAV_TRUE_PEAK_CEILING_DB);
+            const before = await measureIntegratedLoudness(buffer);
+            const original = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice());
+            // The oversampling filter is linear, so the gained signal's envelope is this one scaled: measured once
+            const originalEnv = await measureTruePeakEnvelope(buffer);
+            const originalTruePeak = maxOf(originalEnv);
+            const scaledEnv = new Float32Array(originalEnv.length);
+            let gainDb = isFinite(before) ? target - before : 0;
+            let lastLoudness = -Infinity;
+            // Limiting lowers the loudness, so when it engages, push the gain by the shortfall and run again; if a push
+            // only buys more limiting (peaks already packed at the ceiling), go back to the previous gain and stop
+            const runPass = async function (db) {
+                original.forEach(function (data, c) { buffer.getChannelData(c).set(data); });
+                gain = dbToGain(db);
+                for (let i = 0; i < originalEnv.length; i += 1) scaledEnv[i] = originalEnv[i] * gain;
+                limiterCurve = buildLimiterGainCurve(scaledEnv, buffer.sampleRate, ceiling);
+                applyBufferGain(buffer, gain, limiterCurve);
+                if (!limiterCurve) {
+                    truePeak = originalTruePeak * gain;
+                    loudness = await measureIntegratedLoudness(buffer);
+                    return null;
+                }
+                // The 4× estimate can sit a hair over the ceiling next to the limited frame; trim it statically
+                truePeak = maxOf(await measureTruePeakEnvelope(buffer));
+                const over = truePeak / ceiling;
+                if (over > 1) {
+                    applyBufferGain(buffer, 1 / over);
+                    gain /= over;
+                    truePeak /= over;
+                }
+                loudness = await measureIntegratedLoudness(buffer);
+                return loudness;
+            };
+            for (let pass = 0; pass < LOUDNESS_MAX_PASSES; pass += 1) {
+                const passLoudness = await runPass(gainDb);
+                if (passLoudness == null || !isFinite(passLoudness)) break;
+                if (pass > 0 && passLoudness - lastLoudness < 0.25) {
+                    gainDb -= Math.min(target - lastLoudness, LOUDNESS_MAX_PUSH_DB);
+                    await runPass(gainDb);
+                    break;
+                }
+                if (target - passLoudness < 0.1) break;
+                lastLoudness = passLoudness;
+                gainDb += Math.min(target - passLoudness, LOUDNESS_MAX_PUSH_DB);
+            }
+        } else {
+            gain = normalizeBufferToPeak(buffer, WAV_EXPORT_TARGET_PEAK);
+            loudness = await measureIntegratedLoudness(buffer);
+        }
+        return {
+            mode: mode,
+            gain: gain,
+            limiterCurve: limiterCurve,
+            limiterReductionDb: limiterCurve ? gainToDb(minOf(limiterCurve)) : 0,
+            loudness: loudness,
+            truePeakDb: isNaN(truePeak) ? NaN : gainToDb(truePeak),
+            samplePeakDb: gainToDb(samplePeakOf(buffer))
+        };
+    }
+
+    /** Level result without the limiter curve, for the UI and manifest.json (dB values rounded to 0.1). */
+    function describeLevel(level) {
+        const round = function (db) { return isFinite(db) ? Math.round(db * 10) / 10 : null; };
+        return {
+            mode: level.mode,
+            gain: level.gain,
+            loudness: round(level.loudness),
+            truePeakDb: round(level.truePeakDb),
+            samplePeakDb: round(level.samplePeakDb),
+            limiterReductionDb: round(level.limiterReductionDb)
+        };
+    }
+
+    /**
+     * Run doChunk(startFrame, endFrame) over numFrames in WAV_ENCODE_CHUNK_FRAMES steps, yielding to the page between
+     * chunks and calling onProgress(percent) after each. Shared by every export encoder and the level measurements.
+     */
+    function encodeInChunksAsync(numFrames, doChunk, onProgress) {
+        return new Promise(function (resolve, reject) {
+            let frame = 0;
+            function nextChunk() {
+                try {
+                    const chunkEnd = Math.min(frame + WAV_ENCODE_CHUNK_FRAMES, numFrames);
+                    doChunk(frame, chunkEnd);
+                    frame = chunkEnd;
+                } catch (err) {
+                    reject(err);
+                    return;
+                }
+                if (onProgress && numFrames > 0) onProgress(Math.round((frame / numFrames) * 100));
+                if (frame < numFrames) {
+                    setTimeout(nextChunk, 0);
+                } else {
+                    resolve();
+                }
+            }
+            nextChunk();
+        });
+    }
+
+    /**
+     * Float sample (−1…1) → integer at bitDepth. With dither, adds TPDF noise (sum of two uniform ±½ LSB values) before
+     * rounding so the bit-depth reduction leaves a noise floor instead of distortion on quiet tails.
+     */
+    function createSampleQuantizer(bitDepth, dither) {
+        const positiveScale = Math.pow(2, bitDepth - 1) - 1;
+        const negativeScale = positiveScale + 1;
+        return function (sample) {
+            const s = Math.max(-1, Math.min(1, sample));
+            let v = s < 0 ? s * negativeScale : s * positiveScale;
+            if (dither) v += Math.random() - Math.random();
+            v = Math.round(v);
+            return v > positiveScale ? positiveScale : (v < -negativeScale ? -negativeScale : v);
+        };
+    }
+
+    /**
+     * Format, bit depth and file extension for an audio export. format: 'wav' (bitDepth 16 | 24 | 32 float),
+     * 'flac' (16 | 24) or 'ogg' (Opus, or Vorbis without WebCodecs; always rendered at 48 kHz). Integer formats are TPDF-dithered unless dither is false.
+     */
+    function resolveAudioEncodeOptions(options) {
+        options = options || {};
+        const format = AUDIO_EXPORT_FORMATS.indexOf(options.format) !== -1 ? options.format : 'wav';
+        let bitDepth = [16, 24, 32].indexOf(Number(options.bitDepth)) !== -1 ? Number(options.bitDepth) : 16;
+        if (format === 'flac' && bitDepth === 32) bitDepth = 24;
+        if (format === 'ogg') bitDepth = null;
+        return {
+            format: format,
+            bitDepth: bitDepth,
+            dither: options.dither !== false && bitDepth !== 32 && format !== 'ogg',
+            extension: '.' + format,
+            sampleRate: format === 'ogg' ? OGG_EXPORT_SAMPLE_RATE : null
+        };
+    }
+
+    /**
+     * `smpl` chunk (one forward loop over the whole file, unity note C4) and `acid` chunk (beats, meter, tempo) so
+     * samplers and DAWs pick up the loop points and BPM of a loop-ready export.
+     * @param {{ beats: number, bpm: number, meterNumerator?: number, meterDenominator?: number }} loop
+     * @returns {Uint8Array}
+     */
+    function buildLoopChunks(numFrames, sampleRate, loop) {
+        const bytes = new Uint8Array(8 + 60 + 8 + 24);
+        const view = new DataView(bytes.buffer);
+        const tag = function (offset, text) {
+            for (let i = 0; i < 4; i += 1) bytes[offset + i] = text.charCodeAt(i);
+        };
+        tag(0, 'smpl');
+        view.setUint32(4, 60, true);
+        view.setUint32(16, Math.round(1e9 / sampleRate), true);
+        view.setUint32(20, 60, true);
+        view.setUint32(36, 1, true);
+        // Loop: cue id 0, forward, first to last frame (end is inclusive), play forever
+        view.setUint32(44, 0, true);
+        view.setUint32(48, 0, true);
+        view.setUint32(52, 0, true);
+        view.setUint32(56, Math.max(0, numFrames - 1), true);
+        tag(68, 'acid');
+        view.setUint32(72, 24, true);
+        view.setUint32(76, 0, true);
+        view.setUint16(80, 60, true);
+        view.setUint16(82, 0x8000, true);
+        view.setUint32(88, Math.round(loop.beats || 0), true);
+        view.setUint16(92, loop.meterDenominator || 4, true);
+        view.setUint16(94, loop.meterNumerator || 4, true);
+        view.setFloat32(96, loop.bpm || 120, true);
+        return bytes;
+    }
+
+    /**
+     * WAV from a rendered buffer: 16- or 24-bit PCM, or 32-bit float (IEEE float format with a fact chunk).
+     * @param {Object} [encodeOptions] - bitDepth (16 | 24 | 32), dither (default true for 16/24), loop (adds smpl and
+     *   acid chunks, see buildLoopChunks)
+     */
+    function encodeWavFromBufferAsync(buffer, onProgress, encodeOptions) {
+        const encode = resolveAudioEncodeOptions(Object.assign({}, encodeOptions, { format: 'wav' }));
+        const isFloat = encode.bitDepth === 32;
         const numChannels = buffer.numberOfChannels;
         const sampleRate = buffer.sampleRate;
         const numFrames = buffer.length;
-        const bytesPerSample = 2;
+        const bytesPerSample = encode.bitDepth / 8;
         const blockAlign = numChannels * bytesPerSample;
         const dataSize = numFrames * blockAlign;
-        const arrayBuffer = new ArrayBuffer(44 + dataSize);
+        const fmtSize = isFloat ? 18 : 16;
+        const factSize = isFloat ? 12 : 0;
+        const loopChunks = encodeOptions && encodeOptions.loop ? buildLoopChunks(numFrames, sampleRate, encodeOptions.loop) : null;
+        const loopChunksOffset = 12 + 8 + fmtSize + factSize;
+        const dataOffset = loopChunksOffset + (loopChunks ? loopChunks.length : 0) + 8;
+        const arrayBuffer = new ArrayBuffer(dataOffset + dataSize);
         const view = new DataView(arrayBuffer);
 
         function writeString(offset, text) {
@@ -449,46 +1196,137 @@
         }
 
         writeString(0, 'RIFF');
-        view.setUint32(4, 36 + dataSize, true);
+        view.setUint32(4, dataOffset - 8 + dataSize, true);
         writeString(8, 'WAVE');
         writeString(12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
+        view.setUint32(16, fmtSize, true);
+        view.setUint16(20, isFloat ? 3 : 1, true);
         view.setUint16(22, numChannels, true);
         view.setUint32(24, sampleRate, true);
         view.setUint32(28, sampleRate * blockAlign, true);
         view.setUint16(32, blockAlign, true);
-        view.setUint16(34, 16, true);
-        writeString(36, 'data');
-        view.setUint32(40, dataSize, true);
+        view.setUint16(34, encode.bitDepth, true);
+        if (isFloat) {
+            view.setUint16(36, 0, true);
+            writeString(38, 'fact');
+            view.setUint32(42, 4, true);
+            view.setUint32(46, numFrames, true);
+        }
+        if (loopChunks) new Uint8Array(arrayBuffer).set(loopChunks, loopChunksOffset);
+        writeString(dataOffset - 8, 'data');
+        view.setUint32(dataOffset - 4, dataSize, true);
 
-        let offset = 44;
+        let offset = dataOffset;
         const channelData = Array.from({ length: numChannels }, (_, c) => buffer.getChannelData(c));
+        const quantize = isFloat ? null : createSampleQuantizer(encode.bitDepth, encode.dither);
         function doChunk(startFrame, endFrame) {
             for (let i = startFrame; i < endFrame; i += 1) {
                 for (let channel = 0; channel < numChannels; channel += 1) {
-                    let sample = channelData[channel][i];
-                    sample = Math.max(-1, Math.min(1, sample));
-                    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
-                    offset += 2;
+                    const sample = channelData[channel][i];
+                    if (isFloat) {
+                        view.setFloat32(offset, Math.max(-1, Math.min(1, sample)), true);
+                    } else if (bytesPerSample === 2) {
+                        view.setInt16(offset, quantize(sample), true);
+                    } else {
+                        const v = quantize(sample);
+                        view.setUint8(offset, v & 0xff);
+                        view.setUint8(offset + 1, (v >> 8) & 0xff);
+                        view.setUint8(offset + 2, (v >> 16) & 0xff);
+                    }
+                    offset += bytesPerSample;
                 }
             }
         }
-        return new Promise(function (resolve) {
-            let frame = 0;
-            function nextChunk() {
-                const chunkEnd = Math.min(frame + WAV_ENCODE_CHUNK_FRAMES, numFrames);
-                doChunk(frame, chunkEnd);
-                frame = chunkEnd;
-                if (onProgress && numFrames > 0) onProgress(Math.round((frame / numFrames) * 100));
-                if (frame < numFrames) {
-                    setTimeout(nextChunk, 0);
-                } else {
-                    resolve(new Blob([view], { type: 'audio/wav' }));
-                }
+        return encodeInChunksAsync(numFrames, doChunk, onProgress).then(function () {
+            return new Blob([view], { type: 'audio/wav' });
+        });
+    }
+
+    /** Lossless FLAC (16- or 24-bit, dithered like WAV) via lib/flac-encoder.js. */
+    async function encodeFlacFromBufferAsync(buffer, onProgress, encodeOptions) {
+        const FlacEncoder = global.FlacEncoder;
+        if (!FlacEncoder || typeof FlacEncoder.createEncoder !== 'function') throw new Error('FLAC encoder not loaded.');
+        const encode = resolveAudioEncodeOptions(Object.assign({}, encodeOptions, { format: 'flac' }));
+        const numChannels = buffer.numberOfChannels;
+        const numFrames = buffer.length;
+        const encoder = FlacEncoder.createEncoder({ sampleRate: buffer.sampleRate, channels: numChannels, bitDepth: encode.bitDepth, totalFrames: numFrames });
+        const channelData = Array.from({ length: numChannels }, (_, c) => buffer.getChannelData(c));
+        const chunkInts = Array.from({ length: numChannels }, () => new Int32Array(WAV_ENCODE_CHUNK_FRAMES));
+        const quantize = createSampleQuantizer(encode.bitDepth, encode.dither);
+        await encodeInChunksAsync(numFrames, function (startFrame, endFrame) {
+            for (let channel = 0; channel < numChannels; channel += 1) {
+                const src = channelData[channel];
+                const dst = chunkInts[channel];
+                for (let i = startFrame; i < endFrame; i += 1) dst[i - startFrame] = quantize(src[i]);
             }
-            nextChunk();
+            encoder.addFrames(chunkInts, 0, endFrame - startFrame);
+        }, onProgress);
+        return encoder.finish();
+    }
+
+    /**
+     * The OGG encoder this browser can run: Opus (lib/ogg-opus-encoder.js) where WebCodecs can encode it with these
+     * settings, else the plain-JS Vorbis encoder (lib/ogg-vorbis-encoder.js); null when neither is loaded.
+     * @param {Object} [encodeOptions] - bitrate, channels
+     * @returns {Promise<{ codec: string, encoder: Object }|null>}
+     */
+    async function getOggEncoder(encodeOptions) {
+        const OggOpusEncoder = global.OggOpusEncoder;
+        if (OggOpusEncoder && await OggOpusEncoder.isSupported({
+            channels: encodeOptions && encodeOptions.channels,
+            bitrate: encodeOptions && encodeOptions.bitrate
+        })) return { codec: 'opus', encoder: OggOpusEncoder };
+        const OggVorbisEncoder = global.OggVorbisEncoder;
+        if (OggVorbisEncoder && typeof OggVorbisEncoder.createEncoder === 'function') return { codec: 'vorbis', encoder: OggVorbisEncoder };
+        return null;
+    }
+
+    /** Compressed Ogg Opus or Vorbis (see getOggEncoder); the buffer must be rendered at 48 kHz. */
+    async function encodeOggFromBufferAsync(buffer, onProgress, encodeOptions) {
+        const ogg = await getOggEncoder({ channels: buffer.numberOfChannels, bitrate: encodeOptions && encodeOptions.bitrate });
+        if (!ogg) throw new Error('OGG encoder not loaded.');
+        const numChannels = buffer.numberOfChannels;
+        const numFrames = buffer.length;
+        const encoder = ogg.encoder.createEncoder({
+            sampleRate: buffer.sampleRate,
+            channels: numChannels,
+            totalFrames: numFrames,
+            bitrate: encodeOptions && encodeOptions.bitrate
         });
+        const channelData = Array.from({ length: numChannels }, (_, c) => buffer.getChannelData(c));
+        await encodeInChunksAsync(numFrames, function (startFrame, endFrame) {
+            encoder.addFrames(channelData, startFrame, endFrame);
+        }, onProgress);
+        return encoder.finish();
+    }
+
+    /**
+     * Codec behind OGG export here ('opus' or 'vorbis'), or null when OGG cannot be encoded.
+     * @param {Object} [encodeOptions] - bitrate
+     * @returns {Promise<string|null>}
+     */
+    async function getOggCodec(encodeOptions) {
+        const ogg = await getOggEncoder(encodeOptions);
+        return ogg ? ogg.codec : null;
+    }
+
+    /** Rejects before any rendering when the encoder for the export format is missing. */
+    async function assertAudioEncoderAvailable(encodeOptions) {
+        const format = resolveAudioEncodeOptions(encodeOptions).format;
+        if (format === 'flac' && !(global.FlacEncoder && typeof global.FlacEncoder.createEncoder === 'function')) throw new Error('FLAC encoder not loaded.');
+        if (format === 'ogg' && !(await getOggEncoder(encodeOptions))) throw new Error('OGG export is not available in this browser.');
+    }
+
+    /**
+     * Encode a rendered buffer in the export format (see resolveAudioEncodeOptions); all formats report progress
+     * the same way (percent after each chunk).
+     * @returns {Promise<Blob>}
+     */
+    function encodeAudioFromBufferAsync(buffer, onProgress, encodeOptions) {
+        const format = resolveAudioEncodeOptions(encodeOptions).format;
+        if (format === 'flac') return encodeFlacFromBufferAsync(buffer, onProgress, encodeOptions);
+        if (format === 'ogg') return encodeOggFromBufferAsync(buffer, onProgress, encodeOptions);
+        return encodeWavFromBufferAsync(buffer, onProgress, encodeOptions);
     }
 
     function midiToPlaybackRate(midi, originalPitchCents, semitoneOffset) {
@@ -539,17 +1377,48 @@
         return copy;
     }
 
+    /**
+     * Resample a buffer (e.g. the live reverb IR) to another rate by playing it through an OfflineAudioContext, so an
+     * export rendered at 96 kHz still uses the same IR as playback at 48 kHz.
+     * @returns {Promise<AudioBuffer>}
+     */
+    async function resampleBufferAsync(sourceBuffer, sampleRate) {
+        const length = Math.max(1, Math.ceil(sourceBuffer.length * sampleRate / sourceBuffer.sampleRate));
+        const ctx = new global.OfflineAudioContext(sourceBuffer.numberOfChannels, length, sampleRate);
+        const src = ctx.createBufferSource();
+        src.buffer = copyReverbBufferIntoContext(ctx, sourceBuffer);
+        src.connect(ctx.destination);
+        src.start(0);
+        return ctx.startRendering();
+    }
+
+    /** Index of the row segment (sorted by start) playing at time t. */
+    function segmentIndexAt(segments, t) {
+        let idx = 0;
+        for (let i = 1; i < segments.length; i += 1) {
+            if (segments[i].start <= t + 1e-9) idx = i;
+            else break;
+        }
+        return idx;
+    }
+
     /**
      * Build dry + reverb + stereo chain matching gsl-synth so WAV sounds like live playback.
-     * If reverbBufferFromLive is provided (and matches ctx sample rate), uses it so WAV reverb matches live.
-     * rowVolume (0–2000, default 1000) sets master gain to rowVolume/100 to match gsl-synth setMasterVolume.
+     * If reverbBufferFromLive is provided (and matches ctx sample rate — renderWavBuffer resamples it first), uses it
+     * so WAV reverb matches live.
+     * segments: [{ start, settings }] (settings from resolveWavRenderSettings), one per row; at each row start the
+     * reverb send/wet, stereo width, master gain (rowVolume/100) and chord-row every-bar gain switch with the same
+     * smoothing gsl-synth uses when a row's sound is applied. One convolver serves all rows, so tails carry across.
      * Returns { inputGain } — connect each note to inputGain.
      */
-    function buildSynthStyleChain(ctx, reverbAmount, stereoWidthMidEq, reverbBufferFromLive, rowVolume) {
+    function buildSynthStyleChain(ctx, reverbBufferFromLive, segments, totalSeconds, renderStart) {
+        // renderStart: song time at context time 0 (a render of part of the song starts with that row's settings)
+        renderStart = renderStart || 0;
+        const first = segments[segmentIndexAt(segments, renderStart)].settings;
         const dryGain = ctx.createGain();
         dryGain.gain.setValueAtTime(1, ctx.currentTime);
         const reverbSend = ctx.createGain();
-        reverbSend.gain.setValueAtTime(reverbAmount, ctx.currentTime);
+        reverbSend.gain.setValueAtTime(first.reverbSend, ctx.currentTime);
         const reverbNode = ctx.createConvolver();
         if (reverbBufferFromLive && reverbBufferFromLive.sampleRate === ctx.sampleRate) {
             reverbNode.buffer = copyReverbBufferIntoContext(ctx, reverbBufferFromLive);
@@ -558,7 +1427,7 @@
             reverbNode.buffer = createImpulseResponse(ctx, 2.2, 2.4);
         }
         const reverbWet = ctx.createGain();
-        reverbWet.gain.setValueAtTime(reverbAmount, ctx.currentTime);
+        reverbWet.gain.setValueAtTime(first.reverbSend, ctx.currentTime);
         const sumGain = ctx.createGain();
         sumGain.gain.setValueAtTime(1, ctx.currentTime);
         dryGain.connect(sumGain);
@@ -581,9 +1450,7 @@
         const sideGain = ctx.createGain();
         const sideGainInv = ctx.createGain();
         sideGainInv.gain.setValueAtTime(-1, ctx.currentTime);
-        const midEq = Math.max(-100, Math.min(0, stereoWidthMidEq));
-        const db = -36 + ((midEq + 100) / 100) * 24;
-        midGain.gain.setValueAtTime(Math.pow(10, db / 20), ctx.currentTime);
+        midGain.gain.setValueAtTime(first.midGain, ctx.currentTime);
         sideGain.gain.setValueAtTime(1, ctx.currentTime);
         midSum.connect(midGain);
         sideSum.connect(sideGain);
@@ -593,17 +1460,39 @@
         sideGain.connect(widthMerge, 0, 0);
         midGain.connect(widthMerge, 0, 1);
         sideGainInv.connect(widthMerge, 0, 1);
+        const chordRowModGain = ctx.createGain();
+        chordRowModGain.gain.setValueAtTime(1, ctx.currentTime);
+        if (segments.some(function (seg) { return seg.settings.chordRowMod.active; })) {
+            for (let t = 0; t < totalSeconds; t += WAV_EVERY_BAR_GAIN_STEP) {
+                // Same steps as a render from 0; the one in force at renderStart lands on context time 0
+                if (t + WAV_EVERY_BAR_GAIN_STEP <= renderStart) continue;
+                const seg = segments[segmentIndexAt(segments, t)];
+                const mult = seg.settings.chordRowMod.active ? getChordRowModMultiplier(seg.settings.chordRowMod, t - seg.start) : 1;
+                chordRowModGain.gain.setValueAtTime(mult, Math.max(0, t - renderStart));
+            }
+        }
+        widthMerge.connect(chordRowModGain);
         const masterGain = ctx.createGain();
-        const rv = (rowVolume != null && !isNaN(rowVolume)) ? Math.max(0, Math.min(2000, rowVolume)) : 1000;
-        masterGain.gain.setValueAtTime(rv / 100, ctx.currentTime);
-        widthMerge.connect(masterGain);
+        masterGain.gain.setValueAtTime(first.masterGain, ctx.currentTime);
+        chordRowModGain.connect(masterGain);
         masterGain.connect(ctx.destination);
 
+        // Row boundaries: same time constants as gsl-synth setReverb / setStereoWidth / setMasterVolume
+        for (let i = 1; i < segments.length; i += 1) {
+            if (segments[i].start <= renderStart) continue;
+            const at = segments[i].start - renderStart;
+            const s = segments[i].settings;
+            reverbSend.gain.setTargetAtTime(s.reverbSend, at, 0.01);
+            reverbWet.gain.setTargetAtTime(s.reverbSend, at, 0.01);
+            midGain.gain.setTargetAtTime(s.midGain, at, 0.03);
+            masterGain.gain.setTargetAtTime(s.masterGain, at, 0.01);
+        }
+
         const inputGain = ctx.createGain();
         inputGain.gain.setValueAtTime(1, ctx.currentTime);
         inputGain.connect(dryGain);
         inputGain.connect(reverbSend);
-        return { inputGain: inputGain };
+        return { inputGain: inputGain, reverbSend: reverbSend, midGain: midGain, masterGain: masterGain };
     }
 
     function getDelayOffsetSecondsWav(noteDurationSeconds, delayModPattern, state) {
@@ -617,12 +1506,166 @@
         return noteDurationSeconds * amount * remainder;
     }
 
+    const WAV_EVERY_BAR_GAIN_STEP = 0.0125;
+    const WAV_NUM_SLOTS = 6;
+    const WAV_TREMOLO_DEPTH = 0.03;
+
+    /** Bar phase 0–1 at time t for a bar of barSeconds (rows start on a downbeat). */
+    function barPhaseAt(t, barSeconds) {
+        if (!(barSeconds > 0)) return 0;
+        return ((t % barSeconds) + barSeconds) % barSeconds / barSeconds;
+    }
+
+    /** Whole-mix every-bar gain at time t: average of the bass and treble shapes, as in gsl-synth's chord-row mod. */
+    function getChordRowModMultiplier(chordRowMod, t) {
+        const phase = barPhaseAt(t, chordRowMod.barSeconds);
+        return (getLinearVolumeModMultiplier(chordRowMod.bassPattern, phase, chordRowMod.bassIntensity)
+            + getLinearVolumeModMultiplier(chordRowMod.treblePattern, phase, chordRowMod.trebleIntensity)) / 2;
+    }
+
+    /** Same hash as gsl-synth so split/scatter pick the same layers per note. */
+    function hashNoteName(noteName) {
+        const str = String(noteName || '');
+        let h = 0;
+        for (let j = 0; j < str.length; j += 1) h = ((h << 5) - h + str.charCodeAt(j)) | 0;
+        return Math.abs(h);
+    }
+
+    function midiToNoteName(midi) {
+        const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        return names[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+    }
+
+    /** Slot indexes a note plays on, by layer play mode (mirrors gsl-synth triggerAttack). */
+    function getSlotsForNote(midi, slots, layerPlayMode) {
+        const out = [];
+        const hasPreset = function (s) { return s != null && typeof s === 'string' && s.trim() !== ''; };
+        if (layerPlayMode === 'split' || layerPlayMode === 'scatter') {
+            const h = hashNoteName(midiToNoteName(midi));
+            if (layerPlayMode === 'split') {
+                const start = (h % 2) === 1 ? 3 : 0;
+                for (let s = start; s < start + 3 && s < slots.length; s += 1) {
+                    if (hasPreset(slots[s])) out.push(s);
+                }
+            } else {
+                const i0 = h % 6;
+                const i1 = (i0 + 1 + (Math.floor(h / 6) % 5)) % 6;
+                if (hasPreset(slots[i0])) out.push(i0);
+                if (hasPreset(slots[i1]) && i1 !== i0) out.push(i1);
+            }
+            return out;
+        }
+        const start = midi >= 60 ? 3 : 0; // 60 = middle C: notes below = L1–L3, else R1–R3
+        for (let s = start; s < start + 3 && s < slots.length; s += 1) {
+            if (hasPreset(slots[s])) out.push(s);
+        }
+        return out;
+    }
+
+    /**
+     * Resolve exportWav options into the settings the offline render uses, with the same defaults and derived values
+     * as live playback (chord-player applySoundStateToGlobals + gsl-synth). Also used to check WAV/live parity.
+     * @param {Object} options - see exportWav
+     * @param {number} [totalSeconds]
+     */
+    function resolveWavRenderSettings(options, totalSeconds) {
+        options = options || {};
+        const bpm = options.bpm != null && options.bpm > 0 ? options.bpm : 120;
+        const soundBpm = options.soundBpm != null && options.soundBpm > 0 ? Math.max(40, Math.min(240, options.soundBpm)) : bpm;
+        const barBeats = options.barBeats != null && options.barBeats > 0 ? options.barBeats : 4;
+        // Bar length as in primidiGetBarPhase (index.html): quarter-note beats per bar at the sound BPM
+        const barSeconds = barBeats * 60 / soundBpm;
+        const presetSlots = options.presetSlots && Array.isArray(options.presetSlots) ? options.presetSlots.slice() : null;
+        const hasValidSlots = presetSlots && presetSlots.length > 0 && presetSlots.some(function (p) { return p != null && String(p).trim() !== ''; });
+        const singlePreset = options.presetName || (presetSlots && presetSlots[0]) || (global.gslPresetSlots && global.gslPresetSlots[0]) || global.currentGslPreset || 'gsl_piano';
+        let slots;
+        if (hasValidSlots) {
+            // Same padding as applySoundStateToGlobals: six slots, and a lone L1 also plays R1
+            slots = presetSlots.slice(0, WAV_NUM_SLOTS);
+            while (slots.length < WAV_NUM_SLOTS) slots.push(null);
+            if (slots[0] && !slots[3]) slots[3] = slots[0];
+        } else {
+            slots = [singlePreset, null, null, singlePreset, null, null];
+        }
+        const soundMode = (options.soundMode === 'nostalgia' || options.soundMode === 'tremolo')
+            ? options.soundMode
+            : (options.nostalgiaMode ? 'nostalgia' : 'normal');
+        const chordRowMod = {
+            bassPattern: options.soundBassEveryBar || 'none',
+            treblePattern: options.soundTrebleEveryBar || 'none',
+            bassIntensity: options.soundBassEveryBarIntensity != null && !isNaN(options.soundBassEveryBarIntensity) ? Math.max(0, Math.min(1, options.soundBassEveryBarIntensity)) : 0.2,
+            trebleIntensity: options.soundTrebleEveryBarIntensity != null && !isNaN(options.soundTrebleEveryBarIntensity) ? Math.max(0, Math.min(1, options.soundTrebleEveryBarIntensity)) : 0.2,
+            barSeconds: barSeconds,
+            totalSeconds: totalSeconds || 0
+        };
+        chordRowMod.active = chordRowMod.bassPattern !== 'none' || chordRowMod.treblePattern !== 'none';
+        const midEq = Math.max(-100, Math.min(0, options.stereoWidthMidEq != null ? options.stereoWidthMidEq : -75));
+        const reverbAmount = options.reverbAmount != null ? Math.max(0, Math.min(1, options.reverbAmount)) * 0.6 : 0.3;
+        return {
+            bpm: bpm,
+            soundBpm: soundBpm,
+            barSeconds: barSeconds,
+            presetSlots: slots,
+            slotVolumes: options.slotVolumes && Array.isArray(options.slotVolumes) ? options.slotVolumes : [33, 33, 33, 33, 33, 33],
+            slotSemitones: options.slotSemitones && Array.isArray(options.slotSemitones) ? options.slotSemitones : [0, 0, 0, 0, 0, 0],
+            slotMuted: options.slotMuted && Array.isArray(options.slotMuted) ? options.slotMuted : [false, false, false, false, false, false],
+            everyBarPattern: options.everyBarPattern && Array.isArray(options.everyBarPattern) ? options.everyBarPattern : ['none', 'none', 'none', 'none', 'none', 'none'],
+            everyBarIntensity: options.everyBarIntensity && Array.isArray(options.everyBarIntensity) ? options.everyBarIntensity : [0.20, 0.20, 0.20, 0.20, 0.20, 0.20],
+            layerPlayStyle: (options.layerPlayStyle === 'human' || options.layerPlayStyle === 'drunk') ? options.layerPlayStyle : 'none',
+            layerPlayMode: (options.layerPlayMode === 'split' || options.layerPlayMode === 'scatter') ? options.layerPlayMode : 'leftRight',
+            delayIntensity: options.delayIntensity != null && !isNaN(options.delayIntensity) ? Math.max(0, options.delayIntensity) : 1,
+            reverbSend: reverbAmount,
+            midGain: Math.pow(10, (-36 + ((midEq + 100) / 100) * 24) / 20),
+            stereoWidthMidEq: midEq,
+            masterGain: (options.rowVolume != null && !isNaN(options.rowVolume) ? Math.max(0, Math.min(2000, options.rowVolume)) : 1000) / 100,
+            soundMode: soundMode,
+            chordRowMod: chordRowMod
+        };
+    }
+
     /**
      * Render WAV from the same event list. Uses same reverb + stereo chain as gsl-synth so it matches what you hear.
-     * If options.presetSlots is provided (multi-layer), renders each note through each slot (preset, volume, semitone, delay) like live playback.
+     * If options.presetSlots is provided (multi-layer), renders each note through the slots its layer play mode picks
+     * (preset, volume, semitone, delay) like live playback. Sound-panel options: reverbAmount (0–1), stereoWidthMidEq,
+     * rowVolume, soundMode ('normal' | 'nostalgia' | 'tremolo'), barBeats (row meter), soundBassEveryBar /
+     * soundTrebleEveryBar (+ …Intensity) for the whole-mix every-bar shape.
+     * options.rowSegments: [{ start (seconds), options }] for a song with a different sound per row — each note plays
+     * with the sound of the row it starts in (row options override the shared ones), and every-bar shapes restart on
+     * each row's downbeat, as when playback applies the next row's sound.
+     * File format: options.sampleRate (render rate, e.g. 44100 / 48000 / 96000), options.format ('wav' | 'flac' |
+     * 'ogg'), options.bitDepth (16 | 24 | 32 float for WAV; 16 | 24 for FLAC), options.dither (TPDF, default on),
+     * options.bitrate (OGG). OGG always renders at 48 kHz.
+     * Level: options.loudnessTarget (LUFS) with options.truePeakCeiling (dBTP), else peak-normalized (see
+     * levelBufferForExport); options.onLevel({ mode, loudness, truePeakDb, … }) gets the measured result.
+     * Loop-ready: options.loop = { seconds, beats, bpm, meterNumerator, meterDenominator } renders the tail, folds it
+     * into the start (file is exactly `seconds` long) and, for WAV, writes smpl loop points and acid tempo chunks.
      */
     async function exportWav(bassEvents, trebleEvents, totalSeconds, options) {
         options = options || {};
+        await assertAudioEncoderAvailable(options);
+        const rendered = await renderWavBuffer(bassEvents, trebleEvents, totalSeconds, options);
+        const level = await levelBufferForExport(rendered, options);
+        if (typeof options.onLevel === 'function') options.onLevel(describeLevel(level));
+        return encodeAudioFromBufferAsync(rendered, options.onProgress, options);
+    }
+
+    /**
+     * Offline render (not normalized) behind exportWav; same options, plus for stems: dry (no reverb send) and
+     * stemFilter(part, slotIndex, rowSegmentIndex) → false to leave that voice out. Left-out voices still advance the
+     * layer delay counters, so a stem's notes land on exactly the same samples as in the full mix.
+     * onRendered({ settings, gains, slotNotes }) reports what the graph ran with (see probeWavRender).
+     * renderStart (seconds) renders only from there to totalSeconds, sample for sample as that part of a render from 0;
+     * notes starting before it are left out.
+     * @returns {Promise<AudioBuffer>}
+     */
+    async function renderWavBuffer(bassEvents, trebleEvents, totalSeconds, options) {
+        options = options || {};
+        const loop = options.loop && options.loop.seconds > 0 ? options.loop : null;
+        if (loop) {
+            // Render past the loop end for the whole reverb tail; foldLoopTail mixes it back into the start
+            const irSeconds = options.reverbBuffer ? options.reverbBuffer.length / options.reverbBuffer.sampleRate : 2.2;
+            totalSeconds = Math.max(totalSeconds || 0, loop.seconds + Math.max(1.2, irSeconds) + LOOP_TAIL_PAD_SECONDS);
+        }
         if (typeof global.OfflineAudioContext !== 'function') {
             throw new Error('OfflineAudioContext not supported in this browser.');
         }
@@ -633,29 +1676,25 @@
         if (typeof handler.ensurePresetLoaded !== 'function') {
             throw new Error('Instrument sample handler cannot load preset for offline context.');
         }
-        const presetSlots = options.presetSlots && Array.isArray(options.presetSlots) ? options.presetSlots : null;
-        const slotVolumes = options.slotVolumes && Array.isArray(options.slotVolumes) ? options.slotVolumes : [33, 33, 33, 33, 33, 33];
-        const slotSemitones = options.slotSemitones && Array.isArray(options.slotSemitones) ? options.slotSemitones : [0, 0, 0, 0, 0, 0];
-        const slotMuted = options.slotMuted && Array.isArray(options.slotMuted) ? options.slotMuted : [false, false, false, false, false, false];
-        const layerPlayStyle = (options.layerPlayStyle === 'human' || options.layerPlayStyle === 'drunk') ? options.layerPlayStyle : 'none';
-        const delayIntensity = options.delayIntensity != null && !isNaN(options.delayIntensity) ? Math.max(0, options.delayIntensity) : 1;
-        const bpm = options.bpm != null && options.bpm > 0 ? options.bpm : 120;
-        const soundBpm = options.soundBpm != null && options.soundBpm > 0 ? Math.max(40, Math.min(240, options.soundBpm)) : bpm;
-        const everyBarPattern = options.everyBarPattern && Array.isArray(options.everyBarPattern) ? options.everyBarPattern : ['none', 'none', 'none', 'none', 'none', 'none'];
-        const everyBarIntensity = options.everyBarIntensity && Array.isArray(options.everyBarIntensity) ? options.everyBarIntensity : [0.20, 0.20, 0.20, 0.20, 0.20, 0.20];
-        const delayRefSeconds = 5 / bpm;
-        const barDurationEveryBar = 60 / soundBpm;
-        const EVERY_BAR_GAIN_STEP = 0.0125;
-
-        const singlePreset = options.presetName || (presetSlots && presetSlots[0]) || (global.gslPresetSlots && global.gslPresetSlots[0]) || global.currentGslPreset || 'gsl_piano';
-        const hasValidSlots = presetSlots && presetSlots.length > 0 && presetSlots.some(function (p) { return p != null && String(p).trim() !== ''; });
-        const presetsToLoad = hasValidSlots
-            ? presetSlots.filter(function (p) { return p != null && String(p).trim() !== ''; })
-            : [singlePreset];
-        const slotsForRender = hasValidSlots ? presetSlots : [singlePreset];
+        const rowSegments = Array.isArray(options.rowSegments) && options.rowSegments.length
+            ? options.rowSegments.slice().sort(function (a, b) { return a.start - b.start; })
+            : [{ start: 0, options: null }];
+        const segments = rowSegments.map(function (seg) {
+            const settings = resolveWavRenderSettings(Object.assign({}, options, seg.options || {}), totalSeconds);
+            if (options.dry) settings.reverbSend = 0;
+            return { start: Math.max(0, seg.start || 0), settings: settings };
+        });
+        const stemFilter = typeof options.stemFilter === 'function' ? options.stemFilter : null;
+        const presetsToLoad = [];
+        segments.forEach(function (seg) {
+            seg.settings.presetSlots.forEach(function (p) {
+                if (p != null && String(p).trim() !== '' && presetsToLoad.indexOf(p) === -1) presetsToLoad.push(p);
+            });
+        });
 
-        const sampleRate = options.sampleRate || 44100;
-        const totalFrames = Math.ceil((totalSeconds || 10) * sampleRate);
+        const sampleRate = resolveAudioEncodeOptions(options).sampleRate || options.sampleRate || 44100;
+        const renderStart = loop ? 0 : Math.max(0, Math.min(Number(options.renderStart) || 0, (totalSeconds || 10) - 1 / sampleRate));
+        const totalFrames = Math.ceil((totalSeconds || 10) * sampleRate) - Math.round(renderStart * sampleRate);
         const offlineCtx = new global.OfflineAudioContext(2, totalFrames, sampleRate);
 
         const baseUrl = options.baseUrl != null ? options.baseUrl : (typeof global.document !== 'undefined' && global.document.baseURI ? global.document.baseURI.replace(/\/[^/]*$/, '/') : '');
@@ -663,17 +1702,21 @@
             await handler.ensurePresetLoaded(offlineCtx, presetsToLoad[p], baseUrl);
         }
 
-        const reverbAmount = options.reverbAmount != null ? Math.max(0, Math.min(1, options.reverbAmount)) * 0.6 : 0.3;
-        const stereoWidthMidEq = options.stereoWidthMidEq != null ? options.stereoWidthMidEq : -75;
-        const reverbBufferFromLive = options.reverbBuffer || null;
-        const rowVolume = options.rowVolume != null && !isNaN(options.rowVolume) ? Math.max(0, Math.min(2000, options.rowVolume)) : 1000;
-        const chain = buildSynthStyleChain(offlineCtx, reverbAmount, stereoWidthMidEq, reverbBufferFromLive, rowVolume);
+        let reverbBufferFromLive = options.reverbBuffer || null;
+        if (reverbBufferFromLive && reverbBufferFromLive.sampleRate !== sampleRate) {
+            reverbBufferFromLive = await resampleBufferAsync(reverbBufferFromLive, sampleRate);
+        }
+        const chain = buildSynthStyleChain(offlineCtx, reverbBufferFromLive, segments, totalSeconds || 10, renderStart);
 
-        const allEvents = bassEvents.concat(trebleEvents).sort(function (a, b) { return a.time - b.time; });
+        const tagPart = function (part) {
+            return function (e) { return { time: e.time, midi: e.midi, duration: e.duration, velocity: e.velocity, part: part }; };
+        };
+        const allEvents = bassEvents.map(tagPart('bass')).concat(trebleEvents.map(tagPart('treble'))).sort(function (a, b) { return a.time - b.time; });
         const attack = 0.02;
         const release = 0.08;
         const ULTIMATE_ENVELOPE_SECONDS = 6.0;
         const delayStateBySlot = [];
+        const slotNotes = new Array(WAV_NUM_SLOTS).fill(0);
         function ultimateEnvelopeFactor(noteStartTime, t, peak) {
             if (t <= noteStartTime) return 1;
             const elapsed = t - noteStartTime;
@@ -688,8 +1731,20 @@
             const dur = Math.max(0.03, ev.duration || 0.2);
             const baseWhen = Math.max(0, ev.time);
             const velocityPeak = velocityToGain(ev.velocity, ev.midi, global);
+            const segmentIndex = segmentIndexAt(segments, baseWhen);
+            const segment = segments[segmentIndex];
+            const settings = segment.settings;
+            const slotsForRender = settings.presetSlots;
+            const slotVolumes = settings.slotVolumes;
+            const slotSemitones = settings.slotSemitones;
+            const slotMuted = settings.slotMuted;
+            const everyBarPattern = settings.everyBarPattern;
+            const everyBarIntensity = settings.everyBarIntensity;
+            const delayRefSeconds = 5 / settings.bpm;
 
-            for (let slotIdx = 0; slotIdx < slotsForRender.length; slotIdx += 1) {
+            const noteSlots = getSlotsForNote(midi, slotsForRender, settings.layerPlayMode);
+            for (let n = 0; n < noteSlots.length; n += 1) {
+                const slotIdx = noteSlots[n];
                 const presetName = slotsForRender[slotIdx];
                 if (!presetName || (slotMuted[slotIdx])) continue;
                 const preset = handler.getPreset && handler.getPreset(presetName) ? handler.getPreset(presetName) : null;
@@ -700,8 +1755,10 @@
                 if (!zone || !buf) continue;
 
                 const delayState = delayStateBySlot[slotIdx] || (delayStateBySlot[slotIdx] = { counter: 0 });
-                const delayOffset = getDelayOffsetSecondsWav(delayRefSeconds, layerPlayStyle, delayState) * delayIntensity;
-                const when = baseWhen + delayOffset;
+                const delayOffset = getDelayOffsetSecondsWav(delayRefSeconds, settings.layerPlayStyle, delayState) * settings.delayIntensity;
+                const when = baseWhen + delayOffset - renderStart;
+                if (when < 0) continue;
+                if (stemFilter && !stemFilter(ev.part, slotIdx, segmentIndex)) continue;
 
                 const volRaw = (slotVolumes[slotIdx] != null && !isNaN(slotVolumes[slotIdx])) ? slotVolumes[slotIdx] : 33;
                 const slotVol = Math.max(0, Math.min(100, volRaw)) / 100;
@@ -717,16 +1774,12 @@
                     const sustainEnd = when + Math.max(attack, dur - 0.001);
                     const ultimateEnd = when + ULTIMATE_ENVELOPE_SECONDS;
                     const sustainEndCap = Math.min(sustainEnd, ultimateEnd);
-                    const phaseAt = function (t) {
-                        if (barDurationEveryBar <= 0) return 0;
-                        return ((t % barDurationEveryBar) + barDurationEveryBar) % barDurationEveryBar / barDurationEveryBar;
-                    };
-                    const multAt = function (t) { return getLinearVolumeModMultiplier(pattern, phaseAt(t), intensity); };
+                    const multAt = function (t) { return getLinearVolumeModMultiplier(pattern, barPhaseAt(t + renderStart - segment.start, settings.barSeconds), intensity); };
                     const gainAt = function (t) {
                         return peak * multAt(t) * ultimateEnvelopeFactor(when, t, peak);
                     };
                     gain.gain.linearRampToValueAtTime(gainAt(sustainStart), sustainStart);
-                    for (let t = sustainStart + EVERY_BAR_GAIN_STEP; t < sustainEndCap - 1e-6; t += EVERY_BAR_GAIN_STEP) {
+                    for (let t = sustainStart + WAV_EVERY_BAR_GAIN_STEP; t < sustainEndCap - 1e-6; t += WAV_EVERY_BAR_GAIN_STEP) {
                         gain.gain.setValueAtTime(gainAt(t), t);
                     }
                     gain.gain.setValueAtTime(gainAt(sustainEndCap), sustainEndCap);
@@ -744,28 +1797,236 @@
                 src.loop = true;
                 src.loopStart = zone.loopStart != null ? zone.loopStart : 0.1;
                 src.loopEnd = zone.loopEnd != null ? zone.loopEnd : Math.max(0.11, buf.duration - 0.1);
-                src.playbackRate.setValueAtTime(playbackRate, when);
-                const rampEnd = options.nostalgiaMode
-                    ? when + Math.min(dur + release, 6)
-                    : when + 6;
-                src.playbackRate.linearRampToValueAtTime(playbackRate * 0.97, rampEnd);
+                if (settings.soundMode === 'tremolo') {
+                    // ±3% pitch wobble per 1/16 note from the note start, like gsl-synth updateTremoloVoices. The curve
+                    // starts at playbackRate, so no setValueAtTime at `when` (an event at the curve's start throws)
+                    const period = 60 / (settings.soundBpm * 4);
+                    const span = dur + release + 0.05;
+                    const steps = Math.max(2, Math.ceil(span / (period / 16)));
+                    const curve = new Float32Array(steps);
+                    for (let s = 0; s < steps; s += 1) {
+                        curve[s] = playbackRate * (1 + WAV_TREMOLO_DEPTH * Math.sin(2 * Math.PI * (s * span / (steps - 1)) / period));
+                    }
+                    src.playbackRate.setValueCurveAtTime(curve, when, span);
+                } else {
+                    src.playbackRate.setValueAtTime(playbackRate, when);
+                    const rampEnd = settings.soundMode === 'nostalgia'
+                        ? when + Math.min(dur + release, 6)
+                        : when + 6;
+                    src.playbackRate.linearRampToValueAtTime(playbackRate * 0.97, rampEnd);
+                }
                 src.connect(gain);
                 try { src.start(when); } catch (e) {}
-                try { src.stop(Math.min(totalSeconds - 0.01, when + dur + release + 0.05)); } catch (e) {}
+                try { src.stop(Math.min(totalSeconds - renderStart - 0.01, when + dur + release + 0.05)); } catch (e) {}
+                slotNotes[slotIdx] += 1;
             }
         }
 
         const rendered = await offlineCtx.startRendering();
-        normalizeBufferToPeak(rendered, WAV_EXPORT_TARGET_PEAK);
-        return encodeWavFromBufferAsync(rendered, options.onProgress);
+        if (typeof options.onRendered === 'function') {
+            options.onRendered({
+                settings: segments[0].settings,
+                gains: { reverbSend: chain.reverbSend.gain.value, midGain: chain.midGain.gain.value, masterGain: chain.masterGain.gain.value },
+                slotNotes: slotNotes
+            });
+        }
+        return loop ? foldLoopTail(offlineCtx, rendered, loop.seconds) : rendered;
+    }
+
+    /**
+     * Parity probe: render events offline the way exportWav does (no level, no file) and read back what the rendered
+     * graph ran with — the settings of its first row, the reverb / stereo width / master gains from its nodes at the
+     * end of the render, the notes each instrument slot played and the peak sample.
+     * @returns {Promise<{ settings: Object, gains: { reverbSend: number, midGain: number, masterGain: number }, slotNotes: number[], peak: number }>}
+     */
+    async function probeWavRender(bassEvents, trebleEvents, totalSeconds, options) {
+        let probe = null;
+        const rendered = await renderWavBuffer(bassEvents, trebleEvents, totalSeconds, Object.assign({}, options, {
+            loop: null,
+            onRendered: function (info) { probe = info; }
+        }));
+        let peak = 0;
+        for (let c = 0; c < rendered.numberOfChannels; c += 1) {
+            const data = rendered.getChannelData(c);
+            for (let i = 0; i < data.length; i += 1) peak = Math.max(peak, Math.abs(data[i]));
+        }
+        probe.peak = peak;
+        return probe;
+    }
+
+    /**
+     * Loop-ready buffer exactly loopSeconds long: everything rendered after the loop end is added back from the start
+     * (again and again if the tail is longer than the loop), which is what the loop sounds like on its second pass.
+     */
+    function foldLoopTail(ctx, buffer, loopSeconds) {
+        const frames = Math.max(1, Math.min(buffer.length, Math.round(loopSeconds * buffer.sampleRate)));
+        const out = ctx.createBuffer(buffer.numberOfChannels, frames, buffer.sampleRate);
+        for (let c = 0; c < buffer.numberOfChannels; c += 1) {
+            const src = buffer.getChannelData(c);
+            const dst = out.getChannelData(c);
+            for (let i = 0; i < src.length; i += 1) dst[i % frames] += src[i];
+        }
+        return out;
+    }
+
+    /** Audio before a row's start in its per-row stems, so row-change ramps from the previous row render as in the mix. */
+    const STEM_ROW_PREROLL_SECONDS = 0.5;
+    /** Largest stem zip (estimated from length, rate and format) exportWavStems will build in memory. */
+    const STEMS_MAX_BYTES = 1024 * 1024 * 1024;
+    const OGG_STEM_ESTIMATE_BITRATE = 192000;
+
+    /**
+     * Stems as one zip: the full mix plus bass, treble and each used instrument slot (and optionally each of those per
+     * row), every stem with and without reverb. Whole-song files are full length from 0 s so they line up sample for
+     * sample; per-row stems only cover their row and its tail, from offsetFrames (in manifest.json) of the song. All
+     * share the mix's level gain and limiter curve so the reverb stems of one kind add up to the mix. Throws when the
+     * zip would pass STEMS_MAX_BYTES.
+     * @param {Object} options - exportWav options (rowSegments give the row boundaries; format / bitDepth apply to
+     *   every stem)
+     * @param {Object} [stemOptions] - perRow (stems per row too), fileBase (file name prefix), manifest (extra fields
+     *   for manifest.json, e.g. bpm, key, rows), onProgress(done, total)
+     * @returns {Promise<Blob>} application/zip with the audio files and manifest.json
+     */
+    async function exportWavStems(bassEvents, trebleEvents, totalSeconds, options, stemOptions) {
+        options = options || {};
+        stemOptions = stemOptions || {};
+        const ZipStore = global.ZipStore;
+        if (!ZipStore || typeof ZipStore.buildZip !== 'function') throw new Error('Zip library not loaded.');
+        await assertAudioEncoderAvailable(options);
+        const base = (stemOptions.fileBase || 'chords').replace(/[\\/:*?"<>|]+/g, '-');
+        const rowSegments = Array.isArray(options.rowSegments) && options.rowSegments.length ? options.rowSegments : [{ start: 0, options: null }];
+        const rowSettings = rowSegments.map(function (seg) {
+            return resolveWavRenderSettings(Object.assign({}, options, seg.options || {}), totalSeconds);
+        });
+        // Slots that play in at least one row
+        const usedSlots = [];
+        for (let s = 0; s < WAV_NUM_SLOTS; s += 1) {
+            if (rowSettings.some(function (st) { return st.presetSlots[s] && !st.slotMuted[s]; })) usedSlots.push(s);
+        }
+        const slotLabel = function (s) { return (s < 3 ? 'L' : 'R') + ((s % 3) + 1); };
+        const stems = [
+            { id: 'bass', part: 'bass', slot: null, row: null },
+            { id: 'treble', part: 'treble', slot: null, row: null }
+        ].concat(usedSlots.map(function (s) { return { id: 'slot-' + slotLabel(s), part: null, slot: s, row: null }; }));
+        if (stemOptions.perRow && rowSegments.length > 1) {
+            const whole = stems.slice();
+            rowSegments.forEach(function (seg, r) {
+                whole.forEach(function (st) {
+                    stems.push({ id: 'row' + (r + 1) + '-' + st.id, part: st.part, slot: st.slot, row: r });
+                });
+            });
+        }
+        // Per-row stems: from just before the row starts until its last note and the reverb have died away
+        const tagEnd = function (e) { return { time: e.time, end: e.time + Math.max(0.03, e.duration || 0.2) }; };
+        const allNotes = bassEvents.map(tagEnd).concat(trebleEvents.map(tagEnd));
+        const tailSeconds = (options.reverbBuffer ? options.reverbBuffer.length / options.reverbBuffer.sampleRate : 2.2) + LOOP_TAIL_PAD_SECONDS;
+        const rowSpans = rowSegments.map(function (seg, r) {
+            const start = Math.max(0, seg.start || 0);
+            const next = r + 1 < rowSegments.length ? rowSegments[r + 1].start : totalSeconds;
+            let end = next;
+            allNotes.forEach(function (n) {
+                if (n.time >= start - 1e-9 && n.time < next - 1e-9) end = Math.max(end, n.end);
+            });
+            return { start: start, end: Math.min(totalSeconds, end + tailSeconds) };
+        });
+        const encode = resolveAudioEncodeOptions(options);
+        const estimateRate = encode.sampleRate || options.sampleRate || 44100;
+        const bytesPerSecond = encode.format === 'ogg'
+            ? (Number(options.bitrate) || OGG_STEM_ESTIMATE_BITRATE) / 8
+            : estimateRate * 2 * (encode.bitDepth / 8);
+        let estimatedSeconds = totalSeconds * (1 + stems.length * 2);
+        stems.forEach(function (st) {
+            if (st.row != null && !options.loop) estimatedSeconds += 2 * (rowSpans[st.row].end - rowSpans[st.row].start + STEM_ROW_PREROLL_SECONDS - totalSeconds);
+        });
+        if (estimatedSeconds * bytesPerSecond > STEMS_MAX_BYTES) {
+            throw new Error('These stems would be about ' + Math.round(estimatedSeconds * bytesPerSecond / (1024 * 1024)) + ' MB, more than the ' +
+                Math.round(STEMS_MAX_BYTES / (1024 * 1024)) + ' MB a stem zip can hold here. Export without stems per row, a shorter song or a smaller format.');
+        }
+        const total = 1 + stems.length * 2;
+        let done = 0;
+        const progress = function () {
+            done += 1;
+            if (typeof stemOptions.onProgress === 'function') stemOptions.onProgress(done, total);
+        };
+
+        const entries = [];
+        const files = [];
+        const mix = await renderWavBuffer(bassEvents, trebleEvents, totalSeconds, options);
+        const level = await levelBufferForExport(mix, options);
+        if (typeof options.onLevel === 'function') options.onLevel(describeLevel(level));
+        const sampleRate = mix.sampleRate;
+        const lengthFrames = mix.length;
+        const ext = encode.extension;
+        const addWav = async function (name, buffer, info) {
+            const blob = await encodeAudioFromBufferAsync(buffer, null, options);
+            entries.push(ZipStore.createEntry(name, new Uint8Array(await blob.arrayBuffer())));
+            files.push(Object.assign({ file: name }, info));
+        };
+        await addWav(base + '-mix' + ext, mix, { stem: 'mix', reverb: true });
+        progress();
+        for (let i = 0; i < stems.length; i += 1) {
+            const st = stems[i];
+            const filter = function (part, slotIdx, rowIdx) {
+                if (st.part && part !== st.part) return false;
+                if (st.slot != null && slotIdx !== st.slot) return false;
+                if (st.row != null && rowIdx !== st.row) return false;
+                return true;
+            };
+            // Whole frames, so a per-row stem placed at offsetFrames lines up sample for sample with the mix. Loop-ready
+            // stems stay full length: the tail folds back into the start.
+            const cropped = st.row != null && !options.loop;
+            const offsetFrames = cropped ? Math.floor(Math.max(0, rowSpans[st.row].start - STEM_ROW_PREROLL_SECONDS) * sampleRate) : 0;
+            const renderSeconds = cropped ? rowSpans[st.row].end : totalSeconds;
+            for (let wet = 1; wet >= 0; wet -= 1) {
+                const buffer = await renderWavBuffer(bassEvents, trebleEvents, renderSeconds, Object.assign({}, options, { stemFilter: filter, dry: !wet, renderStart: offsetFrames / sampleRate }));
+                applyBufferGain(buffer, level.gain, level.limiterCurve ? level.limiterCurve.subarray(offsetFrames, offsetFrames + buffer.length) : null);
+                // rowsIndex: position in manifest.rows (song order), for per-row stems
+                const info = { stem: st.id, part: st.part, slot: st.slot != null ? slotLabel(st.slot) : null, rowsIndex: st.row, reverb: !!wet };
+                if (cropped) {
+                    info.offsetFrames = offsetFrames;
+                    info.offsetSeconds = offsetFrames / sampleRate;
+                    info.lengthFrames = buffer.length;
+                }
+                if (st.slot != null) {
+                    info.presets = rowSettings.map(function (rs) { return rs.presetSlots[st.slot] || null; });
+                }
+                await addWav(base + '-' + st.id + (wet ? '' : '-dry') + ext, buffer, info);
+                progress();
+            }
+        }
+        const manifest = Object.assign({}, stemOptions.manifest || {}, {
+            sampleRate: sampleRate,
+            format: encode.format,
+            bitDepth: encode.bitDepth,
+            loop: options.loop ? { beats: options.loop.beats, bpm: options.loop.bpm } : null,
+            lengthSeconds: lengthFrames / sampleRate,
+            lengthFrames: lengthFrames,
+            normalizeGain: level.gain,
+            level: describeLevel(level),
+            files: files
+        });
+        entries.push(ZipStore.createEntry('manifest.json', JSON.stringify(manifest, null, 2)));
+        return ZipStore.buildZip(entries);
     }
 
     const PrimidiSave = {
         buildEvents: buildEvents,
         buildSustainPedalEvents: buildSustainPedalEvents,
+        normalizeStepPattern: normalizeStepPattern,
+        STEP_PATTERN_MAX_STEPS: STEP_PATTERN_MAX_STEPS,
+        STEP_PATTERN_MAX_TONE: STEP_PATTERN_MAX_TONE,
         extendNoteEventsWithSustain: extendNoteEventsWithSustain,
         exportMidi: exportMidi,
+        exportMidiSong: exportMidiSong,
         exportWav: exportWav,
+        exportWavStems: exportWavStems,
+        getWavRenderSettings: resolveWavRenderSettings,
+        probeWavRender: probeWavRender,
+        getAudioEncodeOptions: resolveAudioEncodeOptions,
+        getOggCodec: getOggCodec,
+        measureIntegratedLoudness: measureIntegratedLoudness,
+        measureTruePeakDb: measureTruePeakDb,
+        WAV_EXPORT_SAMPLE_RATES: WAV_EXPORT_SAMPLE_RATES,
         CC_CHORD_BAR_BEATS: CC_CHORD_BAR_BEATS
     };
 
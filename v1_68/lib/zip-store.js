@@ -0,0 +1,126 @@
+/**
+ * Zip Store — minimal .zip writer (stored, no compression) for multi-file downloads such as WAV stems.
+ * Audio does not deflate well, so entries are stored as-is; each entry keeps its bytes in a Blob.
+ */
+(function (global) {
+    'use strict';
+
+    let crcTable = null;
+
+    function getCrcTable() {
+        if (crcTable) return crcTable;
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n += 1) {
+            let c = n;
+            for (let k = 0; k < 8; k += 1) {
+                c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+        return crcTable;
+    }
+
+    function crc32(bytes) {
+        const table = getCrcTable();
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i += 1) {
+            crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /** File names are written as UTF-8 (general purpose flag bit 11). */
+    function encodeName(name) {
+        if (typeof TextEncoder === 'function') return new TextEncoder().encode(name);
+        const out = [];
+        for (let i = 0; i < name.length; i += 1) out.push(name.charCodeAt(i) & 0x7f);
+        return new Uint8Array(out);
+    }
+
+    function dosDateTime(date) {
+        const d = date || new Date();
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+
+    /**
+     * One zip entry from bytes (Uint8Array) or a string (written as UTF-8). The bytes are copied into a Blob,
+     * so large renders can be dropped once their entry exists.
+     * @returns {{ name: string, crc: number, size: number, blob: Blob }}
+     */
+    function createEntry(name, data) {
+        const bytes = typeof data === 'string' ? encodeName(data) : data;
+        if (bytes.length > 0xffffffff) throw new Error('Zip entry is too large: ' + name);
+        return { name: name, crc: crc32(bytes), size: bytes.length, blob: new Blob([bytes]) };
+    }
+
+    /**
+     * Zip archive from entries made with createEntry.
+     * @param {Array<{ name: string, crc: number, size: number, blob: Blob }>} entries
+     * @returns {Blob} application/zip
+     */
+    function buildZip(entries) {
+        const stamp = dosDateTime(new Date());
+        const parts = [];
+        const central = [];
+        let offset = 0;
+        entries.forEach(function (entry) {
+            const nameBytes = encodeName(entry.name);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, stamp.time, true);
+            local.setUint16(12, stamp.date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.size, true);
+            local.setUint32(22, entry.size, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local.buffer, nameBytes, entry.blob);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, stamp.time, true);
+            header.setUint16(14, stamp.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, nameBytes.length, true);
+            header.setUint32(42, offset, true);
+            central.push(header.buffer, nameBytes);
+
+            offset += 30 + nameBytes.length + entry.size;
+            if (offset > 0xffffffff) throw new Error('Zip archive is too large (over 4 GB).');
+        });
+        let centralSize = 0;
+        central.forEach(function (part) { centralSize += part.byteLength; });
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        return new Blob(parts.concat(central, [end.buffer]), { type: 'application/zip' });
+    }
+
+    const ZipStore = {
+        createEntry: createEntry,
+        buildZip: buildZip,
+        crc32: crc32
+    };
+
+    if (typeof global !== 'undefined') {
+        global.ZipStore = ZipStore;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ZipStore;
+    }
+})(typeof window !== 'undefined' ? window : this);
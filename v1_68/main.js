@@ -398,6 +398,11 @@ function getBlackKeyLabel(currentNote, nextNote, mode) {
     // Use provided mode or default to setting
     const labelMode = mode || (window.keyLabelSettings && window.keyLabelSettings.blackKeyLabelMode) || 'both';
     
+    // Follow the chord row's key: spelled by the key labels module
+    if (labelMode === 'key' && typeof window.getBlackKeyLabelText === 'function') {
+        return window.getBlackKeyLabelText(currentNote, nextNote, labelMode);
+    }
+    
     // Black keys are the sharp of the first note (or flat of the second)
     // C-D -> C#/D♭, D-E -> D#/E♭, F-G -> F#/G♭, G-A -> G#/A♭, A-B -> A#/B♭
     const sharpMap = {
@@ -556,6 +561,9 @@ if (window.updateAllLabelFormats) {
 
 // Piano drag: horizontal drag moves the keyboard; vertical drag pans camera Y (drag up → camera lower, drag down → camera higher)
 const pianoKeyMeshes = Array.from(keyMap.values()).map(function (d) { return d.mesh; });
+const pianoMeshToMidi = new Map(Array.from(keyMap.entries()).map(function (entry) { return [entry[1].mesh, entry[0]]; }));
+// Key under the pointer at pointerdown; a tap (no drag) on it plays it in chord capture
+let pianoTapMidi = null;
 const PIANO_X_MIN = -4;
 const PIANO_X_MAX = 4;
 let pianoOffsetX = 0;
@@ -609,6 +617,7 @@ function onPianoPointerDown(e) {
     pianoRaycaster.setFromCamera(pianoMouse, camera);
     const hits = pianoRaycaster.intersectObjects(pianoKeyMeshes, false);
     if (hits.length === 0) return;
+    pianoTapMidi = pianoMeshToMidi.has(hits[0].object) ? pianoMeshToMidi.get(hits[0].object) : null;
     isDraggingPiano = true;
     pianoDragAxis = null;
     pianoDragStartClientX = e.clientX;
@@ -640,8 +649,13 @@ function onPianoPointerMove(e) {
     applyPianoOffset();
 }
 
-function onPianoPointerUp() {
+function onPianoPointerUp(e) {
+    const tapped = isDraggingPiano && pianoDragAxis === null && pianoTapMidi !== null && e && e.type === 'pointerup';
     isDraggingPiano = false;
+    if (tapped && window.ccChordCapture && window.ccChordCapture.isEnabled()) {
+        window.ccChordCapture.toggleNote(pianoTapMidi);
+    }
+    pianoTapMidi = null;
 }
 
 renderer.domElement.addEventListener('pointerdown', onPianoPointerDown);
@@ -1284,6 +1298,10 @@ function handleNoteOn(midiNote, velocity) {
     if (window.handleMidiNoteOn) {
         window.handleMidiNoteOn(midiNote, velocity);
     }
+    // Chord capture names what is held on live input (chord playback calls the mapping module directly)
+    if (window.ccChordCapture) {
+        window.ccChordCapture.noteOn(midiNote);
+    }
 }
 
 // Function to handle MIDI note off (wrapper for midi-mapping module)
@@ -1291,6 +1309,9 @@ function handleNoteOff(midiNote) {
     if (window.handleMidiNoteOff) {
         window.handleMidiNoteOff(midiNote);
     }
+    if (window.ccChordCapture) {
+        window.ccChordCapture.noteOff(midiNote);
+    }
 }
 
 
@@ -1573,6 +1594,9 @@ function handleNoteOff_OLD(midiNote) {
 
 // Safety function to release all stuck notes (can be called manually if needed)
 function releaseAllNotes() {
+    if (typeof window.cancelScheduledKeyVisuals === 'function') {
+        window.cancelScheduledKeyVisuals();
+    }
     // Release sustain pedal so sustained notes and app state are cleared
     sustainPedalActive = false;
     if (synth && synth.synth && typeof synth.synth.setSustainPedal === 'function') {
@@ -1637,6 +1661,11 @@ function handleControlChange(controller, value) {
         const wasActive = sustainPedalActive;
         const isNowActive = value >= 64; // >= 64 means pedal down
         sustainPedalActive = isNowActive;
+
+        // A pedal tap adds the held chord to the focused row when chord capture is on
+        if (window.ccChordCapture) {
+            window.ccChordCapture.pedal(isNowActive);
+        }
         
         // Update synth's sustain pedal state for harmonic evolution
         if (synth && synth.synth && typeof synth.synth.setSustainPedal === 'function') {
@@ -28,6 +28,14 @@
     let sustainDecayAutomations = null;
     let noteVolumeNodes = null;
     
+    // Key visuals for notes scheduled ahead on the audio clock (see runKeyVisual)
+    const pendingKeyVisuals = new Set();
+    
+    // Sustain pedal changes scheduled ahead: the app state and pedal side effects wait for `when`,
+    // while scheduledPedalDown is the pedal as of the last event dispatched (null when none is pending)
+    const pendingPedalChanges = new Set();
+    let scheduledPedalDown = null;
+    
     /**
      * Convert MIDI note number to frequency in Hz
      * Formula: f = 440 * 2^((n - 69) / 12) where n is MIDI note number
@@ -38,6 +46,55 @@
         return 440 * Math.pow(2, (midiNote - 69) / 12);
     }
     
+    /**
+     * Run key visual feedback when the sound is heard. Notes from a lookahead scheduler carry an
+     * AudioContext time `when` that may be a little in the future; the key press/release waits for it.
+     * @param {number} [when] - AudioContext time of the note event (omit for "now")
+     * @param {Function} fn - Visual update
+     * @param {Set} [pending] - Timer set to track the wait in (default: key visuals)
+     */
+    function runKeyVisual(when, fn, pending = pendingKeyVisuals) {
+        const ctx = (when != null && synth && synth.synth) ? synth.synth.audioCtx : null;
+        const delayMs = ctx ? (when - ctx.currentTime) * 1000 : 0;
+        if (delayMs < 1) {
+            fn();
+            return;
+        }
+        const id = setTimeout(() => {
+            pending.delete(id);
+            fn();
+        }, delayMs);
+        pending.add(id);
+    }
+    
+    /**
+     * Drop pending sustain pedal changes; the pedal state follows sustainPedalActiveRef again
+     */
+    function cancelScheduledPedalChanges() {
+        pendingPedalChanges.forEach((id) => clearTimeout(id));
+        pendingPedalChanges.clear();
+        scheduledPedalDown = null;
+    }
+    
+    /**
+     * Whether the sustain pedal is down for the event being handled: the last scheduled pedal change
+     * when one is still waiting for its time, else the app's current pedal state
+     * @returns {boolean}
+     */
+    function isSustainPedalDown() {
+        if (scheduledPedalDown !== null) return scheduledPedalDown;
+        return !!(sustainPedalActiveRef && sustainPedalActiveRef.value);
+    }
+    
+    /**
+     * Drop key visuals and pedal changes that are still waiting for their scheduled time (e.g. playback stopped mid-lookahead)
+     */
+    window.cancelScheduledKeyVisuals = function() {
+        pendingKeyVisuals.forEach((id) => clearTimeout(id));
+        pendingKeyVisuals.clear();
+        cancelScheduledPedalChanges();
+    };
+    
     // Export globally for use by other modules
     if (typeof window !== 'undefined') {
         window.midiNoteToFrequency = midiNoteToFrequency;
@@ -141,8 +198,9 @@
      * Handle MIDI note on event
      * @param {number} midiNote - MIDI note number (0-127)
      * @param {number} velocity - MIDI velocity (0-127)
+     * @param {number} [when] - AudioContext time to start the note (omit to play now)
      */
-    window.handleMidiNoteOn = function(midiNote, velocity) {
+    window.handleMidiNoteOn = function(midiNote, velocity, when) {
         // Show MIDI debug info if enabled
         if (window.showMidiDebugNoteOn) {
             window.showMidiDebugNoteOn(midiNote, velocity);
@@ -156,7 +214,7 @@
         if (activeNotes.has(midiNote)) {
             // CRITICAL: Release visual key first to prevent cumulative movement
             // This ensures visual state matches audio state
-            releaseKeyFn(midiNote);
+            runKeyVisual(when, function() { releaseKeyFn(midiNote); });
             
             // Release all voices for this note (including unison voices if any)
             // Use immediate cleanup when retriggering to free partials immediately
@@ -169,12 +227,12 @@
                     uniqueNoteNames.forEach(voiceNoteName => {
                         try {
                             if (synth.releaseAllVoices) {
-                                synth.releaseAllVoices(voiceNoteName);
+                                synth.releaseAllVoices(voiceNoteName, when);
                             } else {
                                 // Fallback: release one voice at a time
                                 while (true) {
                                     try {
-                                        synth.triggerRelease(voiceNoteName);
+                                        synth.triggerRelease(voiceNoteName, when);
                                     } catch (e) {
                                         break; // No more voices
                                     }
@@ -189,12 +247,12 @@
                     // Release all voices for the main note with immediate cleanup
                     try {
                         if (synth.releaseAllVoices) {
-                            synth.releaseAllVoices(noteName);
+                            synth.releaseAllVoices(noteName, when);
                         } else {
                             // Fallback: release one voice at a time
                             while (true) {
                                 try {
-                                    synth.triggerRelease(noteName);
+                                    synth.triggerRelease(noteName, when);
                                 } catch (e) {
                                     break; // No more voices
                                 }
@@ -349,7 +407,7 @@
         let amplitude = velocityToAmplitudeWithCompensation(velocity, midiNote, k, targetSPL);
         
         // Apply pedal coupling (research4) - adds sympathetic resonance - from pedal-coupling.js module
-        const isPedalActive = sustainPedalActiveRef && (sustainPedalActiveRef.value !== undefined ? sustainPedalActiveRef.value : false);
+        const isPedalActive = isSustainPedalDown();
         if (window.physicsSettings && window.physicsSettings.pedalCoupling && isPedalActive && window.applyPedalCoupling) {
             const freq = midiNoteToFrequency(midiNote);
             const couplingGain = window.applyPedalCoupling(freq, velocity, 1.0, activeNotes, midiNoteToFrequency);
@@ -362,7 +420,7 @@
             return; // Cannot proceed without synth
         }
         
-        synth.triggerAttack(noteName, undefined, amplitude);
+        synth.triggerAttack(noteName, when, amplitude);
         // Track the note name for release
         unisonVoices.set(midiNote, [noteName]);
         
@@ -383,14 +441,15 @@
         }
         
         // Visual feedback - pass velocity for velocity-based animation duration
-        pressKeyFn(midiNote, velocity);
+        runKeyVisual(when, function() { pressKeyFn(midiNote, velocity); });
     };
     
     /**
      * Handle MIDI note off event
      * @param {number} midiNote - MIDI note number (0-127)
+     * @param {number} [when] - AudioContext time to release the note (omit to release now)
      */
-    window.handleMidiNoteOff = function(midiNote) {
+    window.handleMidiNoteOff = function(midiNote, when) {
         // Show MIDI debug info if enabled
         if (window.showMidiDebugNoteOff) {
             window.showMidiDebugNoteOff(midiNote);
@@ -446,7 +505,7 @@
         }
         
         // Release sound only if sustain pedal is not active
-        if (!sustainPedalActiveRef || !sustainPedalActiveRef.value) {
+        if (!isSustainPedalDown()) {
             // Cancel any sustain decay if it exists
             if (sustainDecayAutomations.has(midiNote)) {
                 const automation = sustainDecayAutomations.get(midiNote);
@@ -465,12 +524,12 @@
                     uniqueNoteNames.forEach(voiceNoteName => {
                         try {
                             if (synth.releaseAllVoices) {
-                                synth.releaseAllVoices(voiceNoteName);
+                                synth.releaseAllVoices(voiceNoteName, when);
                             } else {
                                 // Fallback: release one at a time until none left
                                 while (true) {
                                     try {
-                                        synth.triggerRelease(voiceNoteName);
+                                        synth.triggerRelease(voiceNoteName, when);
                                     } catch (e) {
                                         break; // No more voices
                                     }
@@ -487,12 +546,12 @@
                     // Release all voices for the main note
                     try {
                         if (synth.releaseAllVoices) {
-                            synth.releaseAllVoices(noteName);
+                            synth.releaseAllVoices(noteName, when);
                         } else {
                             // Fallback: release one at a time until none left
                             while (true) {
                                 try {
-                                    synth.triggerRelease(noteName);
+                                    synth.triggerRelease(noteName, when);
                                 } catch (e) {
                                     break; // No more voices
                                 }
@@ -542,7 +601,7 @@
         }
         
         // Visual feedback - always release key visually
-        releaseKeyFn(midiNote);
+        runKeyVisual(when, function() { releaseKeyFn(midiNote); });
     };
     
     /**
@@ -566,26 +625,37 @@
      * Handle MIDI control change event
      * @param {number} controller - Controller number (0-127)
      * @param {number} value - Controller value (0-127)
+     * @param {number} [when] - AudioContext time of the pedal change (omit for now)
      */
-    window.handleMidiControlChange = function(controller, value) {
+    window.handleMidiControlChange = function(controller, value, when) {
         // Sustain pedal is controller 64
         if (controller === 64 && sustainPedalActiveRef) {
-            const wasActive = sustainPedalActiveRef.value;
+            const wasActive = isSustainPedalDown();
             const isNowActive = value >= 64; // >= 64 means pedal down
-            sustainPedalActiveRef.value = isNowActive;
             
-            // Handle spectral balance gain reduction on sustain pedal change
-            if (window.handleSustainPedalChangeSpectralBalance) {
-                window.handleSustainPedalChangeSpectralBalance(isNowActive);
-            }
-            
-            // Handle envelope sustain boost on sustain pedal change
-            if (window.handleSustainPedalChangeEnvelope) {
-                window.handleSustainPedalChangeEnvelope(isNowActive);
-            }
+            // App pedal state and its side effects change when the pedal is heard, not when the event is queued
+            const applyPedalState = function() {
+                sustainPedalActiveRef.value = isNowActive;
+                
+                // Handle spectral balance gain reduction on sustain pedal change
+                if (window.handleSustainPedalChangeSpectralBalance) {
+                    window.handleSustainPedalChangeSpectralBalance(isNowActive);
+                }
+                
+                // Handle envelope sustain boost on sustain pedal change
+                if (window.handleSustainPedalChangeEnvelope) {
+                    window.handleSustainPedalChangeEnvelope(isNowActive);
+                }
+            };
+            if (when == null) cancelScheduledPedalChanges();
+            scheduledPedalDown = isNowActive;
+            runKeyVisual(when, function() {
+                if (pendingPedalChanges.size === 0) scheduledPedalDown = null;
+                applyPedalState();
+            }, pendingPedalChanges);
             
             // If sustain pedal is released, release only the sustained notes
-            if (wasActive && !sustainPedalActiveRef.value) {
+            if (wasActive && !isNowActive) {
                 // Create a copy to avoid modification during iteration
                 const notesToRelease = Array.from(sustainedNotes);
                 notesToRelease.forEach((midiNote) => {
@@ -624,7 +694,7 @@
                             // Important: Even if multiple strings round to the same note name, we must release each one
                             voicesToRelease.forEach(voiceNoteName => {
                                 try {
-                                    synth.triggerRelease(voiceNoteName);
+                                    synth.triggerRelease(voiceNoteName, when);
                                 } catch (e) {
                                     // Ignore errors
                                 }
@@ -636,7 +706,7 @@
                             const noteName = activeNotes.get(midiNote);
                             if (noteName) {
                                 try {
-                                    synth.triggerRelease(noteName);
+                                    synth.triggerRelease(noteName, when);
                                 } catch (e) {
                                     // Ignore errors
                                 }